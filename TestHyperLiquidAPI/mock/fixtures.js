@@ -0,0 +1,66 @@
+/**
+ * 📦 MOCK FIXTURES
+ * ================
+ *
+ * Données de référence statiques des handlers /info : ce que le marché
+ * simulé ne produit pas lui-même (venues de funding externes, plafonds
+ * d'open interest, univers spot...). Formes reprises de réponses réelles
+ * de l'API.
+ */
+
+/**
+ * 🔮 Venues de référence de predictedFundings (en plus de "HlPerp")
+ * rateFactor : écart typique avec le taux Hyperliquid ramené à 8h
+ */
+export const FUNDING_VENUES = [
+  { name: 'BinPerp', intervalHours: 8, rateFactor: 1.1 },
+  { name: 'BybitPerp', intervalHours: 8, rateFactor: 0.9 }
+];
+
+// Taux de funding horaire de base (0.01% / 8h, comme l'API)
+export const BASE_HOURLY_FUNDING = 0.0000125;
+
+/**
+ * 🧢 Perps au plafond d'open interest (perpsAtOpenInterestCap)
+ */
+export const PERPS_AT_OPEN_INTEREST_CAP = ['DYDX'];
+
+// Premier oid des ordres synthétiques (ordre de grandeur réel)
+export const ORDER_ID_BASE = 91490942;
+
+/**
+ * 💱 Tokens spot (spotMeta.tokens) + détails servis par tokenDetails
+ * USDC est le token de cotation de toutes les paires.
+ */
+export const SPOT_TOKENS = [
+  {
+    name: 'USDC', szDecimals: 8, weiDecimals: 8, index: 0, tokenId: '0x6d1e7cde53ba9467b783cb7c530ce054',
+    isCanonical: true, evmContract: null, fullName: null,
+    details: { maxSupply: '2000000000.0', totalSupply: '1500000000.0', deployer: null, deployTime: null }
+  },
+  {
+    name: 'PURR', szDecimals: 0, weiDecimals: 5, index: 1, tokenId: '0xc1fb593aeffbeb02f85e0308e9956a90',
+    isCanonical: true, evmContract: null, fullName: null,
+    details: { maxSupply: '1000000000.0', totalSupply: '596993655.0', deployer: null, deployTime: null }
+  },
+  {
+    name: 'HFUN', szDecimals: 2, weiDecimals: 8, index: 2, tokenId: '0xbaf265ef389da684513d98d68edf4eae',
+    isCanonical: false, evmContract: null, fullName: null,
+    details: { maxSupply: '1000000.0', totalSupply: '999997.85', deployer: '0x5ac99df645f3414876c816caa18b2d234024b487', deployTime: '2024-04-16T12:00:00.000' }
+  },
+  {
+    name: 'HYPE', szDecimals: 2, weiDecimals: 8, index: 150, tokenId: '0x0d01dc56dcaaca66ad901c959b4011ec',
+    isCanonical: false, evmContract: null, fullName: 'Hyperliquid',
+    details: { maxSupply: '1000000000.0', totalSupply: '999990000.0', deployer: null, deployTime: '2024-11-29T06:00:00.000' }
+  }
+];
+
+/**
+ * 💱 Paires spot (spotMeta.universe) + contexte de marché
+ * (spotMetaAndAssetCtxs, tokenDetails) ; hors PURR/USDC, le nom API est "@{index}"
+ */
+export const SPOT_PAIRS = [
+  { name: 'PURR/USDC', tokens: [1, 0], index: 0, isCanonical: true, markPx: '0.1824', prevDayPx: '0.1791', dayNtlVlm: '1254873.21', circulatingSupply: '596993655.0' },
+  { name: '@1', tokens: [2, 0], index: 1, isCanonical: false, markPx: '24.112', prevDayPx: '23.874', dayNtlVlm: '84312.55', circulatingSupply: '999997.85' },
+  { name: '@107', tokens: [150, 0], index: 107, isCanonical: false, markPx: '14.391', prevDayPx: '14.102', dayNtlVlm: '98412336.7', circulatingSupply: '333940000.0' }
+];
@@ -0,0 +1,542 @@
+/**
+ * 🧾 INFO HANDLERS
+ * ================
+ *
+ * Implémentation simulée de POST /info, par type de requête.
+ * Les réponses reprennent la forme de l'API Hyperliquid, y compris
+ * ses cas d'erreur :
+ * - type inconnu / body mal formé → 422 "Failed to deserialize..."
+ * - adresse utilisateur invalide  → 422 citant le champ `user`
+ * - coin inconnu sur l2Book        → 200 avec `null`
+ *
+ * Données utilisateur synthétiques (positions, ordres, fills, funding)
+ * dérivées de l'adresse : stables d'un appel à l'autre. Données de
+ * référence statiques : voir fixtures.js.
+ */
+
+import { CANDLE_INTERVALS, formatPrice } from './marketSimulator.js';
+import {
+  BASE_HOURLY_FUNDING, FUNDING_VENUES, ORDER_ID_BASE, PERPS_AT_OPEN_INTEREST_CAP, SPOT_PAIRS, SPOT_TOKENS
+} from './fixtures.js';
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const TOKEN_ID_PATTERN = /^0x[0-9a-fA-F]{32}$/;
+
+const HOUR_MS = 3600e3;
+
+// Entrées max par réponse (fundingHistory, userFunding)
+const FUNDING_PAGE_SIZE = 500;
+
+/**
+ * Réponse 422 au format texte de l'API
+ */
+function deserializeError(detail) {
+  return {
+    status: 422,
+    body: `Failed to deserialize the JSON body into the target type: ${detail}`
+  };
+}
+
+function ok(body) {
+  return { status: 200, body };
+}
+
+/**
+ * Graine stable dérivée d'une adresse (positions synthétiques reproductibles)
+ */
+function addressSeed(address) {
+  return parseInt(address.slice(2, 10), 16);
+}
+
+/**
+ * Plage { startTime, endTime } d'un body (endTime absent = maintenant)
+ * @returns {Object|null} null si un des bornes n'est pas un nombre
+ */
+function parseTimeRange(body) {
+  const startTime = Number(body.startTime);
+  const endTime = body.endTime === undefined || body.endTime === null ? Date.now() : Number(body.endTime);
+  if (body.startTime === undefined || !Number.isFinite(startTime) || !Number.isFinite(endTime)) return null;
+  return { startTime, endTime };
+}
+
+/**
+ * 📚 Handlers par type /info : (body, simulator) → { status, body }
+ */
+export const INFO_HANDLERS = {
+  allMids: (body, sim) => ok(sim.getMids()),
+
+  meta: (body, sim) => ok({ universe: buildUniverse(sim) }),
+
+  metaAndAssetCtxs: (body, sim) => ok([
+    { universe: buildUniverse(sim) },
+    [...sim.markets.values()].map(market => buildAssetCtx(market))
+  ]),
+
+  l2Book: (body, sim) => {
+    if (typeof body.coin !== 'string') return deserializeError('missing field `coin`');
+    return ok(sim.getBook(body.coin));
+  },
+
+  recentTrades: (body, sim) => {
+    if (typeof body.coin !== 'string') return deserializeError('missing field `coin`');
+    return ok(sim.getRecentTrades(body.coin, 100));
+  },
+
+  candleSnapshot: (body, sim) => {
+    const req = body.req;
+    if (!req || typeof req.coin !== 'string') return deserializeError('req: missing field `coin`');
+    if (!CANDLE_INTERVALS[req.interval]) return deserializeError(`req.interval: unknown variant \`${req.interval}\``);
+
+    const startTime = Number(req.startTime);
+    const endTime = req.endTime === undefined ? Date.now() : Number(req.endTime);
+    if (!Number.isFinite(startTime) || !Number.isFinite(endTime)) {
+      return deserializeError('req.startTime: invalid type, expected u64');
+    }
+
+    return ok(sim.getCandles(req.coin, req.interval, startTime, endTime) ?? []);
+  },
+
+  clearinghouseState: (body, sim) => {
+    if (!ADDRESS_PATTERN.test(body.user || '')) return deserializeError('user: invalid address');
+    return ok(buildClearinghouseState(body.user, sim));
+  },
+
+  userFills: (body, sim) => {
+    if (!ADDRESS_PATTERN.test(body.user || '')) return deserializeError('user: invalid address');
+    return ok(buildUserFills(body.user, sim));
+  },
+
+  userFillsByTime: (body, sim) => {
+    if (!ADDRESS_PATTERN.test(body.user || '')) return deserializeError('user: invalid address');
+    const range = parseTimeRange(body);
+    if (!range) return deserializeError('startTime: invalid type, expected u64');
+    // Du plus ancien au plus récent, comme l'API
+    return ok(buildUserFills(body.user, sim)
+      .filter(fill => fill.time >= range.startTime && fill.time <= range.endTime)
+      .reverse());
+  },
+
+  predictedFundings: (body, sim) => ok(buildPredictedFundings(sim)),
+
+  perpsAtOpenInterestCap: () => ok(PERPS_AT_OPEN_INTEREST_CAP),
+
+  fundingHistory: (body, sim) => {
+    if (typeof body.coin !== 'string') return deserializeError('missing field `coin`');
+    const range = parseTimeRange(body);
+    if (!range) return deserializeError('startTime: invalid type, expected u64');
+    if (!sim.getMarket(body.coin)) return ok([]);
+
+    return ok(fundingHours(range).map(time => ({
+      coin: body.coin,
+      fundingRate: fundingRateAt(body.coin, time).toFixed(8),
+      premium: (fundingRateAt(body.coin, time) - BASE_HOURLY_FUNDING).toFixed(8),
+      time
+    })));
+  },
+
+  openOrders: (body, sim) => {
+    if (!ADDRESS_PATTERN.test(body.user || '')) return deserializeError('user: invalid address');
+    return ok(buildOpenOrders(body.user, sim));
+  },
+
+  frontendOpenOrders: (body, sim) => {
+    if (!ADDRESS_PATTERN.test(body.user || '')) return deserializeError('user: invalid address');
+    return ok(buildOpenOrders(body.user, sim).map(toFrontendOrder));
+  },
+
+  historicalOrders: (body, sim) => {
+    if (!ADDRESS_PATTERN.test(body.user || '')) return deserializeError('user: invalid address');
+    return ok(buildHistoricalOrders(body.user, sim));
+  },
+
+  orderStatus: (body, sim) => {
+    if (!ADDRESS_PATTERN.test(body.user || '')) return deserializeError('user: invalid address');
+    if (!Number.isInteger(Number(body.oid)) || body.oid === '' || body.oid === null) {
+      return deserializeError('oid: invalid type, expected u64');
+    }
+    const order = buildHistoricalOrders(body.user, sim).find(entry => entry.order.oid === Number(body.oid));
+    return ok(order ? { status: 'order', order } : { status: 'unknownOid' });
+  },
+
+  userFunding: (body, sim) => {
+    if (!ADDRESS_PATTERN.test(body.user || '')) return deserializeError('user: invalid address');
+    const range = parseTimeRange(body);
+    if (!range) return deserializeError('startTime: invalid type, expected u64');
+    return ok(buildUserFunding(body.user, sim, range));
+  },
+
+  userRateLimit: (body) => {
+    if (!ADDRESS_PATTERN.test(body.user || '')) return deserializeError('user: invalid address');
+    const seed = addressSeed(body.user);
+    const cumVlm = (seed % 1e6) * 3.7;
+    return ok({
+      cumVlm: cumVlm.toFixed(6),
+      nRequestsUsed: seed % 5000,
+      nRequestsCap: 10000 + Math.floor(cumVlm)
+    });
+  },
+
+  spotMeta: () => ok(buildSpotMeta()),
+
+  spotMetaAndAssetCtxs: () => ok([buildSpotMeta(), SPOT_PAIRS.map(buildSpotAssetCtx)]),
+
+  spotClearinghouseState: (body) => {
+    if (!ADDRESS_PATTERN.test(body.user || '')) return deserializeError('user: invalid address');
+    return ok(buildSpotClearinghouseState(body.user));
+  },
+
+  tokenDetails: (body) => {
+    if (!TOKEN_ID_PATTERN.test(body.tokenId || '')) return deserializeError('tokenId: invalid length, expected 16 bytes');
+    const token = SPOT_TOKENS.find(item => item.tokenId === body.tokenId.toLowerCase());
+    if (!token) return deserializeError(`tokenId: unknown token \`${body.tokenId}\``);
+    return ok(buildTokenDetails(token));
+  }
+};
+
+/**
+ * 🎯 Point d'entrée : route un body /info vers son handler
+ *
+ * @param {any} body - Body JSON reçu
+ * @param {MarketSimulator} sim - Marché simulé
+ * @returns {{ status: number, body: any }}
+ */
+export function handleInfoRequest(body, sim) {
+  const handler = INFO_HANDLERS[body?.type];
+  if (!handler) {
+    return deserializeError(`unknown variant \`${body?.type}\`, expected one of ${Object.keys(INFO_HANDLERS).map(type => `\`${type}\``).join(', ')}`);
+  }
+  return handler(body, sim);
+}
+
+/**
+ * ============================================================================
+ * CONSTRUCTION DES RÉPONSES
+ * ============================================================================
+ */
+
+function buildUniverse(sim) {
+  return [...sim.markets.values()].map(({ meta }) => ({
+    name: meta.name,
+    szDecimals: meta.szDecimals,
+    maxLeverage: meta.maxLeverage
+  }));
+}
+
+function buildAssetCtx(market) {
+  const { szDecimals } = market.meta;
+  const mid = market.mid;
+  const [bids, asks] = market.book.levels;
+
+  return {
+    funding: (((mid / market.meta.price) - 1) / 1000).toFixed(8),
+    openInterest: ((2e6 / market.meta.price) * 10).toFixed(szDecimals),
+    prevDayPx: formatPrice(market.prevDayPx, szDecimals),
+    dayNtlVlm: market.dayVolume.toFixed(2),
+    premium: '0.0',
+    oraclePx: formatPrice(mid, szDecimals),
+    markPx: formatPrice(mid, szDecimals),
+    midPx: formatPrice(mid, szDecimals),
+    impactPxs: [bids[0]?.px, asks[0]?.px]
+  };
+}
+
+/**
+ * Compte synthétique : 1 à 3 positions déterminées par l'adresse,
+ * PnL recalculé avec les mids courants
+ */
+function buildClearinghouseState(user, sim) {
+  const seed = addressSeed(user);
+  const markets = [...sim.markets.values()];
+  const positionCount = 1 + (seed % 3);
+
+  const assetPositions = Array.from({ length: positionCount }, (_, i) => {
+    const market = markets[(seed + i * 7) % markets.length];
+    const { name, szDecimals, price, maxLeverage } = market.meta;
+    const long = ((seed >> i) & 1) === 0;
+    const size = (((seed % 97) + 10) * 100 / price) * (long ? 1 : -1);
+    const leverage = Math.min(maxLeverage, 3 + (seed % 8));
+    const positionValue = Math.abs(size) * market.mid;
+    const unrealizedPnl = size * (market.mid - price);
+    const marginUsed = positionValue / leverage;
+
+    return {
+      type: 'oneWay',
+      position: {
+        coin: name,
+        szi: size.toFixed(szDecimals),
+        entryPx: formatPrice(price, szDecimals),
+        positionValue: positionValue.toFixed(2),
+        unrealizedPnl: unrealizedPnl.toFixed(2),
+        returnOnEquity: (unrealizedPnl / marginUsed).toFixed(4),
+        liquidationPx: formatPrice(price * (long ? 1 - 0.9 / leverage : 1 + 0.9 / leverage), szDecimals),
+        leverage: { type: 'cross', value: leverage },
+        marginUsed: marginUsed.toFixed(2),
+        maxLeverage,
+        cumFunding: { allTime: '0.0', sinceOpen: '0.0', sinceChange: '0.0' }
+      }
+    };
+  });
+
+  const totalNtlPos = assetPositions.reduce((sum, { position }) => sum + Number(position.positionValue), 0);
+  const totalMarginUsed = assetPositions.reduce((sum, { position }) => sum + Number(position.marginUsed), 0);
+  const totalPnl = assetPositions.reduce((sum, { position }) => sum + Number(position.unrealizedPnl), 0);
+  const accountValue = 10000 + (seed % 5000) + totalPnl;
+
+  const summary = {
+    accountValue: accountValue.toFixed(2),
+    totalNtlPos: totalNtlPos.toFixed(2),
+    totalRawUsd: (accountValue - totalPnl).toFixed(2),
+    totalMarginUsed: totalMarginUsed.toFixed(2)
+  };
+
+  return {
+    marginSummary: summary,
+    crossMarginSummary: summary,
+    crossMaintenanceMarginUsed: (totalMarginUsed / 2).toFixed(2),
+    withdrawable: Math.max(0, accountValue - totalMarginUsed).toFixed(2),
+    assetPositions,
+    time: Date.now()
+  };
+}
+
+/**
+ * Fills synthétiques : trades récents du marché attribués à l'utilisateur
+ */
+function buildUserFills(user, sim) {
+  const seed = addressSeed(user);
+  const markets = [...sim.markets.values()];
+  const market = markets[seed % markets.length];
+
+  return sim.getRecentTrades(market.meta.name, 10).map((trade, index) => ({
+    coin: trade.coin,
+    px: trade.px,
+    sz: trade.sz,
+    side: trade.side,
+    time: trade.time,
+    startPosition: '0.0',
+    dir: trade.side === 'B' ? 'Open Long' : 'Open Short',
+    closedPnl: '0.0',
+    hash: trade.hash,
+    oid: seed + index,
+    crossed: true,
+    fee: (Number(trade.px) * Number(trade.sz) * 0.00035).toFixed(6),
+    tid: trade.tid,
+    feeToken: 'USDC'
+  }));
+}
+
+/**
+ * ============================================================================
+ * FUNDING
+ * ============================================================================
+ */
+
+/**
+ * Taux horaire déterministe d'un coin à une heure donnée
+ * (oscille autour du taux de base, phase propre à chaque coin)
+ */
+function fundingRateAt(coin, time) {
+  const phase = [...coin].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  return BASE_HOURLY_FUNDING + 0.00001 * Math.sin(time / HOUR_MS / 5 + phase);
+}
+
+/**
+ * Heures pleines de la plage (une entrée de funding par heure, 500 max)
+ */
+function fundingHours({ startTime, endTime }) {
+  const hours = [];
+  for (let time = Math.ceil(startTime / HOUR_MS) * HOUR_MS; time <= endTime && hours.length < FUNDING_PAGE_SIZE; time += HOUR_MS) {
+    hours.push(time);
+  }
+  return hours;
+}
+
+/**
+ * [coin, [[venue, { fundingRate, nextFundingTime }], ...]] par perp
+ */
+function buildPredictedFundings(sim) {
+  const now = Date.now();
+  return [...sim.markets.keys()].map(coin => {
+    const hourly = fundingRateAt(coin, now);
+    const venues = FUNDING_VENUES.map(({ name, intervalHours, rateFactor }) => {
+      const interval = intervalHours * HOUR_MS;
+      return [name, {
+        fundingRate: (hourly * intervalHours * rateFactor).toFixed(8),
+        nextFundingTime: Math.ceil(now / interval) * interval
+      }];
+    });
+    return [coin, [
+      ...venues,
+      ['HlPerp', { fundingRate: hourly.toFixed(8), nextFundingTime: Math.ceil(now / HOUR_MS) * HOUR_MS, fundingIntervalHours: 1 }]
+    ]];
+  });
+}
+
+/**
+ * Paiements de funding des positions synthétiques, heure par heure
+ */
+function buildUserFunding(user, sim, range) {
+  const { assetPositions } = buildClearinghouseState(user, sim);
+  return fundingHours(range).flatMap(time => assetPositions.map(({ position }) => {
+    const rate = fundingRateAt(position.coin, time);
+    return {
+      time,
+      hash: `0x${'0'.repeat(64)}`,
+      delta: {
+        type: 'funding',
+        coin: position.coin,
+        usdc: (-Number(position.positionValue) * Math.sign(Number(position.szi)) * rate).toFixed(6),
+        szi: position.szi,
+        fundingRate: rate.toFixed(8),
+        nSamples: null
+      }
+    };
+  }));
+}
+
+/**
+ * ============================================================================
+ * ORDRES
+ * ============================================================================
+ */
+
+/**
+ * 1 à 4 ordres limites synthétiques, à distance du prix de référence
+ * (oid et prix stables d'un appel à l'autre)
+ */
+function buildOpenOrders(user, sim) {
+  const seed = addressSeed(user);
+  const markets = [...sim.markets.values()];
+  const count = 1 + (seed % 4);
+
+  return Array.from({ length: count }, (_, i) => {
+    const { name, szDecimals, price } = markets[(seed + i * 3) % markets.length].meta;
+    const buy = ((seed >> i) & 1) === 0;
+    const size = (((seed % 53) + 5) * 50 / price).toFixed(szDecimals);
+    return {
+      coin: name,
+      side: buy ? 'B' : 'A',
+      limitPx: formatPrice(price * (buy ? 1 - 0.02 * (i + 1) : 1 + 0.02 * (i + 1)), szDecimals),
+      sz: size,
+      oid: ORDER_ID_BASE + (seed % 1e5) * 10 + i,
+      timestamp: sim.startTime - (i + 1) * HOUR_MS,
+      origSz: size
+    };
+  });
+}
+
+/**
+ * Champs supplémentaires de frontendOpenOrders (ordre limite GTC simple)
+ */
+function toFrontendOrder(order) {
+  return {
+    ...order,
+    orderType: 'Limit',
+    triggerPx: '0.0',
+    triggerCondition: 'N/A',
+    isTrigger: false,
+    isPositionTpsl: false,
+    reduceOnly: false,
+    tif: 'Gtc',
+    cloid: null,
+    children: []
+  };
+}
+
+/**
+ * Ordres ouverts + ordres clôturés (exécuté, annulé) les plus récents d'abord
+ */
+function buildHistoricalOrders(user, sim) {
+  const openOrders = buildOpenOrders(user, sim).map(toFrontendOrder);
+  const closed = openOrders.flatMap((order, i) => ['filled', 'canceled'].map((status, j) => {
+    const timestamp = order.timestamp - (j + 1) * 6 * HOUR_MS;
+    return {
+      order: { ...order, oid: order.oid - 5 - (i * 2 + j) * 10, sz: status === 'filled' ? '0.0' : order.sz, timestamp },
+      status,
+      statusTimestamp: timestamp + 60e3
+    };
+  }));
+
+  return [
+    ...openOrders.map(order => ({ order, status: 'open', statusTimestamp: order.timestamp })),
+    ...closed
+  ].sort((a, b) => b.statusTimestamp - a.statusTimestamp);
+}
+
+/**
+ * ============================================================================
+ * SPOT
+ * ============================================================================
+ */
+
+function buildSpotMeta() {
+  return {
+    tokens: SPOT_TOKENS.map(({ name, szDecimals, weiDecimals, index, tokenId, isCanonical, evmContract, fullName }) => ({
+      name, szDecimals, weiDecimals, index, tokenId, isCanonical, evmContract, fullName
+    })),
+    universe: SPOT_PAIRS.map(({ name, tokens, index, isCanonical }) => ({ name, tokens, index, isCanonical }))
+  };
+}
+
+function buildSpotAssetCtx(pair) {
+  const base = SPOT_TOKENS.find(token => token.index === pair.tokens[0]);
+  return {
+    coin: pair.name,
+    markPx: pair.markPx,
+    midPx: pair.markPx,
+    prevDayPx: pair.prevDayPx,
+    dayNtlVlm: pair.dayNtlVlm,
+    dayBaseVlm: (Number(pair.dayNtlVlm) / Number(pair.markPx)).toFixed(base.szDecimals),
+    circulatingSupply: pair.circulatingSupply,
+    totalSupply: base.details.totalSupply
+  };
+}
+
+/**
+ * Soldes synthétiques : USDC + 1 à 3 tokens déterminés par l'adresse
+ */
+function buildSpotClearinghouseState(user) {
+  const seed = addressSeed(user);
+  const baseTokens = SPOT_TOKENS.filter(token => token.name !== 'USDC');
+  const holdings = baseTokens.slice(0, 1 + (seed % baseTokens.length)).map((token, i) => {
+    const pair = SPOT_PAIRS.find(item => item.tokens[0] === token.index);
+    const entryPx = Number(pair.prevDayPx);
+    const total = (((seed >> i) % 900) + 100) / entryPx;
+    return {
+      coin: token.name,
+      token: token.index,
+      hold: '0.0',
+      total: total.toFixed(token.szDecimals),
+      entryNtl: (Number(total.toFixed(token.szDecimals)) * entryPx).toFixed(2)
+    };
+  });
+
+  return {
+    balances: [
+      { coin: 'USDC', token: 0, hold: (seed % 250).toFixed(8), total: (1000 + (seed % 9000)).toFixed(8), entryNtl: '0.0' },
+      ...holdings
+    ]
+  };
+}
+
+function buildTokenDetails(token) {
+  const pair = SPOT_PAIRS.find(item => item.tokens[0] === token.index);
+  return {
+    name: token.name,
+    maxSupply: token.details.maxSupply,
+    totalSupply: token.details.totalSupply,
+    circulatingSupply: pair?.circulatingSupply ?? token.details.totalSupply,
+    szDecimals: token.szDecimals,
+    weiDecimals: token.weiDecimals,
+    midPx: pair?.markPx ?? '1.0',
+    markPx: pair?.markPx ?? '1.0',
+    prevDayPx: pair?.prevDayPx ?? '1.0',
+    genesis: null,
+    deployer: token.details.deployer,
+    deployGas: null,
+    deployTime: token.details.deployTime,
+    seededUsdc: '0.0',
+    nonCirculatingUserBalances: [],
+    futureEmissions: '0.0'
+  };
+}
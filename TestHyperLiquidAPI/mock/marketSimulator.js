@@ -0,0 +1,396 @@
+/**
+ * 📈 MARKET SIMULATOR
+ * ===================
+ *
+ * Marché synthétique mais cohérent pour le mock server Hyperliquid :
+ * - Mids en marche aléatoire (une volatilité par coin)
+ * - Carnet l2Book reconstruit autour du mid à chaque tick
+ *   (meilleur bid < mid < meilleur ask, pas de prix réaliste)
+ * - Trades générés aux meilleurs prix du carnet
+ * - Bougies : historique pré-généré + bougies courantes alimentées par les trades
+ *
+ * Le générateur est initialisé par une graine : deux serveurs lancés avec
+ * la même graine produisent le même historique.
+ */
+
+/**
+ * 🪙 Univers simulé (ordre = index d'asset, comme `meta.universe`)
+ */
+export const SIMULATED_COINS = [
+  { name: 'BTC', price: 67000, szDecimals: 5, maxLeverage: 40, volatility: 0.0006 },
+  { name: 'ETH', price: 3500, szDecimals: 4, maxLeverage: 25, volatility: 0.0008 },
+  { name: 'ATOM', price: 7.1, szDecimals: 2, maxLeverage: 5, volatility: 0.0012 },
+  { name: 'MATIC', price: 0.52, szDecimals: 1, maxLeverage: 20, volatility: 0.0012 },
+  { name: 'DYDX', price: 1.42, szDecimals: 1, maxLeverage: 10, volatility: 0.0015 },
+  { name: 'SOL', price: 170, szDecimals: 2, maxLeverage: 20, volatility: 0.001 },
+  { name: 'AVAX', price: 35.6, szDecimals: 2, maxLeverage: 10, volatility: 0.0012 },
+  { name: 'BNB', price: 585, szDecimals: 3, maxLeverage: 10, volatility: 0.0008 },
+  { name: 'ARB', price: 1.03, szDecimals: 1, maxLeverage: 10, volatility: 0.0015 },
+  { name: 'DOGE', price: 0.159, szDecimals: 0, maxLeverage: 10, volatility: 0.0015 },
+  { name: 'HYPE', price: 14.4, szDecimals: 2, maxLeverage: 10, volatility: 0.002 }
+];
+
+/**
+ * ⏱️ Intervalles de bougies supportés (même liste que l'API)
+ */
+export const CANDLE_INTERVALS = {
+  '1m': 60e3,
+  '3m': 3 * 60e3,
+  '5m': 5 * 60e3,
+  '15m': 15 * 60e3,
+  '30m': 30 * 60e3,
+  '1h': 3600e3,
+  '2h': 2 * 3600e3,
+  '4h': 4 * 3600e3,
+  '8h': 8 * 3600e3,
+  '12h': 12 * 3600e3,
+  '1d': 24 * 3600e3,
+  '3d': 3 * 24 * 3600e3,
+  '1w': 7 * 24 * 3600e3
+};
+
+// Nombre de bougies d'historique générées par (coin, intervalle)
+const HISTORY_LENGTH = 500;
+
+// Profondeur du carnet (niveaux par côté)
+const BOOK_DEPTH = 20;
+
+/**
+ * 🎲 Générateur pseudo-aléatoire déterministe (mulberry32)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Hash 32 bits d'une chaîne (graines dérivées par coin / intervalle)
+ */
+function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * 💲 Formate un prix comme Hyperliquid :
+ * 5 chiffres significatifs, au plus (6 - szDecimals) décimales
+ */
+export function formatPrice(price, szDecimals) {
+  const maxDecimals = Math.max(0, 6 - szDecimals);
+  const significant = Number(price.toPrecision(5));
+  return String(Number(significant.toFixed(maxDecimals)));
+}
+
+/**
+ * 📏 Taille formatée selon les décimales de l'asset
+ */
+export function formatSize(size, szDecimals) {
+  return Math.max(size, 10 ** -szDecimals).toFixed(szDecimals);
+}
+
+/**
+ * Pas de prix du carnet : 5e chiffre significatif, borné par les décimales permises
+ */
+function tickSize(price, szDecimals) {
+  const significantTick = 10 ** (Math.floor(Math.log10(price)) - 4);
+  return Math.max(significantTick, 10 ** -(6 - szDecimals));
+}
+
+/**
+ * 📊 Classe du simulateur
+ */
+export class MarketSimulator {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.seed=42] - Graine du générateur
+   * @param {number} [options.tickMs=1000] - Période de mise à jour du marché
+   */
+  constructor({ seed = 42, tickMs = 1000 } = {}) {
+    this.seed = seed;
+    this.tickMs = tickMs;
+    this.random = createRandom(seed);
+    this.startTime = Date.now();
+    this.nextTradeId = 1;
+    this.timer = null;
+    this.listeners = new Set();
+
+    /**
+     * État par coin : { meta, mid, book, trades, candles: Map<interval, Map<t, candle>> }
+     * @type {Map<string, Object>}
+     */
+    this.markets = new Map(SIMULATED_COINS.map(coin => [coin.name, {
+      meta: coin,
+      mid: coin.price,
+      prevDayPx: coin.price,
+      dayVolume: 0,
+      book: null,
+      trades: [],
+      candles: new Map()
+    }]));
+
+    this.markets.forEach(market => {
+      market.book = this._buildBook(market);
+    });
+  }
+
+  /**
+   * ▶️ Démarre les ticks (idempotent)
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.tickMs);
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * @param {Function} listener - Appelé après chaque tick avec { time, trades: Map<coin, trade[]> }
+   * @returns {Function} Désabonnement
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * ⏭️ Fait avancer le marché d'un pas
+   */
+  tick(now = Date.now()) {
+    const newTrades = new Map();
+
+    this.markets.forEach((market, coin) => {
+      // Marche aléatoire du mid (rendement gaussien approché)
+      const shock = (this.random() + this.random() + this.random() - 1.5) * 2;
+      market.mid = Math.max(market.mid * (1 + shock * market.meta.volatility), market.meta.price * 0.01);
+      market.book = this._buildBook(market, now);
+
+      const trades = this._generateTrades(market, now);
+      if (trades.length > 0) newTrades.set(coin, trades);
+    });
+
+    this.listeners.forEach(listener => listener({ time: now, trades: newTrades }));
+  }
+
+  /**
+   * Carnet symétrique autour du mid, tailles croissantes avec la distance
+   */
+  _buildBook(market, now = Date.now()) {
+    const { szDecimals, price } = market.meta;
+    const tick = tickSize(market.mid, szDecimals);
+    const bestBid = Math.floor(market.mid / tick) * tick;
+    const bestAsk = bestBid + tick;
+    const baseSize = 5000 / price;
+
+    // Prix strictement monotones : écart de 1 ou 2 ticks entre niveaux
+    const side = (start, direction) => {
+      let px = start;
+      return Array.from({ length: BOOK_DEPTH }, (_, level) => {
+        if (level > 0) px += direction * tick * (1 + Math.floor(this.random() * 2));
+        return {
+          px: formatPrice(px, szDecimals),
+          sz: formatSize(baseSize * (0.2 + this.random() * (1 + level / 4)), szDecimals),
+          n: 1 + Math.floor(this.random() * (3 + level / 2))
+        };
+      });
+    };
+
+    const bids = dedupeLevels(side(bestBid, -1), (a, b) => b - a);
+    const asks = dedupeLevels(side(bestAsk, 1), (a, b) => a - b);
+
+    return { coin: market.meta.name, time: now, levels: [bids, asks] };
+  }
+
+  /**
+   * 0 à 3 trades au meilleur bid / ask, intégrés aux bougies courantes
+   */
+  _generateTrades(market, now) {
+    const { name, szDecimals, price } = market.meta;
+    const count = Math.floor(this.random() * 4);
+    const trades = [];
+
+    for (let i = 0; i < count; i++) {
+      const buy = this.random() < 0.5;
+      const level = market.book.levels[buy ? 1 : 0][0];
+      const trade = {
+        coin: name,
+        side: buy ? 'B' : 'A',
+        px: level.px,
+        sz: formatSize((2000 / price) * (0.05 + this.random() * 2), szDecimals),
+        time: now,
+        hash: `0x${Array.from({ length: 8 }, () => Math.floor(this.random() * 2 ** 32).toString(16).padStart(8, '0')).join('')}`,
+        tid: this.nextTradeId++
+      };
+      trades.push(trade);
+      market.dayVolume += Number(trade.px) * Number(trade.sz);
+      this._applyTradeToCandles(market, trade);
+    }
+
+    market.trades = [...trades.reverse(), ...market.trades].slice(0, 200);
+    return trades;
+  }
+
+  _applyTradeToCandles(market, trade) {
+    market.candles.forEach((series, interval) => {
+      const candle = this._currentCandle(market, interval, trade.time);
+      const px = Number(trade.px);
+      candle.c = trade.px;
+      candle.h = String(Math.max(Number(candle.h), px));
+      candle.l = String(Math.min(Number(candle.l), px));
+      candle.v = formatSize(Number(candle.v) + Number(trade.sz), market.meta.szDecimals);
+      candle.n += 1;
+    });
+  }
+
+  /**
+   * Bougie ouverte à `time` (créée à partir du close précédent si besoin)
+   */
+  _currentCandle(market, interval, time) {
+    const series = this._series(market, interval);
+    const duration = CANDLE_INTERVALS[interval];
+    const openTime = Math.floor(time / duration) * duration;
+
+    let candle = series.get(openTime);
+    if (!candle) {
+      // Ouverture = close précédent, close = mid actuel (pas de trou entre bougies)
+      const previous = [...series.values()].at(-1);
+      const close = formatPrice(market.mid, market.meta.szDecimals);
+      const open = previous ? previous.c : close;
+      candle = {
+        t: openTime,
+        T: openTime + duration - 1,
+        s: market.meta.name,
+        i: interval,
+        o: open,
+        c: close,
+        h: String(Math.max(Number(open), Number(close))),
+        l: String(Math.min(Number(open), Number(close))),
+        v: (0).toFixed(market.meta.szDecimals),
+        n: 0
+      };
+      series.set(openTime, candle);
+    }
+    return candle;
+  }
+
+  /**
+   * Série de bougies d'un intervalle, historique généré au premier accès :
+   * marche aléatoire à rebours depuis le prix de départ
+   */
+  _series(market, interval) {
+    if (market.candles.has(interval)) return market.candles.get(interval);
+
+    const { name, szDecimals, price, volatility } = market.meta;
+    const duration = CANDLE_INTERVALS[interval];
+    const random = createRandom(this.seed ^ hashString(`${name}:${interval}`));
+    // Volatilité par tick vue comme une volatilité par minute
+    const candleVol = volatility * Math.sqrt(duration / 60e3);
+    const firstOpen = Math.floor(this.startTime / duration) * duration;
+    const series = new Map();
+
+    let close = price;
+    const history = [];
+    for (let i = 1; i <= HISTORY_LENGTH; i++) {
+      const open = close / (1 + (random() - 0.5) * 2 * candleVol);
+      const high = Math.max(open, close) * (1 + random() * candleVol / 2);
+      const low = Math.min(open, close) * (1 - random() * candleVol / 2);
+      const t = firstOpen - i * duration;
+      history.push({
+        t,
+        T: t + duration - 1,
+        s: name,
+        i: interval,
+        o: formatPrice(open, szDecimals),
+        c: formatPrice(close, szDecimals),
+        h: formatPrice(high, szDecimals),
+        l: formatPrice(low, szDecimals),
+        v: formatSize((duration / 60e3) * (50000 / price) * (0.5 + random()), szDecimals),
+        n: Math.floor((duration / 60e3) * (20 + random() * 40))
+      });
+      close = open;
+    }
+
+    history.reverse().forEach(candle => series.set(candle.t, candle));
+    market.candles.set(interval, series);
+    return series;
+  }
+
+  /**
+   * ============================================================================
+   * LECTURES (utilisées par les handlers /info et /ws)
+   * ============================================================================
+   */
+
+  getMarket(coin) {
+    return this.markets.get(coin);
+  }
+
+  getMids() {
+    const mids = {};
+    this.markets.forEach((market, coin) => {
+      mids[coin] = formatPrice(market.mid, market.meta.szDecimals);
+    });
+    return mids;
+  }
+
+  getBook(coin) {
+    return this.markets.get(coin)?.book ?? null;
+  }
+
+  getRecentTrades(coin, limit = 20) {
+    return this.markets.get(coin)?.trades.slice(0, limit) ?? [];
+  }
+
+  /**
+   * @returns {Object[]|null} Bougies de [startTime, endTime], null si coin inconnu
+   */
+  getCandles(coin, interval, startTime, endTime = Date.now()) {
+    const market = this.markets.get(coin);
+    if (!market || !CANDLE_INTERVALS[interval]) return null;
+
+    this._currentCandle(market, interval, Date.now());
+    return [...this._series(market, interval).values()]
+      .filter(candle => candle.T >= startTime && candle.t <= endTime)
+      .slice(-5000)
+      .map(candle => ({ ...candle }));
+  }
+
+  /**
+   * Bougie courante (flux WS "candle")
+   */
+  getCurrentCandle(coin, interval) {
+    const market = this.markets.get(coin);
+    if (!market || !CANDLE_INTERVALS[interval]) return null;
+    return { ...this._currentCandle(market, interval, Date.now()) };
+  }
+}
+
+/**
+ * Fusionne les niveaux au même prix (arrondi à 5 chiffres significatifs)
+ */
+function dedupeLevels(levels, compare) {
+  const byPrice = new Map();
+  levels.forEach(level => {
+    const existing = byPrice.get(level.px);
+    if (existing) {
+      const decimals = (existing.sz.split('.')[1] || '').length;
+      existing.sz = (Number(existing.sz) + Number(level.sz)).toFixed(decimals);
+      existing.n += level.n;
+    } else {
+      byPrice.set(level.px, { ...level });
+    }
+  });
+  return [...byPrice.values()].sort((a, b) => compare(Number(a.px), Number(b.px)));
+}
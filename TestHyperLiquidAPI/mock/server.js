@@ -0,0 +1,183 @@
+/**
+ * 🧪 HYPERLIQUID MOCK SERVER
+ * ==========================
+ *
+ * Remplaçant local de l'API Hyperliquid : POST /info + WebSocket /ws,
+ * alimentés par un marché synthétique (voir marketSimulator.js).
+ *
+ * 🚀 Deux façons de le lancer :
+ * - Script autonome :  npm run mock  (ou node mock/server.js --port 8787 --seed 42)
+ *     → profil réseau "custom" par défaut : http://localhost:8787 + ws://localhost:8787/ws
+ * - Plugin Vite (npm run dev) : voir vitePlugin.js
+ *     → profil "custom" : http://localhost:5173/__hl + ws://localhost:5173/__hl/ws
+ */
+
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { MarketSimulator } from './marketSimulator.js';
+import { handleInfoRequest } from './infoHandlers.js';
+import { handleWsConnection } from './wsHandlers.js';
+import { acceptWebSocket } from './websocket.js';
+
+// Taille maximale d'un body /info
+const MAX_BODY_BYTES = 64 * 1024;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+/**
+ * Lit le body d'une requête (borné)
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Body trop volumineux'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  const isText = typeof body === 'string';
+  res.writeHead(status, {
+    ...CORS_HEADERS,
+    'Content-Type': isText ? 'text/plain; charset=utf-8' : 'application/json'
+  });
+  res.end(isText ? body : JSON.stringify(body));
+}
+
+/**
+ * 🏭 Crée les handlers HTTP / upgrade du mock, montables sur n'importe quel serveur
+ *
+ * @param {Object} [options]
+ * @param {string} [options.basePath=''] - Préfixe des routes (ex: "/__hl")
+ * @param {number} [options.seed] - Graine du marché simulé
+ * @param {number} [options.tickMs] - Période des mises à jour
+ * @returns {{ simulator, handleHttp, handleUpgrade }}
+ */
+export function createMockHandlers({ basePath = '', seed, tickMs } = {}) {
+  const simulator = new MarketSimulator({ seed, tickMs });
+  const infoPath = `${basePath}/info`;
+  const wsPath = `${basePath}/ws`;
+
+  /**
+   * Middleware style connect : (req, res, next)
+   * Sans `next`, répond 404 aux routes inconnues
+   */
+  async function handleHttp(req, res, next) {
+    const path = (req.url || '').split('?')[0];
+    if (path !== infoPath) {
+      if (next) next();
+      else sendJson(res, 404, 'Not Found');
+      return;
+    }
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+    if (req.method !== 'POST') {
+      sendJson(res, 405, 'Method Not Allowed');
+      return;
+    }
+
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch (error) {
+      sendJson(res, 422, `Failed to deserialize the JSON body into the target type: ${error.message}`);
+      return;
+    }
+
+    const response = handleInfoRequest(body, simulator);
+    sendJson(res, response.status, response.body);
+  }
+
+  /**
+   * Gestionnaire "upgrade" : retourne false si la route ne concerne pas le mock
+   */
+  function handleUpgrade(req, socket, head) {
+    if ((req.url || '').split('?')[0] !== wsPath) return false;
+    const ws = acceptWebSocket(req, socket, head);
+    if (ws) handleWsConnection(ws, simulator);
+    return true;
+  }
+
+  return { simulator, handleHttp, handleUpgrade };
+}
+
+/**
+ * 🚀 Démarre un serveur autonome
+ *
+ * @param {Object} [options]
+ * @param {number} [options.port=8787]
+ * @param {string} [options.host='localhost']
+ * @param {number} [options.seed] - Graine du marché simulé
+ * @param {number} [options.tickMs] - Période des mises à jour
+ * @returns {Promise<{ server, simulator, close: Function }>}
+ */
+export function startMockServer({ port = 8787, host = 'localhost', seed, tickMs } = {}) {
+  const { simulator, handleHttp, handleUpgrade } = createMockHandlers({ seed, tickMs });
+
+  const server = createServer((req, res) => handleHttp(req, res));
+  server.on('upgrade', (req, socket, head) => {
+    if (!handleUpgrade(req, socket, head)) socket.destroy();
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, host, () => {
+      simulator.start();
+      resolve({
+        server,
+        simulator,
+        close: () => {
+          simulator.stop();
+          server.closeAllConnections?.();
+          return new Promise(done => server.close(done));
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Lecture minimale des arguments CLI : --port 8787 --seed 42 --tick 1000
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    const value = Number(argv[i + 1]);
+    if (argv[i] === '--port') options.port = value;
+    if (argv[i] === '--seed') options.seed = value;
+    if (argv[i] === '--tick') options.tickMs = value;
+    if (argv[i] === '--host') options.host = argv[i + 1];
+  }
+  return options;
+}
+
+// ▶️ Exécution directe : node mock/server.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const options = parseArgs(process.argv.slice(2));
+  const { server, close } = await startMockServer(options);
+  const { address, port } = server.address();
+  console.log(`🧪 [Mock] Hyperliquid simulé sur http://${address}:${port} (POST /info, WS /ws)`);
+  console.log(`   Profil réseau "custom" : http://localhost:${port} + ws://localhost:${port}/ws`);
+
+  process.on('SIGINT', async () => {
+    await close();
+    process.exit(0);
+  });
+}
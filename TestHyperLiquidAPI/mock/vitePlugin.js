@@ -0,0 +1,44 @@
+/**
+ * 🔌 VITE PLUGIN — HYPERLIQUID MOCK
+ * =================================
+ *
+ * Monte le mock server dans le serveur de dev Vite (npm run dev),
+ * sous un préfixe pour ne pas entrer en conflit avec l'application :
+ *
+ *   POST http://localhost:5173/__hl/info
+ *   WS   ws://localhost:5173/__hl/ws
+ *
+ * Pour l'utiliser : profil réseau "custom" avec ces deux URLs
+ * (apiBase = http://localhost:5173/__hl).
+ *
+ * Sans effet sur `vite build` (apply: 'serve').
+ */
+
+import { createMockHandlers } from './server.js';
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.basePath='/__hl'] - Préfixe des routes du mock
+ * @param {number} [options.seed] - Graine du marché simulé
+ * @param {number} [options.tickMs] - Période des mises à jour
+ * @returns {import('vite').Plugin}
+ */
+export default function hyperliquidMock({ basePath = '/__hl', seed, tickMs } = {}) {
+  return {
+    name: 'hyperliquid-mock',
+    apply: 'serve',
+
+    configureServer(server) {
+      const { simulator, handleHttp, handleUpgrade } = createMockHandlers({ basePath, seed, tickMs });
+
+      server.middlewares.use(handleHttp);
+
+      // Les autres upgrades (HMR de Vite) ne sont pas concernés
+      server.httpServer?.on('upgrade', handleUpgrade);
+      server.httpServer?.on('close', () => simulator.stop());
+
+      simulator.start();
+      server.config.logger.info(`  🧪 Mock Hyperliquid : ${basePath}/info + ${basePath}/ws`);
+    }
+  };
+}
@@ -0,0 +1,209 @@
+/**
+ * 🔌 MINIMAL WEBSOCKET SERVER
+ * ===========================
+ *
+ * Implémentation RFC 6455 réduite au besoin du mock server, sans dépendance :
+ * - Handshake (Sec-WebSocket-Accept)
+ * - Trames texte, fragmentation, ping/pong, close
+ * - Messages client masqués, messages serveur non masqués
+ *
+ * Pas d'extensions (permessage-deflate) ni de trames binaires.
+ */
+
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xA
+};
+
+// Taille maximale d'un message client (les abonnements sont petits)
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+/**
+ * 🤝 Accepte une requête "upgrade" et retourne la connexion
+ *
+ * @param {import('node:http').IncomingMessage} req - Requête HTTP upgrade
+ * @param {import('node:net').Socket} socket - Socket TCP
+ * @param {Buffer} head - Premiers octets déjà lus
+ * @returns {MockWebSocket|null} Connexion, ou null si le handshake est invalide
+ */
+export function acceptWebSocket(req, socket, head) {
+  const key = req.headers['sec-websocket-key'];
+  if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return null;
+  }
+
+  const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '\r\n'
+  ].join('\r\n'));
+
+  const ws = new MockWebSocket(socket);
+  if (head?.length) ws._onData(head);
+  return ws;
+}
+
+/**
+ * 📡 Connexion WebSocket côté serveur
+ *
+ * Événements : "message" (texte), "close"
+ */
+export class MockWebSocket extends EventEmitter {
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.open = true;
+
+    socket.setNoDelay(true);
+    socket.on('data', chunk => this._onData(chunk));
+    socket.on('close', () => this._finish());
+    socket.on('error', () => this._finish());
+  }
+
+  /**
+   * ✉️ Envoie un message texte (objet sérialisé en JSON)
+   */
+  send(message) {
+    if (!this.open) return;
+    const text = typeof message === 'string' ? message : JSON.stringify(message);
+    this.socket.write(encodeFrame(OPCODES.text, Buffer.from(text)));
+  }
+
+  /**
+   * 👋 Ferme la connexion proprement
+   */
+  close(code = 1000) {
+    if (!this.open) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    this.socket.write(encodeFrame(OPCODES.close, payload));
+    this.socket.end();
+    this._finish();
+  }
+
+  _finish() {
+    if (!this.open) return;
+    this.open = false;
+    this.emit('close');
+  }
+
+  /**
+   * Découpe le flux TCP en trames
+   */
+  _onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (this.open) {
+      const frame = decodeFrame(this.buffer);
+      if (!frame) break;
+      this.buffer = this.buffer.subarray(frame.length);
+
+      if (frame.payload.length > MAX_MESSAGE_BYTES) {
+        this.close(1009);
+        return;
+      }
+      this._onFrame(frame);
+    }
+  }
+
+  _onFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OPCODES.text:
+      case OPCODES.continuation: {
+        this.fragments.push(payload);
+        if (fin) {
+          const message = Buffer.concat(this.fragments).toString('utf8');
+          this.fragments = [];
+          this.emit('message', message);
+        }
+        break;
+      }
+      case OPCODES.ping:
+        this.socket.write(encodeFrame(OPCODES.pong, payload));
+        break;
+      case OPCODES.close:
+        this.close();
+        break;
+      case OPCODES.binary:
+        this.close(1003);
+        break;
+      default:
+        // pong : rien à faire
+        break;
+    }
+  }
+}
+
+/**
+ * Encode une trame serveur (non masquée, FIN = 1)
+ */
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Décode une trame client, ou null si elle est incomplète
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0F;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7F;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    length = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+
+  const maskLength = masked ? 4 : 0;
+  if (buffer.length < offset + maskLength + length) return null;
+
+  const mask = masked ? buffer.subarray(offset, offset + 4) : null;
+  offset += maskLength;
+  const payload = Buffer.from(buffer.subarray(offset, offset + length));
+  if (mask) {
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+  }
+
+  return { fin, opcode, payload, length: offset + length };
+}
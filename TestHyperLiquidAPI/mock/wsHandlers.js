@@ -0,0 +1,116 @@
+/**
+ * 📡 WS HANDLERS
+ * ==============
+ *
+ * Protocole /ws simulé (même format que l'API Hyperliquid) :
+ *
+ *   → { "method": "subscribe",   "subscription": { "type": "trades", "coin": "BTC" } }
+ *   ← { "channel": "subscriptionResponse", "data": { "method": "subscribe", "subscription": {...} } }
+ *   ← { "channel": "trades", "data": [ ... ] }
+ *   → { "method": "unsubscribe", "subscription": {...} }
+ *   → { "method": "ping" }   ← { "channel": "pong" }
+ *
+ * Abonnements supportés : allMids, l2Book, trades, candle.
+ * Un instantané est envoyé à l'abonnement, puis une mise à jour par tick.
+ */
+
+import { CANDLE_INTERVALS } from './marketSimulator.js';
+
+/**
+ * 📋 Abonnements : validation, instantané initial et données d'un tick
+ * snapshot / update retournent undefined quand il n'y a rien à envoyer
+ */
+const SUBSCRIPTIONS = {
+  allMids: {
+    validate: () => null,
+    snapshot: (sub, sim) => ({ mids: sim.getMids() }),
+    update: (sub, sim) => ({ mids: sim.getMids() })
+  },
+  l2Book: {
+    validate: (sub, sim) => (sim.getMarket(sub.coin) ? null : `Unknown coin: ${sub.coin}`),
+    snapshot: (sub, sim) => sim.getBook(sub.coin),
+    update: (sub, sim) => sim.getBook(sub.coin)
+  },
+  trades: {
+    validate: (sub, sim) => (sim.getMarket(sub.coin) ? null : `Unknown coin: ${sub.coin}`),
+    snapshot: (sub, sim) => sim.getRecentTrades(sub.coin, 20),
+    update: (sub, sim, tick) => tick.trades.get(sub.coin)
+  },
+  candle: {
+    validate: (sub, sim) => {
+      if (!sim.getMarket(sub.coin)) return `Unknown coin: ${sub.coin}`;
+      if (!CANDLE_INTERVALS[sub.interval]) return `Unknown interval: ${sub.interval}`;
+      return null;
+    },
+    snapshot: (sub, sim) => sim.getCurrentCandle(sub.coin, sub.interval),
+    update: (sub, sim) => sim.getCurrentCandle(sub.coin, sub.interval)
+  }
+};
+
+/**
+ * Identité d'un abonnement (clés triées, pour l'unsubscribe)
+ */
+function subscriptionKey(subscription) {
+  return JSON.stringify(Object.keys(subscription).sort().map(key => [key, subscription[key]]));
+}
+
+/**
+ * 🎧 Gère une connexion : abonnements + diffusion à chaque tick
+ *
+ * @param {MockWebSocket} ws - Connexion
+ * @param {MarketSimulator} sim - Marché simulé
+ */
+export function handleWsConnection(ws, sim) {
+  /** @type {Map<string, Object>} */
+  const subscriptions = new Map();
+
+  const unsubscribeTicks = sim.subscribe(tick => {
+    subscriptions.forEach(subscription => {
+      const data = SUBSCRIPTIONS[subscription.type].update(subscription, sim, tick);
+      if (data !== undefined && data !== null) ws.send({ channel: subscription.type, data });
+    });
+  });
+
+  ws.on('close', unsubscribeTicks);
+
+  ws.on('message', raw => {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      ws.send({ channel: 'error', data: `Invalid JSON: ${raw.slice(0, 100)}` });
+      return;
+    }
+
+    if (message.method === 'ping') {
+      ws.send({ channel: 'pong' });
+      return;
+    }
+
+    const subscription = message.subscription;
+    const spec = SUBSCRIPTIONS[subscription?.type];
+
+    if (message.method === 'subscribe') {
+      const error = spec ? spec.validate(subscription, sim) : `Unknown subscription type: ${subscription?.type}`;
+      if (error) {
+        ws.send({ channel: 'error', data: `Invalid subscription ${JSON.stringify(subscription)}: ${error}` });
+        return;
+      }
+
+      subscriptions.set(subscriptionKey(subscription), subscription);
+      ws.send({ channel: 'subscriptionResponse', data: { method: 'subscribe', subscription } });
+
+      const snapshot = spec.snapshot(subscription, sim);
+      if (snapshot !== undefined && snapshot !== null) ws.send({ channel: subscription.type, data: snapshot });
+      return;
+    }
+
+    if (message.method === 'unsubscribe' && subscription) {
+      subscriptions.delete(subscriptionKey(subscription));
+      ws.send({ channel: 'subscriptionResponse', data: { method: 'unsubscribe', subscription } });
+      return;
+    }
+
+    ws.send({ channel: 'error', data: `Unknown method: ${message.method}` });
+  });
+}
@@ -1,10 +1,48 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import networkService from "./services/networkService.js";
+import { useNetwork } from "./hooks/useNetwork.js";
+import NetworkSwitcher from "./components/NetworkSwitcher.jsx";
+import TransportControl from "./components/TransportControl.jsx";
+import EnvironmentManager from "./components/EnvironmentManager.jsx";
+import environmentService, { applyVariables } from "./services/environmentService.js";
+import { useEnvironment } from "./hooks/useEnvironment.js";
+import transportService from "./services/transportService.js";
+import { createRequestSignal } from "./api/abort.js";
+import { isAbortError, createHttpError, NetworkError, ParsingError } from "./api/errors.js";
+import ErrorDisplay from "./components/ErrorDisplay.jsx";
+import { resolveTemplate, coerceParameterValue, getTimeRangeParams, validateParameters, getEndpointParameterNames } from "./utils/parameterUtils.js";
+import TimeRangePicker from "./components/TimeRangePicker.jsx";
+import CodeSnippetPanel from "./components/CodeSnippetPanel.jsx";
+import { getSecretMasks } from "./utils/codeSnippets.js";
+import EndpointCatalogLoader from "./components/EndpointCatalogLoader.jsx";
+import endpointRegistry from "./api/endpointRegistry.js";
+import { buildSubscribeMessage } from "./api/endpointSchema.js";
+import { useEndpointCatalog } from "./hooks/useEndpointCatalog.js";
+import { WsClient, WS_STATES } from "./api/wsClient.js";
+import { useWsConnection } from "./hooks/useWsConnection.js";
+import WsStatusBadge from "./components/WsStatusBadge.jsx";
+import {
+  createCollection,
+  createSavedRequest,
+  createHistoryEntry,
+  appendHistory,
+  searchHistory,
+  SECRET_MASK,
+  maskSecrets,
+  exportCollections,
+  parseCollectionsFile,
+  mergeCollections,
+  formatBytes,
+} from "./utils/requestCollections.js";
+
+// Délai maximum d'un appel REST du playground
+const REST_TIMEOUT_MS = 15000;
 
 /**
  * COOKIE — API Playground (front‑only)
  * -------------------------------------------------------------
  * Objectif :
- * - Paramétrer des appels API (REST/WS) via un simple JSON de config
+ * - Paramétrer des appels API (REST/WS) via le catalogue d'endpoints (JSON importable)
  * - Lancer la requête depuis l'UI et afficher la réponse (pretty JSON)
  * - Zéro dépendance externe (fetch/WebSocket natifs)
  * - Pensé pour Hyperliquid (REST /info + WS) mais ouvert à 0x / 1inch
@@ -16,112 +54,57 @@ import React, { useEffect, useMemo, useRef, useState } from "react";
  */
 
 // ------------------------------
-//  CONFIG — Exemple d'endpoints
+//  CONFIG — Catalogue d'endpoints
 // ------------------------------
-const ENDPOINTS = [
-  // --- Hyperliquid REST ---
-  {
-    id: "hl-allMids",
-    label: "Hyperliquid /info → allMids (POST)",
-    method: "POST",
-    url: "https://api.hyperliquid.xyz/info",
-    headers: { "content-type": "application/json" },
-    // Pas de paramètres requis
-    params: [],
-    bodyTemplate: { type: "allMids" },
-    notes: "Retourne les mid-prices pour toutes les paires.",
-  },
-  {
-    id: "hl-userFills",
-    label: "Hyperliquid /info → userFills (POST)",
-    method: "POST",
-    url: "https://api.hyperliquid.xyz/info",
-    headers: { "content-type": "application/json" },
-    params: [
-      {
-        name: "user",
-        label: "User Address (0x…)",
-        type: "string",
-        required: true,
-        placeholder: "0xabc…",
-      },
-      {
-        name: "aggregateByTime",
-        label: "Aggregate by time",
-        type: "boolean",
-        default: true,
-      },
-    ],
-    bodyTemplate: { type: "userFills", user: "{{user}}", aggregateByTime: "{{aggregateByTime}}" },
-    notes: "Historique des fills d'un utilisateur (si dispo)",
-  },
-  // --- Hyperliquid WS ---
-  {
-    id: "hl-ws-trades",
-    label: "Hyperliquid WS → subscribe trades",
-    method: "WS",
-    url: "wss://api.hyperliquid.xyz/ws",
-    params: [
-      { name: "coin", label: "Coin", type: "select", options: ["BTC", "ETH", "SOL", "ARB"], default: "BTC" },
-    ],
-    initMessageTemplate: {
-      method: "subscribe",
-      subscription: { type: "trades", coin: "{{coin}}" },
-    },
-    notes: "Stream temps réel des trades pour une paire.",
-  },
-  // --- 0x Price (Base) ---
-  {
-    id: "0x-price-base",
-    label: "0x Price (Base) — GET",
-    method: "GET",
-    url: "https://base.api.0x.org/swap/v1/price",
-    headers: {},
-    params: [
-      { name: "buyToken", label: "buyToken", type: "string", default: "USDC" },
-      { name: "sellToken", label: "sellToken", type: "string", default: "WETH" },
-      { name: "sellAmount", label: "sellAmount (wei)", type: "string", default: "1000000000000000" },
-    ],
-    queryTemplate: { buyToken: "{{buyToken}}", sellToken: "{{sellToken}}", sellAmount: "{{sellAmount}}" },
-    notes: "Quote indicative pour un swap sur Base via 0x.",
-  },
-  // --- 1inch v6 (Arbitrum) — note: clé API requise côté 1inch ---
-  {
-    id: "1inch-quote-arb",
-    label: "1inch v6 Quote (Arbitrum) — GET (clé requise)",
-    method: "GET",
-    url: "https://api.1inch.dev/swap/v6.0/42161/quote",
-    headers: { Authorization: "Bearer {{oneInchApiKey}}" },
-    params: [
-      { name: "oneInchApiKey", label: "1inch API Key", type: "string", secret: true, placeholder: "sk_…" },
-      { name: "src", label: "src token (addr)", type: "string", default: "0x82af49447d8a07e3bd95bd0d56f35241523fbab1" }, // WETH
-      { name: "dst", label: "dst token (addr)", type: "string", default: "0xff970a61a04b1ca14834a43f5de4533ebddb5cc8" }, // USDC.e
-      { name: "amount", label: "amount (wei)", type: "string", default: "1000000000000000" },
-    ],
-    queryTemplate: { src: "{{src}}", dst: "{{dst}}", amount: "{{amount}}" },
-    notes: "Exemple pédagogique. Sans clé valide → 401. Évite d'exposer ta clé en prod.",
-  },
-];
+// Catalogue partagé avec l'App et le SimpleApiPlayground (config/endpoints.js
+// + définitions importées, voir EndpointCatalogLoader) :
+// Hyperliquid : `path` (résolu contre le réseau actif, WS → wsUrl du profil)
+// API tierces : `url` absolue
 
 // ------------------------------
 //  Helpers (templating & fetch)
 // ------------------------------
-function deepReplace(value, map) {
-  if (value == null) return value;
-  if (typeof value === "string") {
-    return value.replace(/{{(.*?)}}/g, (_, k) => {
-      const key = k.trim();
-      const v = map[key];
-      return v === undefined || v === null ? "" : String(v);
-    });
-  }
-  if (Array.isArray(value)) return value.map((v) => deepReplace(v, map));
-  if (typeof value === "object") {
-    const out = {};
-    for (const [k, v] of Object.entries(value)) out[k] = deepReplace(v, map);
-    return out;
+// Résolution des templates d'un endpoint (preview + envoi)
+// Placeholders typés selon endpoint.params ; les non résolus bloquent l'envoi
+// masks : { param: masque } substitués aux secrets (historique, snippets)
+function buildRequest(endpoint, params, network, masks = {}) {
+  const unresolved = new Set();
+  const errors = new Set();
+  const resolve = (template) => {
+    const result = resolveTemplate(template, params, endpoint.params, { masks });
+    result.unresolved.forEach((name) => unresolved.add(name));
+    result.errors.forEach((message) => errors.add(message));
+    return result.value;
+  };
+
+  const headers = resolve(endpoint.headers || {});
+  const body = resolve(endpoint.body || {});
+  const query = resolve(endpoint.query || {});
+  // URL Hyperliquid résolue contre le réseau actif ; URL absolue : placeholders résolus
+  let url = networkService.resolveEndpointUrl(endpoint, network);
+  if (endpoint.url) url = resolve(url);
+  if (endpoint.method === "GET" && query && Object.keys(query).length > 0) {
+    const qs = toQueryString(query);
+    url += (url.includes("?") ? "&" : "?") + qs;
   }
-  return value;
+  const initMsg = endpoint.subscription ? buildSubscribeMessage(resolve(endpoint.subscription)) : {};
+  return { url, headers, body, query, initMsg, unresolved: [...unresolved], errors: [...errors] };
+}
+
+// Expressions de temps ("now-24h") converties une fois pour toutes :
+// la requête envoyée et son entrée d'historique portent le même timestamp
+function freezeTimeExpressions(paramConfigs, params) {
+  const frozen = { ...params };
+  (paramConfigs || []).forEach((p) => {
+    const value = frozen[p.name];
+    if (p.type !== "timestamp" || value === undefined || value === null || value === "") return;
+    try {
+      frozen[p.name] = coerceParameterValue(p, value);
+    } catch {
+      // valeur invalide : l'erreur est remontée par buildRequest
+    }
+  });
+  return frozen;
 }
 
 function toQueryString(obj) {
@@ -206,12 +189,204 @@ const Card = ({ title, children, right }) => (
   </div>
 );
 
+// ------------------------------
+//  Collections & historique
+// ------------------------------
+const STATUS_BADGE_COLORS = {
+  success: "bg-emerald-900/60 text-emerald-300",
+  subscribed: "bg-sky-900/60 text-sky-300",
+  timeout: "bg-yellow-900/60 text-yellow-300",
+};
+
+const StatusBadge = ({ entry }) => {
+  const color = STATUS_BADGE_COLORS[entry.status] || "bg-rose-900/60 text-rose-300";
+  return (
+    <span className={`px-2 py-0.5 rounded text-xs font-mono ${color}`}>
+      {entry.httpStatus ? `HTTP ${entry.httpStatus}` : entry.errorType || entry.status}
+    </span>
+  );
+};
+
+function CollectionsPanel({ collections, setCollections, endpoint, onSave, onLoad }) {
+  const [requestName, setRequestName] = useState("");
+  const [targetId, setTargetId] = useState("");
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const target = collections.find((c) => c.id === targetId) || collections[0] || null;
+
+  function addCollection() {
+    const name = window.prompt("Nom de la collection", `Collection ${collections.length + 1}`);
+    if (name === null) return;
+    const collection = createCollection(name);
+    setCollections([...collections, collection]);
+    setTargetId(collection.id);
+  }
+
+  function save() {
+    let destination = target;
+    let next = collections;
+    if (!destination) {
+      destination = createCollection("Mes requêtes");
+      next = [...collections, destination];
+    }
+    const request = onSave(requestName || endpoint.name);
+    setCollections(next.map((c) => (c.id === destination.id ? { ...c, requests: [...c.requests, request] } : c)));
+    setRequestName("");
+    setMessage(`💾 Enregistrée dans "${destination.name}"`);
+  }
+
+  function removeRequest(collectionId, requestId) {
+    setCollections(collections.map((c) =>
+      c.id === collectionId ? { ...c, requests: c.requests.filter((r) => r.id !== requestId) } : c
+    ));
+  }
+
+  function removeCollection(collection) {
+    if (!window.confirm(`Supprimer la collection "${collection.name}" (${collection.requests.length} requête(s)) ?`)) return;
+    setCollections(collections.filter((c) => c.id !== collection.id));
+  }
+
+  function handleExport() {
+    const blob = new Blob([exportCollections(collections)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `cookie-collections-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async function handleImport(event) {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    try {
+      const imported = parseCollectionsFile(await file.text());
+      setCollections(mergeCollections(collections, imported));
+      setMessage(`✅ ${imported.length} collection(s) importée(s)`);
+    } catch (error) {
+      setMessage(`❌ ${error.message}`);
+    }
+  }
+
+  return (
+    <Card
+      title="Collections"
+      right={
+        <div className="flex items-center gap-2 text-xs">
+          <button onClick={handleExport} disabled={collections.length === 0} className="text-gray-400 hover:text-gray-200 disabled:opacity-50">📤 Exporter</button>
+          <button onClick={() => fileInputRef.current?.click()} className="text-gray-400 hover:text-gray-200">📥 Importer</button>
+          <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+        </div>
+      }
+    >
+      {/* Enregistrer la requête courante */}
+      <div className="grid md:grid-cols-[1fr_auto_auto_auto] gap-2 items-end">
+        <Input value={requestName} onChange={(e) => setRequestName(e.target.value)} placeholder={endpoint.name} />
+        <Select
+          value={target?.id ?? ""}
+          onChange={(e) => setTargetId(e.target.value)}
+          options={collections.length > 0 ? collections.map((c) => ({ value: c.id, label: c.name })) : [{ value: "", label: "Mes requêtes (nouvelle)" }]}
+        />
+        <Button onClick={addCollection} className="bg-gray-700 hover:bg-gray-600">➕ Collection</Button>
+        <Button onClick={save}>💾 Enregistrer</Button>
+      </div>
+      {message && <div className="mt-2 text-xs text-gray-400">{message}</div>}
+
+      {/* Requêtes enregistrées */}
+      <div className="mt-4 space-y-3">
+        {collections.length === 0 && <div className="text-sm text-gray-500">— Aucune collection —</div>}
+        {collections.map((collection) => (
+          <div key={collection.id} className="border border-gray-800 rounded-xl p-3">
+            <div className="flex items-center justify-between mb-2">
+              <div className="text-sm font-medium text-gray-200">📁 {collection.name}</div>
+              <button onClick={() => removeCollection(collection)} className="text-xs text-rose-400 hover:text-rose-300">Supprimer</button>
+            </div>
+            {collection.requests.length === 0 && <div className="text-xs text-gray-500">Vide</div>}
+            {collection.requests.map((request) => {
+              const target = endpointRegistry.get(request.endpointId);
+              return (
+                <div key={request.id} className="flex flex-wrap items-center gap-2 py-1 border-t border-gray-800 text-xs">
+                  <span className="text-gray-200">{request.name}</span>
+                  <span className="font-mono text-gray-500 truncate max-w-[16rem]">
+                    {request.endpointId} {JSON.stringify(request.params)}
+                  </span>
+                  <span className="ml-auto flex gap-2">
+                    {!target && <span className="text-rose-400">endpoint inconnu</span>}
+                    {target && target.method !== "WS" && (
+                      <button onClick={() => onLoad(request, { run: true })} className="text-emerald-400 hover:text-emerald-300">▶ Exécuter</button>
+                    )}
+                    {target && <button onClick={() => onLoad(request)} className="text-gray-300 hover:text-white">Charger</button>}
+                    <button onClick={() => removeRequest(collection.id, request.id)} className="text-rose-400 hover:text-rose-300">✕</button>
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    </Card>
+  );
+}
+
+function HistoryPanel({ history, setHistory, onLoad }) {
+  const [query, setQuery] = useState("");
+  const entries = useMemo(() => searchHistory(history, query), [history, query]);
+
+  return (
+    <Card
+      title={`Historique (${history.length})`}
+      right={
+        <button
+          onClick={() => window.confirm("Vider l'historique ?") && setHistory([])}
+          disabled={history.length === 0}
+          className="text-xs text-gray-400 hover:text-gray-200 disabled:opacity-50"
+        >
+          🧹 Vider
+        </button>
+      }
+    >
+      <Input value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Rechercher : l2Book ETH 429 testnet…" />
+      <div className="mt-3 space-y-1 max-h-[360px] overflow-auto">
+        {entries.length === 0 && <div className="text-sm text-gray-500">— Aucune exécution —</div>}
+        {entries.map((entry) => {
+          const known = endpointRegistry.has(entry.endpointId);
+          return (
+            <div key={entry.id} className="flex flex-wrap items-center gap-2 py-1 border-t border-gray-800 text-xs">
+              <span className="text-gray-500 font-mono">{new Date(entry.executedAt).toLocaleTimeString()}</span>
+              <span className="font-mono text-emerald-400">{entry.method}</span>
+              <span className="text-gray-200">{entry.endpointId}</span>
+              <StatusBadge entry={entry} />
+              {entry.durationMs !== null && <span className="text-gray-400">{entry.durationMs} ms · {formatBytes(entry.sizeBytes)}</span>}
+              {entry.networkId && <span className="text-gray-500">{entry.networkId}{entry.transportMode && entry.transportMode !== "live" ? ` · ${entry.transportMode}` : ""}</span>}
+              {/* Entrées antérieures : paramètres effectifs au lieu de la requête envoyée */}
+              <span className="font-mono text-gray-500 truncate max-w-[18rem]" title={JSON.stringify(entry.request ?? entry.resolvedParams)}>
+                {JSON.stringify(entry.request ?? entry.resolvedParams)}
+              </span>
+              {known && (
+                <span className="ml-auto flex gap-2">
+                  <button onClick={() => onLoad(entry, { run: true })} className="text-emerald-400 hover:text-emerald-300">▶ Rejouer</button>
+                  <button onClick={() => onLoad(entry)} className="text-gray-300 hover:text-white">Charger</button>
+                </span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </Card>
+  );
+}
+
 // ------------------------------
 //  Main component
 // ------------------------------
 export default function ApiPlayground() {
-  const [currentId, setCurrentId] = useLocalState("cookie.playground.endpoint", ENDPOINTS[0].id);
-  const endpoint = useMemo(() => ENDPOINTS.find((e) => e.id === currentId) || ENDPOINTS[0], [currentId]);
+  const network = useNetwork();
+  const { endpoints } = useEndpointCatalog();
+  const [currentId, setCurrentId] = useLocalState("cookie.playground.endpoint", endpoints[0].id);
+  // Anciens IDs du playground (hl-l2Book...) résolus par alias ; endpoint retiré → premier du catalogue
+  const endpoint = useMemo(() => endpointRegistry.get(currentId) || endpoints[0], [currentId, endpoints]);
 
   // Paramètres dynamiques
   const initialParams = useMemo(() => {
@@ -225,95 +400,230 @@ export default function ApiPlayground() {
   }, [endpoint]);
   const [params, setParams] = useLocalState(`cookie.playground.params.${endpoint.id}`, initialParams);
 
-  useEffect(() => {
-    // reset params when endpoint changes
-    setParams(initialParams);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [endpoint.id]);
-
   const [loading, setLoading] = useState(false);
   const [status, setStatus] = useState("idle");
   const [response, setResponse] = useState(null);
+  const [error, setError] = useState(null);
   const [durationMs, setDurationMs] = useState(0);
 
-  // WebSocket state
-  const wsRef = useRef(null);
+  // REST en cours : annulé si remplacé, au changement d'endpoint ou au démontage
+  const abortRef = useRef(null);
+
+  // Collections de requêtes enregistrées + historique des exécutions
+  const [collections, setCollections] = useLocalState("cookie.playground.collections", []);
+  const [history, setHistory] = useLocalState("cookie.playground.history", []);
+
+  // Requête chargée depuis une collection / l'historique (appliquée au changement d'endpoint)
+  const pendingLoadRef = useRef(null);
+  // Incrémenté pour lancer runREST une fois les params chargés rendus
+  const [runToken, setRunToken] = useState(0);
+
+  // WebSocket : client propre au playground (URL de l'endpoint, pas forcément le réseau actif)
+  // reconnexion, heartbeat et rejeu de la subscription gérés par WsClient
+  const [wsClient] = useState(() => new WsClient({ label: "WS Playground" }));
+  const wsConnection = useWsConnection(wsClient);
   const [wsMessages, setWsMessages] = useState([]);
-  const [wsOpen, setWsOpen] = useState(false);
+  const wsOpen = wsConnection.state !== WS_STATES.IDLE && wsConnection.state !== WS_STATES.CLOSED;
+
+  useEffect(() => wsClient.onMessage((message) => {
+    setWsMessages((prev) => [message, ...prev].slice(0, 200));
+  }), [wsClient]);
+
+  useEffect(() => {
+    // reset params when endpoint changes (ou params d'une requête chargée)
+    const pending = pendingLoadRef.current;
+    pendingLoadRef.current = null;
+    setParams(pending ? { ...initialParams, ...pending.params } : initialParams);
+    if (pending?.run) setRunToken((token) => token + 1);
+    // la réponse de l'ancien endpoint ne doit pas arriver sur le nouveau
+    abortRef.current?.abort();
+    abortRef.current = null;
+    setLoading(false);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [endpoint.id]);
+
+  useEffect(() => () => {
+    abortRef.current?.abort();
+    wsClient.close();
+  }, [wsClient]);
 
   // Build request preview
-  const requestPreview = useMemo(() => {
-    const headers = deepReplace(endpoint.headers || {}, params);
-    const body = deepReplace(endpoint.bodyTemplate || {}, params);
-    const query = deepReplace(endpoint.queryTemplate || {}, params);
-    let url = endpoint.url;
-    if (endpoint.method === "GET" && query && Object.keys(query).length > 0) {
-      const qs = toQueryString(query);
-      url += (url.includes("?") ? "&" : "?") + qs;
-    }
-    const initMsg = deepReplace(endpoint.initMessageTemplate || {}, params);
-    return { url, headers, body, query, initMsg };
-  }, [endpoint, params]);
+  // Variables de l'environnement actif : complètent les champs laissés vides
+  // (seulement celles que l'endpoint référence)
+  // 🔐 secrets exclus pour un catalogue importé non confirmé
+  const { active: activeEnvironment, variables: envVariables } = useEnvironment();
+  const secretsAllowed = endpointRegistry.allowsSecrets(endpoint);
+  const injectedVariables = useMemo(() => applyVariables({}, envVariables, {
+    exclude: secretsAllowed ? [] : (activeEnvironment?.variables || []).filter((v) => v.secret).map((v) => v.key),
+    only: getEndpointParameterNames(endpoint),
+  }), [envVariables, activeEnvironment, secretsAllowed, endpoint]);
+  const effectiveParams = useMemo(() => applyVariables(params, injectedVariables), [params, injectedVariables]);
+  const requestPreview = useMemo(() => buildRequest(endpoint, effectiveParams, network), [endpoint, effectiveParams, network]);
+  // Aperçu affiché : secrets masqués à leur emplacement (URL, headers, body, message WS)
+  const previewMasks = Object.fromEntries(getSecretKeys().map((key) => [key, SECRET_MASK]));
+  const displayedPreview = Object.keys(previewMasks).length > 0
+    ? buildRequest(endpoint, effectiveParams, network, previewMasks)
+    : requestPreview;
+
+  // Règles déclaratives des params (bornes, adresse, coin connu, début < fin…)
+  const validation = validateParameters(endpoint.params || [], effectiveParams);
+  const templateIssues = [...new Set([
+    ...requestPreview.unresolved.map((name) => `{{${name}}} non résolu`),
+    ...requestPreview.errors,
+    ...validation.errors,
+  ])];
+  const canSend = templateIssues.length === 0;
+  // Snippets : secrets utilisés par les templates, masqués à leur emplacement
+  const secretMasks = getSecretMasks(endpoint, getSecretKeys());
+  const snippetMasks = Object.keys(secretMasks).length > 0 ? secretMasks : null;
+  const timeRange = getTimeRangeParams(endpoint.params);
 
   async function runREST() {
-    setLoading(true); setStatus("pending"); setResponse(null); const t0 = performance.now();
+    if (!canSend) return;
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const { signal, cleanup } = createRequestSignal({
+      signal: controller.signal,
+      timeoutMs: REST_TIMEOUT_MS,
+      endpointId: endpoint.id
+    });
+
+    // Re-résolu à l'envoi : "now-24h" = 24h avant ce clic, pas avant le dernier rendu
+    const sentParams = freezeTimeExpressions(endpoint.params, effectiveParams);
+    const resolved = buildRequest(endpoint, sentParams, network);
+    // Paramètres attachés aux erreurs affichées : secrets masqués
+    const errorParams = maskSecrets(params, getSecretKeys());
+
+    setLoading(true); setStatus("pending"); setResponse(null); setError(null); const t0 = performance.now();
+    let outcome = null;
     try {
-      const opts = { method: endpoint.method, headers: requestPreview.headers };
+      const request = {
+        method: endpoint.method,
+        url: resolved.url,
+        headers: resolved.headers,
+        payload: endpoint.method === "POST" ? resolved.body ?? {} : null,
+        label: endpoint.id,
+        bucket: network.id
+      };
       if (endpoint.method === "POST") {
-        opts.body = JSON.stringify(requestPreview.body ?? {});
+        request.body = JSON.stringify(request.payload);
       }
-      const res = await fetch(requestPreview.url, opts);
+      // live / record / replay selon le mode choisi (REST uniquement)
+      const res = await transportService.send(request, signal);
       const ct = res.headers.get("content-type") || "";
-      const data = ct.includes("application/json") ? await res.json() : await res.text();
+      const text = await res.text();
+      outcome = { status: res.ok ? "success" : "error", httpStatus: res.status, sizeBytes: new Blob([text]).size };
+      const data = ct.includes("application/json") ? JSON.parse(text) : text;
       setStatus(`HTTP ${res.status}`);
       setResponse(data);
+      // HTTP en échec : erreur typée (429, coin inconnu, adresse invalide...)
+      if (!res.ok) {
+        const httpError = createHttpError(res.status, data, { payload: resolved.body, params: errorParams, endpointId: endpoint.id, endpoint });
+        outcome.errorType = httpError.type;
+        setError(httpError);
+      }
     } catch (e) {
-      setStatus("error");
-      setResponse({ error: e?.message || String(e) });
+      // fetch rejette avec signal.reason : RequestTimeoutError ou AbortError
+      const reason = signal.aborted ? signal.reason : e;
+      if (isAbortError(reason)) return;
+      const typed = reason?.type
+        ? reason
+        : reason instanceof SyntaxError
+          ? new ParsingError(reason, { endpointId: endpoint.id, params: errorParams })
+          : new NetworkError(reason, { endpointId: endpoint.id, params: errorParams });
+      outcome = { ...outcome, status: typed.type === "timeout" ? "timeout" : "error", errorType: typed.type };
+      setStatus(typed.type === "timeout" ? "timeout" : "error");
+      setError(typed);
     } finally {
-      setDurationMs(Math.round(performance.now() - t0));
-      setLoading(false);
+      cleanup();
+      const elapsed = Math.round(performance.now() - t0);
+      if (abortRef.current === controller) {
+        setDurationMs(elapsed);
+        setLoading(false);
+      }
+      // Annulation volontaire : pas d'entrée d'historique
+      if (outcome) {
+        setHistory((prev) => appendHistory(prev, createHistoryEntry({
+          endpoint,
+          params,
+          request: toHistoryRequest(sentParams),
+          secretKeys: getSecretKeys(),
+          ...outcome,
+          durationMs: elapsed,
+          networkId: network.id,
+          transportMode: transportService.getMode(),
+        })));
+      }
     }
   }
 
-  function openWS() {
-    if (wsRef.current) {
-      try { 
-        wsRef.current.close(); 
-      } catch (error) {
-        console.warn('Failed to close WebSocket:', error);
-      }
+  // Paramètres à ne jamais stocker : params `secret` + variables secrètes de l'environnement
+  function getSecretKeys() {
+    return [
+      ...(endpoint.params || []).filter((p) => p.secret).map((p) => p.name),
+      ...environmentService.getSecretKeys(),
+    ];
+  }
+
+  // Requête envoyée telle qu'enregistrée dans l'historique : valeurs résolues
+  // ("now-24h" → timestamp de l'envoi), secrets masqués à leur emplacement
+  function toHistoryRequest(sentParams) {
+    const masks = Object.fromEntries(getSecretKeys().map((key) => [key, SECRET_MASK]));
+    const masked = buildRequest(endpoint, sentParams, network, masks);
+    if (endpoint.method === "WS") return { url: masked.url, subscription: masked.initMsg.subscription };
+    if (endpoint.method === "POST") return { url: masked.url, body: masked.body };
+    return { url: masked.url };
+  }
+
+  // Charge une requête enregistrée / une entrée d'historique (et l'exécute si demandé)
+  function loadRequest(saved, { run = false } = {}) {
+    const target = endpointRegistry.get(saved.endpointId);
+    if (!target) return;
+    // Enregistrée sous un ancien ID : params renommés depuis (user → user_address…)
+    const savedParams = endpointRegistry.migrateParams(saved.endpointId, saved.params);
+    if (target.id !== endpoint.id) {
+      pendingLoadRef.current = { params: savedParams, run };
+      setCurrentId(target.id);
+      return;
     }
+    setParams({ ...initialParams, ...savedParams });
+    if (run) setRunToken((token) => token + 1);
+  }
+
+  // runREST lit les params du dernier rendu : appelé via une ref mise à jour
+  // à chaque rendu, l'effet ne dépend que du jeton
+  const runRestRef = useRef(runREST);
+  useEffect(() => {
+    runRestRef.current = runREST;
+  });
+  useEffect(() => {
+    if (runToken > 0) runRestRef.current();
+  }, [runToken]);
+
+  function openWS() {
+    if (!canSend) return;
+    wsClient.close();
     setWsMessages([]);
-    setWsOpen(false);
-    const ws = new WebSocket(endpoint.url);
-    wsRef.current = ws;
-    ws.onopen = () => {
-      setWsOpen(true);
-      const msg = JSON.stringify(requestPreview.initMsg || {});
-      if (msg !== "{}") ws.send(msg);
-    };
-    ws.onmessage = (ev) => {
-      try {
-        const data = JSON.parse(ev.data);
-        setWsMessages((prev) => [data, ...prev].slice(0, 200));
-      } catch {
-        setWsMessages((prev) => [ev.data, ...prev].slice(0, 200));
-      }
-    };
-    ws.onerror = () => setWsOpen(false);
-    ws.onclose = () => setWsOpen(false);
+    const sentParams = freezeTimeExpressions(endpoint.params, effectiveParams);
+    const resolved = buildRequest(endpoint, sentParams, network);
+    if (resolved.initMsg.subscription) wsClient.addSubscription(resolved.initMsg.subscription);
+    wsClient.connect(resolved.url);
+    // La connexion vit au-delà de l'exécution : entrée "subscribed", sans durée
+    setHistory((prev) => appendHistory(prev, createHistoryEntry({
+      endpoint,
+      params,
+      request: toHistoryRequest(sentParams),
+      secretKeys: getSecretKeys(),
+      status: "subscribed",
+      durationMs: null,
+      networkId: network.id,
+      transportMode: "live",
+    })));
   }
 
   function closeWS() {
-    if (wsRef.current) {
-      try { 
-        wsRef.current.close(); 
-      } catch (error) {
-        console.warn('Failed to close WebSocket:', error);
-      }
-      wsRef.current = null;
-    }
+    wsClient.close();
   }
 
   const isWS = endpoint.method === "WS";
@@ -322,7 +632,13 @@ export default function ApiPlayground() {
     <div className="min-h-screen bg-black text-gray-200 p-6 space-y-6">
       <header className="flex items-center justify-between">
         <h1 className="text-2xl font-bold text-emerald-400">COOKIE · API Playground</h1>
-        <div className="text-xs text-gray-400">front‑only • fetch/WebSocket • dark + emerald</div>
+        <div className="flex items-center gap-4">
+          <NetworkSwitcher />
+          <TransportControl />
+          <EnvironmentManager />
+          <EndpointCatalogLoader />
+          <div className="text-xs text-gray-400">front‑only • fetch/WebSocket • dark + emerald</div>
+        </div>
       </header>
 
       {/* Endpoint selector */}
@@ -333,20 +649,33 @@ export default function ApiPlayground() {
             <Select
               value={currentId}
               onChange={(e) => setCurrentId(e.target.value)}
-              options={ENDPOINTS.map((e) => ({ value: e.id, label: e.label }))}
+              options={endpoints.map((e) => ({ value: e.id, label: `${e.method} · ${e.name}` }))}
             />
           </div>
           <div>
             <Label>Notes</Label>
-            <div className="text-sm text-gray-400">{endpoint.notes || "—"}</div>
+            <div className="text-sm text-gray-400">{endpoint.description || "—"}</div>
           </div>
         </div>
       </Card>
 
       {/* Params */}
       <Card title="Paramètres">
+        {timeRange && (
+          <div className="mb-4">
+            <TimeRangePicker
+              start={params[timeRange.start.name]}
+              end={params[timeRange.end.name]}
+              startLabel={timeRange.start.label}
+              endLabel={timeRange.end.label}
+              startPlaceholder={timeRange.start.default}
+              endPlaceholder={timeRange.end.default}
+              onChange={({ start, end }) => setParams({ ...params, [timeRange.start.name]: start, [timeRange.end.name]: end })}
+            />
+          </div>
+        )}
         <div className="grid md:grid-cols-3 gap-4">
-          {(endpoint.params || []).map((p) => (
+          {(endpoint.params || []).filter((p) => !timeRange || (p !== timeRange.start && p !== timeRange.end)).map((p) => (
             <div key={p.name}>
               <Label>
                 {p.label || p.name}
@@ -372,7 +701,9 @@ export default function ApiPlayground() {
                   type={p.secret ? "password" : "text"}
                   value={params[p.name] ?? ""}
                   onChange={(e) => setParams({ ...params, [p.name]: e.target.value })}
-                  placeholder={p.placeholder}
+                  placeholder={injectedVariables[p.name] !== undefined
+                    ? `🌍 ${p.secret || environmentService.getSecretKeys().includes(p.name) ? "••••••" : injectedVariables[p.name]}`
+                    : p.placeholder}
                 />
               )}
             </div>
@@ -386,24 +717,42 @@ export default function ApiPlayground() {
           <div>
             <div className="text-xs text-gray-400 mb-1">URL</div>
             <pre className="bg-gray-950/70 border border-gray-800 rounded-xl p-3 overflow-auto text-xs whitespace-pre-wrap break-all">
-              {requestPreview.url}
+              {displayedPreview.url}
             </pre>
           </div>
           <div>
             <div className="text-xs text-gray-400 mb-1">Headers</div>
-            <pre className="bg-gray-950/70 border border-gray-800 rounded-xl p-3 overflow-auto text-xs">{pretty(requestPreview.headers)}</pre>
+            <pre className="bg-gray-950/70 border border-gray-800 rounded-xl p-3 overflow-auto text-xs">{pretty(displayedPreview.headers)}</pre>
           </div>
         </div>
         {endpoint.method === "POST" && (
           <div className="mt-4">
             <div className="text-xs text-gray-400 mb-1">Body</div>
-            <pre className="bg-gray-950/70 border border-gray-800 rounded-xl p-3 overflow-auto text-xs">{pretty(requestPreview.body)}</pre>
+            <pre className="bg-gray-950/70 border border-gray-800 rounded-xl p-3 overflow-auto text-xs">{pretty(displayedPreview.body)}</pre>
           </div>
         )}
         {endpoint.method === "WS" && (
           <div className="mt-4">
             <div className="text-xs text-gray-400 mb-1">Message d'init (WS)</div>
-            <pre className="bg-gray-950/70 border border-gray-800 rounded-xl p-3 overflow-auto text-xs">{pretty(requestPreview.initMsg)}</pre>
+            <pre className="bg-gray-950/70 border border-gray-800 rounded-xl p-3 overflow-auto text-xs">{pretty(displayedPreview.initMsg)}</pre>
+          </div>
+        )}
+        {canSend && (
+          <div className="mt-4">
+            <CodeSnippetPanel
+              request={{ method: endpoint.method, ...requestPreview }}
+              maskedRequest={snippetMasks ? { method: endpoint.method, ...buildRequest(endpoint, effectiveParams, network, snippetMasks) } : null}
+              endpoint={endpoint}
+              network={network}
+            />
+          </div>
+        )}
+        {!canSend && (
+          <div className="mt-4 bg-rose-950/40 border border-rose-800 rounded-xl p-3 text-xs text-rose-200 space-y-1">
+            <div className="font-medium">Envoi bloqué :</div>
+            {templateIssues.map((issue) => (
+              <div key={issue} className="font-mono">• {issue}</div>
+            ))}
           </div>
         )}
       </Card>
@@ -411,13 +760,13 @@ export default function ApiPlayground() {
       {/* Actions */}
       <div className="flex items-center gap-3">
         {!isWS ? (
-          <Button onClick={runREST} disabled={loading}>
+          <Button onClick={runREST} disabled={loading || !canSend}>
             {loading ? "En cours…" : `${endpoint.method} → Exécuter`}
           </Button>
         ) : (
           <>
             {!wsOpen ? (
-              <Button onClick={openWS}>WS → Connecter & Souscrire</Button>
+              <Button onClick={openWS} disabled={!canSend}>WS → Connecter & Souscrire</Button>
             ) : (
               <Button onClick={closeWS} className="bg-rose-600 hover:bg-rose-500">WS → Fermer</Button>
             )}
@@ -429,14 +778,18 @@ export default function ApiPlayground() {
       {/* Response */}
       {!isWS ? (
         <Card title="Réponse">
-          <pre className="bg-gray-950/70 border border-gray-800 rounded-xl p-3 overflow-auto text-xs min-h-[160px]">
-            {response ? pretty(response) : "—"}
-          </pre>
+          {error ? (
+            <ErrorDisplay error={error} onRetry={runREST} />
+          ) : (
+            <pre className="bg-gray-950/70 border border-gray-800 rounded-xl p-3 overflow-auto text-xs min-h-[160px]">
+              {response ? pretty(response) : "—"}
+            </pre>
+          )}
         </Card>
       ) : (
         <Card
-          title={`Messages WebSocket ${wsOpen ? "(connecté)" : "(déconnecté)"}`}
-          right={<span className="text-xs text-gray-400">dernier en haut</span>}
+          title="Messages WebSocket"
+          right={<span className="flex items-center gap-3"><WsStatusBadge client={wsClient} /><span className="text-xs text-gray-400">dernier en haut</span></span>}
         >
           <div className="space-y-2 max-h-[420px] overflow-auto">
             {wsMessages.length === 0 && (
@@ -451,11 +804,23 @@ export default function ApiPlayground() {
         </Card>
       )}
 
+      {/* Collections & historique */}
+      <div className="grid lg:grid-cols-2 gap-6">
+        <CollectionsPanel
+          collections={collections}
+          setCollections={setCollections}
+          endpoint={endpoint}
+          onSave={(name) => createSavedRequest({ name, endpointId: endpoint.id, params, secretKeys: getSecretKeys() })}
+          onLoad={loadRequest}
+        />
+        <HistoryPanel history={history} setHistory={setHistory} onLoad={loadRequest} />
+      </div>
+
       {/* Footer tips */}
       <div className="text-xs text-gray-500 leading-relaxed">
         <p className="mb-1">⚠️ CORS : certains endpoints refusent les appels front (réponse bloquée par le navigateur). Pour dev local, tu peux utiliser un proxy de dev (vite devServer proxy) ou passer par un widget (ex: LI.FI) jusqu'à ce qu'on ajoute un mini-backend.</p>
         <p className="mb-1">🔐 Clés API : n'expose jamais une clé sensible dans un repo public. Pour 1inch v6, mets la clé seulement en local et enlève-la avant commit.</p>
-        <p>🧪 Ajoute tes propres endpoints en dupliquant les objets du tableau ENDPOINTS (GET/POST/WS). Les placeholders {`{{param}}`} seront remplacés par les champs ci-dessus.</p>
+        <p>🧪 Ajoute tes propres endpoints dans config/endpoints.js ou importe un catalogue JSON (📚 Catalogue → Importer) : GET avec query, POST avec body, WS avec subscription. Les placeholders {`{{param}}`} seront remplacés par les champs ci-dessus.</p>
       </div>
     </div>
   );
@@ -1,5 +1,21 @@
-import { useState } from 'react'
+import { useEffect, useRef, useState } from 'react'
 import './App.css'
+import { hyperliquidApi } from './api/hyperliquidService.js'
+import { isAbortError } from './api/errors.js'
+import assetMapping from './services/assetMappingService.js'
+import NetworkSwitcher from './components/NetworkSwitcher.jsx'
+import RateLimitIndicator from './components/RateLimitIndicator.jsx'
+import TransportControl from './components/TransportControl.jsx'
+import EndpointCatalogLoader from './components/EndpointCatalogLoader.jsx'
+import AssetChangeFeed from './components/AssetChangeFeed.jsx'
+import { marketHash } from './hooks/useHashRoute.js'
+import { useEndpointCatalog } from './hooks/useEndpointCatalog.js'
+
+// Endpoints exécutables sans saisie : REST dont chaque paramètre requis a un défaut
+function isRunnableWithoutInput(endpoint) {
+  return endpoint.method !== 'WS'
+    && (endpoint.params || []).every(param => !param.required || param.default !== undefined);
+}
 
 function App() {
   const [selectedEndpoint, setSelectedEndpoint] = useState('allMids');
@@ -7,83 +23,80 @@ function App() {
   const [loading, setLoading] = useState(false);
   const [listLoading, setListLoading] = useState(false);
 
-  const endpoints = [
-    { id: 'allMids', name: 'All Mids - Prix du marché', body: { type: 'allMids' } },
-    { id: 'meta', name: 'Meta - Métadonnées', body: { type: 'meta' } },
-    { id: 'metaPerp', name: 'Afficher PERP - Liste PERP disponibles', body: { type: 'meta' } },
-    { id: 'metaSpot', name: 'Afficher SPOT - Liste SPOT disponibles', body: { type: 'metaAndAssetCtxs' } },
-    { id: 'l2Book', name: 'L2 Book - Carnet d\'ordres', body: { type: 'l2Book', coin: 'BTC' } },
-  ];
+  // Requête en cours : annulée si une nouvelle la remplace ou au démontage
+  const abortRef = useRef(null);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  function startRequest() {
+    abortRef.current?.abort();
+    setLoading(false);
+    setListLoading(false);
+    const controller = new AbortController();
+    abortRef.current = controller;
+    return controller;
+  }
+
+  // Catalogue partagé (config/endpoints.js + définitions importées)
+  const { endpoints: catalog } = useEndpointCatalog();
+  const endpoints = catalog.filter(isRunnableWithoutInput);
 
   async function sendRequest() {
+    const controller = startRequest();
     setLoading(true);
     setResponse(null);
 
     try {
-      const endpoint = endpoints.find(e => e.id === selectedEndpoint);
-      
-      const res = await fetch('https://api.hyperliquid.xyz/info', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(endpoint.body)
-      });
-
-      const data = await res.json();
+      // Par ID du catalogue : valeurs par défaut des paramètres,
+      // réseau actif et rate-limit gérés par le service
+      const data = await hyperliquidApi.executeRequest(selectedEndpoint, {}, { signal: controller.signal });
       setResponse(data);
     } catch (error) {
+      // Requête remplacée ou composant démonté : rien à afficher
+      if (isAbortError(error)) return;
       setResponse({ error: error.message });
     } finally {
-      setLoading(false);
+      if (abortRef.current === controller) setLoading(false);
     }
   }
 
   // =====================================================================
-  // Récupère la liste des marchés PERP ou SPOT via metaAndAssetCtxs
-  // Robustesse: tente plusieurs structures possibles et fallback en brut
+  // Récupère la liste des marchés PERP (metaAndAssetCtxs) ou SPOT
+  // (spotMetaAndAssetCtxs) : les paires spot "@{index}" sont traduites
+  // en "BASE/QUOTE" par assetMappingService
   // =====================================================================
   async function fetchAndListMarkets(kind) {
+    const controller = startRequest();
     setListLoading(true);
     setResponse(null);
     try {
-      const res = await fetch('https://api.hyperliquid.xyz/info', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ type: 'metaAndAssetCtxs' })
-      });
-      const data = await res.json();
-
-      // Extraction univers + contextes (plusieurs formes possibles)
-      const universe = data?.universe || data?.meta?.universe || [];
-      const ctxs = data?.assetCtxs || data?.ctxs || [];
-
-      let results = [];
-      if (Array.isArray(universe) && Array.isArray(ctxs) && universe.length === ctxs.length) {
-        results = universe.map((asset, idx) => ({ asset, ctx: ctxs[idx] }))
-          .filter(({ ctx }) => {
-            // Détection de type PERP/SPOT selon différents schémas rencontrés
-            const isPerp = ctx?.isPerp === true || ctx?.perp !== undefined || ctx?.type === 'perp' || ctx?.pf?.type === 'perp';
-            const isSpot = ctx?.isSpot === true || ctx?.spot !== undefined || ctx?.type === 'spot' || ctx?.pf?.type === 'spot';
-            return kind === 'perp' ? isPerp : isSpot;
-          })
-          .map(({ asset }) => asset?.name)
-          .filter(Boolean)
-          .sort((a, b) => a.localeCompare(b));
-      }
+      const endpointId = kind === 'perp' ? 'metaAndAssetCtxs' : 'spotMetaAndAssetCtxs';
+      const [meta, ctxs] = await hyperliquidApi.executeRequest(endpointId, {}, { signal: controller.signal });
 
-      // Si parsing réussi, retourner liste compacte, sinon brut
-      if (results.length > 0) {
-        setResponse({
-          kind,
-          count: results.length,
-          markets: results
-        });
+      let markets;
+      if (kind === 'perp') {
+        markets = meta.universe
+          .filter(asset => !asset.isDelisted)
+          .map(asset => asset.name)
+          .sort((a, b) => a.localeCompare(b));
       } else {
-        setResponse({ note: 'Structure inattendue, affichage brut', data });
+        // Les contextes spot sont indexés par coin API ("PURR/USDC", "@1"...)
+        const ctxByCoin = new Map((ctxs || []).map(ctx => [ctx.coin, ctx]));
+        assetMapping.loadSpotMetadata(meta);
+        markets = assetMapping.getAllSpotPairs().map(pair => ({
+          symbol: pair.symbol,
+          coin: pair.coin,
+          assetId: pair.assetId,
+          markPx: ctxByCoin.get(pair.coin)?.markPx ?? null
+        }));
       }
+
+      setResponse({ kind, count: markets.length, markets });
     } catch (err) {
+      if (isAbortError(err)) return;
       setResponse({ error: err.message });
     } finally {
-      setListLoading(false);
+      if (abortRef.current === controller) setListLoading(false);
     }
   }
 
@@ -93,6 +106,16 @@ function App() {
         
         <h1 className="text-3xl font-bold text-center mb-8">Hyperliquid API</h1>
 
+        {/* Réseau actif (mainnet / testnet / custom) + budget rate-limit */}
+        <div className="flex flex-col items-center gap-2">
+          <NetworkSwitcher />
+          <RateLimitIndicator />
+          <TransportControl />
+          <EndpointCatalogLoader />
+          <AssetChangeFeed />
+          <a href={marketHash('BTC')} className="text-sm text-emerald-400 hover:text-emerald-300">📈 Marchés temps réel →</a>
+        </div>
+
         {/* Sélection de requête */}
         <div className="bg-gray-800 rounded-lg p-6">
           <label className="block text-sm font-medium mb-3">Sélectionner une requête</label>
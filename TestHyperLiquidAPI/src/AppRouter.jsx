@@ -0,0 +1,15 @@
+import App from './App.jsx'
+import CoinDashboard from './components/CoinDashboard.jsx'
+import { useHashRoute } from './hooks/useHashRoute.js'
+
+/**
+ * 🧭 Routage par fragment d'URL
+ * - #/market/ETH → dashboard temps réel du marché
+ * - sinon        → explorateur d'API
+ */
+export default function AppRouter() {
+  const route = useHashRoute()
+
+  if (route.page === 'market') return <CoinDashboard symbol={route.symbol} />
+  return <App />
+}
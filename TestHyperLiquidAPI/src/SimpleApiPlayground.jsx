@@ -16,15 +16,33 @@
  * 
  * INTÉGRATION :
  * -------------
- * - Utilise HYPERLIQUID_ENDPOINTS depuis /src/config/endpoints.js
+ * - Utilise le catalogue d'endpoints partagé (useEndpointCatalog : config/endpoints.js
+ *   + définitions importées), hors flux WebSocket
  * - Utilise hyperliquidApi depuis /src/api/hyperliquidService.js
  * - Utilise ResponseDisplay depuis /src/components/ResponseDisplay.jsx
  */
 
-import React, { useState } from 'react';
-import { HYPERLIQUID_ENDPOINTS } from './config/endpoints.js';
+import React, { useEffect, useRef, useState } from 'react';
+import { useEndpointCatalog } from './hooks/useEndpointCatalog.js';
+import { endpointRegistry } from './api/endpointRegistry.js';
+import EndpointCatalogLoader from './components/EndpointCatalogLoader.jsx';
 import { hyperliquidApi } from './api/hyperliquidService.js';
+import { isAbortError } from './api/errors.js';
 import ResponseDisplay from './components/ResponseDisplay.jsx';
+import NetworkSwitcher from './components/NetworkSwitcher.jsx';
+import RateLimitIndicator from './components/RateLimitIndicator.jsx';
+import TransportControl from './components/TransportControl.jsx';
+import EnvironmentManager from './components/EnvironmentManager.jsx';
+import environmentService from './services/environmentService.js';
+import { useEnvironment } from './hooks/useEnvironment.js';
+import TimeRangePicker from './components/TimeRangePicker.jsx';
+import networkService from './services/networkService.js';
+import { useNetwork } from './hooks/useNetwork.js';
+import {
+  getTimeRangeParams,
+  validateParameters,
+  createDefaultParameters
+} from './utils/parameterUtils.js';
 
 /**
  * ============================================================================
@@ -35,15 +53,38 @@ import ResponseDisplay from './components/ResponseDisplay.jsx';
  */
 function SimpleApiPlayground() {
   /**
-   * État : Endpoint actuellement sélectionné
-   * Initialisé avec le premier endpoint de la configuration
+   * Réseau actif : re-rend l'URL affichée à chaque bascule
    */
-  const [selectedEndpoint, setSelectedEndpoint] = useState(HYPERLIQUID_ENDPOINTS[0]);
+  const network = useNetwork();
+
+  /**
+   * Variables de l'environnement actif (complètent les champs vides)
+   */
+  const { variables: envVariables } = useEnvironment();
+
+  /**
+   * Catalogue partagé (intégré + importé) : endpoints REST uniquement,
+   * les flux WS se testent dans l'ApiPlayground
+   */
+  const { endpoints: catalog } = useEndpointCatalog();
+  const endpoints = catalog.filter(endpoint => endpoint.method !== 'WS');
+
+  /**
+   * État : ID de l'endpoint sélectionné
+   * Un endpoint importé puis retiré retombe sur le premier du catalogue
+   */
+  const [selectedId, setSelectedId] = useState(endpoints[0].id);
+  const selectedEndpoint = endpoints.find(endpoint => endpoint.id === selectedId) || endpoints[0];
   
   /**
    * État : Réponse de l'API après exécution
    */
   const [response, setResponse] = useState(null);
+
+  /**
+   * État : Erreur typée (HyperliquidApiError) de la dernière requête
+   */
+  const [error, setError] = useState(null);
   
   /**
    * État : Indicateur de chargement pendant l'exécution
@@ -62,6 +103,16 @@ function SimpleApiPlayground() {
    */
   const [parameters, setParameters] = useState({});
 
+  /**
+   * Réf : contrôleur de la requête en cours
+   * Annulée quand une nouvelle requête la remplace, au changement
+   * d'endpoint ou au démontage (évite d'écraser l'état avec une
+   * réponse périmée)
+   */
+  const abortRef = useRef(null);
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
   /**
    * ========================================================================
    * FONCTION : EXÉCUTION D'UNE REQUÊTE API
@@ -71,34 +122,40 @@ function SimpleApiPlayground() {
    * et gère l'affichage des résultats/erreurs
    */
   async function executeRequest() {
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+
     setLoading(true);
     setStatus('pending');
     setResponse(null);
+    setError(null);
 
     try {
-      // Appel au service API centralisé
+      // Appel au service API centralisé (par ID du registre)
       // Le service gère automatiquement :
       // - Le remplacement des paramètres dans le body
-      // - La validation des paramètres requis
-      // - Les timeouts et erreurs réseau
+      // - La validation des paramètres requis (ParameterValidationError)
+      // - Les erreurs réseau / HTTP (HyperliquidApiError typée)
+      // - Le timeout (erreur de type "timeout")
       const data = await hyperliquidApi.executeRequest(
         selectedEndpoint.id,
-        parameters
+        parameters,
+        { signal: controller.signal }
       );
       
       setStatus('success');
       setResponse(data);
-    } catch (error) {
+    } catch (err) {
+      // Requête remplacée ou composant démonté : l'état appartient à la suivante
+      if (isAbortError(err)) return;
+
       setStatus('error');
       
-      // Formatage de l'erreur pour affichage
-      setResponse({
-        error: true,
-        message: error.message,
-        timestamp: new Date().toISOString()
-      });
+      // Erreur typée : ResponseDisplay affiche type, conseil et body Hyperliquid
+      setError(err);
     } finally {
-      setLoading(false);
+      if (abortRef.current === controller) setLoading(false);
     }
   }
 
@@ -122,16 +179,62 @@ function SimpleApiPlayground() {
    * FONCTION : CHANGEMENT D'ENDPOINT
    * ========================================================================
    * 
-   * Réinitialise les paramètres quand on change d'endpoint
+   * Annule la requête en cours et réinitialise les paramètres
    */
   function handleEndpointChange(endpointId) {
-    const endpoint = HYPERLIQUID_ENDPOINTS.find(ep => ep.id === endpointId);
-    setSelectedEndpoint(endpoint);
+    // La requête de l'ancien endpoint ne doit pas s'afficher sur le nouveau
+    abortRef.current?.abort();
+    abortRef.current = null;
+    setLoading(false);
+
+    setSelectedId(endpointId);
     setParameters({});
     setResponse(null);
+    setError(null);
     setStatus('idle');
   }
 
+  /**
+   * Plage de temps de l'endpoint (paramètres "timestamp" start/end)
+   */
+  const timeRange = getTimeRangeParams(selectedEndpoint.params);
+  const isTimeRangeParam = (param) =>
+    timeRange !== null && (param === timeRange.start || param === timeRange.end);
+
+  /**
+   * Validation en direct (mêmes règles que le service, valeurs par défaut incluses)
+   * pour signaler les erreurs et suggestions sous chaque champ avant l'envoi
+   */
+  const endpointParams = selectedEndpoint.params || [];
+  const fieldErrors = validateParameters(endpointParams, {
+    ...createDefaultParameters(endpointParams.filter(param => param.default !== undefined)),
+    ...environmentService.applyTo(parameters, { secrets: endpointRegistry.allowsSecrets(selectedEndpoint) })
+  }).fields;
+
+  /**
+   * Erreur d'un champ + suggestions cliquables ("vouliez-vous dire ?")
+   */
+  const renderFieldError = (paramName) => {
+    const field = fieldErrors[paramName];
+    if (!field) return null;
+    return (
+      <div className="text-xs text-red-400 flex flex-wrap items-center gap-2">
+        <span>❌ {field.error}</span>
+        {field.suggestions.map(suggestion => (
+          <button
+            key={suggestion}
+            type="button"
+            onClick={() => updateParameter(paramName, suggestion)}
+            className="px-2 py-0.5 rounded border border-emerald-600 text-emerald-300 font-mono
+                       hover:bg-emerald-900/40 transition-colors"
+          >
+            {suggestion}
+          </button>
+        ))}
+      </div>
+    );
+  };
+
   return (
     <div className="min-h-screen bg-gray-900 text-white p-6">
       <div className="max-w-4xl mx-auto space-y-6">
@@ -142,8 +245,15 @@ function SimpleApiPlayground() {
             🚀 API Playground Hyperliquid
           </h1>
           <p className="text-gray-400">
-            Testez les 5 endpoints Hyperliquid configurés
+            Testez les {endpoints.length} endpoints du catalogue
           </p>
+          <div className="mt-3 flex flex-col items-center gap-2">
+            <NetworkSwitcher />
+            <RateLimitIndicator />
+            <TransportControl />
+            <EnvironmentManager />
+            <EndpointCatalogLoader />
+          </div>
         </header>
 
         {/* ========== SÉLECTION D'ENDPOINT ========== */}
@@ -157,7 +267,7 @@ function SimpleApiPlayground() {
                          text-white focus:outline-none focus:border-emerald-500
                          cursor-pointer hover:bg-gray-650 transition-colors"
             >
-              {HYPERLIQUID_ENDPOINTS.map(endpoint => (
+              {endpoints.map(endpoint => (
                 <option key={endpoint.id} value={endpoint.id}>
                   {endpoint.name}
                 </option>
@@ -179,25 +289,46 @@ function SimpleApiPlayground() {
         </div>
 
         {/* ========== PARAMÈTRES (si l'endpoint en requiert) ========== */}
-        {selectedEndpoint.parameters && selectedEndpoint.parameters.length > 0 && (
+        {selectedEndpoint.params && selectedEndpoint.params.length > 0 && (
           <div className="bg-gray-800 rounded-lg p-6">
             <h2 className="text-xl font-semibold mb-4">⚙️ Paramètres</h2>
             <div className="grid gap-4">
-              {selectedEndpoint.parameters.map(param => (
+              {/* Plage de temps (start/end) : un seul sélecteur pour les deux bornes */}
+              {timeRange && (
+                <TimeRangePicker
+                  start={parameters[timeRange.start.name]}
+                  end={parameters[timeRange.end.name]}
+                  startLabel={timeRange.start.label}
+                  endLabel={timeRange.end.label}
+                  startPlaceholder={timeRange.start.default}
+                  endPlaceholder={timeRange.end.default}
+                  onChange={({ start, end }) => setParameters(prev => ({
+                    ...prev,
+                    [timeRange.start.name]: start,
+                    [timeRange.end.name]: end
+                  }))}
+                />
+              )}
+              {timeRange && renderFieldError(timeRange.start.name)}
+              {timeRange && renderFieldError(timeRange.end.name)}
+              {selectedEndpoint.params.filter(param => !isTimeRangeParam(param)).map(param => (
                 <div key={param.name} className="grid gap-2">
                   <label className="text-sm font-medium text-gray-300">
-                    {param.name}
+                    {param.label || param.name}
                     {param.required && <span className="text-red-400 ml-1">*</span>}
                   </label>
                   <input
-                    type="text"
-                    placeholder={param.example || `Entrez ${param.name}...`}
+                    type={param.secret ? 'password' : 'text'}
+                    placeholder={envVariables[param.name] !== undefined
+                      ? `🌍 ${param.secret || environmentService.getSecretKeys().includes(param.name) ? '••••••' : envVariables[param.name]}`
+                      : param.placeholder || param.default || `Entrez ${param.name}...`}
                     value={parameters[param.name] || ''}
                     onChange={(e) => updateParameter(param.name, e.target.value)}
                     className="w-full bg-gray-700 border border-gray-600 rounded-lg px-4 py-2 
                                text-white focus:outline-none focus:border-emerald-500
                                placeholder-gray-500"
                   />
+                  {renderFieldError(param.name)}
                   {param.description && (
                     <p className="text-xs text-gray-400">
                       {param.description}
@@ -218,7 +349,7 @@ function SimpleApiPlayground() {
                 {selectedEndpoint.method}
               </span>
               <span className="ml-2 text-gray-300">
-                {selectedEndpoint.url}
+                {networkService.resolveEndpointUrl(selectedEndpoint, network)}
               </span>
             </div>
             
@@ -231,6 +362,16 @@ function SimpleApiPlayground() {
                 </pre>
               </div>
             )}
+
+            {/* Query string des endpoints GET */}
+            {selectedEndpoint.query && (
+              <div>
+                <p className="text-sm text-gray-400 mb-2">Query:</p>
+                <pre className="bg-gray-900 p-3 rounded text-sm overflow-auto">
+                  {JSON.stringify(selectedEndpoint.query, null, 2)}
+                </pre>
+              </div>
+            )}
           </div>
         </div>
 
@@ -262,10 +403,12 @@ function SimpleApiPlayground() {
         </div>
 
         {/* ========== AFFICHAGE DE LA RÉPONSE ========== */}
-        {response && (
+        {(response || error) && (
           <ResponseDisplay 
             response={response} 
             endpointId={selectedEndpoint.id}
+            error={error}
+            onRetry={executeRequest}
           />
         )}
       </div>
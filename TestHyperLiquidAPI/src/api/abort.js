@@ -0,0 +1,101 @@
+/**
+ * 🛑 ABORT UTILITIES
+ * ==================
+ *
+ * Petits utilitaires autour d'AbortSignal partagés par le service,
+ * l'ordonnanceur et le cache :
+ * - Combinaison d'un signal appelant avec un timeout
+ * - Attente annulable
+ * - Course entre une promesse et un signal
+ */
+
+import { RequestTimeoutError } from './errors.js';
+
+/**
+ * 🔗 Crée un signal qui s'annule si `signal` s'annule OU si le délai expire
+ *
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] - Signal de l'appelant
+ * @param {number} [options.timeoutMs] - Délai maximum (0/absent = aucun)
+ * @param {string} [options.endpointId] - Pour le message de timeout
+ * @returns {{ signal: AbortSignal, cleanup: Function }}
+ */
+export function createRequestSignal({ signal, timeoutMs, endpointId } = {}) {
+  const controller = new AbortController();
+  let timer = null;
+
+  const onAbort = () => controller.abort(signal.reason);
+
+  if (signal) {
+    if (signal.aborted) controller.abort(signal.reason);
+    else signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  if (timeoutMs > 0 && !controller.signal.aborted) {
+    timer = setTimeout(() => controller.abort(new RequestTimeoutError(timeoutMs, endpointId)), timeoutMs);
+  }
+
+  return {
+    signal: controller.signal,
+    cleanup: () => {
+      if (timer) clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  };
+}
+
+/**
+ * 😴 Attente annulable
+ *
+ * @param {number} ms - Durée
+ * @param {AbortSignal} [signal] - Interrompt l'attente (rejette avec signal.reason)
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * 🏁 Course entre une promesse et un signal
+ * La promesse continue éventuellement en arrière-plan ; seul l'appelant
+ * est libéré.
+ *
+ * @param {Promise} promise - Promesse à attendre
+ * @param {AbortSignal} [signal] - Signal d'annulation
+ * @param {Function} [onAbort] - Appelé une fois si le signal gagne
+ * @returns {Promise}
+ */
+export function raceWithSignal(promise, signal, onAbort) {
+  if (!signal) return promise;
+
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      onAbort?.();
+      reject(signal.reason);
+    };
+
+    if (signal.aborted) {
+      abort();
+      return;
+    }
+
+    signal.addEventListener('abort', abort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', abort));
+  });
+}
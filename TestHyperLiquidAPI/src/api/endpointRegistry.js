@@ -0,0 +1,331 @@
+/**
+ * 📚 ENDPOINT REGISTRY
+ * ====================
+ *
+ * Catalogue unique des endpoints, indexés par ID, partagé par l'App,
+ * l'ApiPlayground, le SimpleApiPlayground et le service API :
+ *
+ *   hyperliquidApi.executeRequest('l2Book', { coin: 'BTC' });
+ *
+ * 🔧 Fonctionnalités :
+ * - Chargement initial depuis ALL_ENDPOINTS (config/endpoints.js)
+ * - Résolution ID (ou alias) → définition, ou passage direct d'un objet ad-hoc
+ * - Enregistrement d'endpoints supplémentaires à chaud
+ * - Import de catalogues JSON (fichier ou URL) validés contre le schéma
+ *   (endpointSchema.js), persistés entre les sessions
+ * - Params renommés migrés pour les requêtes enregistrées sous un ancien ID
+ * - Abonnement aux changements (hook useEndpointCatalog)
+ *
+ * 🔐 Un catalogue importé choisit ses params, son URL et ses headers : les
+ * variables secrètes de l'environnement ne lui sont injectées qu'après
+ * confirmation explicite de sa source (trustSource), révoquée à chaque
+ * réimport de la même source.
+ */
+
+import { ALL_ENDPOINTS } from '../config/endpoints.js';
+import { UnknownEndpointError, NetworkError } from './errors.js';
+import { parseEndpointCatalog } from './endpointSchema.js';
+import { readStorage, writeStorage } from '../utils/storage.js';
+
+// 🔑 Définitions importées (même préfixe que le playground)
+const STORAGE_KEY_CUSTOM = 'cookie.endpoints.custom';
+// Source (fichier / URL) de chaque endpoint importé, et sources autorisées à recevoir les secrets
+const STORAGE_KEY_SOURCES = 'cookie.endpoints.sources';
+const STORAGE_KEY_TRUSTED = 'cookie.endpoints.trusted';
+
+/**
+ * 📊 Registre des endpoints
+ */
+export class EndpointRegistry {
+  /**
+   * @param {Array} endpoints - Définitions initiales
+   * @param {Object} [options]
+   * @param {boolean} [options.persist=false] - Restaurer / persister les définitions importées
+   */
+  constructor(endpoints = [], { persist = false } = {}) {
+    this.endpoints = new Map();
+    this.aliases = new Map();
+    this.listeners = new Set();
+    // IDs importés à chaud (retirables), par opposition au catalogue intégré
+    this.customIds = new Set();
+    // ID importé → source du catalogue ; sources confirmées pour les secrets
+    this.sources = new Map();
+    this.trustedSources = new Set();
+    this.persist = persist;
+
+    endpoints.forEach(endpoint => this._set(endpoint));
+    // Catalogue intégré : restauré si un endpoint importé qui le remplaçait est retiré
+    this.builtIns = new Map(this.endpoints);
+
+    if (persist) {
+      // Un catalogue persisté devenu invalide (schéma durci) est ignoré
+      try {
+        const sources = readStorage(STORAGE_KEY_SOURCES, {});
+        parseEndpointCatalog(readStorage(STORAGE_KEY_CUSTOM, []))
+          .forEach(definition => this._addCustom([definition], sources[definition.id] ?? null));
+        this.trustedSources = new Set(readStorage(STORAGE_KEY_TRUSTED, []));
+      } catch (error) {
+        console.warn('⚠️ [Endpoints] Catalogue importé ignoré:', error.message);
+      }
+    }
+    this._refreshSnapshot();
+  }
+
+  /**
+   * ➕ Enregistre (ou remplace) une définition d'endpoint
+   *
+   * @param {Object} endpoint - Définition avec au moins un `id`
+   * @returns {Object} La définition enregistrée
+   */
+  register(endpoint) {
+    if (!endpoint || !endpoint.id) {
+      throw new Error('Un endpoint doit avoir un "id" pour être enregistré');
+    }
+    this._set(endpoint);
+    if (this.snapshot) this._emit();
+    return endpoint;
+  }
+
+  /**
+   * 🔍 Récupère un endpoint par son ID (ou un alias)
+   *
+   * @param {string} id - ID de l'endpoint
+   * @returns {Object|null} Définition ou null
+   */
+  get(id) {
+    return this.endpoints.get(id) || this.endpoints.get(this.aliases.get(id)) || null;
+  }
+
+  /**
+   * @param {string} id - ID de l'endpoint
+   * @returns {boolean} true si l'ID est enregistré
+   */
+  has(id) {
+    return this.get(id) !== null;
+  }
+
+  /**
+   * @returns {Array} Toutes les définitions enregistrées
+   */
+  getAll() {
+    return Array.from(this.endpoints.values());
+  }
+
+  /**
+   * 🔁 Migre des params enregistrés sous un ancien ID (alias)
+   * Ex: hl-userFills { user } → userFills { user_address }
+   *
+   * @param {string} id - ID enregistré (éventuellement un alias)
+   * @param {Object} params - Params enregistrés
+   * @returns {Object} Params sous les noms actuels (une valeur déjà présente l'emporte)
+   */
+  migrateParams(id, params = {}) {
+    const endpoint = this.get(id);
+    if (!endpoint || endpoint.id === id || !endpoint.renamedParams) return params;
+
+    const migrated = { ...params };
+    for (const [from, to] of Object.entries(endpoint.renamedParams)) {
+      if (!(from in migrated)) continue;
+      if (migrated[to] === undefined || migrated[to] === '') migrated[to] = migrated[from];
+      delete migrated[from];
+    }
+    return migrated;
+  }
+
+  /**
+   * 🎯 Résout un ID ou un objet endpoint en définition exploitable
+   *
+   * - string : recherche dans le registre
+   * - objet  : endpoint ad-hoc utilisé tel quel
+   *
+   * @param {string|Object} endpointOrId - ID ou définition
+   * @returns {Object} Définition d'endpoint
+   * @throws {UnknownEndpointError} Si l'ID est inconnu
+   */
+  resolve(endpointOrId) {
+    if (endpointOrId && typeof endpointOrId === 'object') {
+      return endpointOrId;
+    }
+
+    const endpoint = this.get(endpointOrId);
+    if (!endpoint) {
+      throw new UnknownEndpointError(endpointOrId);
+    }
+    return endpoint;
+  }
+
+  /**
+   * ============================================================================
+   * CATALOGUES IMPORTÉS
+   * ============================================================================
+   */
+
+  /**
+   * 📥 Importe un catalogue (même ID = remplacé)
+   *
+   * @param {string|Array|Object} data - Voir parseEndpointCatalog
+   * @param {Object} [options] - { source } pour les messages d'erreur
+   * @returns {Array} Définitions importées
+   * @throws {EndpointSchemaError} Si une définition est invalide (rien n'est importé)
+   *
+   * @example
+   * endpointRegistry.loadCatalog(await file.text(), { source: file.name });
+   */
+  loadCatalog(data, { source = null } = {}) {
+    const definitions = parseEndpointCatalog(data, { source });
+    this._addCustom(definitions, source);
+    // Contenu potentiellement différent : la confirmation est à redonner
+    this.trustedSources.delete(source);
+    this._save();
+    this._emit();
+    return definitions;
+  }
+
+  /**
+   * 🌐 Importe un catalogue publié à une URL
+   *
+   * @param {string} url
+   * @param {Object} [options] - { signal }
+   * @returns {Promise<Array>} Définitions importées
+   * @throws {NetworkError|EndpointSchemaError}
+   */
+  async loadCatalogFromUrl(url, { signal } = {}) {
+    let text;
+    try {
+      const response = await fetch(url, { signal });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      text = await response.text();
+    } catch (error) {
+      if (error?.name === 'AbortError') throw error;
+      throw new NetworkError(error);
+    }
+    return this.loadCatalog(text, { source: url });
+  }
+
+  /**
+   * 🗑️ Retire un endpoint importé (le catalogue intégré n'est pas modifiable)
+   *
+   * @param {string} id
+   * @returns {boolean} true si retiré
+   */
+  removeCustom(id) {
+    if (!this.customIds.has(id)) return false;
+    const endpoint = this.endpoints.get(id);
+    (endpoint?.aliases || []).forEach(alias => this.aliases.delete(alias));
+    this.endpoints.delete(id);
+    this.customIds.delete(id);
+    this.sources.delete(id);
+    if (this.builtIns.has(id)) this._set(this.builtIns.get(id));
+    this._save();
+    this._emit();
+    return true;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean} true si l'endpoint vient d'un catalogue importé
+   */
+  isCustom(id) {
+    return this.customIds.has(id);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {string|null} Source (fichier ou URL) d'un endpoint importé
+   */
+  getSource(id) {
+    return this.sources.get(id) ?? null;
+  }
+
+  /**
+   * 🔐 Les variables secrètes de l'environnement peuvent-elles être
+   * injectées dans cet endpoint ?
+   * Catalogue intégré et endpoints ad-hoc (objets) : oui ;
+   * endpoint importé : seulement si sa source a été confirmée.
+   *
+   * @param {string|Object} endpointOrId
+   * @returns {boolean}
+   */
+  allowsSecrets(endpointOrId) {
+    const endpoint = typeof endpointOrId === 'string' ? this.get(endpointOrId) : endpointOrId;
+    if (!endpoint || !this.customIds.has(endpoint.id)) return true;
+    return this.trustedSources.has(this.sources.get(endpoint.id));
+  }
+
+  /**
+   * ✅ Confirme (ou révoque) l'injection des secrets pour une source importée
+   *
+   * @param {string} source - Fichier ou URL du catalogue
+   * @param {boolean} [trusted=true]
+   */
+  trustSource(source, trusted = true) {
+    if (trusted) this.trustedSources.add(source);
+    else this.trustedSources.delete(source);
+    this._save();
+    this._emit();
+  }
+
+  /**
+   * ============================================================================
+   * ABONNEMENT
+   * ============================================================================
+   */
+
+  /**
+   * 📸 Instantané immuable (useSyncExternalStore)
+   *
+   * @returns {{ endpoints: Array, customIds: string[], trustedSources: string[] }}
+   */
+  getSnapshot() {
+    return this.snapshot;
+  }
+
+  /**
+   * 👂 Abonnement aux changements du catalogue
+   *
+   * @param {Function} listener - Reçoit l'instantané
+   * @returns {Function} Désabonnement
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _set(endpoint) {
+    this.endpoints.set(endpoint.id, endpoint);
+    (endpoint.aliases || []).forEach(alias => this.aliases.set(alias, endpoint.id));
+  }
+
+  _addCustom(definitions, source) {
+    definitions.forEach(definition => {
+      this._set(definition);
+      this.customIds.add(definition.id);
+      this.sources.set(definition.id, source);
+    });
+  }
+
+  _save() {
+    if (!this.persist) return;
+    writeStorage(STORAGE_KEY_CUSTOM, [...this.customIds].map(id => this.endpoints.get(id)), 'Endpoints');
+    writeStorage(STORAGE_KEY_SOURCES, Object.fromEntries(this.sources), 'Endpoints');
+    writeStorage(STORAGE_KEY_TRUSTED, [...this.trustedSources], 'Endpoints');
+  }
+
+  _refreshSnapshot() {
+    this.snapshot = { endpoints: this.getAll(), customIds: [...this.customIds], trustedSources: [...this.trustedSources] };
+  }
+
+  _emit() {
+    this._refreshSnapshot();
+    this.listeners.forEach(listener => listener(this.snapshot));
+  }
+}
+
+/**
+ * 🎯 Instance singleton du registre
+ * Le catalogue intégré est validé au chargement : une définition
+ * non conforme au schéma est une erreur de développement.
+ */
+export const endpointRegistry = new EndpointRegistry(parseEndpointCatalog(ALL_ENDPOINTS, { source: 'config/endpoints.js' }), { persist: true });
+
+export default endpointRegistry;
@@ -0,0 +1,231 @@
+/**
+ * 📐 ENDPOINT SCHEMA
+ * ==================
+ *
+ * Schéma unique des définitions d'endpoints, partagé par le catalogue
+ * intégré (config/endpoints.js), l'App, les deux playgrounds et les
+ * catalogues importés à chaud (fichier JSON ou URL).
+ *
+ * 📋 Définition :
+ * {
+ *   id: 'l2Book',                          // requis, [A-Za-z0-9_.-]
+ *   name: '📚 L2 Book',                    // requis, libellé affiché
+ *   description: '...',                    // optionnel
+ *   method: 'POST',                        // requis : GET, POST ou WS
+ *   path: '/info',                         // chemin résolu contre le réseau actif...
+ *   url: 'https://…',                      // ...ou URL absolue (API tierce) — exactement un des deux
+ *   headers: { 'Content-Type': '…' },      // optionnel, valeurs string
+ *   body: { type: 'l2Book', coin: '{{coin}}' },            // POST : template du body
+ *   query: { sellToken: '{{sellToken}}' },                 // GET : template de la query string
+ *   subscription: { type: 'trades', coin: '{{coin}}' },    // WS (requis) : { method: 'subscribe', subscription }
+ *   params: [{ name, label, type, required, default, options, ... }],
+ *   category: 'market-data',               // optionnel
+ *   aliases: ['hl-l2Book'],                // optionnel, anciens IDs
+ *   renamedParams: { user: 'user_address' } // optionnel, ancien nom → param déclaré
+ *                                          // (requêtes enregistrées sous un alias)
+ * }
+ *
+ * Un {{placeholder}} non déclaré dans `params` est accepté avec un
+ * avertissement (getUndeclaredPlaceholders) : il est résolu par les
+ * variables de l'environnement actif.
+ *
+ * 📦 Fichier importable : un tableau de définitions, ou
+ * { "version": 1, "endpoints": [ ... ] }
+ */
+
+import { getTemplatePlaceholders } from '../utils/parameterUtils.js';
+import { EndpointSchemaError } from './errors.js';
+
+export const ENDPOINT_CATALOG_VERSION = 1;
+
+export const ENDPOINT_METHODS = ['GET', 'POST', 'WS'];
+
+export const PARAM_TYPES = ['string', 'number', 'boolean', 'select', 'timestamp', 'array', 'object', 'json'];
+
+const ID_PATTERN = /^[\w.-]+$/;
+const PARAM_NAME_PATTERN = /^\w+$/;
+
+// Template autorisé selon la méthode
+const TEMPLATE_BY_METHOD = { GET: 'query', POST: 'body', WS: 'subscription' };
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Erreurs de la liste `params`
+ */
+function validateParams(params) {
+  if (params === undefined) return [];
+  if (!Array.isArray(params)) return ['params : tableau attendu'];
+
+  const errors = [];
+  const seen = new Set();
+  params.forEach((param, index) => {
+    const where = `params[${index}]`;
+    if (!isPlainObject(param)) {
+      errors.push(`${where} : objet attendu`);
+      return;
+    }
+    if (typeof param.name !== 'string' || !PARAM_NAME_PATTERN.test(param.name)) {
+      errors.push(`${where}.name : identifiant attendu (lettres, chiffres, _)`);
+    } else if (seen.has(param.name)) {
+      errors.push(`${where}.name : "${param.name}" déclaré deux fois`);
+    } else {
+      seen.add(param.name);
+    }
+    if (param.type !== undefined && !PARAM_TYPES.includes(param.type)) {
+      errors.push(`${where}.type : "${param.type}" inconnu (${PARAM_TYPES.join(', ')})`);
+    }
+    if (param.type === 'select' && (!Array.isArray(param.options) || param.options.length === 0)) {
+      errors.push(`${where}.options : liste non vide requise pour un type "select"`);
+    }
+    if (param.required !== undefined && typeof param.required !== 'boolean') {
+      errors.push(`${where}.required : booléen attendu`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * ✅ Vérifie une définition d'endpoint
+ *
+ * @param {Object} definition
+ * @returns {string[]} Erreurs (vide si la définition est valide)
+ *
+ * @example
+ * validateEndpointDefinition({ id: 'x', name: 'X', method: 'PUT', path: '/info' });
+ * // ['method : "PUT" non supporté (GET, POST, WS)']
+ */
+export function validateEndpointDefinition(definition) {
+  if (!isPlainObject(definition)) return ['objet attendu'];
+
+  const errors = [];
+  const { id, name, method, path, url, headers, aliases, renamedParams } = definition;
+
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    errors.push('id : chaîne requise (lettres, chiffres, _ . -)');
+  }
+  if (typeof name !== 'string' || name.trim() === '') {
+    errors.push('name : chaîne non vide requise');
+  }
+  if (!ENDPOINT_METHODS.includes(method)) {
+    errors.push(`method : ${method === undefined ? 'requis' : `"${method}" non supporté`} (${ENDPOINT_METHODS.join(', ')})`);
+  }
+
+  // 🌐 Destination : chemin relatif au réseau OU URL absolue
+  if ((path === undefined) === (url === undefined)) {
+    errors.push('path ou url : exactement un des deux est requis');
+  } else if (path !== undefined && (typeof path !== 'string' || !path.startsWith('/'))) {
+    errors.push('path : chemin commençant par "/" attendu (ex: "/info")');
+  } else if (url !== undefined && (typeof url !== 'string' || !/^(https?|wss?):\/\//.test(url))) {
+    errors.push('url : URL absolue http(s):// ou ws(s):// attendue');
+  }
+
+  if (headers !== undefined && (!isPlainObject(headers) || Object.values(headers).some(value => typeof value !== 'string'))) {
+    errors.push('headers : objet { nom: valeur string } attendu');
+  }
+  if (aliases !== undefined && (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string' || !ID_PATTERN.test(alias)))) {
+    errors.push('aliases : tableau d\'IDs attendu');
+  }
+
+  // 🧩 Templates : un seul, celui de la méthode
+  const expected = TEMPLATE_BY_METHOD[method];
+  for (const template of expected ? Object.values(TEMPLATE_BY_METHOD) : []) {
+    const value = definition[template];
+    if (value === undefined) continue;
+    if (template !== expected) {
+      errors.push(`${template} : non applicable à un endpoint ${method}`);
+    } else if (!isPlainObject(value)) {
+      errors.push(`${template} : objet attendu`);
+    }
+  }
+  if (method === 'WS' && definition.subscription === undefined) {
+    errors.push('subscription : requis pour un endpoint WS (ex: { type: "trades", coin: "{{coin}}" })');
+  }
+
+  const paramErrors = validateParams(definition.params);
+  errors.push(...paramErrors);
+
+  // 🔁 Params renommés : vers un param déclaré
+  if (renamedParams !== undefined) {
+    const declared = new Set((definition.params || []).map(param => param?.name));
+    if (!isPlainObject(renamedParams) || Object.values(renamedParams).some(target => typeof target !== 'string')) {
+      errors.push('renamedParams : objet { ancienNom: nouveauNom } attendu');
+    } else if (paramErrors.length === 0) {
+      Object.entries(renamedParams)
+        .filter(([, target]) => !declared.has(target))
+        .forEach(([from, target]) => errors.push(`renamedParams.${from} : "${target}" n'est pas déclaré dans params`));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * ⚠️ Placeholders des templates non déclarés dans `params`
+ * Acceptés : résolus par les variables d'environnement (ex: {{apiKey}}),
+ * mais sans type ni validation, d'où l'avertissement à l'import.
+ *
+ * @param {Object} definition - Définition valide
+ * @returns {string[]} Noms des placeholders non déclarés
+ */
+export function getUndeclaredPlaceholders(definition) {
+  const declared = new Set((definition.params || []).map(param => param.name));
+  return getTemplatePlaceholders([definition.headers, definition.body, definition.query, definition.subscription, definition.url])
+    .filter(placeholder => !declared.has(placeholder));
+}
+
+/**
+ * 📥 Lit et valide un catalogue (fichier JSON ou objet)
+ *
+ * Tout ou rien : une seule définition invalide rejette le catalogue,
+ * avec les erreurs de chaque définition fautive.
+ *
+ * @param {string|Array|Object} data - Tableau de définitions ou { version, endpoints }
+ * @param {Object} [options] - { source } pour les messages d'erreur
+ * @returns {Array} Définitions validées
+ * @throws {EndpointSchemaError} Si le format ou une définition est invalide
+ */
+export function parseEndpointCatalog(data, { source = null } = {}) {
+  let parsed = data;
+  if (typeof data === 'string') {
+    try {
+      parsed = JSON.parse(data);
+    } catch (error) {
+      throw new EndpointSchemaError([{ index: null, id: null, errors: [`JSON invalide : ${error.message}`] }], { source });
+    }
+  }
+
+  if (isPlainObject(parsed) && parsed.version !== undefined && parsed.version !== ENDPOINT_CATALOG_VERSION) {
+    throw new EndpointSchemaError([{ index: null, id: null, errors: [`version ${parsed.version} non supportée`] }], { source });
+  }
+  const definitions = Array.isArray(parsed) ? parsed : parsed?.endpoints;
+  if (!Array.isArray(definitions)) {
+    throw new EndpointSchemaError([{ index: null, id: null, errors: ['tableau de définitions ou { version, endpoints: [...] } attendu'] }], { source });
+  }
+
+  const issues = [];
+  const ids = new Set();
+  definitions.forEach((definition, index) => {
+    const errors = validateEndpointDefinition(definition);
+    if (definition?.id && ids.has(definition.id)) errors.push('id : dupliqué dans le catalogue');
+    ids.add(definition?.id);
+    if (errors.length > 0) issues.push({ index, id: definition?.id ?? null, errors });
+  });
+
+  if (issues.length > 0) {
+    throw new EndpointSchemaError(issues, { source });
+  }
+  return definitions;
+}
+
+/**
+ * 📡 Message d'abonnement d'un endpoint WS
+ *
+ * @param {Object} subscription - Subscription résolue
+ * @returns {Object} { method: 'subscribe', subscription }
+ */
+export function buildSubscribeMessage(subscription) {
+  return { method: 'subscribe', subscription };
+}
@@ -0,0 +1,519 @@
+/**
+ * 🚨 HYPERLIQUID API ERRORS
+ * =========================
+ *
+ * Erreurs typées levées par le HyperliquidApiService.
+ * Chaque erreur porte un `type` stable pour que l'UI puisse réagir
+ * sans analyser le texte du message, ainsi que le contexte utile au
+ * diagnostic : statut HTTP, body d'erreur Hyperliquid, endpoint,
+ * paramètres envoyés, drapeau `retryable` et un conseil (`hint`).
+ *
+ * 🏷️ Types :
+ * - unknown-endpoint : ID absent du registre
+ * - endpoint-schema  : définition d'endpoint invalide (catalogue importé)
+ * - validation       : paramètres manquants ou invalides
+ * - network          : serveur injoignable / CORS
+ * - rate-limited     : HTTP 429, budget de poids dépassé
+ * - unknown-coin     : coin inexistant sur le réseau actif
+ * - invalid-user     : adresse utilisateur refusée par l'API
+ * - client / server  : autre réponse HTTP 4xx / 5xx
+ * - schema           : réponse valide mais de forme inattendue
+ * - parsing          : réponse illisible
+ * - aborted          : annulée par l'appelant (AbortSignal)
+ * - timeout          : délai de la requête dépassé
+ * - fixture-missing  : mode replay, aucune fixture enregistrée pour la requête
+ * - subscription-rejected : subscription WebSocket refusée (serveur ou conflit local)
+ * - unknown          : tout le reste
+ */
+
+import { getEnumValues, getTemplatePlaceholders } from '../utils/parameterUtils.js';
+
+// Adresse Hyperliquid : 0x + 40 caractères hexadécimaux
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+/**
+ * 📊 Erreur de base de l'API Hyperliquid
+ */
+export class HyperliquidApiError extends Error {
+  /**
+   * @param {string} message - Message lisible
+   * @param {Object} [options]
+   * @param {string} [options.type] - Catégorie d'erreur
+   * @param {string} [options.endpointId] - ID de l'endpoint appelé
+   * @param {number} [options.status] - Code HTTP éventuel
+   * @param {Object} [options.details] - Informations complémentaires
+   * @param {any} [options.body] - Body d'erreur renvoyé par Hyperliquid (JSON ou texte)
+   * @param {Object} [options.params] - Paramètres de la requête
+   * @param {boolean} [options.retryable] - Un nouvel essai peut réussir
+   * @param {string} [options.hint] - Conseil affiché à l'utilisateur
+   * @param {Error} [options.cause] - Erreur d'origine
+   */
+  constructor(message, {
+    type = 'unknown',
+    endpointId = null,
+    status = null,
+    details = null,
+    body = null,
+    params = null,
+    retryable = false,
+    hint = null,
+    cause
+  } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'HyperliquidApiError';
+    this.type = type;
+    this.endpointId = endpointId;
+    this.status = status;
+    this.details = details;
+    this.body = body;
+    this.params = params;
+    this.retryable = retryable;
+    this.hint = hint;
+    this.timestamp = new Date().toISOString();
+  }
+
+  /**
+   * 📦 Version sérialisable (logs, export, affichage JSON)
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      type: this.type,
+      message: this.message,
+      hint: this.hint,
+      endpointId: this.endpointId,
+      status: this.status,
+      retryable: this.retryable,
+      params: this.params,
+      body: this.body,
+      details: this.details,
+      timestamp: this.timestamp
+    };
+  }
+}
+
+/**
+ * 🔍 Endpoint introuvable dans le registre
+ */
+export class UnknownEndpointError extends HyperliquidApiError {
+  constructor(endpointId) {
+    super(`Endpoint inconnu : "${endpointId}"`, {
+      type: 'unknown-endpoint',
+      endpointId,
+      hint: 'Vérifiez l\'ID ou enregistrez l\'endpoint dans le registre (endpointRegistry.register).'
+    });
+    this.name = 'UnknownEndpointError';
+  }
+}
+
+/**
+ * 📐 Définition(s) d'endpoint non conforme(s) au schéma du catalogue
+ */
+export class EndpointSchemaError extends HyperliquidApiError {
+  /**
+   * @param {Array} issues - [{ index, id, errors: string[] }] par définition rejetée
+   * @param {Object} [options] - { source } (fichier, URL...)
+   */
+  constructor(issues, { source = null } = {}) {
+    const summary = issues
+      .map(issue => `${issue.id ? `"${issue.id}"` : `#${issue.index}`} : ${issue.errors.join(' ; ')}`)
+      .join(' — ');
+
+    super(`Catalogue d'endpoints invalide${source ? ` (${source})` : ''} — ${summary}`, {
+      type: 'endpoint-schema',
+      details: { issues, source },
+      hint: 'Corrigez les définitions signalées : voir le schéma documenté dans src/api/endpointSchema.js.'
+    });
+    this.name = 'EndpointSchemaError';
+    this.issues = issues;
+  }
+}
+
+/**
+ * ✅ Paramètres rejetés par validateParameters avant l'envoi
+ */
+export class ParameterValidationError extends HyperliquidApiError {
+  /**
+   * @param {string} endpointId - ID de l'endpoint
+   * @param {{ missing: string[], errors: string[], fields?: Object }} validation - Résultat de validateParameters
+   */
+  constructor(endpointId, { missing = [], errors = [], fields = {} }) {
+    const parts = [];
+    if (missing.length > 0) parts.push(`paramètres manquants : ${missing.join(', ')}`);
+    if (errors.length > 0) parts.push(errors.join(' ; '));
+
+    super(`Paramètres invalides pour "${endpointId}" — ${parts.join(' — ')}`, {
+      type: 'validation',
+      endpointId,
+      details: { missing, errors, fields },
+      hint: 'Complétez ou corrigez les paramètres signalés avant de relancer.'
+    });
+    this.name = 'ParameterValidationError';
+    this.missing = missing;
+    this.errors = errors;
+    this.fields = fields;
+  }
+}
+
+/**
+ * 🛑 Requête annulée par l'appelant (AbortSignal)
+ */
+export class RequestAbortedError extends HyperliquidApiError {
+  constructor(endpointId = null, cause) {
+    super('Requête annulée', { type: 'aborted', endpointId, cause });
+    this.name = 'RequestAbortedError';
+  }
+}
+
+/**
+ * ⏱️ Requête abandonnée après dépassement du délai
+ */
+export class RequestTimeoutError extends HyperliquidApiError {
+  /**
+   * @param {number} timeoutMs - Délai dépassé
+   * @param {string} [endpointId] - ID de l'endpoint
+   */
+  constructor(timeoutMs, endpointId = null) {
+    super(`Délai dépassé (${timeoutMs} ms)`, {
+      type: 'timeout',
+      endpointId,
+      details: { timeoutMs },
+      retryable: true,
+      hint: 'Le serveur n\'a pas répondu à temps : réessayez, ou augmentez timeoutMs pour cet appel.'
+    });
+    this.name = 'RequestTimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * 🔌 Serveur injoignable (fetch rejeté : réseau coupé, DNS, CORS)
+ */
+export class NetworkError extends HyperliquidApiError {
+  constructor(cause, { endpointId = null, params = null } = {}) {
+    super(`Serveur injoignable : ${cause?.message || 'erreur réseau'}`, {
+      type: 'network',
+      endpointId,
+      params,
+      retryable: true,
+      cause,
+      hint: 'Vérifiez la connexion, l\'URL du réseau actif et, pour un profil custom, les en-têtes CORS du serveur.'
+    });
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * 🌐 Réponse HTTP en erreur (4xx / 5xx) sans cas plus précis
+ */
+export class HttpError extends HyperliquidApiError {
+  /**
+   * @param {number} status - Code HTTP
+   * @param {any} body - Body d'erreur (JSON ou texte)
+   * @param {Object} [context] - { endpointId, params }
+   */
+  constructor(status, body, { endpointId = null, params = null } = {}) {
+    const server = status >= 500;
+    super(`HTTP ${status}${describeBody(body)}`, {
+      type: server ? 'server' : 'client',
+      endpointId,
+      status,
+      body,
+      params,
+      retryable: server,
+      hint: server
+        ? 'Erreur côté Hyperliquid, persistante après les rejeux automatiques : réessayez plus tard.'
+        : 'Requête refusée par l\'API : vérifiez les paramètres et le type de requête envoyés.'
+    });
+    this.name = 'HttpError';
+  }
+}
+
+/**
+ * 🚦 HTTP 429 : budget de poids dépassé pour cette IP
+ */
+export class RateLimitedError extends HyperliquidApiError {
+  /**
+   * @param {Object} [context]
+   * @param {number} [context.retryAfterMs] - Délai conseillé par le serveur (Retry-After)
+   * @param {any} [context.body] - Body d'erreur
+   */
+  constructor({ retryAfterMs = null, body = null, endpointId = null, params = null } = {}) {
+    const wait = retryAfterMs ? `dans ${Math.ceil(retryAfterMs / 1000)} s` : 'dans quelques secondes';
+    super('Rate-limit Hyperliquid atteint (HTTP 429)', {
+      type: 'rate-limited',
+      endpointId,
+      status: 429,
+      body,
+      params,
+      details: { retryAfterMs },
+      retryable: true,
+      hint: `Budget de 1200/min dépassé : réessayez ${wait}, ou espacez les appels lourds (poids 20 contre 2 pour allMids / l2Book).`
+    });
+    this.name = 'RateLimitedError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * 🪙 Coin inexistant sur le réseau actif
+ */
+export class UnknownCoinError extends HyperliquidApiError {
+  /**
+   * @param {string} coin - Coin demandé
+   * @param {Object} [context] - { endpointId, params, status, body }
+   */
+  constructor(coin, { endpointId = null, params = null, status = null, body = null } = {}) {
+    super(`Coin inconnu : "${coin}"`, {
+      type: 'unknown-coin',
+      endpointId,
+      status,
+      body,
+      params,
+      hint: `"${coin}" n'est pas listé sur ce réseau. Les noms sont sensibles à la casse (BTC, pas btc), les paires spot s'écrivent "@index" ; l'endpoint meta liste les marchés.`
+    });
+    this.name = 'UnknownCoinError';
+    this.coin = coin;
+  }
+}
+
+/**
+ * 👤 Adresse utilisateur refusée par l'API
+ */
+export class InvalidUserAddressError extends HyperliquidApiError {
+  /**
+   * @param {string} address - Adresse envoyée
+   * @param {Object} [context] - { endpointId, params, status, body }
+   */
+  constructor(address, { endpointId = null, params = null, status = null, body = null } = {}) {
+    super(`Adresse utilisateur invalide : "${address}"`, {
+      type: 'invalid-user',
+      endpointId,
+      status,
+      body,
+      params,
+      hint: 'Attendu : 0x suivi de 40 caractères hexadécimaux (adresse du compte principal, pas d\'un agent API).'
+    });
+    this.name = 'InvalidUserAddressError';
+    this.address = address;
+  }
+}
+
+/**
+ * 🧩 Réponse valide (HTTP 200) mais de forme inattendue
+ */
+export class UnexpectedSchemaError extends HyperliquidApiError {
+  /**
+   * @param {string} expected - Description de la forme attendue
+   * @param {any} received - Données reçues
+   * @param {Object} [context] - { endpointId, params }
+   */
+  constructor(expected, received, { endpointId = null, params = null } = {}) {
+    super(`Réponse inattendue : ${expected} attendu, ${describeShape(received)} reçu`, {
+      type: 'schema',
+      endpointId,
+      params,
+      body: received,
+      details: { expected },
+      hint: 'L\'API a peut-être évolué, ou le type de requête ne correspond pas à l\'endpoint : comparez avec la documentation Hyperliquid.'
+    });
+    this.name = 'UnexpectedSchemaError';
+  }
+}
+
+/**
+ * 📄 Body illisible (JSON annoncé mais invalide)
+ */
+export class ParsingError extends HyperliquidApiError {
+  constructor(cause, { endpointId = null, params = null } = {}) {
+    super(`Réponse illisible : ${cause?.message || 'JSON invalide'}`, {
+      type: 'parsing',
+      endpointId,
+      params,
+      cause,
+      hint: 'Le serveur a renvoyé un contenu non JSON : vérifiez l\'URL (proxy, page d\'erreur HTML...).'
+    });
+    this.name = 'ParsingError';
+  }
+}
+
+/**
+ * 📼 Mode replay : aucune fixture ne correspond à la requête
+ */
+export class FixtureNotFoundError extends HyperliquidApiError {
+  /**
+   * @param {string} fixtureKey - Clé de correspondance cherchée (méthode + chemin + body)
+   * @param {Object} [context] - { endpointId, params }
+   */
+  constructor(fixtureKey, { endpointId = null, params = null } = {}) {
+    super(`Aucune fixture pour ${fixtureKey}`, {
+      type: 'fixture-missing',
+      endpointId,
+      params,
+      details: { fixtureKey },
+      hint: 'Rejouez cette requête en mode "record" pour l\'enregistrer, ou importez un fichier de fixtures qui la contient.'
+    });
+    this.name = 'FixtureNotFoundError';
+  }
+}
+
+/**
+ * 📡 Subscription WebSocket refusée par le serveur (channel "error"),
+ * ou par le multiplexeur quand elle ne peut pas être routée sans ambiguïté
+ */
+export class SubscriptionRejectedError extends HyperliquidApiError {
+  /**
+   * @param {Object} subscription - Subscription refusée
+   * @param {string} reason - Message du serveur ou motif local
+   * @param {Object} [options]
+   * @param {Object} [options.conflict] - Subscription active incompatible
+   */
+  constructor(subscription, reason, { conflict = null } = {}) {
+    super(`Subscription ${subscription?.type ?? ''} refusée : ${reason}`, {
+      type: 'subscription-rejected',
+      body: reason,
+      details: { subscription, conflict },
+      hint: conflict
+        ? 'Une variante de cette subscription (autre nSigFigs / mantissa, ou autre adresse pour userEvents / orderUpdates / notification) est déjà active : le serveur ne les distingue pas dans ses messages.'
+        : 'Vérifiez le coin, l\'adresse ou l\'intervalle demandés : le serveur a refusé la subscription.'
+    });
+    this.name = 'SubscriptionRejectedError';
+    this.subscription = subscription;
+  }
+}
+
+/**
+ * 🏭 Construit l'erreur la plus précise pour une réponse HTTP en échec
+ *
+ * Ordre de classement d'un 4xx :
+ * 1. Paramètres déclarés de l'endpoint : une adresse (format 'address') mal
+ *    formée ou un coin (enumFrom 'assets') absent du réseau actif
+ * 2. Champ cité par le 422 "Failed to deserialize... : user: ..." de
+ *    Hyperliquid, classé selon le paramètre déclaré qui le remplit
+ * 3. Recherche dans le texte du body, seulement pour les champs `user` /
+ *    `coin` qu'aucun paramètre déclaré ne décrit (sinon : HttpError)
+ *
+ * @param {number} status - Code HTTP
+ * @param {any} body - Body d'erreur (JSON ou texte)
+ * @param {Object} [context]
+ * @param {Object} [context.payload] - Body JSON envoyé
+ * @param {Object} [context.params] - Paramètres de la requête
+ * @param {string} [context.endpointId] - ID de l'endpoint
+ * @param {Object} [context.endpoint] - Définition de l'endpoint (body template + params déclarés)
+ * @param {number} [context.retryAfterMs] - En-tête Retry-After converti
+ * @returns {HyperliquidApiError}
+ */
+export function createHttpError(status, body, { payload = null, params = null, endpointId = null, endpoint = null, retryAfterMs = null } = {}) {
+  const context = { endpointId, params, status, body };
+  const text = typeof body === 'string' ? body : JSON.stringify(body ?? '');
+
+  if (status === 429) {
+    return new RateLimitedError({ retryAfterMs, body, endpointId, params });
+  }
+
+  const declared = getDeclaredFields(endpoint);
+  const valueAt = path => path.split('.').reduce((value, key) => value?.[key], payload);
+  const fromKind = (kind, path) => (kind === 'address'
+    ? new InvalidUserAddressError(valueAt(path), context)
+    : new UnknownCoinError(valueAt(path), context));
+
+  // 1. Valeur d'un paramètre déclaré invalide (adresse : réponses 4xx seulement)
+  for (const [path, kind] of Object.entries(declared)) {
+    const value = valueAt(path);
+    if (typeof value !== 'string') continue;
+    if (kind === 'address' && status < 500 && !ADDRESS_PATTERN.test(value)) return fromKind(kind, path);
+    const coins = kind === 'coin' ? getEnumValues('assets') : null;
+    if (coins && !coins.includes(value)) return fromKind(kind, path);
+  }
+
+  // 2. Champ cité par l'API (présent : un champ manquant n'est ni une adresse ni un coin)
+  const cited = status < 500 ? getCitedField(text) : null;
+  if (cited && cited in declared && typeof valueAt(cited) === 'string') return fromKind(declared[cited], cited);
+
+  // 3. Texte du body, pour les champs sans déclaration
+  if (status < 500 && !('user' in declared) && typeof payload?.user === 'string'
+    && (!ADDRESS_PATTERN.test(payload.user) || /user|address/i.test(text))) {
+    return new InvalidUserAddressError(payload.user, context);
+  }
+
+  if (!('coin' in declared) && typeof payload?.coin === 'string' && /coin|asset/i.test(text)) {
+    return new UnknownCoinError(payload.coin, context);
+  }
+
+  return new HttpError(status, body, { endpointId, params });
+}
+
+/**
+ * Champs du body template remplis par un paramètre déclaré adresse ou coin
+ * Ex: body { user: '{{user_address}}' } + param user_address (format 'address') → { user: 'address' }
+ *
+ * @returns {Object} { [chemin]: 'address' | 'coin' } (chemins pointés : "req.coin")
+ */
+function getDeclaredFields(endpoint) {
+  const fields = {};
+  const walk = (template, path) => {
+    if (template && typeof template === 'object' && !Array.isArray(template)) {
+      Object.entries(template).forEach(([key, value]) => walk(value, path ? `${path}.${key}` : key));
+      return;
+    }
+    if (typeof template !== 'string') return;
+    const names = getTemplatePlaceholders(template);
+    const param = names.length === 1 && endpoint.params?.find(item => item.name === names[0]);
+    if (param?.format === 'address') fields[path] = 'address';
+    else if (param?.enumFrom === 'assets') fields[path] = 'coin';
+  };
+  if (endpoint?.body) walk(endpoint.body, '');
+  return fields;
+}
+
+/**
+ * Champ cité par un 422 Hyperliquid (chemin pointé)
+ * "...target type: user: invalid address"             → "user"
+ * "...target type: req: missing field `coin`"         → "req.coin"
+ * "...target type: req.interval: unknown variant `7m`" → "req.interval"
+ *
+ * @returns {string|null}
+ */
+function getCitedField(text) {
+  const match = /target type: (?:([\w.]+): )?(?:missing field `(\w+)`)?/.exec(text);
+  if (!match) return null;
+  return [match[1], match[2]].filter(Boolean).join('.') || null;
+}
+
+/**
+ * 🔍 Vrai si l'adresse a la forme d'une adresse Hyperliquid
+ */
+export function isValidAddress(address) {
+  return typeof address === 'string' && ADDRESS_PATTERN.test(address);
+}
+
+/**
+ * 🔍 Vrai si l'erreur vient d'une annulation volontaire (pas d'un timeout)
+ * Les composants React l'ignorent : la requête a été remplacée ou démontée.
+ *
+ * @param {any} error - Erreur à tester
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return error?.type === 'aborted' || error?.name === 'AbortError';
+}
+
+/**
+ * Extrait court du body pour le message (le body complet reste dans `body`)
+ */
+function describeBody(body) {
+  if (body === null || body === undefined || body === '') return '';
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  return ` : ${text.length > 160 ? `${text.slice(0, 160)}…` : text}`;
+}
+
+/**
+ * Décrit la forme d'une valeur (null, tableau, objet, texte...)
+ */
+function describeShape(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return `un tableau de ${value.length} élément(s)`;
+  if (typeof value === 'object') return 'un objet';
+  if (typeof value === 'string') return 'du texte';
+  return `une valeur ${typeof value}`;
+}
@@ -7,161 +7,453 @@
  * 
  * 🔧 Fonctionnalités :
  * - Exécution sécurisée des requêtes
- * - Gestion d'erreurs détaillée
- * - Remplacement automatique des paramètres
+ * - Résolution des endpoints par ID (endpointRegistry)
+ * - Gestion d'erreurs détaillée (erreurs typées, voir errors.js)
+ * - Contrôle de la forme des réponses /info (responseSchemas.js)
+ * - Chaîne d'intercepteurs (avant requête, après réponse, sur erreur)
+ * - Remplacement automatique des paramètres (intercepteur intégré),
+ *   complétés par les variables de l'environnement actif
  * - Validation des réponses
- * - Logging pour debugging
+ * - Respect du rate-limit (file d'attente + rejeu avec backoff)
+ * - Cache des réponses avec TTL et déduplication des requêtes en vol
+ * - Annulation (AbortSignal) et timeout par requête
+ * - Transport interchangeable : live, record (fixtures) ou replay (hors ligne)
+ * - Logging et mesure de durée pour debugging (intercepteurs intégrés)
  */
 
-import { replaceParametersInObject } from '../utils/parameterUtils.js';
+import { validateParameters, createDefaultParameters, getEndpointParameterNames } from '../utils/parameterUtils.js';
+import { maskSecrets } from '../utils/requestCollections.js';
+import networkService from '../services/networkService.js';
+import transportService from '../services/transportService.js';
+import environmentService from '../services/environmentService.js';
+import { endpointRegistry } from './endpointRegistry.js';
+import {
+  HyperliquidApiError,
+  ParameterValidationError,
+  RequestAbortedError,
+  NetworkError,
+  ParsingError,
+  createHttpError
+} from './errors.js';
+import { validateResponseShape } from './responseSchemas.js';
+import { createRequestSignal } from './abort.js';
+import { RequestScheduler, getRequestWeight, getResponseWeight } from './requestScheduler.js';
+import { ResponseCache, buildCacheKey, getCacheTtl } from './responseCache.js';
+import {
+  InterceptorChain,
+  parameterReplacementInterceptor,
+  createTimingInterceptor,
+  createLoggingInterceptor
+} from './interceptors.js';
+
+/**
+ * 🔗 Ajoute la query résolue d'un endpoint GET à l'URL (valeurs vides ignorées)
+ */
+function appendQueryString(url, query) {
+  const search = new URLSearchParams();
+  Object.entries(query || {}).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    search.set(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+  });
+  const text = search.toString();
+  if (!text) return url;
+  return url + (url.includes('?') ? '&' : '?') + text;
+}
 
 /**
  * 📊 Classe principale du service API
  */
 export class HyperliquidApiService {
   constructor() {
-    this.baseUrl = 'https://api.hyperliquid.xyz';
     this.defaultHeaders = {
       'Content-Type': 'application/json'
     };
+
+    // ⏳ Ordonnanceur partagé : budget de poids suivi par réseau
+    this.scheduler = new RequestScheduler();
+
+    // 🗃️ Cache des réponses (TTL par type, déduplication en vol)
+    this.cache = new ResponseCache();
+
+    // 📡 Changement de transport : les réponses en cache viennent de l'autre source
+    transportService.subscribe(() => this.cache.invalidate());
+
+    // ⏱️ Timeout par défaut d'une requête (surchargeable par endpoint ou par appel)
+    this.defaultTimeoutMs = 15000;
+
+    // 🔗 Intercepteurs : paramètres → durée → logs (retirables par nom)
+    this.interceptors = new InterceptorChain();
+    this.interceptors.use(parameterReplacementInterceptor);
+    this.interceptors.use(createTimingInterceptor());
+    this.interceptors.use(createLoggingInterceptor());
+  }
+
+  /**
+   * 🔗 Enregistre un intercepteur (voir interceptors.js)
+   * 
+   * @param {Object} interceptor - { name?, beforeRequest?, afterResponse?, onError? }
+   * @param {Object} [options] - { endpoints: string[] } pour limiter la portée
+   * @returns {Function} Retire l'intercepteur
+   * 
+   * @example
+   * hyperliquidApi.use({
+   *   name: 'metrics',
+   *   afterResponse(data, context) { metrics.record(context.endpointId, context.durationMs); }
+   * });
+   */
+  use(interceptor, options) {
+    return this.interceptors.use(interceptor, options);
+  }
+
+  /**
+   * 🌍 URL de base du réseau actif (résolue à chaque accès)
+   */
+  get baseUrl() {
+    return networkService.getApiBase();
   }
 
   /**
    * 🚀 Exécute une requête vers l'API Hyperliquid
    * 
-   * @param {Object} endpoint - Configuration de l'endpoint
+   * @param {string|Object} endpointOrId - ID du registre (ex: "l2Book") ou configuration ad-hoc
    * @param {Object} parameters - Paramètres à injecter dans la requête
-   * @returns {Promise<Object>} Réponse de l'API
+   * @param {Object} [options] - Options d'exécution
+   * @param {boolean} [options.cache=true] - Utiliser le cache / la déduplication
+   * @param {boolean} [options.forceRefresh=false] - Ignorer l'entrée en cache (la réponse est re-stockée)
+   * @param {number} [options.ttlMs] - TTL spécifique (sinon endpoint.cacheTtlMs, sinon TTL du type /info)
+   * @param {AbortSignal} [options.signal] - Annule la requête (erreur de type "aborted")
+   * @param {number} [options.timeoutMs] - Délai max (sinon endpoint.timeoutMs, sinon defaultTimeoutMs) — erreur "timeout"
+   * @param {boolean} [options.environment=true] - Compléter les paramètres avec les variables de l'environnement actif
+   * @returns {Promise<any>} Données de la réponse (déjà désérialisées, partagées si servies du cache)
+   * @throws {HyperliquidApiError} Erreur typée (validation, network, rate-limited, unknown-coin,
+   *   invalid-user, client, server, schema, parsing, aborted, timeout...)
+   * 
+   * @example
+   * const mids = await hyperliquidApi.executeRequest('allMids');
+   * const book = await hyperliquidApi.executeRequest('l2Book', { coin: 'BTC' });
+   * const fresh = await hyperliquidApi.executeRequest('meta', {}, { forceRefresh: true });
+   * const book2 = await hyperliquidApi.executeRequest('l2Book', { coin: 'ETH' }, { signal: controller.signal, timeoutMs: 5000 });
    */
-  async executeRequest(endpoint, parameters = {}) {
-    console.log('🚀 [API] Exécution de la requête:', {
-      endpoint: endpoint.name,
-      method: endpoint.method,
-      url: endpoint.url,
-      parameters
+  async executeRequest(endpointOrId, parameters = {}, options = {}) {
+    // 📚 0. Résolution de l'endpoint (ID du registre ou objet ad-hoc)
+    const endpoint = endpointRegistry.resolve(endpointOrId);
+    // Ancien ID (alias) : params renommés depuis (ex: hl-userFills { user })
+    if (typeof endpointOrId === 'string') parameters = endpointRegistry.migrateParams(endpointOrId, parameters);
+    const endpointId = endpoint.id || endpoint.name;
+    if (endpoint.method === 'WS') {
+      throw new HyperliquidApiError(`"${endpointId}" est un flux WebSocket : ouvrez une connexion au lieu d'une requête`, {
+        type: 'validation',
+        endpointId,
+        hint: 'Utilisez le client WebSocket (api/wsClient.js) avec la subscription de l\'endpoint.'
+      });
+    }
+
+    // ✅ 1. Validation des paramètres AVANT l'envoi
+    // Priorité : valeur passée > variable de l'environnement actif > défaut
+    // Seules les variables que l'endpoint référence sont injectées
+    // 🔐 Secrets de l'environnement : pas pour un catalogue importé non confirmé
+    const resolvedParameters = {
+      ...createDefaultParameters((endpoint.params || []).filter(param => param.default !== undefined)),
+      ...(options.environment === false
+        ? parameters
+        : environmentService.applyTo(parameters, {
+          secrets: endpointRegistry.allowsSecrets(endpoint),
+          only: getEndpointParameterNames(endpoint)
+        }))
+    };
+    const validation = validateParameters(endpoint.params || [], resolvedParameters);
+    if (!validation.valid) {
+      throw new ParameterValidationError(endpointId, validation);
+    }
+
+    // 🛑 Signal propre à cet appel : annulation de l'appelant OU timeout
+    const { signal, cleanup } = createRequestSignal({
+      signal: options.signal,
+      timeoutMs: options.timeoutMs ?? endpoint.timeoutMs ?? this.defaultTimeoutMs,
+      endpointId
+    });
+
+    // 🔒 Secrets (params `secret` + variables secrètes) : masqués partout où les
+    // paramètres sont visibles (intercepteurs, journaux, erreurs) ; les valeurs
+    // réelles ne servent qu'au remplacement des placeholders (context.secrets)
+    const secretKeys = [
+      ...(endpoint.params || []).filter(param => param.secret).map(param => param.name),
+      ...environmentService.getSecretKeys()
+    ];
+    const visibleParameters = maskSecrets(resolvedParameters, secretKeys);
+
+    // 🔗 Contexte partagé par les intercepteurs de cet appel
+    const context = {
+      endpoint,
+      endpointId,
+      parameters: visibleParameters,
+      networkId: networkService.getActiveNetworkId(),
+      options,
+      request: this._prepareRequest(endpoint, visibleParameters),
+      mockResponse: null,
+      respondWith(data) {
+        this.mockResponse = { data };
+      }
+    };
+    // Non énumérable : absent des journaux et des sérialisations du contexte
+    Object.defineProperty(context, 'secrets', {
+      value: Object.fromEntries(secretKeys
+        .filter(key => visibleParameters[key] !== resolvedParameters[key])
+        .map(key => [key, resolvedParameters[key]]))
     });
 
     try {
-      // ✨ 1. Préparation de la requête
-      const requestConfig = this._prepareRequest(endpoint, parameters);
-      
-      // 🌐 2. Exécution de la requête
-      const response = await this._performRequest(requestConfig);
-      
-      // ✅ 3. Traitement de la réponse
-      const processedResponse = await this._processResponse(response);
-      
-      console.log('✅ [API] Requête réussie:', {
-        status: response.status,
-        dataSize: JSON.stringify(processedResponse).length
-      });
+      // ✨ 2. Intercepteurs "avant" (paramètres, en-têtes, réponse simulée...)
+      await this.interceptors.runBeforeRequest(context);
+
+      const data = context.mockResponse
+        ? context.mockResponse.data
+        : await this._fetchThroughCache(this._finalizeRequest(context.request, endpoint), endpoint, options, signal);
 
-      return {
-        success: true,
-        status: response.status,
-        statusText: response.statusText,
-        data: processedResponse,
-        timestamp: new Date().toISOString()
-      };
+      // 🎁 4. Intercepteurs "après" (transformations, métriques...)
+      return await this.interceptors.runAfterResponse(data, context);
 
     } catch (error) {
-      console.error('❌ [API] Erreur lors de la requête:', error);
-      
-      return {
-        success: false,
-        error: {
-          message: error.message,
-          type: this._classifyError(error),
-          details: this._extractErrorDetails(error)
-        },
-        timestamp: new Date().toISOString()
-      };
+      const outcome = await this.interceptors.runOnError(
+        this._toApiError(error, endpointId, visibleParameters, secretKeys),
+        context
+      );
+      if (outcome.recovered) return outcome.data;
+      throw outcome.error;
+    } finally {
+      cleanup();
     }
   }
 
   /**
-   * 🛠️ Prépare la configuration de la requête
-   * Remplace les paramètres et configure les headers
+   * 🗃️ 3. Cache + déduplication (clé = réseau + URL + body résolu)
    */
-  _prepareRequest(endpoint, parameters) {
-    // Remplacer les paramètres dans le body si nécessaire
-    let requestBody = endpoint.body;
-    if (endpoint.params && endpoint.params.length > 0) {
-      requestBody = replaceParametersInObject(endpoint.body, parameters);
+  async _fetchThroughCache(requestConfig, endpoint, options, signal) {
+    if (options.cache === false) {
+      return await this._send(requestConfig, endpoint, signal);
     }
 
-    // Configuration de la requête
-    const config = {
+    const cacheKey = buildCacheKey({
+      networkId: requestConfig.bucket,
+      method: requestConfig.method,
+      url: requestConfig.url,
+      payload: requestConfig.payload
+    });
+
+    // La requête partagée reçoit son propre signal : elle n'est annulée
+    // que si tous les appelants qui l'attendent ont abandonné
+    return await this.cache.fetch(cacheKey, (sharedSignal) => this._send(requestConfig, endpoint, sharedSignal), {
+      ttlMs: options.ttlMs ?? endpoint.cacheTtlMs ?? getCacheTtl(requestConfig.payload),
+      forceRefresh: options.forceRefresh,
+      signal,
+      meta: {
+        endpointId: requestConfig.label,
+        type: requestConfig.payload?.type,
+        networkId: requestConfig.bucket
+      }
+    });
+  }
+
+  /**
+   * 🌐 Envoi réel : réseau + traitement de la réponse
+   * (appelé uniquement en cas de cache miss)
+   */
+  async _send(requestConfig, endpoint, signal) {
+    const response = await this._performRequest(requestConfig, signal);
+    const processedResponse = await this._processResponse(response, requestConfig, endpoint);
+
+    // ⚖️ Supplément de poids pour les réponses volumineuses
+    this.scheduler.recordExtraWeight(
+      requestConfig.bucket,
+      getResponseWeight(requestConfig.payload, processedResponse)
+    );
+
+    return processedResponse;
+  }
+
+  /**
+   * 🧹 Invalide le cache des réponses
+   * 
+   * @param {string|Function} [filter] - Type /info, ID d'endpoint ou prédicat (absent = tout)
+   * @returns {number} Nombre d'entrées supprimées
+   * 
+   * @example
+   * hyperliquidApi.invalidateCache('meta');
+   * hyperliquidApi.invalidateCache(entry => entry.networkId === 'testnet');
+   */
+  invalidateCache(filter) {
+    return this.cache.invalidate(filter);
+  }
+
+  /**
+   * 📈 Statistiques du cache (hits, misses, déduplications, taux de hit)
+   */
+  getCacheStats() {
+    return this.cache.getStats();
+  }
+
+  /**
+   * ⏳ Statistiques du rate-limit pour le réseau actif
+   * 
+   * @returns {Object} { queueDepth, inFlight, remainingWeight, capacity, ... }
+   */
+  getSchedulerStats() {
+    return this.scheduler.getStats(networkService.getActiveNetworkId());
+  }
+
+  /**
+   * ⏳ Abonnement aux changements de l'ordonnanceur
+   * 
+   * @param {Function} listener - Appelé à chaque changement (file, budget, rejeu)
+   * @returns {Function} Désabonnement
+   */
+  subscribeScheduler(listener) {
+    return this.scheduler.subscribe(listener);
+  }
+
+  /**
+   * 🛠️ Prépare la configuration de la requête
+   * Le body reste le template de l'endpoint : les placeholders sont
+   * remplacés par l'intercepteur "parameters"
+   */
+  _prepareRequest(endpoint, parameters) {
+    // L'URL est résolue maintenant, contre le réseau actif
+    return {
       method: endpoint.method,
       headers: {
         ...this.defaultHeaders,
         ...endpoint.headers
       },
-      url: endpoint.url
+      url: networkService.resolveEndpointUrl(endpoint),
+      payload: endpoint.body,
+      query: endpoint.query,
+      params: parameters,
+      label: endpoint.id || endpoint.name,
+      // Budget rate-limit : par réseau
+      // (une URL absolue vise une API tierce, hors budget Hyperliquid)
+      bucket: networkService.getActiveNetworkId(),
+      // Contrôle de forme réservé aux endpoints Hyperliquid
+      checkSchema: !endpoint.url
+    };
+  }
+
+  /**
+   * 📦 Complète la requête après les intercepteurs :
+   * poids selon le type /info final et body sérialisé
+   */
+  _finalizeRequest(config, endpoint) {
+    const finalConfig = {
+      ...config,
+      url: appendQueryString(config.url, config.method === 'GET' ? config.query : null),
+      weight: endpoint.rateLimitWeight ?? (endpoint.url ? 0 : getRequestWeight(config.payload))
     };
 
     // Ajouter le body pour les requêtes POST
-    if (endpoint.method === 'POST' && requestBody) {
-      config.body = JSON.stringify(requestBody);
+    if (config.method === 'POST' && config.payload) {
+      finalConfig.body = JSON.stringify(config.payload);
     }
 
-    console.log('🔧 [API] Configuration de la requête:', config);
-    return config;
+    return finalConfig;
   }
 
   /**
-   * 🌐 Effectue la requête HTTP
+   * 🌐 Effectue la requête HTTP via le transport actif
+   * - live / record : via l'ordonnanceur (mise en file si budget bas,
+   *   rejeu des 429 / 5xx / erreurs réseau)
+   * - replay : directement, hors budget rate-limit
    */
-  async _performRequest(config) {
-    const startTime = performance.now();
-    
-    const response = await fetch(config.url, {
-      method: config.method,
-      headers: config.headers,
-      body: config.body
-    });
-
-    const endTime = performance.now();
-    console.log(`⏱️ [API] Durée de la requête: ${Math.round(endTime - startTime)}ms`);
+  async _performRequest(config, signal) {
+    if (!transportService.getTransport().usesNetwork) {
+      return await transportService.send(config, signal);
+    }
 
-    return response;
+    return await this.scheduler.schedule(
+      (taskSignal) => transportService.send(config, taskSignal),
+      { weight: config.weight, bucket: config.bucket, label: config.label, signal }
+    );
   }
 
   /**
    * 📋 Traite la réponse de l'API
+   * Les échecs HTTP deviennent l'erreur la plus précise possible
+   * (429, adresse invalide, coin inconnu...) avec le body Hyperliquid,
+   * classée d'après les paramètres déclarés de l'endpoint.
    */
-  async _processResponse(response) {
+  async _processResponse(response, config, endpoint) {
+    const context = { endpointId: config.label, params: config.params };
+
     // Vérifier si la réponse est OK
     if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`HTTP ${response.status}: ${errorText}`);
+      const retryAfter = Number(response.headers.get('retry-after'));
+      throw createHttpError(response.status, await this._readErrorBody(response), {
+        ...context,
+        payload: config.payload,
+        endpoint,
+        retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null
+      });
     }
 
     // Déterminer le type de contenu
     const contentType = response.headers.get('content-type');
     
     if (contentType && contentType.includes('application/json')) {
-      return await response.json();
+      let data;
+      try {
+        data = await response.json();
+      } catch (error) {
+        throw new ParsingError(error, context);
+      }
+      return config.checkSchema ? validateResponseShape(config.payload, data, context) : data;
     } else {
       return await response.text();
     }
   }
 
   /**
-   * 🏷️ Classifie le type d'erreur pour un meilleur feedback
+   * 📄 Lit le body d'une réponse en erreur (JSON si possible, sinon texte)
    */
-  _classifyError(error) {
-    if (error.message.includes('fetch')) {
-      return 'network';
-    } else if (error.message.includes('HTTP 4')) {
-      return 'client';
-    } else if (error.message.includes('HTTP 5')) {
-      return 'server';
-    } else if (error.message.includes('JSON')) {
-      return 'parsing';
-    } else {
-      return 'unknown';
+  async _readErrorBody(response) {
+    const text = await response.text();
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+
+  /**
+   * 🚨 Convertit n'importe quelle erreur en HyperliquidApiError typée
+   * (classification par classe d'erreur, jamais par le texte du message)
+   * Les paramètres attachés à l'erreur sont toujours masqués (`secretKeys`)
+   */
+  _toApiError(error, endpointId, params, secretKeys = []) {
+    if (error instanceof HyperliquidApiError) {
+      error.endpointId = error.endpointId || endpointId;
+      error.params = maskSecrets(error.params || params, secretKeys);
+      return error;
+    }
+
+    // AbortController.abort() sans raison explicite → DOMException "AbortError"
+    if (error?.name === 'AbortError') {
+      return new RequestAbortedError(endpointId, error);
     }
+
+    // fetch rejette avec un TypeError quand le serveur est injoignable
+    if (error instanceof TypeError) {
+      return new NetworkError(error, { endpointId, params });
+    }
+
+    if (error instanceof SyntaxError) {
+      return new ParsingError(error, { endpointId, params });
+    }
+
+    return new HyperliquidApiError(error?.message || String(error), {
+      type: 'unknown',
+      endpointId,
+      params,
+      details: this._extractErrorDetails(error),
+      cause: error
+    });
   }
 
   /**
@@ -169,9 +461,9 @@ export class HyperliquidApiService {
    */
   _extractErrorDetails(error) {
     return {
-      name: error.name,
-      message: error.message,
-      stack: error.stack ? error.stack.split('\n').slice(0, 3) : null
+      name: error?.name,
+      message: error?.message,
+      stack: error?.stack ? error.stack.split('\n').slice(0, 3) : null
     };
   }
 }
@@ -182,6 +474,8 @@ export class HyperliquidApiService {
  */
 export const hyperliquidApi = new HyperliquidApiService();
 
+export default hyperliquidApi;
+
 /**
  * 🛠️ HELPER FUNCTIONS - Fonctions utilitaires
  */
@@ -190,29 +484,14 @@ export const hyperliquidApi = new HyperliquidApiService();
  * Teste si l'API Hyperliquid est accessible
  */
 export async function testApiConnection() {
-  console.log('🧪 [API] Test de connexion à l\'API Hyperliquid...');
+  console.log(`🧪 [API] Test de connexion à l'API Hyperliquid (${networkService.getActiveNetworkId()})...`);
   
   try {
-    const testEndpoint = {
-      name: 'Test de connexion',
-      method: 'POST',
-      url: 'https://api.hyperliquid.xyz/info',
-      headers: { 'Content-Type': 'application/json' },
-      body: { type: 'meta' },
-      params: []
-    };
-
-    const result = await hyperliquidApi.executeRequest(testEndpoint);
-    
-    if (result.success) {
-      console.log('✅ [API] Connexion réussie !');
-      return true;
-    } else {
-      console.log('❌ [API] Échec de la connexion:', result.error);
-      return false;
-    }
+    await hyperliquidApi.executeRequest('meta');
+    console.log('✅ [API] Connexion réussie !');
+    return true;
   } catch (error) {
-    console.log('💥 [API] Erreur lors du test:', error);
+    console.log('❌ [API] Échec de la connexion:', error.type, error.message);
     return false;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,265 @@
+/**
+ * 🔗 INTERCEPTORS
+ * ===============
+ *
+ * Chaîne d'intercepteurs du HyperliquidApiService.
+ * Permet d'ajouter un comportement autour de chaque requête sans modifier
+ * le service : en-têtes d'authentification, métriques, transformation des
+ * réponses, réponses simulées...
+ *
+ * 🧩 Un intercepteur est un objet avec jusqu'à trois hooks (sync ou async) :
+ * - beforeRequest(context)        : modifie context.request avant l'envoi,
+ *                                   ou court-circuite via context.respondWith(data)
+ * - afterResponse(data, context)  : retourne des données transformées
+ *                                   (undefined = inchangées)
+ * - onError(error, context)       : retourne une autre Error pour la remplacer,
+ *                                   ou récupère via context.respondWith(data)
+ *
+ * 🔄 Ordre "oignon" : beforeRequest dans l'ordre d'enregistrement,
+ * afterResponse / onError dans l'ordre inverse.
+ *
+ * 🎯 Portée : globale, limitée à certains endpoints (`{ endpoints: [...] }`),
+ * ou déclarée sur l'endpoint lui-même (`endpoint.interceptors`).
+ *
+ * ⚠️ Les réponses servies par le cache sont partagées : un afterResponse
+ * doit retourner une copie, jamais muter `data`. De même, remplacer
+ * `context.request.payload` plutôt que le muter (c'est d'abord le
+ * template de l'endpoint).
+ */
+
+import { resolveTemplate } from '../utils/parameterUtils.js';
+import { SECRET_MASK } from '../utils/requestCollections.js';
+import { ParameterValidationError } from './errors.js';
+
+/**
+ * 📊 Classe de la chaîne d'intercepteurs
+ */
+export class InterceptorChain {
+  constructor() {
+    /**
+     * Intercepteurs enregistrés : { interceptor, endpoints }
+     * @type {Array<Object>}
+     */
+    this.entries = [];
+  }
+
+  /**
+   * ➕ Enregistre un intercepteur
+   *
+   * @param {Object} interceptor - { name?, beforeRequest?, afterResponse?, onError? }
+   * @param {Object} [options]
+   * @param {string[]} [options.endpoints] - IDs d'endpoints concernés (absent = tous)
+   * @returns {Function} Retire l'intercepteur
+   *
+   * @example
+   * const eject = hyperliquidApi.use({
+   *   name: 'auth-0x',
+   *   beforeRequest(context) {
+   *     context.request.headers['0x-api-key'] = apiKey;
+   *   }
+   * }, { endpoints: ['zerox-quote'] });
+   */
+  use(interceptor, { endpoints = null } = {}) {
+    const entry = { interceptor, endpoints: endpoints ? new Set(endpoints) : null };
+    this.entries.push(entry);
+    return () => {
+      this.entries = this.entries.filter(item => item !== entry);
+    };
+  }
+
+  /**
+   * ➖ Retire les intercepteurs portant ce nom
+   *
+   * @param {string} name - Nom de l'intercepteur (ex: "logging")
+   * @returns {boolean} Vrai si au moins un intercepteur a été retiré
+   */
+  remove(name) {
+    const before = this.entries.length;
+    this.entries = this.entries.filter(entry => entry.interceptor.name !== name);
+    return this.entries.length < before;
+  }
+
+  /**
+   * 📋 Noms des intercepteurs globaux, dans l'ordre d'exécution
+   */
+  list() {
+    return this.entries.map(entry => entry.interceptor.name || 'anonymous');
+  }
+
+  /**
+   * Intercepteurs applicables : globaux filtrés + ceux de l'endpoint
+   */
+  _resolve(context) {
+    const global = this.entries
+      .filter(entry => !entry.endpoints || entry.endpoints.has(context.endpointId))
+      .map(entry => entry.interceptor);
+    return [...global, ...(context.endpoint.interceptors || [])];
+  }
+
+  /**
+   * ⏩ Exécute les beforeRequest (s'arrête dès qu'une réponse est fournie)
+   */
+  async runBeforeRequest(context) {
+    for (const interceptor of this._resolve(context)) {
+      if (!interceptor.beforeRequest) continue;
+      await interceptor.beforeRequest(context);
+      if (context.mockResponse) break;
+    }
+  }
+
+  /**
+   * ⏪ Exécute les afterResponse (ordre inverse)
+   *
+   * @returns {Promise<any>} Données éventuellement transformées
+   */
+  async runAfterResponse(data, context) {
+    let result = data;
+    for (const interceptor of this._resolve(context).reverse()) {
+      if (!interceptor.afterResponse) continue;
+      const transformed = await interceptor.afterResponse(result, context);
+      if (transformed !== undefined) result = transformed;
+    }
+    return result;
+  }
+
+  /**
+   * 🚨 Exécute les onError (ordre inverse)
+   *
+   * @returns {Promise<{ error?: Error, data?: any, recovered: boolean }>}
+   */
+  async runOnError(error, context) {
+    let current = error;
+    for (const interceptor of this._resolve(context).reverse()) {
+      if (!interceptor.onError) continue;
+      const replaced = await interceptor.onError(current, context);
+      if (replaced instanceof Error) current = replaced;
+      if (context.mockResponse) {
+        return { recovered: true, data: context.mockResponse.data };
+      }
+    }
+    return { recovered: false, error: current };
+  }
+}
+
+/**
+ * ============================================================================
+ * INTERCEPTEURS INTÉGRÉS
+ * ============================================================================
+ */
+
+/**
+ * 🔄 Remplacement des placeholders {{param}} dans le body, la query
+ * (endpoints GET), les en-têtes et l'URL absolue (API tierces)
+ *
+ * Les valeurs sont converties selon `endpoint.params[].type` (un
+ * "{{start_time}}" de type number part en nombre). Un placeholder
+ * sans valeur bloque l'envoi au lieu de partir tel quel.
+ * `context.parameters` porte les secrets masqués : leurs valeurs réelles
+ * viennent de `context.secrets` (sauf si un intercepteur les a remplacées).
+ */
+export const parameterReplacementInterceptor = {
+  name: 'parameters',
+  beforeRequest(context) {
+    const { endpoint, endpointId } = context;
+    const parameters = revealSecrets(context.parameters, context.secrets);
+    const unresolved = new Set();
+    const errors = new Set();
+    const resolve = (template) => {
+      const result = resolveTemplate(template, parameters, endpoint.params);
+      result.unresolved.forEach(name => unresolved.add(name));
+      result.errors.forEach(message => errors.add(message));
+      return result.value;
+    };
+
+    const payload = endpoint.body == null ? context.request.payload : resolve(endpoint.body);
+    const query = endpoint.query == null ? context.request.query : resolve(endpoint.query);
+    const headers = endpoint.headers == null ? context.request.headers : { ...context.request.headers, ...resolve(endpoint.headers) };
+    const url = endpoint.url ? resolve(endpoint.url) : context.request.url;
+
+    if (unresolved.size > 0 || errors.size > 0) {
+      throw new ParameterValidationError(endpointId, { missing: [...unresolved], errors: [...errors] });
+    }
+    context.request.payload = payload;
+    context.request.query = query;
+    context.request.headers = headers;
+    context.request.url = url;
+  }
+};
+
+/**
+ * Paramètres réels : valeurs masquées restaurées depuis les secrets
+ */
+function revealSecrets(parameters, secrets = {}) {
+  const result = { ...parameters };
+  for (const [key, value] of Object.entries(secrets)) {
+    if (result[key] === SECRET_MASK) result[key] = value;
+  }
+  return result;
+}
+
+/**
+ * Template résolu pour affichage : secrets masqués à l'emplacement de leur placeholder
+ */
+function maskedTemplate(template, context) {
+  const masks = Object.fromEntries(Object.keys(context.secrets || {}).map(key => [key, SECRET_MASK]));
+  return resolveTemplate(template, context.parameters, context.endpoint.params, { masks }).value;
+}
+
+/**
+ * ⏱️ Mesure la durée de chaque requête (context.durationMs)
+ */
+export function createTimingInterceptor() {
+  const measure = (context) => {
+    if (context.startTime === undefined) return;
+    context.durationMs = Math.round(performance.now() - context.startTime);
+    console.log(`⏱️ [API] Durée de la requête ${context.endpointId}: ${context.durationMs}ms`);
+  };
+
+  return {
+    name: 'timing',
+    beforeRequest(context) {
+      context.startTime = performance.now();
+    },
+    afterResponse(data, context) {
+      measure(context);
+    },
+    onError(error, context) {
+      measure(context);
+    }
+  };
+}
+
+/**
+ * 📝 Journalisation console des requêtes, réponses et erreurs
+ */
+export function createLoggingInterceptor() {
+  return {
+    name: 'logging',
+    beforeRequest(context) {
+      const hasSecrets = Object.keys(context.secrets || {}).length > 0;
+      console.log('🚀 [API] Exécution de la requête:', {
+        endpoint: context.endpointId,
+        method: context.request.method,
+        network: context.networkId,
+        // Secrets : URL et payload reconstruits depuis les templates, masques en place
+        url: hasSecrets && context.endpoint.url ? maskedTemplate(context.endpoint.url, context) : context.request.url,
+        parameters: context.parameters,
+        payload: hasSecrets && context.endpoint.body != null
+          ? maskedTemplate(context.endpoint.body, context)
+          : context.request.payload
+      });
+    },
+    afterResponse(data) {
+      console.log('✅ [API] Requête réussie:', {
+        dataSize: JSON.stringify(data)?.length ?? 0
+      });
+    },
+    onError(error, context) {
+      if (error.type === 'aborted') {
+        console.log(`🛑 [API] Requête annulée: ${context.endpointId}`);
+      } else {
+        console.error('❌ [API] Erreur lors de la requête:', error);
+      }
+    }
+  };
+}
@@ -0,0 +1,415 @@
+/**
+ * ⏳ REQUEST SCHEDULER
+ * ====================
+ *
+ * Ordonnanceur des requêtes REST Hyperliquid, conscient du rate-limit.
+ *
+ * 📋 Règles Hyperliquid (par IP) :
+ * - Budget de 1200 de "poids" par fenêtre glissante d'une minute
+ * - Chaque type /info a un poids différent (2, 20, 60...)
+ * - Certains types coûtent un supplément selon le nombre d'éléments retournés
+ *
+ * 🔧 Fonctionnalités :
+ * - Suivi du budget consommé par réseau (mainnet / testnet / custom)
+ * - File d'attente FIFO par bucket quand le budget est presque épuisé
+ *   (un réseau bloqué ne retient pas les requêtes des autres)
+ * - Rejeu des échecs 429 / 5xx / réseau avec backoff exponentiel "full jitter"
+ * - Statistiques observables (profondeur de file, budget restant) pour l'UI
+ * - Annulation (AbortSignal) en file, pendant la requête ou pendant le backoff
+ */
+
+import { sleep } from './abort.js';
+
+/**
+ * 📊 Configuration du rate-limit Hyperliquid
+ */
+export const RATE_LIMIT_CONFIG = {
+  capacity: 1200,        // Poids maximal par fenêtre
+  windowMs: 60 * 1000,   // Fenêtre glissante d'une minute
+  safetyMargin: 60,      // Poids gardé en réserve avant de mettre en file
+  maxRetries: 3,         // Tentatives supplémentaires après un échec
+  baseDelayMs: 500,      // Délai de base du backoff
+  maxDelayMs: 10 * 1000  // Plafond du backoff
+};
+
+// ⚖️ Poids par défaut d'une requête /info
+export const DEFAULT_INFO_WEIGHT = 20;
+
+/**
+ * ⚖️ Poids spécifiques par type /info
+ * (les types absents utilisent DEFAULT_INFO_WEIGHT)
+ */
+export const INFO_TYPE_WEIGHTS = {
+  l2Book: 2,
+  allMids: 2,
+  clearinghouseState: 2,
+  orderStatus: 2,
+  spotClearinghouseState: 2,
+  exchangeStatus: 2,
+  userRole: 60
+};
+
+/**
+ * ➕ Supplément de poids selon la taille de la réponse
+ * { type: nombre d'éléments par unité de poids supplémentaire }
+ */
+export const RESPONSE_SIZE_WEIGHTS = {
+  recentTrades: 20,
+  historicalOrders: 20,
+  userFills: 20,
+  userFillsByTime: 20,
+  fundingHistory: 20,
+  userFunding: 20,
+  nonUserFundingUpdates: 20,
+  twapHistory: 20,
+  userTwapSliceFills: 20,
+  userTwapSliceFillsByTime: 20,
+  candleSnapshot: 60
+};
+
+/**
+ * ⚖️ Calcule le poids d'une requête à partir de son body
+ *
+ * @param {Object|null} body - Body JSON de la requête (ex: { type: 'l2Book' })
+ * @returns {number} Poids estimé
+ */
+export function getRequestWeight(body) {
+  const type = body?.type;
+  if (!type) return DEFAULT_INFO_WEIGHT;
+  return INFO_TYPE_WEIGHTS[type] ?? DEFAULT_INFO_WEIGHT;
+}
+
+/**
+ * ➕ Calcule le supplément de poids dû à la taille d'une réponse
+ *
+ * @param {Object|null} body - Body JSON de la requête
+ * @param {any} data - Données de la réponse
+ * @returns {number} Poids supplémentaire (0 si non concerné)
+ */
+export function getResponseWeight(body, data) {
+  const perUnit = RESPONSE_SIZE_WEIGHTS[body?.type];
+  if (!perUnit || !Array.isArray(data)) return 0;
+  return Math.floor(data.length / perUnit);
+}
+
+/**
+ * 🔁 Indique si un statut HTTP mérite un nouvel essai
+ */
+export function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * 📊 Classe de l'ordonnanceur
+ */
+export class RequestScheduler {
+  /**
+   * @param {Object} [options] - Surcharges de RATE_LIMIT_CONFIG
+   */
+  constructor(options = {}) {
+    this.config = { ...RATE_LIMIT_CONFIG, ...options };
+
+    /**
+     * Historique des poids consommés, par bucket (réseau)
+     * @type {Map<string, Array<{ time: number, weight: number }>>}
+     */
+    this.usage = new Map();
+
+    /**
+     * File d'attente des tâches en attente de budget (FIFO au sein d'un bucket)
+     * @type {Array<Object>}
+     */
+    this.queue = [];
+
+    // Buckets actuellement limités (log et compteur au passage en limitation seulement)
+    this.throttledBuckets = new Set();
+
+    // Compteurs exposés à l'UI
+    this.inFlight = 0;
+    this.retryCount = 0;
+    this.throttledCount = 0;
+
+    // Bucket bloqué après un 429 : { [bucket]: timestamp de fin }
+    this.blockedUntil = new Map();
+
+    this.drainTimer = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * ============================================================================
+   * PLANIFICATION
+   * ============================================================================
+   *
+   * Place une tâche dans la file. Elle s'exécute dès que le budget du bucket
+   * le permet, et est rejouée en cas d'échec transitoire.
+   *
+   * @param {Function} task - (signal) => Promise<Response>
+   * @param {Object} options
+   * @param {number} [options.weight] - Poids de la requête (plafonné à capacity - safetyMargin,
+   *   sinon la tâche ne trouverait jamais assez de budget)
+   * @param {string} [options.bucket] - Bucket de budget (ID réseau)
+   * @param {string} [options.label] - Libellé pour les logs
+   * @param {AbortSignal} [options.signal] - Annule la tâche (retirée de la file si en attente)
+   * @returns {Promise<Response>} Réponse finale (succès ou dernier échec)
+   */
+  schedule(task, { weight = DEFAULT_INFO_WEIGHT, bucket = 'default', label = 'request', signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const maxWeight = this.config.capacity - this.config.safetyMargin;
+      const job = { task, weight: Math.min(weight, maxWeight), bucket, label, signal, attempt: 0, resolve, reject };
+
+      // Annulation pendant l'attente en file : on libère la place
+      job.onAbort = () => {
+        const index = this.queue.indexOf(job);
+        if (index !== -1) {
+          this.queue.splice(index, 1);
+          reject(signal.reason);
+          this._drain();
+        }
+      };
+      signal?.addEventListener('abort', job.onAbort, { once: true });
+
+      this.queue.push(job);
+      this._drain();
+    });
+  }
+
+  /**
+   * ➕ Enregistre un poids consommé a posteriori (supplément de réponse)
+   *
+   * @param {string} bucket - Bucket concerné
+   * @param {number} weight - Poids à ajouter
+   */
+  recordExtraWeight(bucket, weight) {
+    if (weight > 0) {
+      this._record(bucket, weight);
+      this._emit();
+    }
+  }
+
+  /**
+   * ============================================================================
+   * BUDGET
+   * ============================================================================
+   */
+
+  /**
+   * Purge les entrées sorties de la fenêtre et retourne le poids utilisé
+   */
+  _usedWeight(bucket, now = Date.now()) {
+    const entries = (this.usage.get(bucket) || [])
+      .filter(entry => now - entry.time < this.config.windowMs);
+    this.usage.set(bucket, entries);
+    return entries.reduce((sum, entry) => sum + entry.weight, 0);
+  }
+
+  _record(bucket, weight) {
+    const entries = this.usage.get(bucket) || [];
+    entries.push({ time: Date.now(), weight });
+    this.usage.set(bucket, entries);
+  }
+
+  /**
+   * Vérifie si une tâche peut partir maintenant (budget + blocage 429)
+   */
+  _canRun(job, now = Date.now()) {
+    if ((this.blockedUntil.get(job.bucket) || 0) > now) return false;
+    const remaining = this.config.capacity - this._usedWeight(job.bucket, now);
+    return remaining - job.weight >= this.config.safetyMargin;
+  }
+
+  /**
+   * Délai avant qu'une tâche bloquée puisse partir
+   */
+  _waitTime(job, now = Date.now()) {
+    const blocked = (this.blockedUntil.get(job.bucket) || 0) - now;
+    if (blocked > 0) return blocked;
+
+    // Attendre l'expiration de la plus ancienne entrée de la fenêtre
+    const entries = this.usage.get(job.bucket) || [];
+    if (entries.length === 0) return 0;
+    return Math.max(0, entries[0].time + this.config.windowMs - now);
+  }
+
+  /**
+   * ============================================================================
+   * EXÉCUTION DE LA FILE
+   * ============================================================================
+   */
+  _drain() {
+    if (this.drainTimer) {
+      clearTimeout(this.drainTimer);
+      this.drainTimer = null;
+    }
+
+    // Premier job de chaque bucket : s'il ne peut pas partir, tout son
+    // bucket attend (FIFO) mais les autres buckets continuent
+    const blocked = new Map();
+    for (const job of [...this.queue]) {
+      if (blocked.has(job.bucket)) continue;
+
+      if (!this._canRun(job)) {
+        blocked.set(job.bucket, this._waitTime(job));
+        continue;
+      }
+
+      this.queue.splice(this.queue.indexOf(job), 1);
+      this._record(job.bucket, job.weight);
+      this._run(job);
+    }
+
+    this._updateThrottled(blocked);
+    if (blocked.size > 0) {
+      const wait = Math.min(...blocked.values());
+      this.drainTimer = setTimeout(() => this._drain(), Math.max(wait, 50));
+    }
+
+    this._emit();
+  }
+
+  /**
+   * Suit les buckets limités : log au passage en limitation uniquement
+   * (l'état courant est exposé par getStats)
+   */
+  _updateThrottled(blocked) {
+    blocked.forEach((wait, bucket) => {
+      if (this.throttledBuckets.has(bucket)) return;
+      this.throttledBuckets.add(bucket);
+      this.throttledCount++;
+      const depth = this.queue.filter(job => job.bucket === bucket).length;
+      console.warn(`⏳ [Scheduler] Budget bas (${bucket}), ${depth} requête(s) en file — reprise dans ${wait}ms`);
+    });
+    this.throttledBuckets.forEach(bucket => {
+      if (!blocked.has(bucket)) this.throttledBuckets.delete(bucket);
+    });
+  }
+
+  /**
+   * Exécute une tâche et gère le rejeu avec backoff
+   */
+  async _run(job) {
+    this.inFlight++;
+    this._emit();
+
+    let response = null;
+    let failure = null;
+
+    try {
+      response = await job.task(job.signal);
+    } catch (error) {
+      failure = error;
+    } finally {
+      this.inFlight--;
+    }
+
+    const retryable = !job.signal?.aborted && (failure
+      ? this._isRetryableError(failure)
+      : isRetryableStatus(response.status));
+
+    if (!retryable || job.attempt >= this.config.maxRetries) {
+      job.signal?.removeEventListener('abort', job.onAbort);
+      if (failure) job.reject(failure);
+      else job.resolve(response);
+      this._emit();
+      return;
+    }
+
+    // 🔁 Nouvel essai avec backoff exponentiel "full jitter"
+    const delay = this._backoffDelay(job.attempt, response);
+    job.attempt++;
+    this.retryCount++;
+
+    if (response?.status === 429) {
+      // Le serveur nous limite : on bloque tout le bucket pendant le délai
+      this.blockedUntil.set(job.bucket, Date.now() + delay);
+    }
+
+    console.warn(`🔁 [Scheduler] ${job.label} : ${failure ? failure.message : `HTTP ${response.status}`} — essai ${job.attempt}/${this.config.maxRetries} dans ${delay}ms`);
+    this._emit();
+
+    try {
+      await sleep(delay, job.signal);
+    } catch (abortReason) {
+      // Annulé pendant le backoff : pas de nouvel essai
+      job.signal.removeEventListener('abort', job.onAbort);
+      job.reject(abortReason);
+      this._emit();
+      return;
+    }
+
+    this.queue.unshift(job);
+    this._drain();
+  }
+
+  /**
+   * Les erreurs réseau (fetch rejeté) sont transitoires
+   */
+  _isRetryableError(error) {
+    return error?.name === 'TypeError' || error?.retryable === true;
+  }
+
+  /**
+   * Délai de backoff : aléatoire dans [0, min(max, base × 2^attempt)]
+   * Respecte l'en-tête Retry-After s'il est présent
+   */
+  _backoffDelay(attempt, response) {
+    const retryAfter = Number(response?.headers?.get?.('retry-after'));
+    if (retryAfter > 0) {
+      return Math.min(retryAfter * 1000, this.config.maxDelayMs);
+    }
+
+    const ceiling = Math.min(this.config.maxDelayMs, this.config.baseDelayMs * 2 ** attempt);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * ============================================================================
+   * STATISTIQUES & ABONNEMENT
+   * ============================================================================
+   *
+   * @param {string} [bucket] - Bucket à inspecter
+   * @returns {Object} { queueDepth, inFlight, usedWeight, remainingWeight, capacity, ... }
+   */
+  getStats(bucket = 'default') {
+    const usedWeight = this._usedWeight(bucket);
+    const blockedFor = Math.max(0, (this.blockedUntil.get(bucket) || 0) - Date.now());
+
+    return {
+      bucket,
+      queueDepth: this.queue.filter(job => job.bucket === bucket).length,
+      inFlight: this.inFlight,
+      usedWeight,
+      remainingWeight: Math.max(0, this.config.capacity - usedWeight),
+      capacity: this.config.capacity,
+      windowMs: this.config.windowMs,
+      retryCount: this.retryCount,
+      throttledCount: this.throttledCount,
+      throttled: this.throttledBuckets.has(bucket),
+      blockedFor
+    };
+  }
+
+  /**
+   * @param {Function} listener - Appelé à chaque changement d'état
+   * @returns {Function} Désabonnement
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _emit() {
+    this.listeners.forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        console.error('❌ [Scheduler] Erreur dans un abonné:', error);
+      }
+    });
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * 🗃️ RESPONSE CACHE
+ * =================
+ *
+ * Cache mémoire des réponses de l'API Hyperliquid.
+ *
+ * 🔧 Fonctionnalités :
+ * - Clé = réseau + méthode + URL + body résolu (deux requêtes identiques
+ *   partagent la même entrée, mainnet et testnet ne se mélangent jamais)
+ * - TTL par type /info : long pour meta/spotMeta, court pour allMids/l2Book
+ * - Déduplication des requêtes identiques en vol : une seule promesse partagée
+ * - Invalidation explicite (tout, par type, ou par prédicat)
+ * - Statistiques (hits, misses, requêtes dédupliquées)
+ * - Annulation par appelant : la requête partagée n'est annulée que lorsque
+ *   TOUS ses consommateurs ont abandonné
+ *
+ * ⚠️ Les données en cache sont partagées par référence : ne pas les muter.
+ */
+
+import { raceWithSignal } from './abort.js';
+import { stableStringify } from '../utils/stableStringify.js';
+
+/**
+ * ⏱️ TTL par type /info (en millisecondes)
+ * 0 = jamais mis en cache (mais toujours dédupliqué en vol)
+ */
+export const CACHE_TTL_BY_TYPE = {
+  meta: 5 * 60 * 1000,
+  spotMeta: 5 * 60 * 1000,
+  metaAndAssetCtxs: 10 * 1000,
+  spotMetaAndAssetCtxs: 10 * 1000,
+  allMids: 2 * 1000,
+  l2Book: 1000,
+  clearinghouseState: 3 * 1000,
+  candleSnapshot: 30 * 1000,
+  predictedFundings: 30 * 1000,
+  perpsAtOpenInterestCap: 10 * 1000,
+  fundingHistory: 60 * 1000,
+  tokenDetails: 60 * 1000
+};
+
+// ⏱️ TTL des types absents de la table
+export const DEFAULT_CACHE_TTL_MS = 0;
+
+/**
+ * ⏱️ Retourne le TTL applicable à un body de requête
+ *
+ * @param {Object|null} body - Body JSON (ex: { type: 'meta' })
+ * @returns {number} TTL en millisecondes
+ */
+export function getCacheTtl(body) {
+  return CACHE_TTL_BY_TYPE[body?.type] ?? DEFAULT_CACHE_TTL_MS;
+}
+
+/**
+ * 🔑 Construit la clé de cache d'une requête
+ *
+ * @param {Object} request
+ * @param {string} request.networkId - Réseau actif
+ * @param {string} request.method - Méthode HTTP
+ * @param {string} request.url - URL résolue
+ * @param {Object|null} request.payload - Body résolu
+ * @returns {string} Clé stable
+ */
+export function buildCacheKey({ networkId, method, url, payload }) {
+  return `${networkId}|${method}|${url}|${stableStringify(payload ?? null)}`;
+}
+
+/**
+ * 📊 Classe du cache
+ */
+export class ResponseCache {
+  constructor() {
+    /**
+     * Entrées valides : clé → { data, expiresAt, storedAt, type, networkId }
+     * @type {Map<string, Object>}
+     */
+    this.entries = new Map();
+
+    /**
+     * Requêtes en vol : clé → { promise, controller, consumers }
+     * @type {Map<string, Object>}
+     */
+    this.inFlight = new Map();
+
+    this.stats = { hits: 0, misses: 0, dedupHits: 0, invalidations: 0 };
+  }
+
+  /**
+   * 🔍 Lit une entrée valide (les entrées expirées sont purgées)
+   *
+   * @param {string} key - Clé de cache
+   * @returns {Object|undefined} Entrée { data, expiresAt, ... }
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  /**
+   * 💾 Stocke une réponse
+   *
+   * @param {string} key - Clé de cache
+   * @param {any} data - Données de la réponse
+   * @param {number} ttlMs - Durée de validité
+   * @param {Object} [meta] - { type, networkId, endpointId } pour l'invalidation
+   */
+  set(key, data, ttlMs, meta = {}) {
+    if (!(ttlMs > 0)) return;
+    const now = Date.now();
+    this.entries.set(key, { ...meta, data, storedAt: now, expiresAt: now + ttlMs });
+  }
+
+  /**
+   * 🎯 Exécute `loader` en servant le cache et en dédupliquant les appels
+   *
+   * @param {string} key - Clé de cache
+   * @param {Function} loader - (signal) => Promise<data>
+   * @param {Object} options
+   * @param {number} options.ttlMs - TTL de la réponse
+   * @param {boolean} [options.forceRefresh] - Ignore l'entrée en cache
+   * @param {Object} [options.meta] - Métadonnées stockées avec l'entrée
+   * @param {AbortSignal} [options.signal] - Signal de CET appelant
+   * @returns {Promise<any>} Données
+   */
+  async fetch(key, loader, { ttlMs, forceRefresh = false, meta = {}, signal } = {}) {
+    if (signal?.aborted) throw signal.reason;
+
+    if (!forceRefresh) {
+      const entry = this.get(key);
+      if (entry) {
+        this.stats.hits++;
+        return entry.data;
+      }
+    }
+
+    // Requête identique déjà en vol : on partage sa promesse
+    // (une requête abandonnée par tous ses consommateurs n'est plus partageable)
+    const pending = this.inFlight.get(key);
+    if (pending && !pending.controller.signal.aborted) {
+      this.stats.dedupHits++;
+      return this._consume(pending, signal);
+    }
+
+    this.stats.misses++;
+    const controller = new AbortController();
+    const shared = {
+      key,
+      consumers: 0,
+      controller,
+      promise: (async () => {
+        try {
+          const data = await loader(controller.signal);
+          this.set(key, data, ttlMs, meta);
+          return data;
+        } finally {
+          this._forget(shared);
+        }
+      })()
+    };
+
+    this.inFlight.set(key, shared);
+    return this._consume(shared, signal);
+  }
+
+  /**
+   * Rattache un consommateur à une requête partagée
+   * Un consommateur sans signal ne peut pas abandonner : la requête
+   * partagée ira alors toujours à son terme.
+   * Dernier consommateur parti : la requête est annulée et retirée des
+   * requêtes en vol tout de suite (un appel identique juste après repart
+   * d'une requête neuve au lieu de rejoindre la requête annulée).
+   */
+  _consume(shared, signal) {
+    shared.consumers++;
+    return raceWithSignal(shared.promise, signal, () => {
+      shared.consumers--;
+      if (shared.consumers === 0) {
+        this._forget(shared);
+        shared.controller.abort(signal.reason);
+      }
+    });
+  }
+
+  /**
+   * Retire une requête partagée des requêtes en vol (si elle y est encore :
+   * une requête neuve a pu prendre sa place)
+   */
+  _forget(shared) {
+    if (this.inFlight.get(shared.key) === shared) this.inFlight.delete(shared.key);
+  }
+
+  /**
+   * 🧹 Invalide des entrées
+   *
+   * @param {string|Function} [filter]
+   *   - absent   : vide tout le cache
+   *   - string   : type /info (ex: "meta") ou ID d'endpoint
+   *   - function : prédicat (entry, key) => boolean
+   * @returns {number} Nombre d'entrées supprimées
+   */
+  invalidate(filter) {
+    let removed = 0;
+
+    for (const [key, entry] of this.entries) {
+      const match = filter === undefined
+        || (typeof filter === 'function' && filter(entry, key))
+        || (typeof filter === 'string' && (entry.type === filter || entry.endpointId === filter));
+
+      if (match) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+
+    this.stats.invalidations += removed;
+    if (removed > 0) {
+      console.log(`🧹 [Cache] ${removed} entrée(s) invalidée(s)`);
+    }
+    return removed;
+  }
+
+  /**
+   * 📈 Statistiques du cache
+   *
+   * @returns {Object} { hits, misses, dedupHits, hitRate, entries, inFlight, invalidations }
+   */
+  getStats() {
+    const served = this.stats.hits + this.stats.dedupHits;
+    const total = served + this.stats.misses;
+
+    return {
+      ...this.stats,
+      hitRate: total > 0 ? served / total : 0,
+      entries: this.entries.size,
+      inFlight: this.inFlight.size
+    };
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * 🧪 Tests du cache de réponses (node --test)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ResponseCache } from './responseCache.js';
+
+/**
+ * Loader qui ne répond qu'à la demande, et rejette si on l'annule
+ */
+function deferredLoader() {
+  const calls = [];
+  const loader = (signal) => new Promise((resolve, reject) => {
+    calls.push({ resolve, signal });
+    signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+  return { loader, calls };
+}
+
+test('une requête identique envoyée juste après un abandon repart d\'une requête neuve', async () => {
+  const cache = new ResponseCache();
+  const { loader, calls } = deferredLoader();
+
+  const first = new AbortController();
+  const aborted = cache.fetch('allMids', loader, { ttlMs: 0, signal: first.signal });
+  first.abort(new Error('annulée'));
+
+  // Même tick que l'abandon : la requête annulée est encore en cours de rejet
+  const second = new AbortController();
+  const retried = cache.fetch('allMids', loader, { ttlMs: 0, signal: second.signal });
+  await assert.rejects(aborted, /annulée/);
+  assert.equal(calls.length, 2);
+  assert.equal(calls[0].signal.aborted, true);
+  assert.equal(calls[1].signal.aborted, false);
+
+  calls[1].resolve({ BTC: '97000' });
+  assert.deepEqual(await retried, { BTC: '97000' });
+  assert.equal(cache.getStats().inFlight, 0);
+});
+
+test('la requête partagée continue tant qu\'un consommateur reste', async () => {
+  const cache = new ResponseCache();
+  const { loader, calls } = deferredLoader();
+
+  const leaving = new AbortController();
+  const abandoned = cache.fetch('l2Book', loader, { ttlMs: 0, signal: leaving.signal });
+  const staying = cache.fetch('l2Book', loader, { ttlMs: 0, signal: new AbortController().signal });
+  leaving.abort(new Error('annulée'));
+  await assert.rejects(abandoned, /annulée/);
+
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].signal.aborted, false);
+  calls[0].resolve({ levels: [[], []] });
+  assert.deepEqual(await staying, { levels: [[], []] });
+});
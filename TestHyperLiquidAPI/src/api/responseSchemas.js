@@ -0,0 +1,133 @@
+/**
+ * 🧩 RESPONSE SCHEMAS
+ * ===================
+ *
+ * Contrôle minimal de la forme des réponses /info, par type.
+ * Le but n'est pas de tout valider, seulement de détecter tôt une réponse
+ * inutilisable (API qui évolue, mauvais type, coin inconnu) au lieu de
+ * laisser l'UI planter plus loin sur un `undefined`.
+ *
+ * Les types absents de la table ne sont pas contrôlés.
+ */
+
+import { UnexpectedSchemaError, UnknownCoinError } from './errors.js';
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * 📋 Forme attendue par type /info
+ * { type: { expected: description lisible, check: (data) => boolean } }
+ */
+export const RESPONSE_SCHEMAS = {
+  allMids: {
+    expected: 'un objet { coin: prix }',
+    check: isObject
+  },
+  meta: {
+    expected: 'un objet { universe: [...] }',
+    check: data => isObject(data) && Array.isArray(data.universe)
+  },
+  spotMeta: {
+    expected: 'un objet { universe: [...], tokens: [...] }',
+    check: data => isObject(data) && Array.isArray(data.universe) && Array.isArray(data.tokens)
+  },
+  metaAndAssetCtxs: {
+    expected: 'un tableau [meta, assetCtxs]',
+    check: data => Array.isArray(data) && data.length === 2
+  },
+  spotMetaAndAssetCtxs: {
+    expected: 'un tableau [spotMeta, assetCtxs]',
+    check: data => Array.isArray(data) && data.length === 2
+  },
+  spotClearinghouseState: {
+    expected: 'un objet { balances: [...] }',
+    check: data => isObject(data) && Array.isArray(data.balances)
+  },
+  tokenDetails: {
+    expected: 'un objet { name, totalSupply, ... }',
+    check: isObject
+  },
+  l2Book: {
+    expected: 'un objet { levels: [bids, asks] }',
+    check: data => isObject(data) && Array.isArray(data.levels) && data.levels.length === 2
+  },
+  clearinghouseState: {
+    expected: 'un objet { marginSummary, assetPositions: [...] }',
+    check: data => isObject(data) && isObject(data.marginSummary) && Array.isArray(data.assetPositions)
+  },
+  candleSnapshot: {
+    expected: 'un tableau de bougies',
+    check: Array.isArray
+  },
+  predictedFundings: {
+    expected: 'un tableau [coin, venues]',
+    check: Array.isArray
+  },
+  perpsAtOpenInterestCap: {
+    expected: 'un tableau de coins',
+    check: Array.isArray
+  },
+  fundingHistory: {
+    expected: 'un tableau de taux de funding',
+    check: Array.isArray
+  },
+  openOrders: {
+    expected: 'un tableau d\'ordres',
+    check: Array.isArray
+  },
+  frontendOpenOrders: {
+    expected: 'un tableau d\'ordres',
+    check: Array.isArray
+  },
+  historicalOrders: {
+    expected: 'un tableau d\'ordres',
+    check: Array.isArray
+  },
+  userFills: {
+    expected: 'un tableau de fills',
+    check: Array.isArray
+  },
+  userFillsByTime: {
+    expected: 'un tableau de fills',
+    check: Array.isArray
+  },
+  userFunding: {
+    expected: 'un tableau de paiements de funding',
+    check: Array.isArray
+  },
+  orderStatus: {
+    expected: 'un objet { status }',
+    check: data => isObject(data) && typeof data.status === 'string'
+  },
+  userRateLimit: {
+    expected: 'un objet { nRequestsUsed, nRequestsCap }',
+    check: data => isObject(data) && 'nRequestsUsed' in data && 'nRequestsCap' in data
+  }
+};
+
+/**
+ * ✅ Vérifie la réponse d'une requête /info
+ *
+ * Hyperliquid répond `null` (HTTP 200) quand le coin demandé n'existe pas :
+ * ce cas devient une UnknownCoinError plutôt qu'une erreur de schéma.
+ *
+ * @param {Object|null} payload - Body JSON envoyé (ex: { type: 'l2Book', coin: 'BTC' })
+ * @param {any} data - Données reçues
+ * @param {Object} [context] - { endpointId, params }
+ * @returns {any} Les données, inchangées
+ * @throws {UnknownCoinError|UnexpectedSchemaError}
+ */
+export function validateResponseShape(payload, data, context = {}) {
+  const schema = RESPONSE_SCHEMAS[payload?.type];
+  if (!schema) return data;
+
+  if (data === null && typeof payload.coin === 'string') {
+    throw new UnknownCoinError(payload.coin, { ...context, body: data });
+  }
+
+  if (!schema.check(data)) {
+    throw new UnexpectedSchemaError(schema.expected, data, context);
+  }
+
+  return data;
+}
@@ -0,0 +1,291 @@
+/**
+ * 🔀 SUBSCRIPTION MULTIPLEXER
+ * ===========================
+ *
+ * Une seule connexion WebSocket (hyperliquidWs) partagée par tous les
+ * composants temps réel :
+ * - Subscriptions identiques dédupliquées et comptées par consommateur
+ * - `subscribe` envoyé au premier consommateur, `unsubscribe` après le dernier
+ *   (avec un court délai de grâce : un démontage / remontage immédiat,
+ *   ex. StrictMode, ne fait pas d'aller-retour serveur)
+ * - Routage de chaque message `{ channel, data }` vers les subscriptions
+ *   concernées (type + coin / user / intervalle)
+ * - Dernier message rejoué aux nouveaux consommateurs d'une subscription
+ *   déjà active, pour les channels d'état uniquement (l2Book, allMids, bbo,
+ *   activeAssetCtx) : un flux d'événements (trades, fills...) rejoué
+ *   serait reçu en double
+ * - Channel `error` du serveur transmis aux consommateurs de la
+ *   subscription refusée (onError)
+ *
+ * ⚠️ Deux variantes l2Book d'un même coin (nSigFigs / mantissa différents)
+ * ne peuvent pas coexister : leurs messages sont indiscernables. De même,
+ * userEvents / orderUpdates / notification ne citent pas l'adresse suivie :
+ * une seule adresse à la fois par type. La seconde subscription est refusée
+ * (onError) tant que la première a des consommateurs.
+ *
+ * @example
+ * const unsubscribe = subscriptionMultiplexer.subscribe(
+ *   { type: 'l2Book', coin: 'ETH' },
+ *   (data, message) => console.log(data.levels),
+ *   { onError: error => console.warn(error.message) }
+ * );
+ */
+
+import hyperliquidWs, { WS_STATES } from './wsClient.js';
+import { SubscriptionRejectedError } from './errors.js';
+import { stableStringify } from '../utils/stableStringify.js';
+
+const sameCoin = (subscription, coin) => subscription.coin === undefined || subscription.coin === coin;
+const sameUser = (subscription, user) => !user || !subscription.user || subscription.user.toLowerCase() === String(user).toLowerCase();
+
+/**
+ * 🧭 Routage channel → subscriptions
+ * { channel: { types: [types de subscription], matches: (subscription, data) => boolean } }
+ *
+ * Les channels absents de la table sont routés vers les subscriptions
+ * dont le type porte le même nom que le channel.
+ */
+export const CHANNEL_ROUTES = {
+  trades: { types: ['trades'], matches: (subscription, data) => sameCoin(subscription, data?.[0]?.coin) },
+  // nSigFigs / mantissa ne sont pas renvoyés : routage par coin uniquement (voir UNROUTED_FIELDS)
+  l2Book: { types: ['l2Book'], matches: (subscription, data) => sameCoin(subscription, data?.coin) },
+  bbo: { types: ['bbo'], matches: (subscription, data) => sameCoin(subscription, data?.coin) },
+  candle: {
+    types: ['candle'],
+    matches: (subscription, data) => sameCoin(subscription, data?.s) && (!subscription.interval || subscription.interval === data?.i)
+  },
+  allMids: { types: ['allMids'], matches: () => true },
+  activeAssetCtx: { types: ['activeAssetCtx'], matches: (subscription, data) => sameCoin(subscription, data?.coin) },
+  activeSpotAssetCtx: { types: ['activeAssetCtx'], matches: (subscription, data) => sameCoin(subscription, data?.coin) },
+  // userEvents répond sur le channel "user" ; pas d'adresse dans les messages
+  // (une seule adresse active par type, voir UNROUTED_FIELDS)
+  user: { types: ['userEvents'], matches: () => true },
+  userFills: { types: ['userFills'], matches: (subscription, data) => sameUser(subscription, data?.user) },
+  userFundings: { types: ['userFundings'], matches: (subscription, data) => sameUser(subscription, data?.user) },
+  orderUpdates: { types: ['orderUpdates'], matches: () => true },
+  notification: { types: ['notification'], matches: () => true },
+  webData2: { types: ['webData2'], matches: (subscription, data) => sameUser(subscription, data?.user) }
+};
+
+// Canaux de service, jamais transmis aux consommateurs
+const CONTROL_CHANNELS = new Set(['subscriptionResponse', 'pong']);
+
+// Channels d'état : chaque message remplace le précédent, rejouable
+export const SNAPSHOT_CHANNELS = new Set(['l2Book', 'allMids', 'bbo', 'activeAssetCtx', 'activeSpotAssetCtx']);
+
+/**
+ * Champs de subscription absents des messages, par type : deux subscriptions
+ * qui ne diffèrent que par ces champs recevraient les messages l'une de l'autre
+ */
+const UNROUTED_FIELDS = {
+  l2Book: ['nSigFigs', 'mantissa'],
+  userEvents: ['user'],
+  orderUpdates: ['user'],
+  notification: ['user']
+};
+
+/**
+ * Clé de routage : la subscription sans ses champs non routés
+ */
+function routingKey(subscription) {
+  const routed = { ...subscription };
+  (UNROUTED_FIELDS[subscription.type] || []).forEach(field => delete routed[field]);
+  return stableStringify(routed);
+}
+
+/**
+ * Subscription citée par un message du channel "error"
+ * Ex: 'Invalid subscription {"type":"l2Book","coin":"XYZ"}: unknown coin'
+ *
+ * @returns {Object|null}
+ */
+function parseRejectedSubscription(text) {
+  const start = String(text).indexOf('{');
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      try {
+        return JSON.parse(text.slice(start, i + 1));
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * 🔀 Multiplexeur
+ */
+export class SubscriptionMultiplexer {
+  /**
+   * @param {Object} [options]
+   * @param {WsClient} [options.client] - Client WebSocket (défaut : client partagé du réseau actif)
+   * @param {number} [options.releaseDelayMs=1000] - Délai avant `unsubscribe` après le dernier consommateur
+   */
+  constructor({ client = hyperliquidWs, releaseDelayMs = 1000 } = {}) {
+    this.client = client;
+    this.releaseDelayMs = releaseDelayMs;
+
+    /**
+     * Subscriptions actives
+     * @type {Map<string, { subscription, listeners: Set<Function>, errorListeners: Set<Function>, lastMessage, error, releaseTimer }>}
+     */
+    this.entries = new Map();
+
+    this.client.onMessage(message => this._route(message));
+    // Connexion perdue ou réseau changé : les derniers messages ne sont plus à jour
+    this.client.subscribe(snapshot => {
+      if (snapshot.state !== WS_STATES.OPEN) this.entries.forEach(entry => { entry.lastMessage = null; });
+    });
+  }
+
+  /**
+   * ➕ Ajoute un consommateur à une subscription
+   *
+   * @param {Object} subscription - Ex: { type: 'trades', coin: 'BTC' }
+   * @param {Function} listener - (data, message) => void
+   * @param {Object} [options]
+   * @param {Function} [options.onError] - (SubscriptionRejectedError) => void : refus du serveur,
+   *   variante l2Book ou adresse incompatible avec une subscription active
+   * @returns {Function} Retire le consommateur
+   */
+  subscribe(subscription, listener, { onError } = {}) {
+    if (!subscription?.type) throw new Error('Une subscription doit avoir un "type"');
+
+    const key = stableStringify(subscription);
+    let entry = this.entries.get(key);
+    if (!entry) {
+      const conflict = this._findConflict(key, subscription);
+      if (conflict) {
+        const reason = UNROUTED_FIELDS[subscription.type].includes('user')
+          ? 'une autre adresse est déjà suivie sur ce channel'
+          : 'variante déjà active pour ce coin';
+        onError?.(new SubscriptionRejectedError(subscription, reason, { conflict: conflict.subscription }));
+        return () => {};
+      }
+      entry = { subscription, listeners: new Set(), errorListeners: new Set(), lastMessage: null, error: null, releaseTimer: null };
+      this.entries.set(key, entry);
+      this.client.addSubscription(subscription);
+    }
+    clearTimeout(entry.releaseTimer);
+    entry.releaseTimer = null;
+    entry.listeners.add(listener);
+    if (onError) entry.errorListeners.add(onError);
+
+    // Dernier état connu (ou refus) : le nouveau consommateur n'attend pas le suivant
+    if (entry.lastMessage) this._deliver(listener, entry.lastMessage);
+    if (entry.error) onError?.(entry.error);
+
+    const { state } = this.client.getSnapshot();
+    if (state === WS_STATES.IDLE || state === WS_STATES.CLOSED) {
+      // close() externe : le client a oublié les subscriptions
+      this.entries.forEach(other => this.client.addSubscription(other.subscription));
+      this.client.connect();
+    }
+
+    let active = true;
+    return () => {
+      if (!active) return;
+      active = false;
+      entry.listeners.delete(listener);
+      entry.errorListeners.delete(onError);
+      if (entry.listeners.size === 0) {
+        entry.releaseTimer = setTimeout(() => this._release(key, entry), this.releaseDelayMs);
+      }
+    };
+  }
+
+  /**
+   * @returns {Array<{ subscription: Object, consumers: number }>} Subscriptions actives
+   */
+  getActiveSubscriptions() {
+    return Array.from(this.entries.values(), entry => ({ subscription: entry.subscription, consumers: entry.listeners.size }));
+  }
+
+  _release(key, entry) {
+    if (this.entries.get(key) !== entry || entry.listeners.size > 0) return;
+    clearTimeout(entry.releaseTimer);
+    this.entries.delete(key);
+    this.client.removeSubscription(entry.subscription);
+  }
+
+  /**
+   * Subscription active indiscernable de `subscription` dans les messages
+   * (même clé de routage, autre variante). Une variante sans consommateur
+   * (délai de grâce) est libérée tout de suite au lieu de bloquer.
+   */
+  _findConflict(key, subscription) {
+    const routing = routingKey(subscription);
+    for (const [otherKey, other] of this.entries) {
+      if (otherKey === key || routingKey(other.subscription) !== routing) continue;
+      if (other.listeners.size > 0) return other;
+      this._release(otherKey, other);
+    }
+    return null;
+  }
+
+  _route(message) {
+    const channel = message?.channel;
+    if (!channel || CONTROL_CHANNELS.has(channel)) return;
+    if (channel === 'error') {
+      this._routeError(message.data);
+      return;
+    }
+
+    const route = CHANNEL_ROUTES[channel] || { types: [channel], matches: () => true };
+    this.entries.forEach(entry => {
+      if (!route.types.includes(entry.subscription.type) || !route.matches(entry.subscription, message.data)) return;
+      if (SNAPSHOT_CHANNELS.has(channel)) entry.lastMessage = message;
+      entry.error = null;
+      entry.listeners.forEach(listener => this._deliver(listener, message));
+    });
+  }
+
+  /**
+   * ❌ Refus du serveur : transmis aux consommateurs de la subscription citée
+   */
+  _routeError(text) {
+    const rejected = parseRejectedSubscription(text);
+    const entry = rejected && this.entries.get(stableStringify(rejected));
+    if (!entry) {
+      console.warn('⚠️ [WS] Erreur serveur:', text);
+      return;
+    }
+
+    entry.error = new SubscriptionRejectedError(entry.subscription, String(text));
+    entry.errorListeners.forEach(onError => {
+      try {
+        onError(entry.error);
+      } catch (error) {
+        console.error('❌ [WS] Erreur dans un consommateur:', error);
+      }
+    });
+  }
+
+  _deliver(listener, message) {
+    try {
+      listener(message.data, message);
+    } catch (error) {
+      console.error('❌ [WS] Erreur dans un consommateur:', error);
+    }
+  }
+}
+
+/**
+ * 🎯 Instance singleton, branchée sur le client partagé
+ */
+export const subscriptionMultiplexer = new SubscriptionMultiplexer();
+
+export default subscriptionMultiplexer;
@@ -0,0 +1,240 @@
+/**
+ * 📡 TRANSPORTS
+ * =============
+ *
+ * Couche la plus basse du HyperliquidApiService : elle reçoit une requête
+ * préparée et rend une `Response` (même contrat que fetch).
+ *
+ * 🔧 Trois modes :
+ * - live   : fetch réel vers le réseau actif
+ * - record : fetch réel + enregistrement de la paire requête/réponse
+ * - replay : sert les réponses enregistrées, sans aucun accès réseau
+ *
+ * 🔑 Correspondance d'une fixture : méthode + chemin de l'URL + body
+ * canonique. L'hôte est ignoré : une fixture enregistrée sur mainnet
+ * se rejoue quel que soit le profil actif.
+ *
+ * 📼 Format JSON des fixtures (export / import / src/fixtures) :
+ * {
+ *   "version": 1,
+ *   "fixtures": [{
+ *     "request":  { "method": "POST", "path": "/info", "body": { "type": "allMids" } },
+ *     "response": { "status": 200, "contentType": "application/json", "body": { ... } },
+ *     "endpointId": "allMids", "networkId": "mainnet", "recordedAt": "2025-..."
+ *   }]
+ * }
+ */
+
+import { FixtureNotFoundError } from './errors.js';
+import { stableStringify } from '../utils/stableStringify.js';
+
+export const TRANSPORT_MODES = ['live', 'record', 'replay'];
+
+export const FIXTURE_FORMAT_VERSION = 1;
+
+/**
+ * Chemin + query d'une URL (l'hôte dépend du réseau, pas la requête)
+ */
+function toPath(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.pathname}${parsed.search}`;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * 🔑 Clé de correspondance d'une requête
+ *
+ * @param {Object} request - { method, path | url, body | payload }
+ * @returns {string} Ex: 'POST /info {"type":"allMids"}'
+ */
+export function buildFixtureKey(request) {
+  const path = request.path ?? toPath(request.url);
+  const body = request.body !== undefined && typeof request.body !== 'string'
+    ? request.body
+    : request.payload;
+  return `${request.method} ${path} ${stableStringify(body ?? null)}`;
+}
+
+/**
+ * ============================================================================
+ * STOCKAGE DES FIXTURES
+ * ============================================================================
+ */
+export class FixtureStore {
+  constructor() {
+    /**
+     * Fixtures indexées par clé de correspondance
+     * @type {Map<string, Object>}
+     */
+    this.fixtures = new Map();
+  }
+
+  get size() {
+    return this.fixtures.size;
+  }
+
+  /**
+   * 💾 Ajoute (ou remplace) une fixture
+   */
+  add(fixture) {
+    this.fixtures.set(buildFixtureKey(fixture.request), fixture);
+  }
+
+  /**
+   * 🔍 Cherche la fixture d'une requête préparée
+   *
+   * @param {Object} request - { method, url, payload }
+   * @returns {Object|undefined}
+   */
+  find(request) {
+    return this.fixtures.get(buildFixtureKey(request));
+  }
+
+  /**
+   * 📥 Charge un fichier de fixtures
+   *
+   * @param {Object} data - Contenu JSON ({ version, fixtures })
+   * @param {Object} [options]
+   * @param {boolean} [options.merge=true] - Conserver les fixtures existantes
+   * @returns {number} Nombre de fixtures chargées
+   * @throws {Error} Si le format est invalide
+   */
+  load(data, { merge = true } = {}) {
+    if (!data || !Array.isArray(data.fixtures)) {
+      throw new Error('Format de fixtures invalide : { version, fixtures: [...] } attendu');
+    }
+    if (data.version !== FIXTURE_FORMAT_VERSION) {
+      throw new Error(`Version de fixtures non supportée : ${data.version}`);
+    }
+
+    if (!merge) this.fixtures.clear();
+    const valid = data.fixtures.filter(fixture => fixture?.request?.method && fixture?.response);
+    valid.forEach(fixture => this.add(fixture));
+    return valid.length;
+  }
+
+  /**
+   * 📤 Exporte toutes les fixtures au format fichier
+   */
+  toJSON() {
+    return {
+      version: FIXTURE_FORMAT_VERSION,
+      fixtures: [...this.fixtures.values()]
+    };
+  }
+
+  clear() {
+    this.fixtures.clear();
+  }
+}
+
+/**
+ * ============================================================================
+ * TRANSPORTS
+ * ============================================================================
+ *
+ * Contrat commun : send(request, signal) → Promise<Response>
+ * `request` est la configuration préparée par le service :
+ * { method, url, headers, body, payload, label, bucket }
+ */
+
+/**
+ * 🌐 Accès réseau réel
+ */
+export class LiveTransport {
+  constructor() {
+    this.mode = 'live';
+    this.usesNetwork = true;
+  }
+
+  send(request, signal) {
+    return fetch(request.url, {
+      method: request.method,
+      headers: request.headers,
+      body: request.body,
+      signal
+    });
+  }
+}
+
+/**
+ * ⏺️ Accès réseau réel + enregistrement des réponses
+ */
+export class RecordTransport {
+  /**
+   * @param {LiveTransport} live - Transport réel
+   * @param {FixtureStore} store - Destination des enregistrements
+   * @param {Function} [onRecord] - Appelé après chaque enregistrement
+   */
+  constructor(live, store, onRecord) {
+    this.mode = 'record';
+    this.usesNetwork = true;
+    this.live = live;
+    this.store = store;
+    this.onRecord = onRecord;
+  }
+
+  async send(request, signal) {
+    const response = await this.live.send(request, signal);
+
+    // Les 429 / 5xx transitoires ne sont pas des fixtures utiles
+    if (response.status === 429 || response.status >= 500) return response;
+
+    const contentType = response.headers.get('content-type') || '';
+    const text = await response.clone().text();
+    let body = text;
+    if (contentType.includes('application/json')) {
+      try {
+        body = JSON.parse(text);
+      } catch {
+        // Garder le texte brut : le replay reproduira l'erreur de parsing
+      }
+    }
+
+    this.store.add({
+      request: { method: request.method, path: toPath(request.url), body: request.payload ?? null },
+      response: { status: response.status, contentType, body },
+      endpointId: request.label ?? null,
+      networkId: request.bucket ?? null,
+      recordedAt: new Date().toISOString()
+    });
+    this.onRecord?.();
+
+    return response;
+  }
+}
+
+/**
+ * ⏯️ Réponses enregistrées uniquement, aucun accès réseau
+ */
+export class ReplayTransport {
+  /**
+   * @param {FixtureStore} store - Fixtures à servir
+   */
+  constructor(store) {
+    this.mode = 'replay';
+    this.usesNetwork = false;
+    this.store = store;
+  }
+
+  async send(request, signal) {
+    if (signal?.aborted) throw signal.reason;
+
+    const fixture = this.store.find(request);
+    if (!fixture) {
+      throw new FixtureNotFoundError(buildFixtureKey(request), {
+        endpointId: request.label ?? null,
+        params: request.params ?? null
+      });
+    }
+
+    const { status, contentType, body } = fixture.response;
+    return new Response(typeof body === 'string' ? body : JSON.stringify(body), {
+      status,
+      headers: { 'content-type': contentType || 'application/json' }
+    });
+  }
+}
@@ -0,0 +1,372 @@
+/**
+ * 📡 WEBSOCKET CLIENT
+ * ===================
+ *
+ * Client WebSocket résilient partagé par les composants temps réel.
+ *
+ * 📋 Protocole Hyperliquid :
+ * - Abonnement   : { method: 'subscribe', subscription: { type: 'trades', coin: 'BTC' } }
+ * - Désabonnement : { method: 'unsubscribe', subscription }
+ * - Heartbeat    : { method: 'ping' } → { channel: 'pong' }
+ *   (le serveur ferme une connexion restée 60s sans message)
+ *
+ * 🔧 Fonctionnalités :
+ * - Reconnexion automatique avec backoff exponentiel "full jitter"
+ * - Heartbeat `ping` régulier
+ * - Détection des connexions muettes (aucun message, pas même un pong)
+ *   → fermeture et reconnexion
+ * - Rejeu de toutes les subscriptions actives à chaque (re)connexion
+ * - Machine à états observable : connecting → open → reconnecting → closed
+ *
+ * @example
+ * const client = new WsClient({ url: 'wss://api.hyperliquid.xyz/ws' });
+ * client.onMessage(message => console.log(message));
+ * client.addSubscription({ type: 'trades', coin: 'BTC' });
+ * client.connect();
+ */
+
+import networkService from '../services/networkService.js';
+import { stableStringify } from '../utils/stableStringify.js';
+
+/**
+ * 🔄 États de connexion
+ * - idle         : jamais connecté
+ * - connecting   : première ouverture en cours
+ * - open         : connecté, subscriptions envoyées
+ * - reconnecting : connexion perdue, nouvelle tentative planifiée ou en cours
+ * - closed       : fermé volontairement (close()), pas de reconnexion
+ */
+export const WS_STATES = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  RECONNECTING: 'reconnecting',
+  CLOSED: 'closed'
+};
+
+/**
+ * 📊 Configuration par défaut
+ */
+export const WS_CLIENT_CONFIG = {
+  heartbeatMs: 20 * 1000,     // Intervalle des `ping`
+  stallTimeoutMs: 50 * 1000,  // Silence toléré avant de considérer la connexion morte
+  baseDelayMs: 500,           // Délai de base du backoff
+  maxDelayMs: 30 * 1000       // Plafond du backoff
+};
+
+/**
+ * 📡 Client WebSocket
+ */
+export class WsClient {
+  /**
+   * @param {Object} [options] - Surcharges de WS_CLIENT_CONFIG, plus :
+   * @param {string} [options.url] - URL ws(s):// (modifiable via connect(url))
+   * @param {Function} [options.WebSocketImpl] - Constructeur WebSocket (tests, Node)
+   * @param {string} [options.label] - Libellé pour les logs
+   */
+  constructor({ url = null, WebSocketImpl = globalThis.WebSocket, label = 'WS', ...options } = {}) {
+    this.config = { ...WS_CLIENT_CONFIG, ...options };
+    this.url = url;
+    this.WebSocketImpl = WebSocketImpl;
+    this.label = label;
+
+    this.socket = null;
+    this.attempt = 0;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+    this.lastMessageAt = null;
+    // Erreur signalée par onerror, reportée dans l'état au onclose qui suit
+    this.pendingError = null;
+
+    /**
+     * Subscriptions actives, rejouées à chaque ouverture
+     * @type {Map<string, Object>} clé stable → subscription
+     */
+    this.subscriptions = new Map();
+
+    this.messageListeners = new Set();
+    this.listeners = new Set();
+
+    this.snapshot = null;
+    this._setState(WS_STATES.IDLE, { lastError: null, nextRetryAt: null });
+  }
+
+  /**
+   * ============================================================================
+   * CONNEXION
+   * ============================================================================
+   */
+
+  /**
+   * 🔌 Ouvre la connexion (ou la rouvre sur une nouvelle URL)
+   *
+   * @param {string} [url] - Nouvelle URL ; les subscriptions sont conservées
+   */
+  connect(url = this.url) {
+    if (!url) throw new Error(`[${this.label}] URL WebSocket manquante`);
+    if (!this.WebSocketImpl) throw new Error(`[${this.label}] WebSocket indisponible dans cet environnement`);
+
+    const changed = url !== this.url;
+    this.url = url;
+    if (!changed && this.socket && this.snapshot.state !== WS_STATES.RECONNECTING) return;
+
+    this._teardown();
+    this.attempt = 0;
+    this._open(WS_STATES.CONNECTING);
+  }
+
+  /**
+   * 🛑 Ferme la connexion sans reconnexion (les subscriptions sont oubliées)
+   */
+  close() {
+    this._teardown();
+    this.subscriptions.clear();
+    this._setState(WS_STATES.CLOSED, { nextRetryAt: null });
+  }
+
+  _open(state) {
+    this._setState(state);
+
+    let socket;
+    try {
+      socket = new this.WebSocketImpl(this.url);
+    } catch (error) {
+      // URL invalide : même traitement qu'une connexion perdue
+      this._scheduleReconnect(error.message);
+      return;
+    }
+    this.socket = socket;
+
+    socket.onopen = () => {
+      if (this.socket !== socket) return;
+      this.attempt = 0;
+      this.lastMessageAt = Date.now();
+      this._setState(WS_STATES.OPEN, { lastError: null, nextRetryAt: null });
+      this.subscriptions.forEach(subscription => this._send({ method: 'subscribe', subscription }));
+      this._startHeartbeat();
+    };
+
+    socket.onmessage = (event) => {
+      if (this.socket !== socket) return;
+      this.lastMessageAt = Date.now();
+      let message = event.data;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        // Message non JSON transmis tel quel
+      }
+      if (message?.channel === 'pong') return;
+      this.messageListeners.forEach(listener => {
+        try {
+          listener(message);
+        } catch (error) {
+          console.error(`❌ [${this.label}] Erreur dans un abonné aux messages:`, error);
+        }
+      });
+    };
+
+    // onerror est toujours suivi de onclose : la reconnexion est gérée là
+    socket.onerror = () => {
+      if (this.socket === socket) this.pendingError = 'Erreur WebSocket';
+    };
+
+    socket.onclose = (event) => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this._stopHeartbeat();
+      const reason = this.pendingError || `Fermée (code ${event.code})`;
+      this.pendingError = null;
+      this._scheduleReconnect(reason);
+    };
+  }
+
+  /**
+   * Planifie une nouvelle tentative : aléatoire dans [0, min(max, base × 2^attempt)]
+   */
+  _scheduleReconnect(reason) {
+    const ceiling = Math.min(this.config.maxDelayMs, this.config.baseDelayMs * 2 ** this.attempt);
+    const delay = Math.round(Math.random() * ceiling);
+    this.attempt += 1;
+
+    console.warn(`⚠️ [${this.label}] ${reason} — reconnexion #${this.attempt} dans ${delay}ms`);
+    this._setState(WS_STATES.RECONNECTING, { lastError: reason, nextRetryAt: Date.now() + delay });
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this._open(WS_STATES.RECONNECTING);
+    }, delay);
+  }
+
+  /**
+   * Détache et ferme la socket courante, annule les timers
+   */
+  _teardown() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this._stopHeartbeat();
+
+    const socket = this.socket;
+    this.socket = null;
+    if (socket) {
+      socket.onopen = socket.onmessage = socket.onerror = socket.onclose = null;
+      try {
+        socket.close();
+      } catch (error) {
+        console.warn(`⚠️ [${this.label}] Fermeture impossible:`, error);
+      }
+    }
+  }
+
+  /**
+   * ============================================================================
+   * HEARTBEAT & DÉTECTION DES BLOCAGES
+   * ============================================================================
+   */
+
+  _startHeartbeat() {
+    this._stopHeartbeat();
+    this.heartbeatTimer = setInterval(() => {
+      if (Date.now() - this.lastMessageAt > this.config.stallTimeoutMs) {
+        // Ni données ni pong : la connexion est morte sans avoir été fermée.
+        // La socket est abandonnée (son onclose peut n'arriver qu'après un long délai)
+        this._teardown();
+        this._scheduleReconnect('Connexion muette (aucun message reçu)');
+        return;
+      }
+      this._send({ method: 'ping' });
+    }, this.config.heartbeatMs);
+  }
+
+  _stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * ============================================================================
+   * SUBSCRIPTIONS & MESSAGES
+   * ============================================================================
+   */
+
+  /**
+   * ➕ Ajoute une subscription (envoyée tout de suite si connecté,
+   * sinon à l'ouverture ; rejouée après chaque reconnexion)
+   *
+   * @param {Object} subscription - Ex: { type: 'l2Book', coin: 'ETH' }
+   * @returns {Function} Retire la subscription
+   */
+  addSubscription(subscription) {
+    const key = stableStringify(subscription);
+    if (!this.subscriptions.has(key)) {
+      this.subscriptions.set(key, subscription);
+      if (this.snapshot.state === WS_STATES.OPEN) this._send({ method: 'subscribe', subscription });
+      this._setState(this.snapshot.state);
+    }
+    return () => this.removeSubscription(subscription);
+  }
+
+  /**
+   * ➖ Retire une subscription (unsubscribe envoyé si connecté)
+   *
+   * @param {Object} subscription
+   */
+  removeSubscription(subscription) {
+    const key = stableStringify(subscription);
+    if (!this.subscriptions.delete(key)) return;
+    if (this.snapshot.state === WS_STATES.OPEN) this._send({ method: 'unsubscribe', subscription });
+    this._setState(this.snapshot.state);
+  }
+
+  /**
+   * @returns {Object[]} Subscriptions actives
+   */
+  getSubscriptions() {
+    return Array.from(this.subscriptions.values());
+  }
+
+  /**
+   * 👂 Messages reçus (JSON parsé, pongs exclus)
+   *
+   * @param {Function} listener - Reçoit le message ({ channel, data } en général)
+   * @returns {Function} Désabonnement
+   */
+  onMessage(listener) {
+    this.messageListeners.add(listener);
+    return () => this.messageListeners.delete(listener);
+  }
+
+  /**
+   * 📤 Envoie un message brut (ignoré si la connexion n'est pas ouverte)
+   *
+   * @param {Object|string} message
+   * @returns {boolean} true si envoyé
+   */
+  send(message) {
+    return this._send(message);
+  }
+
+  _send(message) {
+    if (this.socket?.readyState !== 1) return false;
+    this.socket.send(typeof message === 'string' ? message : JSON.stringify(message));
+    return true;
+  }
+
+  /**
+   * ============================================================================
+   * ÉTAT & ABONNEMENT
+   * ============================================================================
+   */
+
+  /**
+   * 📸 Instantané immuable (useSyncExternalStore)
+   *
+   * @returns {{ state, url, attempt, nextRetryAt, lastError, subscriptionCount }}
+   */
+  getSnapshot() {
+    return this.snapshot;
+  }
+
+  /**
+   * @param {Function} listener - Reçoit l'instantané à chaque changement d'état
+   * @returns {Function} Désabonnement
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _setState(state, patch = {}) {
+    this.snapshot = Object.freeze({
+      ...this.snapshot,
+      ...patch,
+      state,
+      url: this.url,
+      attempt: this.attempt,
+      subscriptionCount: this.subscriptions.size
+    });
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.snapshot);
+      } catch (error) {
+        console.error(`❌ [${this.label}] Erreur dans un abonné:`, error);
+      }
+    });
+  }
+}
+
+/**
+ * 🎯 Client partagé, branché sur le WebSocket du réseau actif
+ * La connexion n'est ouverte qu'au premier connect() ; une bascule de
+ * réseau la rouvre sur la nouvelle URL avec les mêmes subscriptions.
+ */
+export const hyperliquidWs = new WsClient({ url: networkService.getWsUrl(), label: 'WS Hyperliquid' });
+
+networkService.subscribe(profile => {
+  const { state } = hyperliquidWs.getSnapshot();
+  if (state === WS_STATES.IDLE || state === WS_STATES.CLOSED) {
+    hyperliquidWs.url = profile.wsUrl;
+    return;
+  }
+  hyperliquidWs.connect(profile.wsUrl);
+});
+
+export default hyperliquidWs;
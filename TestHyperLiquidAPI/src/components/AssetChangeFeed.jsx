@@ -0,0 +1,99 @@
+/**
+ * ============================================================================
+ * COMPOSANT : ASSET CHANGE FEED
+ * ============================================================================
+ *
+ * Fil "quoi de neuf" de l'univers perps du réseau actif :
+ * - 🆕 nouveaux listings, 🗑️ delistings
+ * - ✏️ changements de maxLeverage, szDecimals, onlyIsolated ou d'Asset ID
+ *
+ * Le mapping est (re)validé au montage et à chaque bascule de réseau :
+ * la "meta" fraîche est comparée à celle en cache (visite précédente).
+ *
+ * UTILISATION :
+ * -------------
+ * <AssetChangeFeed limit={20} />
+ */
+
+import { useEffect, useState } from 'react';
+import assetMapping from '../services/assetMappingService.js';
+import { useAssetChanges } from '../hooks/useAssetChanges.js';
+import { useNetwork } from '../hooks/useNetwork.js';
+
+const TYPE_STYLES = {
+  listed: { icon: '🆕', label: 'Listé', className: 'text-emerald-400' },
+  delisted: { icon: '🗑️', label: 'Delisté', className: 'text-red-400' },
+  changed: { icon: '✏️', label: 'Modifié', className: 'text-yellow-400' }
+};
+
+/**
+ * "maxLeverage 40 → 50, assetId 3 → 4"
+ */
+function formatChanges(changes) {
+  return Object.entries(changes || {})
+    .map(([field, { from, to }]) => `${field} ${String(from)} → ${String(to)}`)
+    .join(', ');
+}
+
+export default function AssetChangeFeed({ limit = 20 }) {
+  const network = useNetwork();
+  const changeLog = useAssetChanges();
+  const [open, setOpen] = useState(false);
+
+  // Charge le mapping (cache immédiat + revalidation) pour détecter les changements
+  useEffect(() => {
+    const controller = new AbortController();
+    assetMapping.initialize({ signal: controller.signal }).catch(() => {});
+    return () => controller.abort();
+  }, [network.id]);
+
+  const entries = changeLog.filter(entry => entry.networkId === network.id);
+
+  return (
+    <div className="text-left text-xs">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-gray-400">📰 Univers perps : {entries.length} changement(s)</span>
+        <button
+          type="button"
+          onClick={() => setOpen(!open)}
+          className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-gray-200"
+        >
+          {open ? '✕ Fermer' : 'Quoi de neuf ?'}
+        </button>
+      </div>
+
+      {open && (
+        <div className="mt-2 bg-gray-900 border border-gray-700 rounded-lg p-3 space-y-2 min-w-[20rem]">
+          {entries.length === 0 ? (
+            <p className="text-gray-500">Aucun listing, delisting ou changement détecté sur {network.label}.</p>
+          ) : (
+            <ul className="space-y-1 max-h-64 overflow-auto">
+              {entries.slice(0, limit).map(entry => {
+                const style = TYPE_STYLES[entry.type];
+                return (
+                  <li key={entry.id} className="flex items-baseline gap-2">
+                    <span className={style.className}>{style.icon} {style.label}</span>
+                    <span className="font-mono text-gray-200">{entry.name}</span>
+                    <span className="text-gray-500">#{entry.assetId}</span>
+                    {entry.changes && <span className="text-gray-400">{formatChanges(entry.changes)}</span>}
+                    <span className="ml-auto text-gray-600">{new Date(entry.detectedAt).toLocaleString()}</span>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+
+          {entries.length > 0 && (
+            <button
+              type="button"
+              onClick={() => assetMapping.clearChangeLog({ networkId: network.id })}
+              className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-gray-300"
+            >
+              🧹 Vider le journal
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
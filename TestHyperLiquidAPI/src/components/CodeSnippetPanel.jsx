@@ -0,0 +1,94 @@
+/**
+ * ============================================================================
+ * COMPOSANT : CODE SNIPPET PANEL
+ * ============================================================================
+ *
+ * "Copier en…" : la requête de l'aperçu traduite en curl, fetch, Node
+ * (HyperliquidApiService), Python requests ou websocat (endpoints WS).
+ *
+ * Les secrets sont masqués (<nom>) tant que l'utilisateur ne les affiche
+ * pas explicitement ; le bouton Copier copie ce qui est affiché.
+ * La version masquée est résolue par l'appelant (templates + getSecretMasks).
+ *
+ * UTILISATION :
+ * -------------
+ * <CodeSnippetPanel
+ *   request={{ method: 'POST', url, headers, body }}
+ *   maskedRequest={{ method: 'POST', url, headers: { Authorization: 'Bearer <apiKey>' }, body }}
+ *   endpoint={endpoint}
+ *   network={network}
+ * />
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { generateSnippet, getSnippetLanguages } from '../utils/codeSnippets.js';
+
+export default function CodeSnippetPanel({ request, maskedRequest = null, endpoint, network }) {
+  const languages = getSnippetLanguages(request.method);
+  const [languageId, setLanguageId] = useState(languages[0]?.id);
+  const [revealSecrets, setRevealSecrets] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  // Langage indisponible pour cette méthode (ex: curl → endpoint WS)
+  const language = languages.find(item => item.id === languageId) || languages[0];
+  const hasSecrets = maskedRequest !== null;
+
+  const snippet = useMemo(() => {
+    const visible = revealSecrets || !maskedRequest ? request : maskedRequest;
+    return generateSnippet(language.id, visible, { endpoint, network });
+  }, [language.id, request, maskedRequest, revealSecrets, endpoint, network]);
+
+  // Le message "Copié" disparaît après 2s
+  useEffect(() => {
+    if (!copied) return undefined;
+    const timer = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  async function handleCopy() {
+    try {
+      await navigator.clipboard.writeText(snippet);
+      setCopied(true);
+    } catch (error) {
+      console.warn('Copie impossible :', error);
+    }
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-2 text-xs">
+        <span className="text-gray-400">Copier en…</span>
+        {languages.map(item => (
+          <button
+            key={item.id}
+            type="button"
+            onClick={() => setLanguageId(item.id)}
+            className={`px-2 py-1 rounded border ${
+              item.id === language.id
+                ? 'bg-emerald-900/40 border-emerald-500 text-emerald-300'
+                : 'bg-gray-800 border-gray-600 text-gray-300 hover:border-emerald-500'
+            }`}
+          >
+            {item.label}
+          </button>
+        ))}
+        <span className="ml-auto flex items-center gap-3">
+          {hasSecrets && (
+            <label className="flex items-center gap-1 text-gray-400" title="Les secrets apparaissent en clair dans le snippet copié">
+              <input type="checkbox" checked={revealSecrets} onChange={(e) => setRevealSecrets(e.target.checked)} />
+              🔓 afficher les secrets
+            </label>
+          )}
+          <button
+            type="button"
+            onClick={handleCopy}
+            className="px-2 py-1 rounded bg-emerald-600 hover:bg-emerald-700 text-white"
+          >
+            {copied ? '✅ Copié' : '📋 Copier'}
+          </button>
+        </span>
+      </div>
+      <pre className="bg-gray-950/70 border border-gray-800 rounded-xl p-3 overflow-auto text-xs text-gray-200">{snippet}</pre>
+    </div>
+  );
+}
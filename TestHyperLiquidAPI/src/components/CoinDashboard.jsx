@@ -0,0 +1,353 @@
+/**
+ * ============================================================================
+ * DASHBOARD MARCHÉ - Prix et infos temps réel d'un perp ou d'une paire spot
+ * ============================================================================
+ *
+ * Ce composant affiche en temps réel, pour n'importe quel marché connu
+ * d'assetMappingService ("BTC", "ETH", "PURR/USDC", "HFUN/USDC"...) :
+ * - Le prix mid
+ * - Les métadonnées de l'asset (perp : szDecimals, maxLeverage,
+ *   onlyIsolated, marginTableId ; spot : tokens base / quote)
+ * - Le contexte de marché (funding, open interest, volume 24h,
+ *   prix oracle et mark)
+ * - Le carnet d'ordres et les derniers trades
+ *
+ * FONCTIONNALITÉS :
+ * -----------------
+ * 1. Snapshot REST au chargement, puis flux WebSocket (allMids, l2Book,
+ *    trades, activeAssetCtx) via le hook useLiveMarket ; polling REST
+ *    espacé si le socket est indisponible
+ * 2. Indicateur live / stale / polling
+ * 3. Sélecteur de marché avec recherche, URL partageable #/market/ETH
+ * 4. Carnet d'ordres regroupable par tranche de prix, avec spread,
+ *    microprice, déséquilibre et graphique de profondeur
+ * 5. Design moderne et responsive
+ *
+ * UTILISATION :
+ * -------------
+ * import CoinDashboard from './components/CoinDashboard';
+ * <CoinDashboard symbol="ETH" />
+ */
+
+import { useState } from 'react';
+import { useLiveMarket, LIVE_MARKET_DEFAULTS } from '../hooks/useLiveMarket.js';
+import { useOrderBook } from '../hooks/useOrderBook.js';
+import { useMarkets } from '../hooks/useMarkets.js';
+import { marketHash } from '../hooks/useHashRoute.js';
+import assetMapping, { isSpotCoin } from '../services/assetMappingService.js';
+import { tickSizeOptions } from '../utils/orderBook.js';
+import LiveStatusBadge from './LiveStatusBadge.jsx';
+import CoinPicker from './CoinPicker.jsx';
+import NetworkSwitcher from './NetworkSwitcher.jsx';
+import OrderBookLadder from './OrderBookLadder.jsx';
+import DepthChart from './DepthChart.jsx';
+
+// Niveaux (regroupés) affichés de chaque côté du carnet
+const ORDER_BOOK_DEPTH = 15;
+const EMPTY_TICK = { coin: null, options: [], tickSize: null };
+
+/**
+ * ============================================================================
+ * HELPERS DE FORMATAGE
+ * ============================================================================
+ */
+function formatUsd(value, digits = 2) {
+  if (value === null || value === undefined || value === '') return '---';
+  return `$${Number(value).toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: Math.max(digits, 6) })}`;
+}
+
+function formatCompact(value) {
+  if (value === null || value === undefined) return '---';
+  return Number(value).toLocaleString('en-US', { notation: 'compact', maximumFractionDigits: 2 });
+}
+
+function formatPercent(ratio, digits = 4) {
+  if (ratio === null || ratio === undefined || !Number.isFinite(ratio)) return '---';
+  return `${(ratio * 100).toFixed(digits)}%`;
+}
+
+/**
+ * ============================================================================
+ * COMPOSANT PRINCIPAL : COIN DASHBOARD
+ * ============================================================================
+ *
+ * @param {Object} props
+ * @param {string} props.symbol - Symbole lisible ou coin API (issu de l'URL)
+ */
+export default function CoinDashboard({ symbol }) {
+  // Re-rendu quand le mapping (perps + spot) est chargé ou revalidé
+  const { loading: marketsLoading, perpError, spotError } = useMarkets();
+  // Marché absent parce que sa liste n'a pas pu être chargée (≠ coin inconnu)
+  const marketsError = isSpotCoin(symbol) ? spotError : perpError;
+  const market = assetMapping.getMarket(symbol);
+
+  /**
+   * Données du marché : snapshot REST puis flux WebSocket (repli polling)
+   * Chaque message ne re-rend que ce composant, pas toute la page
+   */
+  const {
+    kind,
+    mid,
+    metadata,
+    ctx,
+    book: orderBook,
+    trades,
+    status,
+    lastUpdate,
+    error,
+    wsError,
+    refresh
+  } = useLiveMarket(market?.coin ?? null);
+
+  // Unité des tailles : coin du perp, token de base du spot
+  const unit = market?.base ?? symbol;
+
+  /**
+   * Carnet d'ordres : tranches calculées sur le premier mid du coin puis
+   * figées (un mid qui franchit une puissance de 10 ne change pas le
+   * regroupement), remises à zéro au changement de coin
+   */
+  const [tick, setTick] = useState(EMPTY_TICK);
+  const coin = market?.coin ?? null;
+  if (tick.coin !== coin || tick.options.length === 0) {
+    const options = tickSizeOptions(mid);
+    // Mise à jour pendant le rendu : une seule fois par coin (ou au premier mid connu)
+    if (tick.coin !== coin || options.length > 0) setTick({ coin, options, tickSize: null });
+  }
+  const currentTick = tick.coin === coin ? tick : EMPTY_TICK;
+  const tickOptions = currentTick.options;
+  const tickSize = currentTick.tickSize;
+  const orderBookView = useOrderBook(orderBook, { tickSize, depth: ORDER_BOOK_DEPTH });
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 via-gray-800 to-gray-900 text-white p-6">
+      <div className="max-w-7xl mx-auto space-y-6">
+
+        {/* ========== NAVIGATION ========== */}
+        <nav className="flex flex-wrap items-center gap-4">
+          <a href="#/" className="text-sm text-gray-400 hover:text-emerald-400">← Accueil</a>
+          <CoinPicker value={market?.symbol ?? symbol} onSelect={(selected) => { window.location.hash = marketHash(selected.symbol); }} />
+          <div className="ml-auto"><NetworkSwitcher /></div>
+        </nav>
+
+        {!market ? (
+          /* ========== MARCHÉ INCONNU / MAPPING EN COURS ========== */
+          <div className="text-center py-24 text-gray-400">
+            {marketsLoading ? (
+              <p className="text-xl animate-pulse">Chargement des marchés…</p>
+            ) : marketsError ? (
+              <>
+                <div className="text-6xl mb-4">⚠️</div>
+                <p className="text-xl">
+                  {isSpotCoin(symbol) ? 'Paires spot' : 'Perps'} indisponibles sur ce réseau : « {symbol} » ne peut pas être vérifié
+                </p>
+                <p className="text-sm mt-2 text-red-400">{marketsError.message}</p>
+              </>
+            ) : (
+              <>
+                <div className="text-6xl mb-4">🔍</div>
+                <p className="text-xl">Marché « {symbol} » introuvable sur ce réseau</p>
+                <p className="text-sm mt-2">Choisissez un perp ou une paire spot dans le sélecteur ci-dessus.</p>
+              </>
+            )}
+          </div>
+        ) : status === 'error' ? (
+          /* ========== ÉTAT D'ERREUR ========== */
+          <div className="max-w-md mx-auto bg-red-900 bg-opacity-20 border border-red-500 rounded-lg p-6 text-center">
+            <div className="text-6xl mb-4">❌</div>
+            <h2 className="text-2xl font-bold text-red-400 mb-2">Erreur de chargement</h2>
+            <p className="text-gray-300 mb-4">{error.message}</p>
+            <button
+              onClick={refresh}
+              className="px-6 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg font-semibold transition-colors"
+            >
+              🔄 Réessayer
+            </button>
+          </div>
+        ) : (
+          <>
+            {/* ========== HEADER AVEC PRIX PRINCIPAL ========== */}
+            <header className="text-center">
+              <h1 className="text-6xl font-bold mb-2 text-emerald-400">{market.symbol}</h1>
+              <p className="text-sm text-gray-400">
+                {market.kind === 'spot' ? `Spot · ${market.coin}` : 'Perp'} · Asset ID {market.assetId}
+                {market.isDelisted && <span className="text-red-400"> · delisté</span>}
+              </p>
+              <div className="mt-4 bg-gray-800 rounded-2xl p-8 border border-gray-700 shadow-2xl">
+                <div className="flex justify-center mb-2">
+                  <LiveStatusBadge status={status} lastUpdate={lastUpdate} pollIntervalMs={LIVE_MARKET_DEFAULTS.pollIntervalMs} />
+                </div>
+                {wsError && <p className="text-xs text-amber-400 mb-2" title={wsError.hint ?? undefined}>📡 {wsError.message}</p>}
+                <p className="text-gray-400 text-sm mb-2">Prix mid {market.base}/{market.quote}</p>
+                <div className="text-6xl font-bold text-emerald-400 mb-2">
+                  {status === 'loading' ? <span className="animate-pulse">…</span> : formatUsd(mid)}
+                </div>
+              </div>
+            </header>
+
+            {/* ========== CONTEXTE DE MARCHÉ ========== */}
+            {ctx && (
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                <InfoCard icon="🏷️" title="Mark" value={formatUsd(ctx.markPx)} description="Prix de référence des PnL et liquidations" />
+                {kind === 'perp' && (
+                  <>
+                    <InfoCard icon="🔮" title="Oracle" value={formatUsd(ctx.oraclePx)} description="Prix oracle (médiane des exchanges)" />
+                    <InfoCard
+                      icon="💸"
+                      title="Funding (1h)"
+                      value={formatPercent(Number(ctx.funding))}
+                      description={`≈ ${formatPercent(Number(ctx.funding) * 24 * 365, 2)} annualisé`}
+                    />
+                    <InfoCard
+                      icon="📦"
+                      title="Open Interest"
+                      value={`${formatCompact(ctx.openInterest)} ${unit}`}
+                      description={`≈ ${formatUsd(Number(ctx.openInterest) * Number(ctx.markPx), 0)} notionnel`}
+                    />
+                  </>
+                )}
+                {kind === 'spot' && ctx.circulatingSupply !== undefined && (
+                  <InfoCard icon="🪙" title="Supply en circulation" value={`${formatCompact(ctx.circulatingSupply)} ${unit}`} description={`Supply totale : ${formatCompact(ctx.totalSupply)}`} />
+                )}
+                <InfoCard
+                  icon="📊"
+                  title="Volume 24h"
+                  value={formatUsd(ctx.dayNtlVlm, 0)}
+                  description={`${formatCompact(ctx.dayBaseVlm)} ${unit} échangés`}
+                />
+                <InfoCard
+                  icon="📈"
+                  title="Variation 24h"
+                  value={formatPercent(Number(ctx.markPx) / Number(ctx.prevDayPx) - 1, 2)}
+                  description={`Clôture précédente : ${formatUsd(ctx.prevDayPx)}`}
+                />
+              </div>
+            )}
+
+            {/* ========== MÉTADONNÉES DE L'ASSET ========== */}
+            {metadata && (
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+                {kind === 'perp' ? (
+                  <>
+                    <InfoCard icon="⚡" title="Leverage Maximum" value={`${metadata.maxLeverage}x`} description="Effet de levier maximal disponible" />
+                    <InfoCard icon="🔢" title="Size Decimals" value={metadata.szDecimals} description="Précision décimale pour la taille" />
+                    <InfoCard
+                      icon="🔒"
+                      title="Mode de marge"
+                      value={metadata.onlyIsolated ? 'Isolé uniquement' : 'Cross et Isolé'}
+                      description="Types de marge autorisés"
+                    />
+                    <InfoCard icon="📐" title="Margin Table" value={metadata.marginTableId ?? '---'} description="Paliers de marge appliqués" />
+                  </>
+                ) : (
+                  <>
+                    <InfoCard icon="🪙" title="Token de base" value={metadata.baseToken?.name ?? metadata.base} description={`Index ${metadata.baseToken?.index ?? '?'}`} />
+                    <InfoCard icon="💵" title="Token de cotation" value={metadata.quoteToken?.name ?? metadata.quote} description={`Index ${metadata.quoteToken?.index ?? '?'}`} />
+                    <InfoCard icon="🔢" title="Size Decimals" value={metadata.baseToken?.szDecimals ?? '---'} description="Précision décimale pour la taille" />
+                    <InfoCard icon="✅" title="Paire canonique" value={metadata.isCanonical ? 'Oui' : 'Non'} description="Paire officielle du token" />
+                  </>
+                )}
+              </div>
+            )}
+
+            {/* ========== CARNET D'ORDRES : LADDER + PROFONDEUR ========== */}
+            {orderBookView && (
+              <div className="bg-gray-800 rounded-lg border border-gray-700 overflow-hidden">
+                <div className="p-6 border-b border-gray-700 flex flex-wrap items-center gap-4">
+                  <div>
+                    <h2 className="text-2xl font-bold flex items-center gap-2">
+                      📖 Carnet d'ordres {market.symbol}
+                    </h2>
+                    <p className="text-sm text-gray-400 mt-1">
+                      Profondeur du marché en temps réel
+                    </p>
+                  </div>
+                  <label className="ml-auto flex items-center gap-2 text-sm text-gray-400">
+                    Regroupement
+                    <select
+                      value={tickSize ?? ''}
+                      onChange={(e) => setTick({ ...currentTick, tickSize: e.target.value ? Number(e.target.value) : null })}
+                      className="bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white font-mono"
+                    >
+                      <option value="">Brut</option>
+                      {tickOptions.map(option => (
+                        <option key={option} value={option}>{option}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+
+                <div className="grid grid-cols-1 lg:grid-cols-2 divide-y lg:divide-y-0 lg:divide-x divide-gray-700">
+                  <OrderBookLadder view={orderBookView} unit={unit} />
+                  <DepthChart view={orderBookView} unit={unit} />
+                </div>
+              </div>
+            )}
+
+            {/* ========== DERNIERS TRADES (flux WebSocket) ========== */}
+            {trades.length > 0 && (
+              <div className="bg-gray-800 rounded-lg border border-gray-700 overflow-hidden">
+                <div className="p-6 border-b border-gray-700">
+                  <h2 className="text-2xl font-bold flex items-center gap-2">
+                    ⚡ Derniers trades {market.symbol}
+                  </h2>
+                </div>
+                <div className="p-6 space-y-1 max-h-80 overflow-auto">
+                  {trades.slice(0, 20).map(trade => (
+                    <div key={trade.tid ?? `${trade.time}-${trade.px}`} className="flex justify-between text-sm font-mono">
+                      <span className={trade.side === 'B' ? 'text-emerald-400' : 'text-red-400'}>${trade.px}</span>
+                      <span className="text-gray-400">{trade.sz} {unit}</span>
+                      <span className="text-gray-500">{new Date(trade.time).toLocaleTimeString('fr-FR')}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* ========== MÉTADONNÉES COMPLÈTES (COLLAPSIBLE) ========== */}
+            {(metadata || ctx) && (
+              <details className="bg-gray-800 rounded-lg border border-gray-700 overflow-hidden">
+                <summary className="p-6 cursor-pointer hover:bg-gray-750 transition-colors">
+                  <span className="text-xl font-semibold">🔍 Métadonnées et contexte complets</span>
+                </summary>
+                <div className="p-6 border-t border-gray-700">
+                  <pre className="bg-gray-900 p-4 rounded text-sm overflow-auto">
+                    {JSON.stringify({ metadata, ctx }, null, 2)}
+                  </pre>
+                </div>
+              </details>
+            )}
+          </>
+        )}
+
+        {/* ========== FOOTER ========== */}
+        <footer className="text-center text-sm text-gray-500 py-4">
+          <p>📡 Flux WebSocket temps réel, repli REST toutes les {LIVE_MARKET_DEFAULTS.pollIntervalMs / 1000} secondes si le socket est indisponible</p>
+          <p className="mt-1">Données fournies par Hyperliquid API</p>
+        </footer>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * ============================================================================
+ * COMPOSANT : INFO CARD
+ * ============================================================================
+ *
+ * Carte d'information réutilisable pour afficher une métrique
+ */
+function InfoCard({ icon, title, value, description }) {
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 border border-gray-700 hover:border-emerald-500 transition-colors">
+      <div className="flex items-center gap-3 mb-3">
+        <span className="text-3xl">{icon}</span>
+        <h3 className="text-lg font-semibold text-gray-200">{title}</h3>
+      </div>
+      <div className="text-3xl font-bold text-emerald-400 mb-2">
+        {value}
+      </div>
+      <p className="text-sm text-gray-400">{description}</p>
+    </div>
+  );
+}
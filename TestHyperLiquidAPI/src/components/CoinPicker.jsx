@@ -0,0 +1,91 @@
+/**
+ * ============================================================================
+ * COMPOSANT : COIN PICKER
+ * ============================================================================
+ *
+ * Sélecteur de marché avec recherche, perps et paires spot du réseau actif
+ * (assetMappingService). Recherche sur le symbole lisible ("HFUN/USDC")
+ * et le coin API ("@1").
+ *
+ * UTILISATION :
+ * -------------
+ * <CoinPicker value="ETH" onSelect={(market) => navigate(market.symbol)} />
+ */
+
+import { useState } from 'react';
+import { useMarkets } from '../hooks/useMarkets.js';
+
+const MAX_RESULTS = 50;
+
+export default function CoinPicker({ value, onSelect }) {
+  const { markets, loading, perpError, spotError } = useMarkets();
+  const [query, setQuery] = useState('');
+  const [open, setOpen] = useState(false);
+
+  const search = query.trim().toUpperCase();
+  const results = markets
+    .filter(market => !search || market.symbol.toUpperCase().includes(search) || market.coin.toUpperCase().includes(search))
+    // Correspondance exacte puis préfixe en tête
+    .sort((a, b) => rank(a, search) - rank(b, search))
+    .slice(0, MAX_RESULTS);
+
+  function select(market) {
+    setQuery('');
+    setOpen(false);
+    onSelect(market);
+  }
+
+  return (
+    <div className="relative w-full max-w-sm">
+      <input
+        value={query}
+        onChange={(e) => { setQuery(e.target.value); setOpen(true); }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setTimeout(() => setOpen(false), 150)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && results[0]) select(results[0]);
+          if (e.key === 'Escape') setOpen(false);
+        }}
+        placeholder={loading ? 'Chargement des marchés…' : `🔍 ${value || 'Rechercher un marché'} (${markets.length})`}
+        className="w-full bg-gray-800 border border-gray-700 rounded-lg px-4 py-2 text-white
+                   focus:outline-none focus:border-emerald-500 placeholder-gray-500"
+      />
+      {/* Liste incomplète : le dire plutôt que de taire les marchés manquants */}
+      {(perpError || spotError) && (
+        <p className="mt-1 text-xs text-amber-400">
+          ⚠️ {perpError ? 'Perps' : 'Paires spot'} indisponibles : {(perpError ?? spotError).message}
+        </p>
+      )}
+      {open && results.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full max-h-80 overflow-auto bg-gray-900 border border-gray-700 rounded-lg shadow-2xl">
+          {results.map(market => (
+            <li key={`${market.kind}:${market.coin}`}>
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => select(market)}
+                className={`w-full flex items-center gap-2 px-4 py-2 text-left text-sm hover:bg-gray-800
+                            ${market.symbol === value ? 'text-emerald-400' : 'text-gray-200'}`}
+              >
+                <span className="font-mono">{market.symbol}</span>
+                {market.coin !== market.symbol && <span className="text-gray-500 font-mono">{market.coin}</span>}
+                <span className={`ml-auto text-xs px-2 rounded ${market.kind === 'spot' ? 'bg-sky-900 text-sky-300' : 'bg-gray-700 text-gray-300'}`}>
+                  {market.kind}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+/**
+ * 0 = symbole exact, 1 = préfixe, 2 = contient
+ */
+function rank(market, search) {
+  const symbol = market.symbol.toUpperCase();
+  if (symbol === search) return 0;
+  return symbol.startsWith(search) ? 1 : 2;
+}
@@ -0,0 +1,89 @@
+/**
+ * ============================================================================
+ * COMPOSANT : DEPTH CHART
+ * ============================================================================
+ *
+ * Graphique de profondeur cumulée (vue de useOrderBook), en SVG :
+ * - Bids en escalier vert à gauche du mid, asks en rouge à droite
+ * - Axe horizontal : prix ; axe vertical : taille cumulée
+ * - Trait vertical au mid, trait pointillé au microprice
+ *
+ * UTILISATION :
+ * -------------
+ * <DepthChart view={view} unit="ETH" />
+ */
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 10, right: 10, bottom: 24, left: 10 };
+
+/**
+ * Tracé en escalier d'un côté du carnet, fermé sur l'axe des prix
+ * (niveaux du meilleur au pire : la profondeur croît en s'éloignant du mid)
+ */
+function stepPath(levels, x, y) {
+  if (levels.length === 0) return '';
+  const points = [`M${x(levels[0].px)},${y(0)}`];
+  levels.forEach((level, index) => {
+    if (index > 0) points.push(`L${x(level.px)},${y(levels[index - 1].total)}`);
+    points.push(`L${x(level.px)},${y(level.total)}`);
+  });
+  points.push(`L${x(levels.at(-1).px)},${y(0)}Z`);
+  return points.join(' ');
+}
+
+function formatAxis(value) {
+  return value.toLocaleString('en-US', { maximumFractionDigits: value < 10 ? 6 : 2 });
+}
+
+export default function DepthChart({ view, unit }) {
+  if (!view || view.bids.length === 0 || view.asks.length === 0) {
+    return <p className="p-6 text-center text-gray-500">Profondeur indisponible</p>;
+  }
+
+  const { bids, asks, stats, maxTotal } = view;
+
+  // Domaine de prix symétrique autour du mid : les deux côtés restent lisibles
+  const mid = stats.mid;
+  const halfRange = Math.max(mid - bids.at(-1).px, asks.at(-1).px - mid) || mid * 0.001;
+  const minPx = mid - halfRange;
+  const maxPx = mid + halfRange;
+
+  const x = px => PADDING.left + ((px - minPx) / (maxPx - minPx)) * (WIDTH - PADDING.left - PADDING.right);
+  const y = total => HEIGHT - PADDING.bottom - (maxTotal > 0 ? (total / maxTotal) : 0) * (HEIGHT - PADDING.top - PADDING.bottom);
+
+  return (
+    <div className="p-4">
+      <div className="flex justify-between text-xs text-gray-500 mb-2">
+        <span>Profondeur cumulée ({unit})</span>
+        <span>max {formatAxis(maxTotal)} {unit}</span>
+      </div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label="Graphique de profondeur du carnet d'ordres">
+        <path d={stepPath(bids, x, y)} className="fill-emerald-500/20 stroke-emerald-400" strokeWidth="1.5" />
+        <path d={stepPath(asks, x, y)} className="fill-red-500/20 stroke-red-400" strokeWidth="1.5" />
+
+        <line x1={x(mid)} x2={x(mid)} y1={PADDING.top} y2={HEIGHT - PADDING.bottom} className="stroke-gray-400" strokeWidth="1">
+          <title>{`Mid ${formatAxis(mid)}`}</title>
+        </line>
+        {stats.microprice !== null && (
+          <line
+            x1={x(stats.microprice)}
+            x2={x(stats.microprice)}
+            y1={PADDING.top}
+            y2={HEIGHT - PADDING.bottom}
+            className="stroke-emerald-300"
+            strokeWidth="1"
+            strokeDasharray="4 3"
+          >
+            <title>{`Microprice ${formatAxis(stats.microprice)}`}</title>
+          </line>
+        )}
+
+        <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={HEIGHT - PADDING.bottom} y2={HEIGHT - PADDING.bottom} className="stroke-gray-600" strokeWidth="1" />
+        <text x={PADDING.left} y={HEIGHT - 6} className="fill-gray-400 text-[11px]">{formatAxis(minPx)}</text>
+        <text x={x(mid)} y={HEIGHT - 6} textAnchor="middle" className="fill-gray-300 text-[11px]">{formatAxis(mid)}</text>
+        <text x={WIDTH - PADDING.right} y={HEIGHT - 6} textAnchor="end" className="fill-gray-400 text-[11px]">{formatAxis(maxPx)}</text>
+      </svg>
+    </div>
+  );
+}
@@ -0,0 +1,210 @@
+/**
+ * ============================================================================
+ * COMPOSANT : ENDPOINT CATALOG LOADER
+ * ============================================================================
+ *
+ * Import à chaud de définitions d'endpoints (fichier JSON ou URL) dans le
+ * catalogue partagé par l'App et les playgrounds :
+ * - Validation contre le schéma (src/api/endpointSchema.js)
+ * - Erreurs détaillées par définition rejetée (rien n'est importé)
+ * - Avertissement pour les {{placeholders}} non déclarés (variables d'environnement)
+ * - Confirmation par catalogue avant d'y injecter les variables secrètes
+ *   de l'environnement (révocable, redemandée à chaque réimport)
+ * - Liste des endpoints importés par source, retirables un par un
+ *
+ * UTILISATION :
+ * -------------
+ * <EndpointCatalogLoader />
+ */
+
+import { useRef, useState } from 'react';
+import endpointRegistry from '../api/endpointRegistry.js';
+import { getUndeclaredPlaceholders } from '../api/endpointSchema.js';
+import { useEndpointCatalog } from '../hooks/useEndpointCatalog.js';
+
+/**
+ * Destinations d'un catalogue (hôtes des URLs absolues, réseau actif pour un path)
+ */
+function getDestinations(definitions) {
+  return [...new Set(definitions.map(definition => {
+    if (!definition.url) return 'réseau actif';
+    try {
+      return new URL(definition.url).host;
+    } catch {
+      return definition.url;
+    }
+  }))];
+}
+
+/**
+ * 🔐 Demande si les secrets de l'environnement peuvent être injectés dans un catalogue
+ */
+function confirmSecrets(source, definitions) {
+  return window.confirm(
+    `Injecter les variables secrètes de l'environnement actif (clés d'API, tokens…) dans les endpoints de "${source}" ?\n\n`
+    + `Destinations : ${getDestinations(definitions).join(', ')}\n\n`
+    + 'Annuler : les secrets ne seront pas envoyés (autorisable plus tard).'
+  );
+}
+
+export default function EndpointCatalogLoader() {
+  const { endpoints, customIds, trustedSources } = useEndpointCatalog();
+  const [open, setOpen] = useState(false);
+  const [url, setUrl] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [issues, setIssues] = useState([]);
+  const [warnings, setWarnings] = useState([]);
+  const fileInputRef = useRef(null);
+
+  // Endpoints importés regroupés par catalogue d'origine
+  const customEndpoints = endpoints.filter(endpoint => customIds.includes(endpoint.id));
+  const customSources = [...new Set(customEndpoints.map(endpoint => endpointRegistry.getSource(endpoint.id)))];
+
+  function report(result, source) {
+    if (result instanceof Error) {
+      setMessage(`❌ ${result.type === 'endpoint-schema' ? 'Catalogue rejeté' : result.message}`);
+      setIssues(result.issues || []);
+      setWarnings([]);
+      return;
+    }
+    setMessage(`✅ ${result.length} endpoint(s) importé(s)`);
+    setIssues([]);
+    setWarnings(result.flatMap(definition => getUndeclaredPlaceholders(definition)
+      .map(name => `"${definition.id}" : {{${name}}} non déclaré, résolu par les variables d'environnement`)));
+    if (confirmSecrets(source, result)) endpointRegistry.trustSource(source);
+  }
+
+  async function handleFile(event) {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      report(endpointRegistry.loadCatalog(await file.text(), { source: file.name }), file.name);
+    } catch (error) {
+      report(error);
+    }
+  }
+
+  async function handleUrl(event) {
+    event.preventDefault();
+    setLoading(true);
+    const source = url.trim();
+    try {
+      report(await endpointRegistry.loadCatalogFromUrl(source), source);
+    } catch (error) {
+      report(error);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="text-left text-xs">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-gray-400">📚 Catalogue : {endpoints.length} endpoint(s)</span>
+        {customIds.length > 0 && <span className="text-emerald-400">dont {customIds.length} importé(s)</span>}
+        <button
+          type="button"
+          onClick={() => setOpen(!open)}
+          className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-gray-200"
+        >
+          {open ? '✕ Fermer' : '📥 Importer'}
+        </button>
+      </div>
+
+      {open && (
+        <div className="mt-2 bg-gray-900 border border-gray-700 rounded-lg p-3 space-y-3 min-w-[20rem]">
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-gray-200"
+            >
+              📄 Fichier JSON
+            </button>
+            <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleFile} className="hidden" />
+            <form onSubmit={handleUrl} className="flex flex-1 gap-2 min-w-[14rem]">
+              <input
+                value={url}
+                onChange={(e) => setUrl(e.target.value)}
+                placeholder="https://…/endpoints.json"
+                className="flex-1 min-w-0 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-white
+                           focus:outline-none focus:border-emerald-500 placeholder-gray-600"
+              />
+              <button
+                type="submit"
+                disabled={!url.trim() || loading}
+                className="px-3 py-1 rounded bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 text-white"
+              >
+                {loading ? '⏳' : '🌐 Charger'}
+              </button>
+            </form>
+          </div>
+
+          {message && <div className="text-gray-300">{message}</div>}
+          {issues.length > 0 && (
+            <ul className="space-y-1 text-red-300 font-mono">
+              {issues.map(issue => (
+                <li key={`${issue.index}:${issue.id}`}>
+                  {issue.id ? `"${issue.id}"` : issue.index !== null ? `#${issue.index}` : 'fichier'} :
+                  {issue.errors.map(text => <div key={text} className="pl-4">• {text}</div>)}
+                </li>
+              ))}
+            </ul>
+          )}
+          {warnings.length > 0 && (
+            <ul className="space-y-1 text-amber-300 font-mono">
+              {warnings.map(text => <li key={text}>⚠️ {text}</li>)}
+            </ul>
+          )}
+
+          {customSources.map(source => {
+            const sourceEndpoints = customEndpoints.filter(endpoint => endpointRegistry.getSource(endpoint.id) === source);
+            const trusted = trustedSources.includes(source);
+            return (
+              <div key={source ?? 'inconnue'} className="pt-2 border-t border-gray-800 space-y-1">
+                <div className="flex items-center gap-2">
+                  <span className="text-gray-400 font-mono truncate">{source ?? 'source inconnue'}</span>
+                  {source !== null && (
+                    <button
+                      type="button"
+                      onClick={() => {
+                        if (trusted || confirmSecrets(source, sourceEndpoints)) endpointRegistry.trustSource(source, !trusted);
+                      }}
+                      className={`ml-auto px-2 py-0.5 rounded ${trusted ? 'bg-amber-700 text-amber-100' : 'bg-gray-700 text-gray-300'}`}
+                      title={trusted ? 'Ne plus injecter les variables secrètes' : 'Autoriser l\'injection des variables secrètes'}
+                    >
+                      {trusted ? '🔓 Secrets autorisés' : '🔒 Secrets bloqués'}
+                    </button>
+                  )}
+                </div>
+                {sourceEndpoints.map(endpoint => (
+                  <div key={endpoint.id} className="flex items-center gap-2">
+                    <span className="font-mono text-emerald-400">{endpoint.method}</span>
+                    <span className="text-gray-200">{endpoint.name}</span>
+                    <span className="text-gray-500 font-mono">{endpoint.id}</span>
+                    <button
+                      type="button"
+                      onClick={() => endpointRegistry.removeCustom(endpoint.id)}
+                      className="ml-auto px-2 text-red-400 hover:text-red-300"
+                      title="Retirer du catalogue"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ))}
+              </div>
+            );
+          })}
+
+          <p className="text-gray-500">
+            Format : tableau de définitions ou <code className="text-emerald-400">{'{ "version": 1, "endpoints": [...] }'}</code>,
+            schéma de <code>config/endpoints.js</code> (GET avec <code>query</code>, POST avec <code>body</code>,
+            WS avec <code>subscription</code>).
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,339 @@
+/**
+ * ============================================================================
+ * COMPOSANT : ENVIRONMENT MANAGER
+ * ============================================================================
+ *
+ * Sélecteur d'environnement (un clic pour basculer) + panneau de gestion :
+ * - Création, duplication, renommage, suppression d'environnements
+ * - Édition des variables (les secrets sont masqués)
+ * - Import / export JSON (secrets exclus par défaut)
+ *
+ * Les variables sont référencées dans les templates par {{nom}} et
+ * complètent les paramètres laissés vides.
+ *
+ * UTILISATION :
+ * -------------
+ * <EnvironmentManager />
+ */
+
+import { useRef, useState } from 'react';
+import environmentService from '../services/environmentService.js';
+import { useEnvironment } from '../hooks/useEnvironment.js';
+
+/**
+ * ============================================================================
+ * SOUS-COMPOSANT : LIGNE DE VARIABLE
+ * ============================================================================
+ *
+ * Le nom est validé à la sortie du champ (renommage), la valeur à chaque
+ * frappe.
+ */
+function VariableRow({ environmentId, variable, onError }) {
+  const [key, setKey] = useState(variable.key);
+  const [revealed, setRevealed] = useState(false);
+
+  function commitKey() {
+    if (key === variable.key) return;
+    try {
+      environmentService.setVariable(environmentId, key, variable.value, {
+        secret: variable.secret,
+        previousKey: variable.key
+      });
+    } catch (error) {
+      onError(error.message);
+      setKey(variable.key);
+    }
+  }
+
+  return (
+    <tr className="border-t border-gray-800">
+      <td className="py-1 pr-2">
+        <input
+          value={key}
+          onChange={(e) => setKey(e.target.value)}
+          onBlur={commitKey}
+          className="w-full bg-gray-800 border border-gray-700 rounded px-2 py-1 font-mono text-xs text-white
+                     focus:outline-none focus:border-emerald-500"
+        />
+      </td>
+      <td className="py-1 pr-2">
+        <div className="flex gap-1">
+          <input
+            type={variable.secret && !revealed ? 'password' : 'text'}
+            value={variable.value}
+            onChange={(e) => environmentService.setVariable(environmentId, variable.key, e.target.value, { secret: variable.secret })}
+            className="flex-1 min-w-0 bg-gray-800 border border-gray-700 rounded px-2 py-1 font-mono text-xs text-white
+                       focus:outline-none focus:border-emerald-500"
+          />
+          {variable.secret && (
+            <button
+              type="button"
+              onClick={() => setRevealed(!revealed)}
+              title={revealed ? 'Masquer' : 'Afficher'}
+              className="px-2 text-xs text-gray-400 hover:text-gray-200"
+            >
+              {revealed ? '🙈' : '👁️'}
+            </button>
+          )}
+        </div>
+      </td>
+      <td className="py-1 pr-2 text-center">
+        <input
+          type="checkbox"
+          checked={variable.secret}
+          onChange={(e) => environmentService.setVariable(environmentId, variable.key, variable.value, { secret: e.target.checked })}
+          title="Secret (masqué à l'affichage et exclu de l'export)"
+        />
+      </td>
+      <td className="py-1 text-right">
+        <button
+          type="button"
+          onClick={() => environmentService.deleteVariable(environmentId, variable.key)}
+          className="px-2 text-xs text-red-400 hover:text-red-300"
+          title="Supprimer la variable"
+        >
+          ✕
+        </button>
+      </td>
+    </tr>
+  );
+}
+
+/**
+ * ============================================================================
+ * SOUS-COMPOSANT : ÉDITEUR D'UN ENVIRONNEMENT
+ * ============================================================================
+ */
+function EnvironmentEditor({ environment, onError }) {
+  const [newKey, setNewKey] = useState('');
+  const [newValue, setNewValue] = useState('');
+
+  function addVariable(event) {
+    event.preventDefault();
+    try {
+      environmentService.setVariable(environment.id, newKey, newValue);
+      setNewKey('');
+      setNewValue('');
+    } catch (error) {
+      onError(error.message);
+    }
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          key={environment.id}
+          defaultValue={environment.name}
+          onBlur={(e) => environmentService.renameEnvironment(environment.id, e.target.value)}
+          className="flex-1 min-w-0 bg-gray-800 border border-gray-700 rounded px-2 py-1 text-sm text-white
+                     focus:outline-none focus:border-emerald-500"
+        />
+        <button
+          type="button"
+          onClick={() => environmentService.duplicateEnvironment(environment.id)}
+          className="px-2 py-1 text-xs rounded bg-gray-700 hover:bg-gray-600 text-gray-200"
+        >
+          📑 Dupliquer
+        </button>
+        <button
+          type="button"
+          onClick={() => {
+            if (window.confirm(`Supprimer l'environnement "${environment.name}" ?`)) {
+              environmentService.deleteEnvironment(environment.id);
+            }
+          }}
+          className="px-2 py-1 text-xs rounded bg-red-900/60 hover:bg-red-800 text-red-200"
+        >
+          🗑️ Supprimer
+        </button>
+      </div>
+
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-gray-400 text-left">
+            <th className="font-medium pb-1 w-1/3">Variable</th>
+            <th className="font-medium pb-1">Valeur</th>
+            <th className="font-medium pb-1 w-12 text-center">🔒</th>
+            <th className="w-6" />
+          </tr>
+        </thead>
+        <tbody>
+          {environment.variables.map(variable => (
+            <VariableRow
+              key={`${environment.id}:${variable.key}`}
+              environmentId={environment.id}
+              variable={variable}
+              onError={onError}
+            />
+          ))}
+        </tbody>
+      </table>
+
+      <form onSubmit={addVariable} className="flex gap-2">
+        <input
+          value={newKey}
+          onChange={(e) => setNewKey(e.target.value)}
+          placeholder="user_address"
+          className="w-1/3 bg-gray-800 border border-gray-700 rounded px-2 py-1 font-mono text-xs text-white
+                     focus:outline-none focus:border-emerald-500 placeholder-gray-600"
+        />
+        <input
+          value={newValue}
+          onChange={(e) => setNewValue(e.target.value)}
+          placeholder="0x…"
+          className="flex-1 min-w-0 bg-gray-800 border border-gray-700 rounded px-2 py-1 font-mono text-xs text-white
+                     focus:outline-none focus:border-emerald-500 placeholder-gray-600"
+        />
+        <button
+          type="submit"
+          disabled={!newKey.trim()}
+          className="px-3 py-1 text-xs rounded bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 text-white"
+        >
+          ➕ Ajouter
+        </button>
+      </form>
+      <p className="text-xs text-gray-500">
+        Référencez une variable dans un template avec <code className="text-emerald-400">{'{{nom}}'}</code> :
+        elle complète les paramètres laissés vides.
+      </p>
+    </div>
+  );
+}
+
+/**
+ * ============================================================================
+ * COMPOSANT PRINCIPAL : ENVIRONMENT MANAGER
+ * ============================================================================
+ */
+export default function EnvironmentManager() {
+  const { environments, activeId } = useEnvironment();
+  const [open, setOpen] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [includeSecrets, setIncludeSecrets] = useState(false);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const editing = environments.find(environment => environment.id === (editingId ?? activeId))
+    || environments[0]
+    || null;
+
+  function handleCreate() {
+    const environment = environmentService.createEnvironment(`Environnement ${environments.length + 1}`);
+    setEditingId(environment.id);
+  }
+
+  /**
+   * Télécharge les environnements au format JSON
+   */
+  function handleExport() {
+    const blob = new Blob([environmentService.exportEnvironments({ includeSecrets })], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `cookie-environments-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Importe un fichier d'environnements (même nom = remplacé)
+   */
+  async function handleImport(event) {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const count = environmentService.importEnvironments(await file.text());
+      setMessage(`✅ ${count} environnement(s) importé(s)`);
+    } catch (error) {
+      setMessage(`❌ ${error.message}`);
+    }
+  }
+
+  return (
+    <div className="text-left text-xs">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-gray-400">🌍 Environnement</span>
+        <select
+          value={activeId ?? ''}
+          onChange={(e) => environmentService.setActive(e.target.value || null)}
+          className={`bg-gray-800 border rounded px-2 py-1 text-white focus:outline-none focus:border-emerald-500 ${
+            activeId ? 'border-emerald-500' : 'border-gray-600'
+          }`}
+        >
+          <option value="">Aucun</option>
+          {environments.map(environment => (
+            <option key={environment.id} value={environment.id}>
+              {environment.name} ({environment.variables.length})
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          onClick={() => setOpen(!open)}
+          className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-gray-200"
+        >
+          {open ? '✕ Fermer' : '⚙️ Gérer'}
+        </button>
+      </div>
+
+      {open && (
+        <div className="mt-2 bg-gray-900 border border-gray-700 rounded-lg p-3 space-y-3 min-w-[20rem]">
+          <div className="flex flex-wrap items-center gap-2">
+            {environments.map(environment => (
+              <button
+                key={environment.id}
+                type="button"
+                onClick={() => setEditingId(environment.id)}
+                className={`px-2 py-1 rounded border ${
+                  editing?.id === environment.id
+                    ? 'bg-emerald-900/40 border-emerald-500 text-emerald-300'
+                    : 'bg-gray-800 border-gray-600 text-gray-300 hover:border-emerald-500'
+                }`}
+              >
+                {environment.id === activeId ? '● ' : ''}{environment.name}
+              </button>
+            ))}
+            <button
+              type="button"
+              onClick={handleCreate}
+              className="px-2 py-1 rounded bg-emerald-600 hover:bg-emerald-700 text-white"
+            >
+              ➕ Nouveau
+            </button>
+          </div>
+
+          {editing
+            ? <EnvironmentEditor environment={editing} onError={(text) => setMessage(`❌ ${text}`)} />
+            : <p className="text-gray-500">Aucun environnement : créez-en un ou importez un fichier.</p>}
+
+          <div className="flex flex-wrap items-center gap-2 pt-2 border-t border-gray-800">
+            <button
+              type="button"
+              onClick={handleExport}
+              disabled={environments.length === 0}
+              className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-gray-200"
+            >
+              📤 Exporter
+            </button>
+            <label className="flex items-center gap-1 text-gray-400">
+              <input type="checkbox" checked={includeSecrets} onChange={(e) => setIncludeSecrets(e.target.checked)} />
+              inclure les secrets
+            </label>
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-gray-200"
+            >
+              📥 Importer
+            </button>
+            <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+            {message && <span className="text-gray-400">{message}</span>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
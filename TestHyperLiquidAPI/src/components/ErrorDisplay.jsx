@@ -0,0 +1,132 @@
+/**
+ * ============================================================================
+ * COMPOSANT D'AFFICHAGE DES ERREURS API
+ * ============================================================================
+ *
+ * Affiche une HyperliquidApiError de manière exploitable :
+ * - Titre selon le type d'erreur (coin inconnu, rate-limit, adresse...)
+ * - Message + conseil (`hint`) pour corriger le problème
+ * - Contexte : endpoint, statut HTTP, paramètres envoyés
+ * - Body d'erreur Hyperliquid brut (repliable)
+ * - Bouton "Réessayer" si l'erreur est transitoire (`retryable`)
+ *
+ * Accepte aussi la forme sérialisée (error.toJSON()) pour les erreurs
+ * conservées dans un état ou un historique.
+ *
+ * UTILISATION :
+ * -------------
+ * <ErrorDisplay error={error} onRetry={executeRequest} />
+ */
+
+import { useState } from 'react';
+
+/**
+ * Titres et icônes par type d'erreur (voir src/api/errors.js)
+ */
+const ERROR_LABELS = {
+  'unknown-endpoint': { icon: '🔍', title: 'Endpoint inconnu' },
+  validation: { icon: '✏️', title: 'Paramètres invalides' },
+  network: { icon: '🔌', title: 'Serveur injoignable' },
+  'rate-limited': { icon: '🚦', title: 'Rate-limit atteint' },
+  'unknown-coin': { icon: '🪙', title: 'Coin inconnu' },
+  'invalid-user': { icon: '👤', title: 'Adresse utilisateur invalide' },
+  client: { icon: '⛔', title: 'Requête refusée' },
+  server: { icon: '🔥', title: 'Erreur serveur' },
+  schema: { icon: '🧩', title: 'Réponse inattendue' },
+  parsing: { icon: '📄', title: 'Réponse illisible' },
+  timeout: { icon: '⏱️', title: 'Délai dépassé' },
+  aborted: { icon: '🛑', title: 'Requête annulée' },
+  'fixture-missing': { icon: '📼', title: 'Fixture absente (mode replay)' },
+  'subscription-rejected': { icon: '📡', title: 'Subscription refusée' },
+  unknown: { icon: '❌', title: 'Erreur' }
+};
+
+/**
+ * ============================================================================
+ * COMPOSANT PRINCIPAL : ERROR DISPLAY
+ * ============================================================================
+ *
+ * @param {Object} props
+ * @param {Object} props.error - HyperliquidApiError (ou sa forme sérialisée)
+ * @param {Function} [props.onRetry] - Relance la requête (affiché si retryable)
+ */
+export default function ErrorDisplay({ error, onRetry }) {
+  const [showBody, setShowBody] = useState(false);
+
+  if (!error) return null;
+
+  const { icon, title } = ERROR_LABELS[error.type] || ERROR_LABELS.unknown;
+  const hasParams = error.params && Object.keys(error.params).length > 0;
+  const hasBody = error.body !== null && error.body !== undefined && error.body !== '';
+
+  return (
+    <div className="mt-4 bg-red-950/40 border border-red-800 rounded-lg p-4 space-y-3 text-left">
+      {/* En-tête : type + statut + retryable */}
+      <div className="flex flex-wrap items-center gap-2">
+        <h3 className="text-base font-semibold text-red-300">
+          {icon} {title}
+        </h3>
+        {error.status && (
+          <span className="px-2 py-0.5 text-xs font-mono rounded bg-red-900 text-red-200">
+            HTTP {error.status}
+          </span>
+        )}
+        {error.endpointId && (
+          <span className="px-2 py-0.5 text-xs font-mono rounded bg-gray-800 text-gray-300">
+            {error.endpointId}
+          </span>
+        )}
+        <span className={`px-2 py-0.5 text-xs rounded ${
+          error.retryable ? 'bg-yellow-900 text-yellow-200' : 'bg-gray-800 text-gray-400'
+        }`}>
+          {error.retryable ? '🔁 transitoire' : 'définitive'}
+        </span>
+      </div>
+
+      {/* Message */}
+      <p className="text-sm text-red-200 break-words">{error.message}</p>
+
+      {/* Conseil actionnable */}
+      {error.hint && (
+        <p className="text-sm text-gray-200 bg-gray-900/60 rounded p-2">
+          💡 {error.hint}
+        </p>
+      )}
+
+      {/* Paramètres envoyés */}
+      {hasParams && (
+        <div className="text-xs text-gray-400">
+          <span className="font-medium">Paramètres :</span>{' '}
+          <span className="font-mono">{JSON.stringify(error.params)}</span>
+        </div>
+      )}
+
+      {/* Body d'erreur brut */}
+      {hasBody && (
+        <div>
+          <button
+            onClick={() => setShowBody(!showBody)}
+            className="text-xs text-gray-400 hover:text-gray-200 underline"
+          >
+            {showBody ? 'Masquer la réponse brute' : 'Voir la réponse brute'}
+          </button>
+          {showBody && (
+            <pre className="mt-2 bg-gray-950 p-3 rounded text-xs text-gray-300 overflow-auto max-h-60">
+              {typeof error.body === 'string' ? error.body : JSON.stringify(error.body, null, 2)}
+            </pre>
+          )}
+        </div>
+      )}
+
+      {/* Relance */}
+      {error.retryable && onRetry && (
+        <button
+          onClick={onRetry}
+          className="px-3 py-1 text-sm font-medium rounded bg-emerald-600 hover:bg-emerald-700 text-white"
+        >
+          🔁 Réessayer
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+/**
+ * ============================================================================
+ * COMPOSANT : LIVE STATUS BADGE
+ * ============================================================================
+ *
+ * Indicateur de fraîcheur des données d'un dashboard (hook useLiveMarket) :
+ * - 🟢 Live    : flux WebSocket actif
+ * - 🟡 Stale   : WebSocket ouvert mais muet
+ * - 🔵 Polling : WebSocket indisponible, repli REST
+ *
+ * UTILISATION :
+ * -------------
+ * <LiveStatusBadge status={status} lastUpdate={lastUpdate} pollIntervalMs={15000} />
+ */
+
+const STATUS_STYLES = {
+  loading: { dot: 'bg-gray-500 animate-pulse', label: 'Chargement', className: 'text-gray-400' },
+  live: { dot: 'bg-emerald-500 animate-pulse', label: 'Live', className: 'text-emerald-400' },
+  stale: { dot: 'bg-yellow-500', label: 'Stale', className: 'text-yellow-400' },
+  polling: { dot: 'bg-sky-500', label: 'Polling REST', className: 'text-sky-400' },
+  error: { dot: 'bg-red-500', label: 'Erreur', className: 'text-red-400' }
+};
+
+export default function LiveStatusBadge({ status, lastUpdate, pollIntervalMs }) {
+  const style = STATUS_STYLES[status] || STATUS_STYLES.loading;
+
+  const title = {
+    live: 'Flux WebSocket actif',
+    stale: 'WebSocket ouvert, aucun message récent',
+    polling: `WebSocket indisponible : snapshot REST${pollIntervalMs ? ` toutes les ${pollIntervalMs / 1000}s` : ''}`
+  }[status];
+
+  return (
+    <span className={`inline-flex items-center gap-2 text-xs ${style.className}`} title={title}>
+      <span className={`w-2 h-2 rounded-full ${style.dot}`} />
+      <span className="font-semibold uppercase tracking-wide">{style.label}</span>
+      {lastUpdate && (
+        <span className="text-gray-500">· {new Date(lastUpdate).toLocaleTimeString('fr-FR')}</span>
+      )}
+    </span>
+  );
+}
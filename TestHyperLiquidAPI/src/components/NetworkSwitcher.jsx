@@ -0,0 +1,91 @@
+/**
+ * ============================================================================
+ * COMPOSANT : NETWORK SWITCHER
+ * ============================================================================
+ *
+ * Sélecteur visible du réseau Hyperliquid actif (mainnet / testnet / custom).
+ * Le choix est persisté par le networkService et s'applique immédiatement
+ * à toutes les requêtes (REST et WebSocket).
+ *
+ * UTILISATION :
+ * -------------
+ * <NetworkSwitcher />
+ */
+
+import { useState } from 'react';
+import networkService from '../services/networkService.js';
+import { useNetwork } from '../hooks/useNetwork.js';
+
+/**
+ * Couleurs Tailwind par profil (classes complètes pour le purge Tailwind)
+ */
+const BADGE_CLASSES = {
+  emerald: 'bg-emerald-900/40 border-emerald-500 text-emerald-300',
+  yellow: 'bg-yellow-900/40 border-yellow-500 text-yellow-300',
+  purple: 'bg-purple-900/40 border-purple-500 text-purple-300'
+};
+
+export default function NetworkSwitcher() {
+  const network = useNetwork();
+  const profiles = networkService.getProfiles();
+
+  /**
+   * Brouillon local des URLs custom (appliqué au blur pour ne pas
+   * notifier tous les abonnés à chaque frappe)
+   */
+  const [draft, setDraft] = useState({ apiBase: network.apiBase, wsUrl: network.wsUrl });
+
+  function handleNetworkChange(networkId) {
+    networkService.setActiveNetwork(networkId);
+    const next = networkService.getActiveProfile();
+    setDraft({ apiBase: next.apiBase, wsUrl: next.wsUrl });
+  }
+
+  function commitCustom() {
+    networkService.updateCustomProfile(draft);
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-left">
+      <span
+        className={`px-2 py-1 text-xs font-semibold rounded border ${BADGE_CLASSES[network.color] || BADGE_CLASSES.emerald}`}
+        title={network.description}
+      >
+        🌍 {network.label}
+      </span>
+
+      <select
+        value={network.id}
+        onChange={(e) => handleNetworkChange(e.target.value)}
+        className="bg-gray-800 border border-gray-600 rounded px-2 py-1 text-sm text-white
+                   focus:outline-none focus:ring-2 focus:ring-emerald-500"
+      >
+        {profiles.map(profile => (
+          <option key={profile.id} value={profile.id}>{profile.label}</option>
+        ))}
+      </select>
+
+      {/* URLs éditables uniquement pour le profil custom */}
+      {network.editable && (
+        <>
+          <input
+            type="text"
+            value={draft.apiBase}
+            onChange={(e) => setDraft({ ...draft, apiBase: e.target.value })}
+            onBlur={commitCustom}
+            placeholder="http://localhost:8787"
+            className="bg-gray-800 border border-gray-600 rounded px-2 py-1 text-xs text-white font-mono w-56"
+          />
+          <input
+            type="text"
+            value={draft.wsUrl}
+            onChange={(e) => setDraft({ ...draft, wsUrl: e.target.value })}
+            onBlur={commitCustom}
+            placeholder="ws://localhost:8787/ws"
+            className="bg-gray-800 border border-gray-600 rounded px-2 py-1 text-xs text-white font-mono w-56"
+          />
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+/**
+ * ============================================================================
+ * COMPOSANT : ORDER BOOK LADDER
+ * ============================================================================
+ *
+ * Carnet d'ordres vertical (vue de useOrderBook) :
+ * - Asks en haut (meilleur ask au plus près du spread), bids en bas
+ * - Barre de profondeur cumulée derrière chaque niveau
+ * - Flash vert / rouge des niveaux dont la taille augmente / diminue
+ * - Ligne centrale : spread, mid et microprice
+ * - Jauge de déséquilibre bid / ask sur la profondeur affichée
+ *
+ * UTILISATION :
+ * -------------
+ * const view = useOrderBook(book, { tickSize, depth: 15 });
+ * <OrderBookLadder view={view} unit="ETH" />
+ */
+
+import { tickDecimals } from '../utils/orderBook.js';
+
+const SIDE_STYLES = {
+  bid: { price: 'text-emerald-400', bar: 'bg-emerald-500/15' },
+  ask: { price: 'text-red-400', bar: 'bg-red-500/15' }
+};
+
+const FLASH_CLASSES = {
+  new: 'animate-flash-up',
+  up: 'animate-flash-up',
+  down: 'animate-flash-down'
+};
+
+/**
+ * Prix affiché avec les décimales de la tranche (regroupé) ou telles quelles (brut)
+ */
+function formatPrice(px, tickSize) {
+  const decimals = tickSize ? tickDecimals(tickSize) : 0;
+  return px.toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: tickSize ? decimals : 8 });
+}
+
+function formatSize(sz) {
+  return sz.toLocaleString('en-US', { maximumFractionDigits: 4 });
+}
+
+export default function OrderBookLadder({ view, unit }) {
+  if (!view) {
+    return <p className="p-6 text-center text-gray-500">Carnet d'ordres indisponible</p>;
+  }
+
+  const { bids, asks, stats, tickSize, maxTotal } = view;
+  const imbalance = stats.imbalance ?? 0;
+
+  return (
+    <div className="font-mono text-sm">
+      {/* En-têtes de colonnes */}
+      <div className="grid grid-cols-3 px-4 py-2 text-xs text-gray-500 border-b border-gray-700">
+        <span>Prix</span>
+        <span className="text-right">Taille ({unit})</span>
+        <span className="text-right">Total ({unit})</span>
+      </div>
+
+      {/* ASKS : du pire (haut) au meilleur (bas) */}
+      <div>
+        {[...asks].reverse().map(level => (
+          <LadderRow key={`ask-${level.px}`} level={level} side="ask" tickSize={tickSize} maxTotal={maxTotal} />
+        ))}
+      </div>
+
+      {/* SPREAD */}
+      <div className="grid grid-cols-3 px-4 py-2 bg-gray-900 border-y border-gray-700 text-xs">
+        <span className="text-gray-300">
+          Spread {stats.spread !== null ? formatPrice(stats.spread, tickSize) : '---'}
+          {stats.spreadBps !== null && <span className="text-gray-500"> ({stats.spreadBps.toFixed(2)} bps)</span>}
+        </span>
+        <span className="text-right text-gray-300" title="Moyenne du meilleur bid et du meilleur ask">
+          Mid {stats.mid !== null ? formatPrice(stats.mid, null) : '---'}
+        </span>
+        <span className="text-right text-emerald-300" title="Mid pondéré par les tailles au meilleur niveau">
+          Micro {stats.microprice !== null ? formatPrice(stats.microprice, null) : '---'}
+        </span>
+      </div>
+
+      {/* BIDS : du meilleur (haut) au pire (bas) */}
+      <div>
+        {bids.map(level => (
+          <LadderRow key={`bid-${level.px}`} level={level} side="bid" tickSize={tickSize} maxTotal={maxTotal} />
+        ))}
+      </div>
+
+      {/* DÉSÉQUILIBRE BID / ASK */}
+      <div className="px-4 py-3 border-t border-gray-700">
+        <div className="flex justify-between text-xs mb-1">
+          <span className="text-emerald-400">Bids {formatSize(stats.bidDepth)}</span>
+          <span className="text-gray-400">Déséquilibre {(imbalance * 100).toFixed(1)}%</span>
+          <span className="text-red-400">Asks {formatSize(stats.askDepth)}</span>
+        </div>
+        <div className="flex h-2 rounded overflow-hidden bg-gray-700">
+          <div className="bg-emerald-500" style={{ width: `${(1 + imbalance) * 50}%` }} />
+          <div className="bg-red-500 flex-1" />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Ligne du carnet : barre de profondeur + flash au changement de taille
+ */
+function LadderRow({ level, side, tickSize, maxTotal }) {
+  const style = SIDE_STYLES[side];
+  const flash = FLASH_CLASSES[level.change];
+
+  return (
+    <div className="relative grid grid-cols-3 px-4 py-0.5">
+      <div
+        className={`absolute inset-y-0 right-0 ${style.bar}`}
+        style={{ width: `${maxTotal > 0 ? (level.total / maxTotal) * 100 : 0}%` }}
+      />
+      {/* La clé change avec la taille : l'animation est rejouée à chaque modification */}
+      {flash && <div key={level.sz} className={`absolute inset-0 ${flash}`} />}
+      <span className={`relative ${style.price}`}>{formatPrice(level.px, tickSize)}</span>
+      <span className="relative text-right text-gray-200">{formatSize(level.sz)}</span>
+      <span className="relative text-right text-gray-400">{formatSize(level.total)}</span>
+    </div>
+  );
+}
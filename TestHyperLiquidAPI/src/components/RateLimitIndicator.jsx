@@ -0,0 +1,45 @@
+/**
+ * ============================================================================
+ * COMPOSANT : RATE LIMIT INDICATOR
+ * ============================================================================
+ *
+ * Jauge compacte du budget rate-limit Hyperliquid pour le réseau actif :
+ * - Poids restant sur la fenêtre glissante (1200 / minute)
+ * - Nombre de requêtes en file d'attente et en vol
+ * - Blocage temporaire après un HTTP 429
+ *
+ * UTILISATION :
+ * -------------
+ * <RateLimitIndicator />
+ */
+
+import { useSchedulerStats } from '../hooks/useSchedulerStats.js';
+
+export default function RateLimitIndicator() {
+  const stats = useSchedulerStats();
+
+  const ratio = stats.capacity > 0 ? stats.remainingWeight / stats.capacity : 0;
+  const barColor = ratio > 0.5 ? 'bg-emerald-500' : ratio > 0.15 ? 'bg-yellow-500' : 'bg-red-500';
+
+  return (
+    <div
+      className="flex items-center gap-3 text-xs text-gray-400"
+      title={`Budget rate-limit : ${stats.remainingWeight}/${stats.capacity} sur ${stats.windowMs / 1000}s`}
+    >
+      <span>⚖️ {stats.remainingWeight}/{stats.capacity}</span>
+
+      {/* Jauge du budget restant */}
+      <div className="w-24 h-2 bg-gray-700 rounded overflow-hidden">
+        <div className={`h-full ${barColor} transition-all`} style={{ width: `${Math.round(ratio * 100)}%` }} />
+      </div>
+
+      <span>📥 {stats.queueDepth} en file</span>
+      <span>🌐 {stats.inFlight} en vol</span>
+
+      {stats.retryCount > 0 && <span>🔁 {stats.retryCount} rejeu(x)</span>}
+      {stats.blockedFor > 0 && (
+        <span className="text-red-400">⛔ 429 — reprise dans {Math.ceil(stats.blockedFor / 1000)}s</span>
+      )}
+    </div>
+  );
+}
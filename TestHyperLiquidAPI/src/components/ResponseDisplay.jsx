@@ -12,6 +12,8 @@
  * 2. JsonViewer : Visualiseur JSON avec indentation et coloration
  * 3. AllMidsResponseSummary : Affichage spécial pour les réponses allMids
  * 
+ * Les erreurs typées (HyperliquidApiError) sont déléguées à ErrorDisplay.
+ * 
  * PROBLÈME RÉSOLU :
  * -----------------
  * Les réponses API brutes sont difficiles à lire :
@@ -31,10 +33,12 @@
  *   response={apiResponse} 
  *   endpointId="allMids"
  * />
+ * <ResponseDisplay error={apiError} onRetry={executeRequest} />
  */
 
 import { useState } from 'react';
 import assetMapping from '../services/assetMappingService.js';
+import ErrorDisplay from './ErrorDisplay.jsx';
 
 /**
  * ============================================================================
@@ -47,6 +51,8 @@ import assetMapping from '../services/assetMappingService.js';
  * @param {Object} props
  * @param {Object} props.response - La réponse API à afficher
  * @param {string} props.endpointId - L'ID de l'endpoint appelé (ex: "allMids")
+ * @param {Object} [props.error] - Erreur typée à afficher à la place de la réponse
+ * @param {Function} [props.onRetry] - Relance proposée pour les erreurs transitoires
  * 
  * @example
  * <ResponseDisplay 
@@ -54,13 +60,20 @@ import assetMapping from '../services/assetMappingService.js';
  *   endpointId="allMids"
  * />
  */
-export default function ResponseDisplay({ response, endpointId }) {
+export default function ResponseDisplay({ response, endpointId, error, onRetry }) {
   /**
    * État de collapse/expand
    * true = tout replié, false = tout déplié
    */
   const [isCollapsed, setIsCollapsed] = useState(false);
 
+  /**
+   * Erreur typée : message actionnable plutôt que JSON brut
+   */
+  if (error) {
+    return <ErrorDisplay error={error} onRetry={onRetry} />;
+  }
+
   /**
    * Si pas de réponse, afficher un message par défaut
    */
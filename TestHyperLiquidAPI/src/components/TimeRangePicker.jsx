@@ -0,0 +1,183 @@
+/**
+ * ============================================================================
+ * COMPOSANT : TIME RANGE PICKER
+ * ============================================================================
+ *
+ * Saisie d'une plage de temps pour les paramètres "timestamp" :
+ * - Expressions relatives (now-24h, startOfDay-7d) ou dates ISO
+ * - Sélecteur date/heure natif (écrit une date ISO avec fuseau local)
+ * - Raccourcis : 1h, 24h, 7j, 30j, aujourd'hui, hier
+ * - Aperçu des timestamps résolus AVANT l'envoi de la requête
+ *
+ * Les valeurs restent des expressions : "now-24h" est résolu au moment
+ * de l'envoi, pas au moment de la saisie.
+ *
+ * UTILISATION :
+ * -------------
+ * <TimeRangePicker
+ *   start={params.start_time}
+ *   end={params.end_time}
+ *   onChange={({ start, end }) => setParams({ ...params, start_time: start, end_time: end })}
+ * />
+ */
+
+import { useEffect, useState } from 'react';
+import {
+  parseTimeExpression,
+  formatTimestamp,
+  formatDuration,
+  toLocalIsoString
+} from '../utils/timeExpressions.js';
+
+/**
+ * Plages prédéfinies
+ */
+const PRESETS = [
+  { label: '1h', start: 'now-1h', end: 'now' },
+  { label: '24h', start: 'now-24h', end: 'now' },
+  { label: '7j', start: 'now-7d', end: 'now' },
+  { label: '30j', start: 'now-30d', end: 'now' },
+  { label: "Aujourd'hui", start: 'startOfDay', end: 'now' },
+  { label: 'Hier', start: 'startOfDay-1d', end: 'startOfDay' }
+];
+
+// Rafraîchissement de l'aperçu des expressions relatives
+const PREVIEW_REFRESH_MS = 10000;
+
+/**
+ * Résolution tolérante : { timestamp } ou { error }
+ */
+function resolve(expression, now) {
+  if (expression === undefined || expression === null || expression === '') {
+    return { timestamp: null, error: null };
+  }
+  try {
+    return { timestamp: parseTimeExpression(expression, { now }), error: null };
+  } catch (error) {
+    return { timestamp: null, error: error.message };
+  }
+}
+
+/**
+ * ============================================================================
+ * SOUS-COMPOSANT : UNE BORNE DE LA PLAGE
+ * ============================================================================
+ */
+function RangeBound({ label, value, placeholder, resolved, onChange }) {
+  return (
+    <div className="space-y-1">
+      <div className="text-sm font-medium text-gray-300">{label}</div>
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={value ?? ''}
+          placeholder={placeholder}
+          onChange={(e) => onChange(e.target.value)}
+          className="flex-1 min-w-0 bg-gray-700 border border-gray-600 rounded-lg px-3 py-2 font-mono text-sm
+                     text-white focus:outline-none focus:border-emerald-500 placeholder-gray-500"
+        />
+        <input
+          type="datetime-local"
+          step="1"
+          value={resolved.timestamp !== null ? toLocalIsoString(resolved.timestamp).slice(0, 19) : ''}
+          onChange={(e) => {
+            if (e.target.value) onChange(toLocalIsoString(new Date(e.target.value).getTime()));
+          }}
+          title="Choisir une date (fuseau local)"
+          className="w-10 bg-gray-700 border border-gray-600 rounded-lg px-2 text-white
+                     focus:outline-none focus:border-emerald-500 cursor-pointer"
+        />
+      </div>
+      <div className={`text-xs font-mono ${resolved.error ? 'text-red-400' : 'text-gray-400'}`}>
+        {resolved.error
+          ? `❌ ${resolved.error}`
+          : resolved.timestamp !== null
+            ? `→ ${resolved.timestamp} · ${formatTimestamp(resolved.timestamp)}`
+            : '—'}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * ============================================================================
+ * COMPOSANT PRINCIPAL : TIME RANGE PICKER
+ * ============================================================================
+ *
+ * @param {Object} props
+ * @param {string|number} props.start - Expression de début
+ * @param {string|number} props.end - Expression de fin
+ * @param {Function} props.onChange - Appelé avec { start, end }
+ * @param {string} [props.startLabel='Début']
+ * @param {string} [props.endLabel='Fin']
+ * @param {string} [props.startPlaceholder='now-24h']
+ * @param {string} [props.endPlaceholder='now']
+ */
+export default function TimeRangePicker({
+  start,
+  end,
+  onChange,
+  startLabel = 'Début',
+  endLabel = 'Fin',
+  startPlaceholder = 'now-24h',
+  endPlaceholder = 'now'
+}) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), PREVIEW_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Champ vide → placeholder (c'est la valeur par défaut envoyée)
+  const startResolved = resolve(start || startPlaceholder, now);
+  const endResolved = resolve(end || endPlaceholder, now);
+  const bothResolved = startResolved.timestamp !== null && endResolved.timestamp !== null;
+  const invertedRange = bothResolved && startResolved.timestamp >= endResolved.timestamp;
+
+  return (
+    <div className="bg-gray-900/60 border border-gray-700 rounded-lg p-4 space-y-3 text-left">
+      <div className="flex flex-wrap gap-2">
+        {PRESETS.map(preset => (
+          <button
+            key={preset.label}
+            type="button"
+            onClick={() => onChange({ start: preset.start, end: preset.end })}
+            className={`px-2 py-1 text-xs rounded border transition-colors ${
+              start === preset.start && end === preset.end
+                ? 'bg-emerald-900/40 border-emerald-500 text-emerald-300'
+                : 'bg-gray-800 border-gray-600 text-gray-300 hover:border-emerald-500'
+            }`}
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <RangeBound
+          label={startLabel}
+          value={start}
+          placeholder={startPlaceholder}
+          resolved={startResolved}
+          onChange={(value) => onChange({ start: value, end })}
+        />
+        <RangeBound
+          label={endLabel}
+          value={end}
+          placeholder={endPlaceholder}
+          resolved={endResolved}
+          onChange={(value) => onChange({ start, end: value })}
+        />
+      </div>
+
+      {bothResolved && (
+        <div className={`text-xs ${invertedRange ? 'text-yellow-400' : 'text-gray-400'}`}>
+          {invertedRange
+            ? '⚠️ Le début doit précéder la fin'
+            : `⏱️ Durée : ${formatDuration(endResolved.timestamp - startResolved.timestamp)}`}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+/**
+ * ============================================================================
+ * COMPOSANT : TRANSPORT CONTROL
+ * ============================================================================
+ *
+ * Sélecteur du mode de transport REST :
+ * - live   : API réelle
+ * - record : API réelle + enregistrement des réponses en fixtures
+ * - replay : fixtures uniquement (hors ligne, déterministe)
+ *
+ * Permet aussi d'exporter / importer / vider les fixtures (fichier JSON).
+ *
+ * UTILISATION :
+ * -------------
+ * <TransportControl />
+ */
+
+import { useRef, useState } from 'react';
+import transportService from '../services/transportService.js';
+import { useTransport } from '../hooks/useTransport.js';
+
+/**
+ * Libellés et couleurs par mode (classes complètes pour le purge Tailwind)
+ */
+const MODES = {
+  live: { label: '🌐 Live', classes: 'bg-emerald-900/40 border-emerald-500 text-emerald-300' },
+  record: { label: '⏺️ Record', classes: 'bg-red-900/40 border-red-500 text-red-300' },
+  replay: { label: '⏯️ Replay', classes: 'bg-blue-900/40 border-blue-500 text-blue-300' }
+};
+
+export default function TransportControl() {
+  const { mode, fixtureCount } = useTransport();
+  const fileInputRef = useRef(null);
+  const [message, setMessage] = useState(null);
+
+  /**
+   * Télécharge les fixtures au format JSON
+   */
+  function handleExport() {
+    const blob = new Blob([transportService.exportFixtures()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `hyperliquid-fixtures-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Importe un fichier de fixtures (fusionné avec l'existant)
+   */
+  async function handleImport(event) {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const count = transportService.importFixtures(await file.text());
+      setMessage(`✅ ${count} fixture(s) importée(s)`);
+    } catch (error) {
+      setMessage(`❌ ${error.message}`);
+    }
+  }
+
+  function handleClear() {
+    transportService.clearFixtures();
+    setMessage('🧹 Fixtures supprimées');
+  }
+
+  const current = MODES[mode] || MODES.live;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-left text-xs">
+      <span className={`px-2 py-1 font-semibold rounded border ${current.classes}`}>
+        {current.label}
+      </span>
+
+      <select
+        value={mode}
+        onChange={(e) => transportService.setMode(e.target.value)}
+        className="bg-gray-800 border border-gray-600 rounded px-2 py-1 text-sm text-white
+                   focus:outline-none focus:ring-2 focus:ring-emerald-500"
+      >
+        {Object.entries(MODES).map(([id, { label }]) => (
+          <option key={id} value={id}>{label}</option>
+        ))}
+      </select>
+
+      <span className="text-gray-400">📼 {fixtureCount} fixture(s)</span>
+
+      <button
+        onClick={handleExport}
+        disabled={fixtureCount === 0}
+        className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-gray-200"
+      >
+        Exporter
+      </button>
+      <button
+        onClick={() => fileInputRef.current?.click()}
+        className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 text-gray-200"
+      >
+        Importer
+      </button>
+      <button
+        onClick={handleClear}
+        disabled={fixtureCount === 0}
+        className="px-2 py-1 rounded bg-gray-700 hover:bg-gray-600 disabled:opacity-50 text-gray-200"
+      >
+        Vider
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        onChange={handleImport}
+        className="hidden"
+      />
+
+      {message && <span className="text-gray-400">{message}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,57 @@
+/**
+ * ============================================================================
+ * COMPOSANT : WS STATUS BADGE
+ * ============================================================================
+ *
+ * Pastille d'état d'un client WebSocket (src/api/wsClient.js) :
+ * - 🟢 connecté, 🟡 connexion / reconnexion (tentative n°, délai), ⚪ fermé
+ * - Dernière erreur (connexion perdue, connexion muette...)
+ *
+ * UTILISATION :
+ * -------------
+ * <WsStatusBadge />                  // client partagé du réseau actif
+ * <WsStatusBadge client={myClient} />
+ */
+
+import { useEffect, useState } from 'react';
+import { WS_STATES } from '../api/wsClient.js';
+import { useWsConnection } from '../hooks/useWsConnection.js';
+
+const STATE_STYLES = {
+  [WS_STATES.IDLE]: { dot: 'bg-gray-500', label: 'Non connecté' },
+  [WS_STATES.CONNECTING]: { dot: 'bg-yellow-400 animate-pulse', label: 'Connexion…' },
+  [WS_STATES.OPEN]: { dot: 'bg-emerald-500', label: 'Connecté' },
+  [WS_STATES.RECONNECTING]: { dot: 'bg-yellow-500 animate-pulse', label: 'Reconnexion' },
+  [WS_STATES.CLOSED]: { dot: 'bg-gray-500', label: 'Fermé' }
+};
+
+export default function WsStatusBadge({ client }) {
+  const connection = useWsConnection(client);
+  const style = STATE_STYLES[connection.state];
+
+  // Compte à rebours jusqu'à la prochaine tentative
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    if (connection.state !== WS_STATES.RECONNECTING || !connection.nextRetryAt) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(interval);
+  }, [connection.state, connection.nextRetryAt]);
+
+  const retryIn = connection.nextRetryAt ? Math.max(0, Math.ceil((connection.nextRetryAt - now) / 1000)) : 0;
+
+  return (
+    <span className="inline-flex items-center gap-2 text-xs text-gray-300" title={connection.url || ''}>
+      <span className={`w-2 h-2 rounded-full ${style.dot}`} />
+      <span>{style.label}</span>
+      {connection.state === WS_STATES.RECONNECTING && (
+        <span className="text-gray-400">#{connection.attempt}{retryIn > 0 ? ` dans ${retryIn}s` : ''}</span>
+      )}
+      {connection.subscriptionCount > 0 && (
+        <span className="text-gray-500">· {connection.subscriptionCount} sub(s)</span>
+      )}
+      {connection.lastError && connection.state !== WS_STATES.OPEN && (
+        <span className="text-rose-400">{connection.lastError}</span>
+      )}
+    </span>
+  );
+}
@@ -11,10 +11,75 @@
  * - 📊 Données de marché publiques (pas d'auth requise)
  * - 🔐 Données utilisateur (adresse requise)
  * - 📈 Données historiques
+ * - 💱 Marché spot (paires "@{index}", tokens, soldes)
+ * - 📡 Flux WebSocket (subscriptions)
+ * - 🔌 API tierces (URL absolue)
+ *
+ * 📐 Catalogue unique de l'App, de l'ApiPlayground et du SimpleApiPlayground :
+ * chaque définition suit le schéma documenté dans src/api/endpointSchema.js
+ * (validé au chargement du registre). Des définitions supplémentaires
+ * peuvent être importées à chaud (fichier JSON ou URL).
  */
 
-// 🌐 URL de base de l'API Hyperliquid
-export const HYPERLIQUID_API_BASE = 'https://api.hyperliquid.xyz';
+// 🌐 Les URLs ne sont PAS figées ici : chaque endpoint déclare un `path`
+// résolu au moment de la requête contre le réseau actif (mainnet/testnet/custom)
+// via networkService.resolveEndpointUrl(endpoint).
+
+/**
+ * 🧩 PARAMÈTRES PARTAGÉS
+ * Réutilisés par les endpoints utilisateur et historiques
+ */
+const USER_ADDRESS_PARAM = {
+  name: 'user_address',
+  label: 'Adresse utilisateur',
+  type: 'string',
+  required: true,
+  placeholder: '0x...',
+  examples: [
+    '0x000000000000000000000000000000000000dead', // Adresse de test
+    '0xd8da6bf26964af9d7eed9e03e53415d37aa96045'  // Exemple public
+  ],
+  description: 'Adresse Ethereum de l\'utilisateur à interroger',
+  format: 'address' // 0x + 40 hex, checksum EIP-55 vérifié si casse mixte
+};
+
+const COIN_PARAM = {
+  name: 'coin',
+  label: 'Asset',
+  type: 'string',
+  required: true,
+  placeholder: 'BTC',
+  default: 'BTC',
+  examples: ['BTC', 'ETH', 'SOL'],
+  enumFrom: 'assets',
+  description: 'Asset à interroger'
+};
+
+/**
+ * ⏱️ Plage de temps start_time / end_time (expressions relatives acceptées)
+ * end_time est optionnel : absent, l'API prend "maintenant"
+ */
+const TIME_RANGE_PARAMS = [
+  {
+    name: 'start_time',
+    label: 'Début',
+    type: 'timestamp',
+    range: 'start',
+    required: true,
+    default: 'now-7d',
+    examples: ['now-24h', 'startOfDay-7d', '2024-01-15T00:00:00Z'],
+    description: 'Expression relative (now-7d), date ISO avec fuseau ou timestamp ms'
+  },
+  {
+    name: 'end_time',
+    label: 'Fin (optionnelle)',
+    type: 'timestamp',
+    range: 'end',
+    after: 'start_time',
+    examples: ['now', 'startOfDay'],
+    description: 'Laisser vide pour "maintenant"'
+  }
+];
 
 /**
  * 📊 ENDPOINTS PUBLICS - Aucune authentification requise
@@ -23,10 +88,11 @@ export const HYPERLIQUID_API_BASE = 'https://api.hyperliquid.xyz';
 export const PUBLIC_ENDPOINTS = [
   {
     id: 'allMids',
+    aliases: ['hl-allMids'],
     name: '💰 All Mids (Prix en temps réel)',
     description: 'Récupère tous les prix de marché actuels pour toutes les paires',
     method: 'POST',
-    url: `${HYPERLIQUID_API_BASE}/info`,
+    path: '/info',
     headers: { 'Content-Type': 'application/json' },
     body: { type: 'allMids' },
     params: [], // Aucun paramètre requis
@@ -40,7 +106,7 @@ export const PUBLIC_ENDPOINTS = [
     name: '📋 Meta (Métadonnées des assets)',
     description: 'Informations sur tous les assets disponibles sur la plateforme',
     method: 'POST',
-    url: `${HYPERLIQUID_API_BASE}/info`,
+    path: '/info',
     headers: { 'Content-Type': 'application/json' },
     body: { type: 'meta' },
     params: [],
@@ -49,16 +115,61 @@ export const PUBLIC_ENDPOINTS = [
     expectedResponse: 'Liste des assets avec leurs métadonnées'
   },
 
+  {
+    id: 'metaAndAssetCtxs',
+    name: '📊 Meta & Asset Contexts',
+    description: 'Métadonnées des assets et contexte de marché (funding, open interest, prix mark/oracle)',
+    method: 'POST',
+    path: '/info',
+    headers: { 'Content-Type': 'application/json' },
+    body: { type: 'metaAndAssetCtxs' },
+    params: [],
+    category: 'market-data',
+    difficulty: 'beginner',
+    expectedResponse: 'Tableau [meta, assetCtxs] aligné par index'
+  },
+
+  {
+    id: 'predictedFundings',
+    name: '🔮 Predicted Fundings',
+    description: 'Prochains taux de funding prévus par coin, sur Hyperliquid et les venues de référence',
+    method: 'POST',
+    path: '/info',
+    headers: { 'Content-Type': 'application/json' },
+    body: { type: 'predictedFundings' },
+    params: [],
+    category: 'market-data',
+    difficulty: 'beginner',
+    expectedResponse: 'Tableau [coin, [[venue, { fundingRate, nextFundingTime }], ...]]'
+  },
+
+  {
+    id: 'perpsAtOpenInterestCap',
+    name: '🧢 Perps at Open Interest Cap',
+    description: 'Perps ayant atteint leur plafond d\'open interest (nouvelles positions limitées)',
+    method: 'POST',
+    path: '/info',
+    headers: { 'Content-Type': 'application/json' },
+    body: { type: 'perpsAtOpenInterestCap' },
+    params: [],
+    category: 'market-data',
+    difficulty: 'beginner',
+    expectedResponse: 'Tableau de noms de coins (ex: ["BADGER", "CANTO"])'
+  },
+
   {
     id: 'l2Book',
+    aliases: ['hl-l2Book'],
     name: '📚 L2 Book (Livre d\'ordres)',
     description: 'Carnet d\'ordres niveau 2 pour un asset spécifique',
     method: 'POST',
-    url: `${HYPERLIQUID_API_BASE}/info`,
+    path: '/info',
     headers: { 'Content-Type': 'application/json' },
     body: { 
       type: 'l2Book',
-      coin: '{{coin}}'
+      coin: '{{coin}}',
+      nSigFigs: '{{nSigFigs}}',
+      mantissa: '{{mantissa}}'
     },
     params: [
       {
@@ -67,8 +178,27 @@ export const PUBLIC_ENDPOINTS = [
         type: 'string',
         required: true,
         placeholder: 'BTC',
+        default: 'BTC',
         examples: ['BTC', 'ETH', 'SOL', 'ARB'],
+        enumFrom: 'assets', // Validé contre la liste live du réseau actif
         description: 'Symbole de l\'asset à interroger'
+      },
+      {
+        name: 'nSigFigs',
+        label: 'Chiffres significatifs (optionnel)',
+        type: 'number',
+        min: 2,
+        max: 5,
+        examples: ['5', '3'],
+        description: 'Agrège les niveaux de prix (2 à 5). Vide = précision maximale'
+      },
+      {
+        name: 'mantissa',
+        label: 'Mantisse (optionnelle)',
+        type: 'number',
+        validation: '^(1|2|5)$',
+        examples: ['2', '5'],
+        description: '1, 2 ou 5 — uniquement avec nSigFigs = 5'
       }
     ],
     category: 'market-data',
@@ -84,33 +214,197 @@ export const PUBLIC_ENDPOINTS = [
 export const USER_ENDPOINTS = [
   {
     id: 'userState',
+    aliases: ['hl-clearinghouseState'],
+    renamedParams: { user: 'user_address' },
     name: '👤 User State (État utilisateur)',
     description: 'État complet du compte d\'un utilisateur (positions, balances, etc.)',
     method: 'POST',
-    url: `${HYPERLIQUID_API_BASE}/info`,
+    path: '/info',
     headers: { 'Content-Type': 'application/json' },
     body: { 
       type: 'clearinghouseState',
       user: '{{user_address}}'
     },
+    params: [USER_ADDRESS_PARAM],
+    category: 'user-data',
+    difficulty: 'advanced',
+    expectedResponse: 'Positions, balances, et état du compte'
+  },
+
+  {
+    id: 'userFills',
+    aliases: ['hl-userFills'],
+    renamedParams: { user: 'user_address' },
+    name: '🧾 User Fills (Exécutions)',
+    description: 'Historique des fills (exécutions) d\'un utilisateur',
+    method: 'POST',
+    path: '/info',
+    headers: { 'Content-Type': 'application/json' },
+    body: {
+      type: 'userFills',
+      user: '{{user_address}}',
+      aggregateByTime: '{{aggregateByTime}}'
+    },
     params: [
+      USER_ADDRESS_PARAM,
       {
-        name: 'user_address',
-        label: 'Adresse utilisateur',
-        type: 'string',
+        name: 'aggregateByTime',
+        label: 'Agréger par horodatage',
+        type: 'boolean',
+        default: true,
+        description: 'Regroupe les fills partiels d\'un même ordre'
+      }
+    ],
+    category: 'user-data',
+    difficulty: 'advanced',
+    expectedResponse: 'Tableau des 2000 fills les plus récents (prix, taille, côté, frais...)'
+  },
+
+  {
+    id: 'userFillsByTime',
+    name: '🧾 User Fills by Time',
+    description: 'Fills d\'un utilisateur sur une plage de temps (2000 max par réponse, paginer via start_time)',
+    method: 'POST',
+    path: '/info',
+    headers: { 'Content-Type': 'application/json' },
+    body: {
+      type: 'userFillsByTime',
+      user: '{{user_address}}',
+      startTime: '{{start_time}}',
+      endTime: '{{end_time}}',
+      aggregateByTime: '{{aggregateByTime}}'
+    },
+    params: [
+      USER_ADDRESS_PARAM,
+      ...TIME_RANGE_PARAMS,
+      {
+        name: 'aggregateByTime',
+        label: 'Agréger par horodatage',
+        type: 'boolean',
+        default: false,
+        description: 'Regroupe les fills partiels d\'un même ordre'
+      }
+    ],
+    category: 'user-data',
+    difficulty: 'advanced',
+    expectedResponse: 'Tableau des fills de la plage, du plus ancien au plus récent'
+  },
+
+  {
+    id: 'openOrders',
+    name: '📝 Open Orders',
+    description: 'Ordres ouverts d\'un utilisateur',
+    method: 'POST',
+    path: '/info',
+    headers: { 'Content-Type': 'application/json' },
+    body: {
+      type: 'openOrders',
+      user: '{{user_address}}'
+    },
+    params: [USER_ADDRESS_PARAM],
+    category: 'user-data',
+    difficulty: 'intermediate',
+    expectedResponse: 'Tableau [{ coin, side, limitPx, sz, oid, timestamp, origSz }]'
+  },
+
+  {
+    id: 'frontendOpenOrders',
+    name: '🖥️ Frontend Open Orders',
+    description: 'Ordres ouverts avec les informations affichées par l\'interface (type, TP/SL, reduce-only...)',
+    method: 'POST',
+    path: '/info',
+    headers: { 'Content-Type': 'application/json' },
+    body: {
+      type: 'frontendOpenOrders',
+      user: '{{user_address}}'
+    },
+    params: [USER_ADDRESS_PARAM],
+    category: 'user-data',
+    difficulty: 'intermediate',
+    expectedResponse: 'Tableau d\'ordres enrichis (orderType, triggerPx, isTrigger, reduceOnly, tif...)'
+  },
+
+  {
+    id: 'historicalOrders',
+    name: '📜 Historical Orders',
+    description: 'Derniers ordres d\'un utilisateur avec leur statut final (2000 max)',
+    method: 'POST',
+    path: '/info',
+    headers: { 'Content-Type': 'application/json' },
+    body: {
+      type: 'historicalOrders',
+      user: '{{user_address}}'
+    },
+    params: [USER_ADDRESS_PARAM],
+    category: 'user-data',
+    difficulty: 'intermediate',
+    expectedResponse: 'Tableau [{ order, status, statusTimestamp }] (filled, canceled, rejected...)'
+  },
+
+  {
+    id: 'orderStatus',
+    name: '🔎 Order Status',
+    description: 'Statut d\'un ordre par son oid',
+    method: 'POST',
+    path: '/info',
+    headers: { 'Content-Type': 'application/json' },
+    body: {
+      type: 'orderStatus',
+      user: '{{user_address}}',
+      oid: '{{oid}}'
+    },
+    params: [
+      USER_ADDRESS_PARAM,
+      {
+        name: 'oid',
+        label: 'Order ID (oid)',
+        type: 'number',
         required: true,
-        placeholder: '0x...',
-        examples: [
-          '0x000000000000000000000000000000000000dead', // Adresse de test
-          '0xd8da6bf26964af9d7eed9e03e53415d37aa96045'  // Exemple public
-        ],
-        description: 'Adresse Ethereum de l\'utilisateur à interroger',
-        validation: '^0x[a-fA-F0-9]{40}$' // Regex pour valider format adresse
+        min: 0,
+        placeholder: '91490942',
+        examples: ['91490942'],
+        description: 'Identifiant numérique de l\'ordre (voir openOrders / historicalOrders)'
       }
     ],
     category: 'user-data',
     difficulty: 'advanced',
-    expectedResponse: 'Positions, balances, et état du compte'
+    expectedResponse: '{ status: "order", order: { order, status, statusTimestamp } } ou { status: "unknownOid" }'
+  },
+
+  {
+    id: 'userFunding',
+    name: '💸 User Funding',
+    description: 'Paiements de funding reçus / versés par un utilisateur sur une plage de temps',
+    method: 'POST',
+    path: '/info',
+    headers: { 'Content-Type': 'application/json' },
+    body: {
+      type: 'userFunding',
+      user: '{{user_address}}',
+      startTime: '{{start_time}}',
+      endTime: '{{end_time}}'
+    },
+    params: [USER_ADDRESS_PARAM, ...TIME_RANGE_PARAMS],
+    category: 'user-data',
+    difficulty: 'advanced',
+    expectedResponse: 'Tableau [{ time, hash, delta: { coin, usdc, szi, fundingRate } }]'
+  },
+
+  {
+    id: 'userRateLimit',
+    name: '⏳ User Rate Limit',
+    description: 'Quota de requêtes /exchange d\'un utilisateur (lié au volume tradé)',
+    method: 'POST',
+    path: '/info',
+    headers: { 'Content-Type': 'application/json' },
+    body: {
+      type: 'userRateLimit',
+      user: '{{user_address}}'
+    },
+    params: [USER_ADDRESS_PARAM],
+    category: 'user-data',
+    difficulty: 'intermediate',
+    expectedResponse: '{ cumVlm, nRequestsUsed, nRequestsCap }'
   }
 ];
 
@@ -121,10 +415,12 @@ export const USER_ENDPOINTS = [
 export const HISTORICAL_ENDPOINTS = [
   {
     id: 'candleSnapshot',
+    aliases: ['hl-candleSnapshot'],
+    renamedParams: { startTime: 'start_time', endTime: 'end_time' },
     name: '🕯️ Candlestick Data',
     description: 'Données de chandeliers japonais pour analyse technique',
     method: 'POST',
-    url: `${HYPERLIQUID_API_BASE}/info`,
+    path: '/info',
     headers: { 'Content-Type': 'application/json' },
     body: {
       type: 'candleSnapshot',
@@ -142,7 +438,9 @@ export const HISTORICAL_ENDPOINTS = [
         type: 'string', 
         required: true,
         placeholder: 'BTC',
+        default: 'BTC',
         examples: ['BTC', 'ETH', 'SOL'],
+        enumFrom: 'assets',
         description: 'Asset à analyser'
       },
       {
@@ -156,24 +454,201 @@ export const HISTORICAL_ENDPOINTS = [
       },
       {
         name: 'start_time',
-        label: 'Début (timestamp ms)',
-        type: 'number',
+        label: 'Début',
+        type: 'timestamp',
+        range: 'start',
         required: true,
-        placeholder: String(Date.now() - 24 * 60 * 60 * 1000), // 24h ago
-        description: 'Timestamp de début en millisecondes'
+        default: 'now-24h',
+        examples: ['now-24h', 'startOfDay-7d', '2024-01-15T00:00:00Z'],
+        description: 'Expression relative (now-24h), date ISO avec fuseau ou timestamp ms'
       },
       {
         name: 'end_time',
-        label: 'Fin (timestamp ms)', 
-        type: 'number',
+        label: 'Fin',
+        type: 'timestamp',
+        range: 'end',
         required: true,
-        placeholder: String(Date.now()),
-        description: 'Timestamp de fin en millisecondes'
+        default: 'now',
+        after: 'start_time',
+        examples: ['now', 'startOfDay', '2024-01-16T00:00:00Z'],
+        description: 'Expression relative (now), date ISO avec fuseau ou timestamp ms'
       }
     ],
     category: 'historical',
     difficulty: 'advanced',
     expectedResponse: 'Tableau de données OHLCV'
+  },
+
+  {
+    id: 'fundingHistory',
+    name: '📉 Funding History',
+    description: 'Historique des taux de funding d\'un perp (500 max par réponse, paginer via start_time)',
+    method: 'POST',
+    path: '/info',
+    headers: { 'Content-Type': 'application/json' },
+    body: {
+      type: 'fundingHistory',
+      coin: '{{coin}}',
+      startTime: '{{start_time}}',
+      endTime: '{{end_time}}'
+    },
+    params: [COIN_PARAM, ...TIME_RANGE_PARAMS],
+    category: 'historical',
+    difficulty: 'intermediate',
+    expectedResponse: 'Tableau [{ coin, fundingRate, premium, time }]'
+  }
+];
+
+/**
+ * 💱 ENDPOINTS SPOT - Paires, tokens et soldes spot
+ * Les paires hors "PURR/USDC" s'appellent "@{index}" dans l'API :
+ * assetMappingService les traduit en "BASE/QUOTE" via spotMeta.
+ * Asset ID spot (ordres) = 10000 + index de la paire.
+ */
+export const SPOT_ENDPOINTS = [
+  {
+    id: 'spotMeta',
+    name: '💱 Spot Meta (Paires et tokens)',
+    description: 'Tokens spot et paires de l\'univers spot (tokens: [base, quote])',
+    method: 'POST',
+    path: '/info',
+    headers: { 'Content-Type': 'application/json' },
+    body: { type: 'spotMeta' },
+    params: [],
+    category: 'spot',
+    difficulty: 'beginner',
+    expectedResponse: '{ tokens: [{ name, index, tokenId, szDecimals }], universe: [{ name, tokens, index }] }'
+  },
+
+  {
+    id: 'spotMetaAndAssetCtxs',
+    name: '💱 Spot Meta & Asset Contexts',
+    description: 'Métadonnées spot + contexte de marché de chaque paire (prix, volume, supply)',
+    method: 'POST',
+    path: '/info',
+    headers: { 'Content-Type': 'application/json' },
+    body: { type: 'spotMetaAndAssetCtxs' },
+    params: [],
+    category: 'spot',
+    difficulty: 'intermediate',
+    expectedResponse: '[spotMeta, [{ coin, markPx, midPx, prevDayPx, dayNtlVlm, circulatingSupply }]]'
+  },
+
+  {
+    id: 'spotClearinghouseState',
+    name: '💰 Spot Balances (Soldes spot)',
+    description: 'Soldes spot d\'un utilisateur, token par token',
+    method: 'POST',
+    path: '/info',
+    headers: { 'Content-Type': 'application/json' },
+    body: {
+      type: 'spotClearinghouseState',
+      user: '{{user_address}}'
+    },
+    params: [USER_ADDRESS_PARAM],
+    category: 'spot',
+    difficulty: 'intermediate',
+    expectedResponse: '{ balances: [{ coin, token, total, hold, entryNtl }] }'
+  },
+
+  {
+    id: 'tokenDetails',
+    name: '🪙 Token Details',
+    description: 'Supply, prix et déploiement d\'un token spot (tokenId issu de spotMeta)',
+    method: 'POST',
+    path: '/info',
+    headers: { 'Content-Type': 'application/json' },
+    body: {
+      type: 'tokenDetails',
+      tokenId: '{{tokenId}}'
+    },
+    params: [
+      {
+        name: 'tokenId',
+        label: 'Token ID',
+        type: 'string',
+        required: true,
+        placeholder: '0x...',
+        default: '0xc1fb593aeffbeb02f85e0308e9956a90', // PURR
+        validation: '^0x[0-9a-fA-F]{32}$',
+        description: 'Identifiant 16 octets du token (spotMeta.tokens[].tokenId)'
+      }
+    ],
+    category: 'spot',
+    difficulty: 'intermediate',
+    expectedResponse: '{ name, maxSupply, totalSupply, circulatingSupply, markPx, midPx, deployer... }'
+  }
+];
+
+/**
+ * 📡 ENDPOINTS WEBSOCKET - Flux temps réel
+ * Message envoyé à l'ouverture : { method: 'subscribe', subscription }
+ */
+export const STREAMING_ENDPOINTS = [
+  {
+    id: 'wsTrades',
+    aliases: ['hl-ws-trades'],
+    name: '📡 Trades (WebSocket)',
+    description: 'Stream temps réel des trades pour une paire',
+    method: 'WS',
+    path: '/ws',
+    subscription: { type: 'trades', coin: '{{coin}}' },
+    params: [
+      {
+        name: 'coin',
+        label: 'Coin',
+        type: 'select',
+        options: ['BTC', 'ETH', 'SOL', 'ARB'],
+        default: 'BTC'
+      }
+    ],
+    category: 'streaming',
+    difficulty: 'intermediate',
+    expectedResponse: 'Messages { channel: "trades", data: [...] }'
+  }
+];
+
+/**
+ * 🔌 API TIERCES - URL absolue, hors budget rate-limit Hyperliquid
+ */
+export const THIRD_PARTY_ENDPOINTS = [
+  {
+    id: 'zeroXPriceBase',
+    aliases: ['0x-price-base'],
+    name: '🔁 0x Price (Base)',
+    description: 'Quote indicative pour un swap sur Base via 0x',
+    method: 'GET',
+    url: 'https://base.api.0x.org/swap/v1/price',
+    headers: {},
+    query: { buyToken: '{{buyToken}}', sellToken: '{{sellToken}}', sellAmount: '{{sellAmount}}' },
+    params: [
+      { name: 'buyToken', label: 'buyToken', type: 'string', default: 'USDC' },
+      { name: 'sellToken', label: 'sellToken', type: 'string', default: 'WETH' },
+      { name: 'sellAmount', label: 'sellAmount (wei)', type: 'string', default: '1000000000000000' }
+    ],
+    category: 'third-party',
+    difficulty: 'intermediate',
+    expectedResponse: 'Prix, sources de liquidité, gas estimé'
+  },
+
+  {
+    id: 'oneInchQuoteArbitrum',
+    aliases: ['1inch-quote-arb'],
+    name: '🦄 1inch v6 Quote (Arbitrum, clé requise)',
+    description: 'Exemple pédagogique. Sans clé valide → 401. Évitez d\'exposer votre clé en prod.',
+    method: 'GET',
+    url: 'https://api.1inch.dev/swap/v6.0/42161/quote',
+    headers: { Authorization: 'Bearer {{oneInchApiKey}}' },
+    query: { src: '{{src}}', dst: '{{dst}}', amount: '{{amount}}' },
+    params: [
+      { name: 'oneInchApiKey', label: '1inch API Key', type: 'string', secret: true, placeholder: 'sk_…' },
+      { name: 'src', label: 'src token (addr)', type: 'string', default: '0x82af49447d8a07e3bd95bd0d56f35241523fbab1' }, // WETH
+      { name: 'dst', label: 'dst token (addr)', type: 'string', default: '0xff970a61a04b1ca14834a43f5de4533ebddb5cc8' }, // USDC.e
+      { name: 'amount', label: 'amount (wei)', type: 'string', default: '1000000000000000' }
+    ],
+    category: 'third-party',
+    difficulty: 'advanced',
+    expectedResponse: 'Montant de sortie estimé'
   }
 ];
 
@@ -184,7 +659,10 @@ export const HISTORICAL_ENDPOINTS = [
 export const ALL_ENDPOINTS = [
   ...PUBLIC_ENDPOINTS,
   ...USER_ENDPOINTS, 
-  ...HISTORICAL_ENDPOINTS
+  ...HISTORICAL_ENDPOINTS,
+  ...SPOT_ENDPOINTS,
+  ...STREAMING_ENDPOINTS,
+  ...THIRD_PARTY_ENDPOINTS
 ];
 
 /**
@@ -212,6 +690,21 @@ export const ENDPOINT_CATEGORIES = {
     label: '📈 Données Historiques',
     description: 'Chandeliers, historique des prix',
     color: 'purple'
+  },
+  'spot': {
+    label: '💱 Marché Spot',
+    description: 'Paires spot, tokens et soldes',
+    color: 'teal'
+  },
+  'streaming': {
+    label: '📡 Flux WebSocket',
+    description: 'Subscriptions temps réel',
+    color: 'yellow'
+  },
+  'third-party': {
+    label: '🔌 API Tierces',
+    description: 'Agrégateurs DEX (0x, 1inch)',
+    color: 'gray'
   }
 };
 
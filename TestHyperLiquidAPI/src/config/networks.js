@@ -0,0 +1,60 @@
+/**
+ * 🌍 HYPERLIQUID NETWORK PROFILES
+ * ===============================
+ *
+ * Profils réseau disponibles pour l'application : mainnet, testnet
+ * et un profil personnalisé (nœud local, mock server, proxy de dev...).
+ *
+ * Chaque profil définit :
+ * - apiBase : URL de base des requêtes REST (/info, /exchange)
+ * - wsUrl   : URL complète du WebSocket (/ws)
+ *
+ * ⚠️ Ne jamais construire une URL Hyperliquid en dur ailleurs :
+ * toujours passer par le networkService qui résout le profil actif
+ * au moment de la requête.
+ */
+
+/**
+ * 📋 PROFILS PRÉDÉFINIS
+ */
+export const NETWORK_PROFILES = {
+  mainnet: {
+    id: 'mainnet',
+    label: 'Mainnet',
+    description: 'Réseau principal Hyperliquid (fonds réels)',
+    apiBase: 'https://api.hyperliquid.xyz',
+    wsUrl: 'wss://api.hyperliquid.xyz/ws',
+    isTestnet: false,
+    editable: false,
+    color: 'emerald'
+  },
+
+  testnet: {
+    id: 'testnet',
+    label: 'Testnet',
+    description: 'Réseau de test Hyperliquid (fonds fictifs)',
+    apiBase: 'https://api.hyperliquid-testnet.xyz',
+    wsUrl: 'wss://api.hyperliquid-testnet.xyz/ws',
+    isTestnet: true,
+    editable: false,
+    color: 'yellow'
+  },
+
+  custom: {
+    id: 'custom',
+    label: 'Custom / Local',
+    // Par défaut : mock server autonome (npm run mock, voir mock/server.js)
+    description: 'URL personnalisée (nœud local, mock server, proxy)',
+    apiBase: 'http://localhost:8787',
+    wsUrl: 'ws://localhost:8787/ws',
+    isTestnet: true,
+    editable: true,
+    color: 'purple'
+  }
+};
+
+// 🎯 Réseau utilisé si aucun choix n'a été persisté (testnet : pas de fonds réels par défaut)
+export const DEFAULT_NETWORK_ID = 'testnet';
+
+// 📋 Liste ordonnée pour les sélecteurs de l'interface
+export const NETWORK_IDS = Object.keys(NETWORK_PROFILES);
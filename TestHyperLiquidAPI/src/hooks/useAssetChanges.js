@@ -0,0 +1,26 @@
+/**
+ * 📰 HOOK useAssetChanges
+ * =======================
+ *
+ * Expose le journal des listings / delistings / changements d'assets
+ * (assetMappingService) et re-rend à chaque nouvelle entrée.
+ *
+ * @example
+ * const changes = useAssetChanges();
+ * changes.filter(change => change.networkId === 'mainnet');
+ */
+
+import { useSyncExternalStore } from 'react';
+import assetMapping from '../services/assetMappingService.js';
+
+const subscribe = (listener) => assetMapping.subscribe(listener);
+const getSnapshot = () => assetMapping.getChangeLog();
+
+/**
+ * @returns {Object[]} Entrées { id, networkId, type, name, assetId, changes, detectedAt }, plus récentes en tête
+ */
+export function useAssetChanges() {
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
+
+export default useAssetChanges;
@@ -0,0 +1,25 @@
+/**
+ * 📚 HOOK useEndpointCatalog
+ * ==========================
+ *
+ * Expose le catalogue d'endpoints (intégré + importé) et re-rend à
+ * chaque import ou retrait de définitions.
+ *
+ * @example
+ * const { endpoints, customIds, trustedSources } = useEndpointCatalog();
+ */
+
+import { useSyncExternalStore } from 'react';
+import endpointRegistry from '../api/endpointRegistry.js';
+
+const subscribe = (listener) => endpointRegistry.subscribe(listener);
+const getSnapshot = () => endpointRegistry.getSnapshot();
+
+/**
+ * @returns {{ endpoints: Array, customIds: string[], trustedSources: string[] }}
+ */
+export function useEndpointCatalog() {
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
+
+export default useEndpointCatalog;
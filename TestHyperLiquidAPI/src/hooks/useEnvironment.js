@@ -0,0 +1,25 @@
+/**
+ * 🌍 HOOK useEnvironment
+ * ======================
+ *
+ * Expose les environnements, l'environnement actif et ses variables,
+ * et re-rend à chaque changement (bascule, édition, import).
+ *
+ * @example
+ * const { environments, active, variables } = useEnvironment();
+ */
+
+import { useSyncExternalStore } from 'react';
+import environmentService from '../services/environmentService.js';
+
+const subscribe = (listener) => environmentService.subscribe(listener);
+const getSnapshot = () => environmentService.getSnapshot();
+
+/**
+ * @returns {{ environments: Array, activeId: string|null, active: Object|null, variables: Object }}
+ */
+export function useEnvironment() {
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
+
+export default useEnvironment;
@@ -0,0 +1,55 @@
+/**
+ * 🧭 HOOK useHashRoute
+ * ====================
+ *
+ * Routage minimal par fragment d'URL, sans dépendance :
+ * - #/market/ETH        → { page: 'market', symbol: 'ETH' }
+ * - #/market/HFUN%2FUSDC → { page: 'market', symbol: 'HFUN/USDC' }
+ * - tout le reste       → { page: 'home' }
+ *
+ * @example
+ * const route = useHashRoute();
+ * <a href={marketHash('ETH')}>ETH</a>
+ */
+
+import { useMemo, useSyncExternalStore } from 'react';
+
+const MARKET_ROUTE = /^#\/market\/(.+)$/;
+
+/**
+ * @param {string} hash - window.location.hash
+ * @returns {{ page: 'market', symbol: string } | { page: 'home' }}
+ */
+export function parseHashRoute(hash) {
+  const match = MARKET_ROUTE.exec(hash || '');
+  if (!match) return { page: 'home' };
+  try {
+    return { page: 'market', symbol: decodeURIComponent(match[1]) };
+  } catch {
+    return { page: 'home' };
+  }
+}
+
+/**
+ * @param {string} symbol - Symbole lisible ("ETH", "HFUN/USDC")
+ * @returns {string} Fragment "#/market/…"
+ */
+export function marketHash(symbol) {
+  return `#/market/${encodeURIComponent(symbol)}`;
+}
+
+const subscribe = (listener) => {
+  window.addEventListener('hashchange', listener);
+  return () => window.removeEventListener('hashchange', listener);
+};
+const getSnapshot = () => window.location.hash;
+
+/**
+ * @returns {{ page: string, symbol?: string }} Route courante
+ */
+export function useHashRoute() {
+  const hash = useSyncExternalStore(subscribe, getSnapshot);
+  return useMemo(() => parseHashRoute(hash), [hash]);
+}
+
+export default useHashRoute;
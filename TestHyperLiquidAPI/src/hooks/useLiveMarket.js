@@ -0,0 +1,244 @@
+/**
+ * 📈 HOOK useLiveMarket
+ * =====================
+ *
+ * Données de marché temps réel d'un coin (perp ou spot) pour les dashboards :
+ * 1. État initial depuis les snapshots REST (allMids, l2Book,
+ *    metaAndAssetCtxs ou spotMetaAndAssetCtxs) : métadonnées + contexte
+ *    (funding, open interest, volume 24h, prix oracle / mark)
+ * 2. Puis flux WebSocket allMids / l2Book / trades / activeAssetCtx (multiplexés)
+ * 3. Socket indisponible : repli automatique sur un polling REST espacé,
+ *    arrêté dès que le WebSocket est de nouveau ouvert
+ *
+ * Un snapshot REST arrivé après des messages WS n'écrase jamais des données
+ * plus récentes : carnet comparé sur son `time`, mid / contexte conservés
+ * s'ils ont été reçus par WS après l'envoi du snapshot (trades : fusion par tid)
+ *
+ * Statut exposé :
+ * - loading : aucun snapshot encore reçu
+ * - live    : WebSocket ouvert, message reçu il y a moins de `staleAfterMs`
+ * - stale   : WebSocket ouvert mais muet depuis `staleAfterMs`
+ * - polling : WebSocket fermé / en reconnexion, données REST
+ * - error   : échec du premier snapshot
+ * `wsError` : subscription refusée par le serveur (le reste du flux continue)
+ *
+ * @example
+ * const { mid, book, trades, metadata, ctx, status, lastUpdate, refresh } = useLiveMarket('ETH');
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { hyperliquidApi } from '../api/hyperliquidService.js';
+import { isAbortError } from '../api/errors.js';
+import { WS_STATES } from '../api/wsClient.js';
+import assetMapping, { isSpotCoin } from '../services/assetMappingService.js';
+import { useSubscription } from './useSubscription.js';
+import { isNewerSnapshot } from '../utils/orderBook.js';
+
+export const LIVE_MARKET_DEFAULTS = {
+  pollIntervalMs: 15 * 1000, // Polling de repli (le rate-limit REST est partagé)
+  staleAfterMs: 10 * 1000,   // Silence WS au-delà duquel les données sont "stale"
+  tradesLimit: 50            // Trades conservés (plus récents en tête)
+};
+
+const emptyMarket = (coin) => ({
+  coin,
+  kind: null,         // 'perp' | 'spot'
+  mid: null,
+  book: null,
+  trades: [],
+  metadata: null,
+  ctx: null,          // contexte de marché (markPx, oraclePx, funding, openInterest, dayNtlVlm...)
+  source: null,       // 'rest' | 'ws'
+  lastUpdate: null,   // ms, dernière donnée reçue (REST ou WS)
+  lastWsAt: null,     // ms, dernier message WS
+  wsAt: {},           // ms, dernier message WS par champ ({ mid, book, ctx, trades })
+  error: null
+});
+
+/**
+ * Métadonnées et contexte d'un coin dans une réponse [meta, assetCtxs]
+ * Perps : même index dans universe et assetCtxs
+ * Spot : contexte par coin, tokens base / quote résolus
+ */
+function describeMarket(coin, kind, meta, ctxs) {
+  if (kind === 'spot') {
+    const pair = meta.universe.find(entry => entry.name === coin);
+    if (!pair) return { metadata: null, ctx: null };
+    const tokenAt = index => meta.tokens.find(token => token.index === index) ?? null;
+    return {
+      metadata: { ...assetMapping.getSpotPair(coin), baseToken: tokenAt(pair.tokens[0]), quoteToken: tokenAt(pair.tokens[1]) },
+      ctx: ctxs.find(ctx => ctx.coin === coin) ?? ctxs[pair.index] ?? null
+    };
+  }
+  const index = meta.universe.findIndex(asset => asset.name === coin);
+  return { metadata: meta.universe[index] ?? null, ctx: ctxs[index] ?? null };
+}
+
+/**
+ * Ajoute des trades reçus en tête de liste, sans doublon : le serveur
+ * renvoie les trades récents à chaque (re)subscription, déjà connus en partie
+ * Tri : plus récents d'abord (time, puis tid)
+ */
+function mergeTrades(incoming, existing, limit) {
+  const known = new Set(existing.map(trade => trade.tid));
+  const fresh = incoming.filter(trade => !known.has(trade.tid));
+  if (fresh.length === 0) return existing;
+  return [...fresh, ...existing]
+    .sort((a, b) => b.time - a.time || b.tid - a.tid)
+    .slice(0, limit);
+}
+
+/**
+ * @param {string|null} coin - Coin API ("BTC", "PURR/USDC", "@1") ; null = inactif
+ * @param {Object} [options] - Surcharges de LIVE_MARKET_DEFAULTS
+ * @returns {Object} { kind, mid, book, trades, metadata, ctx, source, status, lastUpdate, error, wsError, connection, refresh }
+ */
+export function useLiveMarket(coin, options = {}) {
+  const { pollIntervalMs, staleAfterMs, tradesLimit } = { ...LIVE_MARKET_DEFAULTS, ...options };
+
+  const [market, setMarket] = useState(() => emptyMarket(coin));
+  // Les données d'un coin précédent ne sont jamais mélangées au nouveau
+  const update = useCallback((patch) => {
+    setMarket(prev => {
+      const base = prev.coin === coin ? prev : emptyMarket(coin);
+      return { ...base, ...(typeof patch === 'function' ? patch(base) : patch) };
+    });
+  }, [coin]);
+
+  /**
+   * ========================================================================
+   * SNAPSHOT REST
+   * ========================================================================
+   */
+  const abortRef = useRef(null);
+
+  const loadSnapshot = useCallback(async () => {
+    abortRef.current?.abort();
+    if (!coin) return;
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const { signal } = controller;
+
+    try {
+      // Mapping spot seulement pour une paire spot : un spotMeta indisponible
+      // ne bloque pas les dashboards perps (ni leur polling de repli)
+      const kind = isSpotCoin(coin) ? 'spot' : 'perp';
+      await (kind === 'spot' ? assetMapping.initializeSpot({ signal }) : assetMapping.initialize({ signal }));
+      const requestedAt = Date.now();
+      const [allMids, book, [meta, ctxs]] = await Promise.all([
+        hyperliquidApi.executeRequest('allMids', {}, { signal }),
+        hyperliquidApi.executeRequest('l2Book', { coin }, { signal }),
+        hyperliquidApi.executeRequest(kind === 'spot' ? 'spotMetaAndAssetCtxs' : 'metaAndAssetCtxs', {}, { signal })
+      ]);
+      const { metadata, ctx } = describeMarket(coin, kind, meta, ctxs);
+      update(base => {
+        // Reçu par WS pendant la requête : au moins aussi récent que le snapshot
+        const wsNewer = field => (base.wsAt[field] ?? 0) >= requestedAt;
+        return {
+          kind,
+          mid: wsNewer('mid') ? base.mid : allMids?.[coin] ?? null,
+          book: isNewerSnapshot(base.book, book) ? book : base.book,
+          metadata,
+          ctx: wsNewer('ctx') ? base.ctx : ctx,
+          source: (base.lastWsAt ?? 0) >= requestedAt ? base.source : 'rest',
+          lastUpdate: Date.now(),
+          error: null
+        };
+      });
+    } catch (error) {
+      if (isAbortError(error)) return;
+      console.error(`❌ [LiveMarket] Snapshot ${coin} indisponible:`, error);
+      update({ error });
+    }
+  }, [coin, update]);
+
+  // Snapshot initial (et à chaque changement de coin)
+  useEffect(() => {
+    loadSnapshot();
+    return () => abortRef.current?.abort();
+  }, [loadSnapshot]);
+
+  /**
+   * ========================================================================
+   * FLUX WEBSOCKET
+   * ========================================================================
+   */
+  const onWsData = useCallback((patch) => {
+    const now = Date.now();
+    update(base => {
+      const fields = patch(base);
+      const wsAt = { ...base.wsAt };
+      Object.keys(fields).forEach(field => { wsAt[field] = now; });
+      return { ...fields, wsAt, source: 'ws', lastUpdate: now, lastWsAt: now };
+    });
+  }, [update]);
+
+  const { connection, error: midsError } = useSubscription(coin ? { type: 'allMids' } : null, {
+    onMessage: (data) => {
+      const mid = data?.mids?.[coin];
+      if (mid !== undefined) onWsData(() => ({ mid }));
+    }
+  });
+  const { error: bookError } = useSubscription(coin ? { type: 'l2Book', coin } : null, {
+    onMessage: (book) => onWsData(() => ({ book }))
+  });
+  // Perps : channel activeAssetCtx ; spot : activeSpotAssetCtx (même subscription)
+  const { error: ctxError } = useSubscription(coin ? { type: 'activeAssetCtx', coin } : null, {
+    onMessage: (data) => onWsData(() => ({ ctx: data.ctx }))
+  });
+  const { error: tradesError } = useSubscription(coin ? { type: 'trades', coin } : null, {
+    onMessage: (trades) => onWsData(base => ({
+      trades: mergeTrades(trades, base.trades, tradesLimit)
+    }))
+  });
+
+  /**
+   * ========================================================================
+   * REPLI : POLLING REST QUAND LE SOCKET EST TOMBÉ
+   * ========================================================================
+   */
+  const wsOpen = connection.state === WS_STATES.OPEN;
+
+  useEffect(() => {
+    if (wsOpen) return undefined;
+    const interval = setInterval(loadSnapshot, pollIntervalMs);
+    return () => clearInterval(interval);
+  }, [wsOpen, loadSnapshot, pollIntervalMs]);
+
+  // Horloge : fait passer "live" à "stale" sans attendre de message
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  /**
+   * ========================================================================
+   * STATUT
+   * ========================================================================
+   */
+  const current = market.coin === coin ? market : emptyMarket(coin);
+  let status;
+  if (!current.lastUpdate) status = current.error ? 'error' : 'loading';
+  else if (!wsOpen) status = 'polling';
+  // Socket tout juste ouvert : le snapshot REST compte comme frais jusqu'au premier message
+  else status = now - (current.lastWsAt ?? current.lastUpdate) <= staleAfterMs ? 'live' : 'stale';
+
+  return {
+    kind: current.kind,
+    mid: current.mid,
+    book: current.book,
+    trades: current.trades,
+    metadata: current.metadata,
+    ctx: current.ctx,
+    source: current.source,
+    status,
+    lastUpdate: current.lastUpdate,
+    error: current.error,
+    wsError: midsError ?? bookError ?? ctxError ?? tradesError ?? null,
+    connection,
+    refresh: loadSnapshot
+  };
+}
+
+export default useLiveMarket;
@@ -0,0 +1,62 @@
+/**
+ * 🪙 HOOK useMarkets
+ * ==================
+ *
+ * Liste des marchés perps + spot du réseau actif (assetMappingService) :
+ * mapping chargé au montage, à chaque bascule de réseau et à chaque
+ * changement d'URL du profil custom (cache
+ * persistant servi immédiatement), re-rendu à chaque mise à jour.
+ * Perps et spot sont chargés indépendamment : si l'un échoue, l'autre
+ * reste listé (`error` = premier échec, `perpError` / `spotError` = échec
+ * de chaque liste, à afficher plutôt que de taire les marchés manquants).
+ *
+ * @example
+ * const { markets, loading } = useMarkets();
+ * markets.filter(market => market.kind === 'spot');
+ */
+
+import { useEffect, useState } from 'react';
+import assetMapping from '../services/assetMappingService.js';
+import { useNetwork } from './useNetwork.js';
+
+/**
+ * @returns {{ markets: Object[], loading: boolean, error: Error|null, perpError: Error|null, spotError: Error|null }}
+ */
+export function useMarkets() {
+  const network = useNetwork();
+  // Incrémenté à chaque mapping installé : force le recalcul de la liste
+  const [, setVersion] = useState(0);
+  // Réseau + URL : le profil custom peut changer d'URL sans changer d'ID
+  const networkKey = `${network.id}|${network.apiBase}`;
+  const [status, setStatus] = useState({ networkKey: null, perpError: null, spotError: null });
+
+  useEffect(() => assetMapping.subscribe(() => setVersion(version => version + 1)), []);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const { signal } = controller;
+    Promise.allSettled([assetMapping.initialize({ signal }), assetMapping.initializeSpot({ signal })])
+      .then(([perp, spot]) => {
+        if (signal.aborted) return;
+        const perpError = perp.status === 'rejected' ? perp.reason : null;
+        const spotError = spot.status === 'rejected' ? spot.reason : null;
+        if (perpError || spotError) console.warn('⚠️ [Markets] Mapping partiel:', perpError ?? spotError);
+        setStatus({ networkKey, perpError, spotError });
+      });
+    return () => controller.abort();
+  }, [networkKey]);
+
+  const markets = assetMapping.getMarkets();
+  const current = status.networkKey === networkKey;
+  const perpError = current ? status.perpError : null;
+  const spotError = current ? status.spotError : null;
+  return {
+    markets,
+    loading: markets.length === 0 && !current,
+    error: perpError ?? spotError,
+    perpError,
+    spotError
+  };
+}
+
+export default useMarkets;
@@ -0,0 +1,26 @@
+/**
+ * 🌍 HOOK useNetwork
+ * ==================
+ *
+ * Expose le profil réseau actif aux composants React et les re-rend
+ * à chaque bascule mainnet / testnet / custom.
+ *
+ * @example
+ * const network = useNetwork();
+ * <span>{network.label}</span>
+ */
+
+import { useSyncExternalStore } from 'react';
+import networkService from '../services/networkService.js';
+
+const subscribe = (listener) => networkService.subscribe(listener);
+const getSnapshot = () => networkService.getActiveProfile();
+
+/**
+ * @returns {Object} Profil réseau actif (id, label, apiBase, wsUrl, isTestnet...)
+ */
+export function useNetwork() {
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
+
+export default useNetwork;
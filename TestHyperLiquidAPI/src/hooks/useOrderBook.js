@@ -0,0 +1,45 @@
+/**
+ * 📖 HOOK useOrderBook
+ * ====================
+ *
+ * Conserve le dernier snapshot l2Book reçu (REST ou WebSocket, via
+ * useLiveMarket) et en dérive la vue du carnet (utils/orderBook.js) :
+ * niveaux regroupés par tranche, profondeur cumulée, spread, mid,
+ * microprice, déséquilibre et niveaux modifiés depuis le snapshot précédent.
+ *
+ * Un snapshot plus ancien que le courant (réponse REST en retard sur le
+ * flux WebSocket) est ignoré.
+ *
+ * @example
+ * const { book } = useLiveMarket('ETH');
+ * const view = useOrderBook(book, { tickSize: 1, depth: 20 });
+ * view?.stats.microprice;
+ */
+
+import { useMemo, useState } from 'react';
+import { buildOrderBookView, isNewerSnapshot, ORDER_BOOK_DEFAULTS } from '../utils/orderBook.js';
+
+/**
+ * @param {Object|null} book - Snapshot l2Book { coin, time, levels }
+ * @param {Object} [options]
+ * @param {number|null} [options.tickSize=null] - Tranche de regroupement (null = niveaux bruts)
+ * @param {number} [options.depth] - Niveaux affichés de chaque côté
+ * @returns {Object|null} Vue { coin, time, tickSize, bids, asks, stats, maxTotal }
+ */
+export function useOrderBook(book, { tickSize = null, depth = ORDER_BOOK_DEFAULTS.depth } = {}) {
+  const [snapshots, setSnapshots] = useState({ current: book, previous: null });
+
+  // Nouveau snapshot : mis à jour pendant le rendu (pas d'effet, pas de rendu intermédiaire)
+  if (isNewerSnapshot(snapshots.current, book)) {
+    const sameCoin = book && snapshots.current?.coin === book.coin;
+    setSnapshots({ current: book, previous: sameCoin ? snapshots.current : null });
+  }
+
+  const { current, previous } = snapshots;
+  return useMemo(
+    () => buildOrderBookView(current, { tickSize, depth, previous }),
+    [current, previous, tickSize, depth]
+  );
+}
+
+export default useOrderBook;
@@ -0,0 +1,41 @@
+/**
+ * ⏳ HOOK useSchedulerStats
+ * =========================
+ *
+ * Expose l'état du rate-limit (file d'attente, budget restant) du réseau
+ * actif. Le budget se libère avec le temps (fenêtre glissante) : en plus
+ * des notifications de l'ordonnanceur, un tick régulier rafraîchit la vue.
+ *
+ * @example
+ * const { queueDepth, remainingWeight, capacity } = useSchedulerStats();
+ */
+
+import { useEffect, useState } from 'react';
+import { hyperliquidApi } from '../api/hyperliquidService.js';
+import networkService from '../services/networkService.js';
+
+/**
+ * @param {number} [refreshMs=1000] - Intervalle de rafraîchissement passif
+ * @returns {Object} Statistiques de l'ordonnanceur
+ */
+export function useSchedulerStats(refreshMs = 1000) {
+  const [stats, setStats] = useState(() => hyperliquidApi.getSchedulerStats());
+
+  useEffect(() => {
+    const update = () => setStats(hyperliquidApi.getSchedulerStats());
+
+    const unsubscribeScheduler = hyperliquidApi.subscribeScheduler(update);
+    const unsubscribeNetwork = networkService.subscribe(update);
+    const interval = setInterval(update, refreshMs);
+
+    return () => {
+      unsubscribeScheduler();
+      unsubscribeNetwork();
+      clearInterval(interval);
+    };
+  }, [refreshMs]);
+
+  return stats;
+}
+
+export default useSchedulerStats;
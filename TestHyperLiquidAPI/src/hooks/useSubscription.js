@@ -0,0 +1,58 @@
+/**
+ * 🔀 HOOK useSubscription
+ * =======================
+ *
+ * Consomme une subscription WebSocket Hyperliquid via le multiplexeur :
+ * une seule connexion et une seule subscription serveur par
+ * { type, coin, ... } identique, quel que soit le nombre de composants.
+ * La subscription est retirée quand le dernier consommateur est démonté.
+ * Une subscription refusée (serveur, ou variante l2Book en conflit) est
+ * signalée par `error` (SubscriptionRejectedError) au lieu de rester muette.
+ *
+ * @example
+ * const { data, receivedAt, error, connection } = useSubscription({ type: 'l2Book', coin: 'ETH' });
+ * useSubscription({ type: 'trades', coin }, { onMessage: trades => append(trades) });
+ * useSubscription(enabled ? { type: 'allMids' } : null); // null = inactif
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import subscriptionMultiplexer from '../api/subscriptionMultiplexer.js';
+import { useWsConnection } from './useWsConnection.js';
+import { stableStringify } from '../utils/stableStringify.js';
+
+const EMPTY = { key: null, data: null, receivedAt: null, error: null };
+
+/**
+ * @param {Object|null} subscription - Ex: { type: 'trades', coin: 'BTC' } (null = aucune)
+ * @param {Object} [options]
+ * @param {Function} [options.onMessage] - (data, message) => void, appelé à chaque message
+ * @returns {{ data: any, receivedAt: number|null, error: Error|null, connection: Object }}
+ *   Dernières données reçues pour CETTE subscription (ou son refus), état de la connexion partagée
+ */
+export function useSubscription(subscription, { onMessage } = {}) {
+  // Clé stable : un objet littéral recréé à chaque rendu ne relance pas l'abonnement
+  const key = subscription ? stableStringify(subscription) : null;
+  const [latest, setLatest] = useState(EMPTY);
+  const connection = useWsConnection();
+
+  const onMessageRef = useRef(onMessage);
+  useEffect(() => {
+    onMessageRef.current = onMessage;
+  });
+
+  useEffect(() => {
+    if (!key) return undefined;
+    return subscriptionMultiplexer.subscribe(JSON.parse(key), (data, message) => {
+      setLatest({ key, data, receivedAt: Date.now(), error: null });
+      onMessageRef.current?.(data, message);
+    }, {
+      onError: error => setLatest(previous => ({ ...(previous.key === key ? previous : EMPTY), key, error }))
+    });
+  }, [key]);
+
+  // Données d'une subscription précédente (coin changé) : ignorées
+  const current = latest.key === key ? latest : EMPTY;
+  return { data: current.data, receivedAt: current.receivedAt, error: current.error, connection };
+}
+
+export default useSubscription;
@@ -0,0 +1,25 @@
+/**
+ * 📡 HOOK useTransport
+ * ====================
+ *
+ * Expose le mode de transport (live / record / replay) et le nombre de
+ * fixtures disponibles, et re-rend à chaque changement.
+ *
+ * @example
+ * const { mode, fixtureCount } = useTransport();
+ */
+
+import { useSyncExternalStore } from 'react';
+import transportService from '../services/transportService.js';
+
+const subscribe = (listener) => transportService.subscribe(listener);
+const getSnapshot = () => transportService.getSnapshot();
+
+/**
+ * @returns {{ mode: string, fixtureCount: number }}
+ */
+export function useTransport() {
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
+
+export default useTransport;
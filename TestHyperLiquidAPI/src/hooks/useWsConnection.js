@@ -0,0 +1,26 @@
+/**
+ * 📡 HOOK useWsConnection
+ * =======================
+ *
+ * Expose l'état d'un client WebSocket (connecting, open, reconnecting,
+ * closed...) et re-rend à chaque transition.
+ *
+ * @example
+ * const { state, attempt, lastError } = useWsConnection(); // client partagé
+ * const playground = useWsConnection(playgroundClient);
+ */
+
+import { useCallback, useSyncExternalStore } from 'react';
+import hyperliquidWs from '../api/wsClient.js';
+
+/**
+ * @param {WsClient} [client] - Client à observer (défaut : client partagé du réseau actif)
+ * @returns {{ state, url, attempt, nextRetryAt, lastError, subscriptionCount }}
+ */
+export function useWsConnection(client = hyperliquidWs) {
+  const subscribe = useCallback((listener) => client.subscribe(listener), [client]);
+  const getSnapshot = useCallback(() => client.getSnapshot(), [client]);
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
+
+export default useWsConnection;
@@ -20,13 +20,29 @@
  * Ce service transforme automatiquement en :
  * { "BTC": "65432.1", "SOL": "185.2" } ✅ facile à comprendre
  * 
+ * SPOT :
+ * ------
+ * Les paires spot sont décrites par l'endpoint spotMeta :
+ * - tokens   : [{ name: "USDC", index: 0 }, { name: "PURR", index: 1 }, ...]
+ * - universe : [{ name: "PURR/USDC", tokens: [1, 0], index: 0 },
+ *               { name: "@1", tokens: [2, 0], index: 1 }, ...]
+ * Seules quelques paires historiques ont un nom lisible ("PURR/USDC") :
+ * les autres s'appellent "@{index}" dans l'API (allMids, l2Book...).
+ * Ce service les traduit en "BASE/QUOTE" ("@1" → "HFUN/USDC").
+ * Asset ID spot (ordres) = 10000 + index de la paire.
+ * 
  * FONCTIONNALITÉS :
  * -----------------
  * 1. Chargement automatique de la métadonnée depuis l'endpoint /info meta
  * 2. Mapping bidirectionnel : ID → Nom ET Nom → ID
- * 3. Cache en mémoire pour performance optimale
- * 4. Transformation automatique des réponses allMids
+ * 3. Cache en mémoire (un par réseau) persisté dans localStorage :
+ *    servi immédiatement au chargement de la page, revalidé en arrière-plan
+ * 4. Transformation automatique des réponses allMids (perps et spot)
  * 5. Singleton pattern pour une seule instance globale
+ * 6. Paires et tokens spot (spotMeta) : "@{index}" ↔ "BASE/QUOTE", Asset ID 10000 + index
+ * 7. Détection des listings / delistings / changements (maxLeverage,
+ *    szDecimals, onlyIsolated, Asset ID) à chaque nouvelle "meta",
+ *    avec journal persisté pour un fil "quoi de neuf"
  * 
  * UTILISATION :
  * -------------
@@ -43,9 +59,50 @@
  * 
  * // Transformer une réponse allMids
  * const readable = assetMapping.transformAllMidsResponse(apiResponse);
+ * 
+ * // Spot
+ * await assetMapping.initializeSpot();
+ * assetMapping.getSpotSymbol('@1');         // "HFUN/USDC"
+ * assetMapping.getSpotCoin('HFUN/USDC');    // "@1"
+ * assetMapping.getSpotAssetId('PURR/USDC'); // 10000
  */
 
 import hyperliquidApi from '../api/hyperliquidService.js';
+import networkService from './networkService.js';
+import { registerEnumSource } from '../utils/parameterUtils.js';
+import { diffUniverse } from '../utils/universeDiff.js';
+import { readStorage, writeStorage } from '../utils/storage.js';
+
+// Asset ID spot = SPOT_ASSET_ID_OFFSET + index de la paire dans spotMeta.universe
+export const SPOT_ASSET_ID_OFFSET = 10000;
+
+/**
+ * Coin API d'une paire spot ("PURR/USDC", "@1"), reconnaissable sans
+ * spotMeta : un perp n'a ni "/" ni "@"
+ *
+ * @param {string} coin
+ * @returns {boolean}
+ */
+export function isSpotCoin(coin) {
+  return typeof coin === 'string' && (coin.startsWith('@') || coin.includes('/'));
+}
+
+// 🔑 Cache persistant : une entrée par réseau (même préfixe que le playground)
+const STORAGE_KEY_PREFIX = 'cookie.assetMapping.';
+
+// Version du format persisté : l'incrémenter invalide les caches existants
+export const ASSET_CACHE_VERSION = 1;
+
+// 📰 Journal des listings / delistings (tous réseaux, plus récent en tête)
+const STORAGE_KEY_CHANGE_LOG = 'cookie.assetMapping.changes';
+const MAX_CHANGE_LOG_ENTRIES = 200;
+
+/**
+ * URL de l'API d'un réseau (clé de validité du cache persistant)
+ */
+function getNetworkApiBase(networkId) {
+  return networkService.getProfiles().find(profile => profile.id === networkId)?.apiBase ?? null;
+}
 
 /**
  * Classe principale du service de mapping des assets
@@ -58,87 +115,194 @@ class AssetMappingService {
    */
   constructor() {
     /**
-     * Map bidirectionnelle : Asset ID (string) → Nom de l'asset (string)
-     * Exemple : { "0": "BTC", "1": "ETH", "27": "SOL" }
-     * @type {Map<string, string>}
+     * États de mapping indexés par réseau (mainnet, testnet, custom)
+     * Les Asset IDs étant des index dans "universe", ils diffèrent d'un
+     * réseau à l'autre : un état par réseau évite toute fuite d'IDs
+     * testnet dans une vue mainnet.
+     * @type {Map<string, Object>}
      */
-    this.idToNameMap = new Map();
+    this.networkStates = new Map();
 
-    /**
-     * Map bidirectionnelle inverse : Nom de l'asset → Asset ID
-     * Exemple : { "BTC": "0", "ETH": "1", "SOL": "27" }
-     * @type {Map<string, string>}
-     */
-    this.nameToIdMap = new Map();
+    /** @type {Set<Function>} Abonnés aux changements de mapping */
+    this.listeners = new Set();
 
     /**
-     * Indicateur de chargement : true si les données sont chargées depuis l'API
-     * @type {boolean}
+     * Journal des changements de l'univers perps, persisté
+     * (remplacé à chaque ajout : sert d'instantané à useAssetChanges)
+     * @type {Object[]}
      */
-    this.isLoaded = false;
+    this.changeLog = readStorage(STORAGE_KEY_CHANGE_LOG, []);
 
-    /**
-     * Données brutes de métadonnée depuis l'API Hyperliquid
-     * Contient l'array "universe" avec toutes les informations des assets
-     * @type {Object|null}
-     */
-    this.metadata = null;
+    // 🪙 Coins du réseau actif pour les paramètres `enumFrom: 'assets'`
+    // (perps + coins spot tels qu'attendus par l'API : "PURR/USDC", "@1"...)
+    registerEnumSource('assets', () => [...this.getAllAssetNames(), ...this.getAllSpotCoins()]);
 
-    /**
-     * Timestamp du dernier chargement (en millisecondes)
-     * Utile pour implémenter un rafraîchissement périodique
-     * @type {number|null}
-     */
-    this.lastLoadTime = null;
+    // 🌍 URL d'un réseau modifiée (profil custom) : son mapping ne vaut plus rien
+    networkService.subscribe(profile => this._resetIfMoved(profile));
+  }
+
+  /**
+   * ============================================================================
+   * ÉTAT DU RÉSEAU ACTIF
+   * ============================================================================
+   *
+   * Retourne (en le créant si besoin) l'état de mapping d'un réseau.
+   * Toutes les propriétés publiques (idToNameMap, isLoaded, metadata...)
+   * pointent vers l'état du réseau actif au moment de l'accès.
+   *
+   * @param {string} [networkId] - ID du réseau (défaut : réseau actif)
+   * @returns {Object} État de mapping du réseau
+   */
+  _getState(networkId = networkService.getActiveNetworkId()) {
+    if (!this.networkStates.has(networkId)) {
+      this.networkStates.set(networkId, {
+        /**
+         * URL de l'API au moment de la création de l'état
+         * (profil custom modifié → état jeté, voir _resetIfMoved)
+         * @type {string|null}
+         */
+        apiBase: getNetworkApiBase(networkId),
+
+        /**
+         * Map bidirectionnelle : Asset ID (string) → Nom de l'asset (string)
+         * Exemple : { "0": "BTC", "1": "ETH", "27": "SOL" }
+         * @type {Map<string, string>}
+         */
+        idToNameMap: new Map(),
+
+        /**
+         * Map bidirectionnelle inverse : Nom de l'asset → Asset ID
+         * Exemple : { "BTC": "0", "ETH": "1", "SOL": "27" }
+         * @type {Map<string, string>}
+         */
+        nameToIdMap: new Map(),
+
+        /**
+         * Indicateur de chargement : true si les données sont chargées depuis l'API
+         * @type {boolean}
+         */
+        isLoaded: false,
+
+        /**
+         * Données brutes de métadonnée depuis l'API Hyperliquid
+         * Contient l'array "universe" avec toutes les informations des assets
+         * @type {Object|null}
+         */
+        metadata: null,
+
+        /**
+         * Timestamp du dernier chargement (en millisecondes)
+         * Utile pour implémenter un rafraîchissement périodique
+         * @type {number|null}
+         */
+        lastLoadTime: null,
+
+        /**
+         * Provenance du mapping : 'cache' (localStorage, à revalider),
+         * 'network' (API, cette session) ou null (non chargé)
+         * @type {string|null}
+         */
+        source: null,
+
+        /**
+         * Revalidations en arrière-plan en cours (perps / spot)
+         * @type {Promise|null}
+         */
+        revalidation: null,
+        spotRevalidation: null,
+
+        /**
+         * Marché spot (spotMeta), chargé séparément via initializeSpot()
+         */
+        spot: {
+          /**
+           * Coin API → paire : { coin, symbol, index, assetId, base, quote, isCanonical }
+           * Exemple : "@1" → { symbol: "HFUN/USDC", assetId: 10001, ... }
+           * @type {Map<string, Object>}
+           */
+          pairs: new Map(),
+
+          /**
+           * Symbole lisible → coin API ("HFUN/USDC" → "@1")
+           * @type {Map<string, string>}
+           */
+          symbolToCoin: new Map(),
+
+          /**
+           * Index de token → token ({ name, index, tokenId, szDecimals, weiDecimals... })
+           * @type {Map<number, Object>}
+           */
+          tokens: new Map(),
+
+          isLoaded: false,
+          metadata: null,
+          lastLoadTime: null,
+          source: null
+        }
+      });
+      // 💾 Mapping persisté servi immédiatement, revalidé par initialize()
+      this._hydrate(this.networkStates.get(networkId), networkId);
+    }
+    return this.networkStates.get(networkId);
   }
 
+  /**
+   * Jette l'état d'un réseau dont l'URL de l'API a changé : le prochain
+   * accès repart d'un état neuf (cache persistant compris, lui aussi
+   * associé à l'ancienne URL)
+   *
+   * @param {Object} profile - Profil réseau résolu (networkService)
+   */
+  _resetIfMoved(profile) {
+    const state = this.networkStates.get(profile.id);
+    if (!state || state.apiBase === profile.apiBase) return;
+
+    console.log(`🔄 [AssetMapping] URL du réseau ${profile.id} modifiée, mapping réinitialisé`);
+    this.networkStates.delete(profile.id);
+    this._emit(profile.id, 'reset');
+  }
+
+  get idToNameMap() { return this._getState().idToNameMap; }
+  get nameToIdMap() { return this._getState().nameToIdMap; }
+
+  get isLoaded() { return this._getState().isLoaded; }
+  set isLoaded(value) { this._getState().isLoaded = value; }
+
+  get metadata() { return this._getState().metadata; }
+  set metadata(value) { this._getState().metadata = value; }
+
+  get lastLoadTime() { return this._getState().lastLoadTime; }
+  set lastLoadTime(value) { this._getState().lastLoadTime = value; }
+
   /**
    * ============================================================================
    * INITIALISATION DU SERVICE
    * ============================================================================
    * 
-   * Charge les métadonnées depuis l'endpoint Hyperliquid /info meta
-   * et construit les maps bidirectionnelles ID ↔ Nom
-   * 
-   * PROCESSUS :
-   * 1. Appel API vers endpoint "meta"
-   * 2. Extraction de l'array "universe" (liste de tous les assets)
-   * 3. Pour chaque asset, création du mapping index → nom
-   * 4. Stockage des maps pour accès rapide
+   * Garantit que le mapping perps du réseau actif est disponible
+   * (stale-while-revalidate) :
+   * - Mapping déjà rafraîchi depuis l'API dans cette session : rien à faire
+   * - Mapping restauré depuis le cache persistant : servi immédiatement,
+   *   "meta" est revalidé en arrière-plan puis échangé d'un bloc
+   * - Aucun mapping : appel "meta" attendu
    * 
+   * @param {Object} [options]
+   * @param {boolean} [options.forceRefresh=false] - Recharger depuis l'API (ignore aussi le cache de réponses "meta")
+   * @param {AbortSignal} [options.signal] - Annule le chargement
    * @returns {Promise<void>}
    * @throws {Error} Si l'appel API échoue ou si la structure de données est invalide
    */
-  async initialize() {
-    try {
-      console.log('🔄 [AssetMapping] Initialisation du service de mapping...');
-      
-      // Appel à l'endpoint meta pour récupérer les métadonnées
-      // L'endpoint "meta" est défini dans /src/config/endpoints.js
-      const response = await hyperliquidApi.executeRequest('meta');
-      
-      // Validation de la réponse : vérifier que "universe" existe
-      if (!response || !response.universe || !Array.isArray(response.universe)) {
-        throw new Error('Format de réponse invalide : "universe" array manquant');
-      }
+  async initialize({ forceRefresh = false, signal } = {}) {
+    // Le réseau est figé au lancement : si l'utilisateur bascule pendant
+    // le chargement, les données restent rangées dans le bon réseau
+    const networkId = networkService.getActiveNetworkId();
+    const state = this._getState(networkId);
 
-      // Stockage des métadonnées complètes
-      this.metadata = response;
-      
-      // Construction des maps bidirectionnelles
-      await this.loadMetadata(response);
-      
-      // Marquage comme chargé avec horodatage
-      this.isLoaded = true;
-      this.lastLoadTime = Date.now();
-      
-      console.log(`✅ [AssetMapping] Service initialisé avec ${this.idToNameMap.size} assets`);
-      console.log(`📊 [AssetMapping] Exemples de mapping:`, this.getExampleMappings());
-      
-    } catch (error) {
-      console.error('❌ [AssetMapping] Erreur lors de l\'initialisation:', error);
-      throw error;
+    if (state.isLoaded && !forceRefresh) {
+      if (state.source === 'cache') this._revalidate('meta', networkId);
+      return;
     }
+    await this._fetch('meta', networkId, { forceRefresh, signal });
   }
 
   /**
@@ -158,29 +322,401 @@ class AssetMappingService {
    *   ]
    * }
    * 
+   * Les nouvelles maps sont construites à part puis échangées d'un bloc :
+   * un lecteur voit l'ancien mapping ou le nouveau, jamais un mapping vide.
+   * Le résultat est persisté (voir CACHE PERSISTANT) et comparé au mapping
+   * précédent (voir JOURNAL DES CHANGEMENTS).
+   * 
    * @param {Object} metaResponse - Réponse de l'endpoint /info meta
-   * @returns {Promise<void>}
+   * @param {string} [networkId] - Réseau cible (défaut : réseau actif)
+   * @throws {Error} Si "universe" manque
+   */
+  loadMetadata(metaResponse, networkId = networkService.getActiveNetworkId()) {
+    const state = this._getState(networkId);
+    const previous = state.metadata;
+
+    this._applyMeta(state, metaResponse, { source: 'network', loadTime: Date.now() });
+    this._persist(networkId);
+
+    // Premier chargement (ni mémoire ni cache) : rien à comparer
+    const changes = previous ? diffUniverse(previous, metaResponse) : [];
+    if (changes.length > 0) this._recordChanges(networkId, changes);
+    this._emit(networkId, 'meta', changes);
+    console.log(`📋 [AssetMapping] Chargé ${this._getState(networkId).idToNameMap.size} assets dans le mapping (${networkId})`);
+  }
+
+  /**
+   * Construit et installe le mapping perps d'un état réseau
+   *
+   * @param {Object} state - État réseau (_getState)
+   * @param {Object} metaResponse - Réponse "meta"
+   * @param {Object} options - { source: 'network' | 'cache', loadTime }
    */
-  async loadMetadata(metaResponse) {
-    // Réinitialisation des maps avant rechargement
-    this.idToNameMap.clear();
-    this.nameToIdMap.clear();
+  _applyMeta(state, metaResponse, { source, loadTime }) {
+    // Validation de la réponse : vérifier que "universe" existe
+    if (!Array.isArray(metaResponse?.universe)) {
+      throw new Error('Format de réponse invalide : "universe" array manquant');
+    }
+
+    const idToNameMap = new Map();
+    const nameToIdMap = new Map();
 
     // Parcours de l'array universe
     // L'INDEX dans cet array EST l'Asset ID utilisé par l'API
     metaResponse.universe.forEach((asset, index) => {
       // Conversion de l'index numérique en string (format utilisé par l'API)
       const assetId = String(index);
-      
-      // Extraction du nom de l'asset (ex: "BTC", "ETH", "SOL")
-      const assetName = asset.name;
 
       // Stockage bidirectionnel pour accès rapide O(1)
-      this.idToNameMap.set(assetId, assetName);
-      this.nameToIdMap.set(assetName, assetId);
+      idToNameMap.set(assetId, asset.name);
+      nameToIdMap.set(asset.name, assetId);
+    });
+
+    // 🔁 Échange atomique (aucun await entre ces affectations)
+    Object.assign(state, {
+      idToNameMap,
+      nameToIdMap,
+      metadata: metaResponse,
+      isLoaded: true,
+      lastLoadTime: loadTime,
+      source
+    });
+  }
+
+  /**
+   * ============================================================================
+   * MARCHÉ SPOT : CHARGEMENT
+   * ============================================================================
+   *
+   * Garantit que le mapping spot du réseau actif est disponible,
+   * avec la même stratégie que initialize() (endpoint "spotMeta")
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.forceRefresh=false] - Recharger depuis l'API
+   * @param {AbortSignal} [options.signal] - Annule le chargement
+   * @returns {Promise<void>}
+   */
+  async initializeSpot({ forceRefresh = false, signal } = {}) {
+    const networkId = networkService.getActiveNetworkId();
+    const { spot } = this._getState(networkId);
+
+    if (spot.isLoaded && !forceRefresh) {
+      if (spot.source === 'cache') this._revalidate('spot', networkId);
+      return;
+    }
+    await this._fetch('spot', networkId, { forceRefresh, signal });
+  }
+
+  /**
+   * Construit les maps spot depuis une réponse spotMeta
+   * (ou le premier élément de spotMetaAndAssetCtxs), puis les persiste
+   *
+   * @param {Object} spotMetaResponse - { tokens: [...], universe: [...] }
+   * @param {string} [networkId] - Réseau cible (défaut : réseau actif)
+   * @throws {Error} Si "tokens" ou "universe" manquent
+   */
+  loadSpotMetadata(spotMetaResponse, networkId = networkService.getActiveNetworkId()) {
+    this._applySpotMeta(this._getState(networkId), spotMetaResponse, { source: 'network', loadTime: Date.now() });
+    this._persist(networkId);
+    this._emit(networkId, 'spot');
+  }
+
+  /**
+   * Construit et installe le mapping spot d'un état réseau
+   *
+   * @param {Object} state - État réseau (_getState)
+   * @param {Object} spotMetaResponse - Réponse "spotMeta"
+   * @param {Object} options - { source: 'network' | 'cache', loadTime }
+   */
+  _applySpotMeta(state, spotMetaResponse, { source, loadTime }) {
+    if (!Array.isArray(spotMetaResponse?.tokens) || !Array.isArray(spotMetaResponse?.universe)) {
+      throw new Error('Format de réponse invalide : "tokens" et "universe" attendus (spotMeta)');
+    }
+
+    const pairs = new Map();
+    const symbolToCoin = new Map();
+    const tokens = new Map();
+
+    spotMetaResponse.tokens.forEach((token, position) => {
+      tokens.set(token.index ?? position, token);
+    });
+
+    spotMetaResponse.universe.forEach((pair, position) => {
+      const index = pair.index ?? position;
+      const [baseIndex, quoteIndex] = pair.tokens || [];
+      const base = tokens.get(baseIndex)?.name ?? `#${baseIndex}`;
+      const quote = tokens.get(quoteIndex)?.name ?? `#${quoteIndex}`;
+      // "PURR/USDC" garde son nom ; "@1" devient "HFUN/USDC"
+      const symbol = pair.name.startsWith('@') ? `${base}/${quote}` : pair.name;
+
+      pairs.set(pair.name, {
+        coin: pair.name,
+        symbol,
+        index,
+        assetId: SPOT_ASSET_ID_OFFSET + index,
+        base,
+        quote,
+        isCanonical: Boolean(pair.isCanonical)
+      });
+      // Deux paires peuvent partager BASE/QUOTE (tokens homonymes) : la première gagne
+      if (!symbolToCoin.has(symbol)) symbolToCoin.set(symbol, pair.name);
+    });
+
+    // 🔁 Échange atomique, comme pour les perps
+    state.spot = {
+      ...state.spot,
+      pairs,
+      symbolToCoin,
+      tokens,
+      metadata: spotMetaResponse,
+      isLoaded: true,
+      lastLoadTime: loadTime,
+      source
+    };
+  }
+
+  /**
+   * ============================================================================
+   * CACHE PERSISTANT (localStorage)
+   * ============================================================================
+   *
+   * Une entrée par réseau : { version, networkId, apiBase, savedAt, meta, spotMeta }
+   * Ignorée si la version du format a changé ou si l'URL de l'API du réseau
+   * n'est plus la même (profil custom modifié).
+   */
+
+  /**
+   * Restaure le mapping persisté d'un réseau dans un état neuf
+   */
+  _hydrate(state, networkId) {
+    const entry = readStorage(`${STORAGE_KEY_PREFIX}${networkId}`, null);
+    if (entry?.version !== ASSET_CACHE_VERSION || entry.apiBase !== getNetworkApiBase(networkId)) return;
+
+    try {
+      if (entry.meta) this._applyMeta(state, entry.meta, { source: 'cache', loadTime: entry.savedAt });
+      if (entry.spotMeta) this._applySpotMeta(state, entry.spotMeta, { source: 'cache', loadTime: entry.spotSavedAt });
+    } catch (error) {
+      console.warn(`⚠️ [AssetMapping] Cache persistant ignoré (${networkId}):`, error.message);
+    }
+  }
+
+  /**
+   * Persiste le mapping (perps + spot) d'un réseau
+   */
+  _persist(networkId) {
+    const state = this._getState(networkId);
+    writeStorage(`${STORAGE_KEY_PREFIX}${networkId}`, {
+      version: ASSET_CACHE_VERSION,
+      networkId,
+      apiBase: getNetworkApiBase(networkId),
+      savedAt: state.lastLoadTime,
+      meta: state.metadata,
+      spotSavedAt: state.spot.lastLoadTime,
+      spotMeta: state.spot.metadata
+    }, 'AssetMapping');
+  }
+
+  /**
+   * Appel "meta" ou "spotMeta" puis installation du résultat
+   *
+   * @param {'meta'|'spot'} kind
+   * @param {string} networkId - Réseau figé au lancement
+   * @param {Object} options - { forceRefresh, signal }
+   */
+  async _fetch(kind, networkId, { forceRefresh, signal }) {
+    const endpointId = kind === 'spot' ? 'spotMeta' : 'meta';
+    const state = this._getState(networkId);
+    try {
+      console.log(`🔄 [AssetMapping] Chargement "${endpointId}" (${networkId})...`);
+      const response = await hyperliquidApi.executeRequest(endpointId, {}, { forceRefresh, signal });
+      // Réseau réinitialisé pendant l'appel (URL modifiée) : réponse de l'ancienne URL
+      if (this.networkStates.get(networkId) !== state) return;
+      if (kind === 'spot') {
+        this.loadSpotMetadata(response, networkId);
+        console.log(`✅ [AssetMapping] ${this._getState(networkId).spot.pairs.size} paires spot chargées (${networkId})`);
+      } else {
+        this.loadMetadata(response, networkId);
+        console.log(`📊 [AssetMapping] Exemples de mapping:`, this.getExampleMappings());
+      }
+    } catch (error) {
+      if (error.type !== 'aborted') {
+        console.error(`❌ [AssetMapping] Erreur lors du chargement "${endpointId}":`, error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Revalidation en arrière-plan d'un mapping servi depuis le cache
+   * (une seule à la fois par réseau et par type ; en cas d'échec le
+   * mapping en cache reste servi)
+   */
+  _revalidate(kind, networkId) {
+    const state = this._getState(networkId);
+    const key = kind === 'spot' ? 'spotRevalidation' : 'revalidation';
+    if (state[key]) return state[key];
+
+    state[key] = this._fetch(kind, networkId, { forceRefresh: true })
+      .catch(error => console.warn(`⚠️ [AssetMapping] Revalidation "${kind}" échouée, cache conservé:`, error.message))
+      .finally(() => { state[key] = null; });
+    return state[key];
+  }
+
+  /**
+   * ============================================================================
+   * ABONNEMENT
+   * ============================================================================
+   *
+   * Notifié après chaque installation d'un mapping venu de l'API
+   * (chargement initial, revalidation, refresh). Pour "meta", `changes`
+   * liste les assets listés, delistés ou modifiés depuis le mapping
+   * précédent (voir utils/universeDiff.js).
+   *
+   * @param {Function} listener - Reçoit { networkId, kind: 'meta' | 'spot' | 'changes' (journal vidé)
+   *   | 'reset' (URL du réseau modifiée, mapping à recharger), changes: Object[] }
+   * @returns {Function} Désabonnement
+   *
+   * @example
+   * assetMapping.subscribe(({ changes }) => {
+   *   changes.filter(change => change.type === 'delisted').forEach(change => console.log(change.name));
+   * });
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _emit(networkId, kind, changes = []) {
+    this.listeners.forEach(listener => {
+      try {
+        listener({ networkId, kind, changes });
+      } catch (error) {
+        console.error('❌ [AssetMapping] Erreur dans un abonné:', error);
+      }
     });
+  }
+
+  /**
+   * ============================================================================
+   * JOURNAL DES CHANGEMENTS ("quoi de neuf")
+   * ============================================================================
+   *
+   * Entrées : { id, networkId, type, name, assetId, changes, detectedAt }
+   * Plus récentes en tête, limitées à MAX_CHANGE_LOG_ENTRIES, persistées.
+   */
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.networkId] - Filtrer sur un réseau
+   * @returns {Object[]} Journal (instantané immuable sans filtre)
+   */
+  getChangeLog({ networkId } = {}) {
+    return networkId ? this.changeLog.filter(entry => entry.networkId === networkId) : this.changeLog;
+  }
+
+  /**
+   * Vide le journal (d'un réseau, ou en entier)
+   *
+   * @param {Object} [options] - { networkId }
+   */
+  clearChangeLog({ networkId } = {}) {
+    this.changeLog = networkId ? this.changeLog.filter(entry => entry.networkId !== networkId) : [];
+    writeStorage(STORAGE_KEY_CHANGE_LOG, this.changeLog, 'AssetMapping');
+    this._emit(networkId ?? null, 'changes');
+  }
+
+  _recordChanges(networkId, changes) {
+    const detectedAt = Date.now();
+    const entries = changes.map(change => ({
+      id: `${networkId}:${detectedAt}:${change.type}:${change.name}`,
+      networkId,
+      ...change,
+      detectedAt
+    }));
+    this.changeLog = [...entries, ...this.changeLog].slice(0, MAX_CHANGE_LOG_ENTRIES);
+    writeStorage(STORAGE_KEY_CHANGE_LOG, this.changeLog, 'AssetMapping');
+    console.log(`📰 [AssetMapping] ${changes.length} changement(s) de l'univers perps (${networkId})`);
+  }
+
+  get isSpotLoaded() { return this._getState().spot.isLoaded; }
+
+  /**
+   * ============================================================================
+   * MARCHÉ SPOT : RÉSOLUTION
+   * ============================================================================
+   */
 
-    console.log(`📋 [AssetMapping] Chargé ${this.idToNameMap.size} assets dans le mapping`);
+  /**
+   * Paire spot par coin API ("@1", "PURR/USDC"), symbole lisible ("HFUN/USDC")
+   * ou Asset ID (10001)
+   *
+   * @param {string|number} coinOrSymbol
+   * @returns {Object|null} { coin, symbol, index, assetId, base, quote, isCanonical }
+   */
+  getSpotPair(coinOrSymbol) {
+    const { spot } = this._getState();
+    const key = String(coinOrSymbol);
+
+    if (spot.pairs.has(key)) return spot.pairs.get(key);
+    const coin = spot.symbolToCoin.get(key) ?? spot.symbolToCoin.get(key.toUpperCase());
+    if (coin) return spot.pairs.get(coin);
+
+    // Asset ID numérique ≥ 10000
+    const assetId = Number(key);
+    if (Number.isInteger(assetId) && assetId >= SPOT_ASSET_ID_OFFSET) {
+      for (const pair of spot.pairs.values()) {
+        if (pair.assetId === assetId) return pair;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @example getSpotSymbol('@1') → "HFUN/USDC" ; getSpotSymbol('PURR/USDC') → "PURR/USDC"
+   * @returns {string|null}
+   */
+  getSpotSymbol(coin) {
+    return this.getSpotPair(coin)?.symbol ?? null;
+  }
+
+  /**
+   * Coin attendu par l'API (allMids, l2Book, candleSnapshot...)
+   * @example getSpotCoin('HFUN/USDC') → "@1"
+   * @returns {string|null}
+   */
+  getSpotCoin(symbol) {
+    return this.getSpotPair(symbol)?.coin ?? null;
+  }
+
+  /**
+   * Asset ID spot utilisé par les ordres (10000 + index)
+   * @example getSpotAssetId('PURR/USDC') → 10000
+   * @returns {number|null}
+   */
+  getSpotAssetId(coinOrSymbol) {
+    return this.getSpotPair(coinOrSymbol)?.assetId ?? null;
+  }
+
+  /**
+   * Token spot par index (spotClearinghouseState.balances[].token)
+   * @returns {Object|null} { name, index, tokenId, szDecimals, weiDecimals... }
+   */
+  getSpotToken(tokenIndex) {
+    return this._getState().spot.tokens.get(Number(tokenIndex)) ?? null;
+  }
+
+  /**
+   * @returns {string[]} Coins API des paires spot ("PURR/USDC", "@1", ...)
+   */
+  getAllSpotCoins() {
+    return Array.from(this._getState().spot.pairs.keys());
+  }
+
+  /**
+   * @returns {Object[]} Paires spot, par index croissant
+   */
+  getAllSpotPairs() {
+    return Array.from(this._getState().spot.pairs.values()).sort((a, b) => a.index - b.index);
   }
 
   /**
@@ -199,14 +735,19 @@ class AssetMappingService {
    * getAssetName(999)  → null (ID inexistant)
    */
   getAssetName(assetId) {
+    // Normalisation de l'ID en string
+    const id = String(assetId);
+
+    // Asset ID spot (≥ 10000) : symbole de la paire (maps spot, initializeSpot)
+    if (Number(id) >= SPOT_ASSET_ID_OFFSET) {
+      return this.getSpotSymbol(id);
+    }
+
     // Vérification du chargement
     if (!this.isLoaded) {
       console.warn('⚠️ [AssetMapping] Service non initialisé. Appelez initialize() d\'abord.');
       return null;
     }
-
-    // Normalisation de l'ID en string
-    const id = String(assetId);
     
     // Recherche dans la map
     return this.idToNameMap.get(id) || null;
@@ -229,6 +770,10 @@ class AssetMappingService {
    * getAssetId('XYZ') → null (asset inexistant)
    */
   getAssetId(assetName) {
+    // Paire spot ("PURR/USDC", "@1") : 10000 + index (maps spot, initializeSpot)
+    const spotAssetId = this.getSpotAssetId(assetName);
+    if (spotAssetId !== null) return String(spotAssetId);
+
     // Vérification du chargement
     if (!this.isLoaded) {
       console.warn('⚠️ [AssetMapping] Service non initialisé. Appelez initialize() d\'abord.');
@@ -284,6 +829,7 @@ class AssetMappingService {
    * ============================================================================
    * 
    * Transforme une réponse allMids avec des IDs numériques en noms lisibles
+   * Les paires spot "@{index}" deviennent "BASE/QUOTE" (si initializeSpot a été appelé)
    * 
    * AVANT :
    * {
@@ -303,8 +849,8 @@ class AssetMappingService {
    * @returns {Object} Objet transformé avec noms d'assets au lieu des IDs
    */
   transformAllMidsResponse(allMidsResponse) {
-    // Vérification du chargement
-    if (!this.isLoaded) {
+    // Vérification du chargement (perps ou spot)
+    if (!this.isLoaded && !this.isSpotLoaded) {
       console.warn('⚠️ [AssetMapping] Service non initialisé. Retour de la réponse brute.');
       return allMidsResponse;
     }
@@ -314,8 +860,11 @@ class AssetMappingService {
 
     // Parcours de toutes les clés (Asset IDs) dans la réponse
     Object.keys(allMidsResponse).forEach(assetId => {
-      // Récupération du nom de l'asset
-      const assetName = this.getAssetName(assetId);
+      // Nom de perp déjà lisible ("BTC"), paire spot ("@1" → "HFUN/USDC")
+      // ou Asset ID numérique
+      const assetName = this.nameToIdMap.has(assetId)
+        ? assetId
+        : this.getSpotSymbol(assetId) || this.idToNameMap.get(assetId);
       
       // Si le nom est trouvé, utiliser le nom ; sinon conserver l'ID
       const key = assetName || `UNKNOWN_${assetId}`;
@@ -372,6 +921,62 @@ class AssetMappingService {
     return enriched;
   }
 
+  /**
+   * ============================================================================
+   * MARCHÉS (PERPS + SPOT)
+   * ============================================================================
+   *
+   * Liste unifiée des marchés du réseau actif, pour les sélecteurs et les
+   * dashboards. `symbol` est lisible ("ETH", "HFUN/USDC"), `coin` est la
+   * valeur attendue par l'API ("ETH", "@1").
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDelisted=false] - Inclure les perps delistés
+   * @returns {Array<{ kind: 'perp'|'spot', symbol, coin, assetId: number, base, quote, isDelisted }>}
+   */
+  getMarkets({ includeDelisted = false } = {}) {
+    const perps = (this.metadata?.universe || [])
+      .map((asset, index) => ({
+        kind: 'perp',
+        symbol: asset.name,
+        coin: asset.name,
+        assetId: index,
+        base: asset.name,
+        quote: 'USDC',
+        isDelisted: Boolean(asset.isDelisted)
+      }))
+      .filter(market => includeDelisted || !market.isDelisted);
+
+    const spots = this.getAllSpotPairs().map(pair => ({
+      kind: 'spot',
+      symbol: pair.symbol,
+      coin: pair.coin,
+      assetId: pair.assetId,
+      base: pair.base,
+      quote: pair.quote,
+      isDelisted: false
+    }));
+
+    return [...perps, ...spots];
+  }
+
+  /**
+   * Marché par symbole lisible, coin API ou Asset ID
+   * Les perps ont priorité ; la casse est ignorée pour les perps
+   *
+   * @example getMarket('eth') → { kind: 'perp', symbol: 'ETH', ... }
+   * @example getMarket('HFUN/USDC') → { kind: 'spot', coin: '@1', ... }
+   * @returns {Object|null}
+   */
+  getMarket(symbolOrCoin) {
+    const key = String(symbolOrCoin ?? '');
+    const markets = this.getMarkets({ includeDelisted: true });
+    const perp = markets.find(market => market.kind === 'perp' && market.symbol.toUpperCase() === key.toUpperCase());
+    if (perp) return perp;
+    const pair = this.getSpotPair(key);
+    return pair ? markets.find(market => market.kind === 'spot' && market.coin === pair.coin) : null;
+  }
+
   /**
    * ============================================================================
    * LISTE DE TOUS LES ASSETS DISPONIBLES
@@ -473,15 +1078,16 @@ class AssetMappingService {
    * RAFRAÎCHISSEMENT DES DONNÉES
    * ============================================================================
    * 
-   * Recharge les métadonnées depuis l'API
+   * Recharge les métadonnées depuis l'API, sans fenêtre où getAssetName
+   * renverrait null
    * Utile pour mettre à jour les données si de nouveaux assets sont ajoutés
    * 
    * @returns {Promise<void>}
    */
   async refresh() {
     console.log('🔄 [AssetMapping] Rafraîchissement des données...');
-    this.isLoaded = false;
-    await this.initialize();
+    // Le mapping courant reste servi jusqu'à l'échange atomique
+    await this.initialize({ forceRefresh: true });
   }
 
   /**
@@ -512,8 +1118,13 @@ class AssetMappingService {
    */
   getStatus() {
     return {
+      network: networkService.getActiveNetworkId(),
       isLoaded: this.isLoaded,
+      source: this._getState().source,
       assetCount: this.getAssetCount(),
+      spotLoaded: this.isSpotLoaded,
+      spotSource: this._getState().spot.source,
+      spotPairCount: this._getState().spot.pairs.size,
       lastLoadTime: this.lastLoadTime,
       secondsSinceLastLoad: this.getSecondsSinceLastLoad(),
       exampleMappings: this.getExampleMappings()
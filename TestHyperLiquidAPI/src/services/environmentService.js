@@ -0,0 +1,445 @@
+/**
+ * ============================================================================
+ * SERVICE DES ENVIRONNEMENTS (VARIABLES DE TEMPLATE)
+ * ============================================================================
+ *
+ * Environnements nommés à la Postman ("Mon wallet principal", "Bot testnet",
+ * "Vault équipe") regroupant des variables réutilisables dans tous les
+ * templates : user_address, coin, clés d'API...
+ *
+ * FONCTIONNALITÉS :
+ * -----------------
+ * 1. CRUD des environnements et de leurs variables (persistés)
+ * 2. Environnement actif, changé en un clic
+ * 3. Variables injectées dans les {{placeholders}} du catalogue d'endpoints
+ *    (config/endpoints.js + définitions importées)
+ * 4. Import / export JSON
+ * 5. Variables secrètes (masquées à l'affichage)
+ *
+ * 🔄 Priorité de résolution d'un placeholder :
+ *    valeur saisie > variable de l'environnement actif > défaut du param
+ *
+ * UTILISATION :
+ * -------------
+ * import environmentService from './services/environmentService';
+ *
+ * const env = environmentService.createEnvironment('Mon wallet', { user_address: '0x...' });
+ * environmentService.setActive(env.id);
+ * environmentService.applyTo({ coin: 'ETH' }); // { user_address: '0x...', coin: 'ETH' }
+ */
+
+import { readStorage, writeStorage, createId } from '../utils/storage.js';
+
+// 🔑 Clés de persistance (même préfixe que le playground)
+const STORAGE_KEY_ENVIRONMENTS = 'cookie.environments';
+const STORAGE_KEY_ACTIVE = 'cookie.environments.active';
+
+export const ENVIRONMENT_FORMAT_VERSION = 1;
+
+// Noms de variables masqués par défaut
+const SECRET_NAME_PATTERN = /key|secret|token|password|private/i;
+
+// Noms de variables autorisés (référencés par {{nom}})
+const VARIABLE_NAME_PATTERN = /^\w+$/;
+
+/**
+ * 🔒 Vrai si une variable doit être masquée à l'affichage
+ *
+ * @param {string} key - Nom de la variable
+ * @returns {boolean}
+ */
+export function isSecretVariableName(key) {
+  return SECRET_NAME_PATTERN.test(key);
+}
+
+/**
+ * ✅ Valide un nom de variable (lettres, chiffres et _ uniquement)
+ *
+ * @param {string} key - Nom de la variable
+ * @throws {Error} Si le nom est invalide
+ */
+function assertVariableName(key) {
+  if (!VARIABLE_NAME_PATTERN.test(key)) {
+    throw new Error(`Nom de variable invalide : "${key}" (lettres, chiffres et _ uniquement)`);
+  }
+}
+
+/**
+ * 🧩 Complète des paramètres avec des variables d'environnement
+ * Les valeurs saisies (non vides) restent prioritaires.
+ *
+ * @param {Object} [parameters] - Paramètres saisis
+ * @param {Object} [variables] - Variables { nom: valeur }
+ * @param {Object} [options]
+ * @param {string[]} [options.exclude] - Variables à ne pas injecter (secrets
+ *   d'un catalogue importé non confirmé)
+ * @param {string[]} [options.only] - Seules variables injectables (celles que
+ *   l'endpoint référence) ; absent = toutes
+ * @returns {Object} Paramètres fusionnés
+ */
+export function applyVariables(parameters = {}, variables = {}, { exclude = [], only = null } = {}) {
+  const merged = only
+    ? Object.fromEntries(Object.entries(variables).filter(([key]) => only.includes(key)))
+    : { ...variables };
+  exclude.forEach(key => delete merged[key]);
+  for (const [key, value] of Object.entries(parameters)) {
+    if (value !== undefined && value !== null && value !== '') merged[key] = value;
+  }
+  return merged;
+}
+
+/**
+ * Fusionne des variables importées dans celles d'un environnement existant :
+ * l'import l'emporte, sauf une valeur secrète vide (export sans secrets)
+ * qui conserve la valeur locale.
+ */
+function mergeVariables(current, imported) {
+  const merged = [...current];
+  for (const variable of imported) {
+    const index = merged.findIndex(item => item.key === variable.key);
+    if (index === -1) {
+      merged.push(variable);
+      continue;
+    }
+    const existing = merged[index];
+    const keepValue = variable.value === '' && (variable.secret || existing.secret);
+    merged[index] = keepValue ? { ...variable, value: existing.value } : variable;
+  }
+  return merged;
+}
+
+/**
+ * Normalise une variable ({ key, value, secret })
+ */
+function normalizeVariable(variable) {
+  const key = String(variable.key ?? '').trim();
+  return {
+    key,
+    value: variable.value === undefined || variable.value === null ? '' : String(variable.value),
+    secret: variable.secret ?? isSecretVariableName(key)
+  };
+}
+
+/**
+ * Variables acceptées en objet { clé: valeur } ou en liste [{ key, value, secret }]
+ */
+function toVariableList(variables = []) {
+  const list = Array.isArray(variables)
+    ? variables
+    : Object.entries(variables).map(([key, value]) => ({ key, value }));
+  return list.map(normalizeVariable).filter(variable => variable.key !== '');
+}
+
+/**
+ * Classe principale du service des environnements
+ * Pattern : Singleton (une seule instance pour toute l'application)
+ */
+class EnvironmentService {
+  constructor() {
+    /**
+     * Environnements : { id, name, variables: [{ key, value, secret }] }
+     * @type {Array<Object>}
+     */
+    this.environments = readStorage(STORAGE_KEY_ENVIRONMENTS, [])
+      .filter(environment => environment?.id && environment?.name)
+      .map(environment => ({ ...environment, variables: toVariableList(environment.variables) }));
+
+    const storedActive = readStorage(STORAGE_KEY_ACTIVE, null);
+    this.activeId = this.environments.some(environment => environment.id === storedActive) ? storedActive : null;
+
+    /**
+     * Abonnés notifiés à chaque changement
+     * @type {Set<Function>}
+     */
+    this.listeners = new Set();
+
+    /**
+     * Snapshot immuable (requis par useSyncExternalStore)
+     */
+    this.snapshot = this._buildSnapshot();
+  }
+
+  _buildSnapshot() {
+    const active = this.environments.find(environment => environment.id === this.activeId) || null;
+    return Object.freeze({
+      environments: this.environments,
+      activeId: this.activeId,
+      active,
+      variables: Object.freeze(this._toMap(active))
+    });
+  }
+
+  _toMap(environment) {
+    const map = {};
+    for (const { key, value } of environment?.variables || []) {
+      if (value !== '') map[key] = value;
+    }
+    return map;
+  }
+
+  _commit() {
+    writeStorage(STORAGE_KEY_ENVIRONMENTS, this.environments, 'Environments');
+    writeStorage(STORAGE_KEY_ACTIVE, this.activeId, 'Environments');
+    this.snapshot = this._buildSnapshot();
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.snapshot);
+      } catch (error) {
+        console.error('❌ [Environments] Erreur dans un abonné:', error);
+      }
+    });
+  }
+
+  _require(id) {
+    const environment = this.environments.find(item => item.id === id);
+    if (!environment) throw new Error(`Environnement inconnu : ${id}`);
+    return environment;
+  }
+
+  /**
+   * Remplace un environnement (objets immuables : le snapshot change)
+   */
+  _update(id, changes) {
+    this._require(id);
+    this.environments = this.environments.map(environment =>
+      environment.id === id ? { ...environment, ...changes(environment) } : environment
+    );
+    this._commit();
+  }
+
+  /**
+   * ============================================================================
+   * LECTURE
+   * ============================================================================
+   */
+
+  /** @returns {Object} Snapshot { environments, activeId, active, variables } */
+  getSnapshot() {
+    return this.snapshot;
+  }
+
+  /** @returns {Object|null} Environnement actif */
+  getActive() {
+    return this.snapshot.active;
+  }
+
+  /**
+   * 🔤 Variables de l'environnement actif (valeurs non vides)
+   *
+   * @returns {Object} { nom: valeur }
+   */
+  getVariables() {
+    return this.snapshot.variables;
+  }
+
+  /**
+   * 🧩 Complète des paramètres avec les variables de l'environnement actif
+   * Les valeurs saisies (non vides) restent prioritaires.
+   *
+   * @param {Object} [parameters] - Paramètres saisis
+   * @param {Object} [options]
+   * @param {boolean} [options.secrets=true] - Injecter aussi les variables secrètes
+   * @param {string[]} [options.only] - Variables injectables (voir applyVariables)
+   * @returns {Object} Paramètres fusionnés
+   */
+  applyTo(parameters = {}, { secrets = true, only = null } = {}) {
+    return applyVariables(parameters, this.getVariables(), { exclude: secrets ? [] : this.getSecretKeys(), only });
+  }
+
+  /**
+   * 🔒 Noms des variables secrètes de l'environnement actif
+   *
+   * @returns {string[]}
+   */
+  getSecretKeys() {
+    return (this.snapshot.active?.variables || [])
+      .filter(variable => variable.secret)
+      .map(variable => variable.key);
+  }
+
+  /**
+   * ============================================================================
+   * ENVIRONNEMENT ACTIF
+   * ============================================================================
+   *
+   * @param {string|null} id - ID de l'environnement (null = aucun)
+   * @throws {Error} Si l'environnement est inconnu
+   */
+  setActive(id) {
+    if (id !== null) this._require(id);
+    if (id === this.activeId) return;
+
+    this.activeId = id;
+    console.log(`🌍 [Environments] Environnement actif : ${this.getActiveName(id)}`);
+    this._commit();
+  }
+
+  /** @returns {string} Nom d'un environnement ("aucun" si null) */
+  getActiveName(id = this.activeId) {
+    return this.environments.find(environment => environment.id === id)?.name ?? 'aucun';
+  }
+
+  /**
+   * ============================================================================
+   * GESTION DES ENVIRONNEMENTS
+   * ============================================================================
+   */
+
+  /**
+   * ➕ Crée un environnement
+   *
+   * @param {string} name - Nom affiché
+   * @param {Object|Array} [variables] - { clé: valeur } ou [{ key, value, secret }]
+   * @returns {Object} Environnement créé
+   */
+  createEnvironment(name, variables = {}) {
+    const environment = {
+      id: createId('env'),
+      name: String(name || '').trim() || 'Nouvel environnement',
+      variables: toVariableList(variables)
+    };
+    this.environments = [...this.environments, environment];
+    this._commit();
+    return environment;
+  }
+
+  /**
+   * 📑 Duplique un environnement (ex: wallet mainnet → même wallet testnet)
+   */
+  duplicateEnvironment(id) {
+    const source = this._require(id);
+    return this.createEnvironment(`${source.name} (copie)`, source.variables);
+  }
+
+  renameEnvironment(id, name) {
+    this._update(id, () => ({ name: String(name || '').trim() || 'Sans nom' }));
+  }
+
+  deleteEnvironment(id) {
+    this._require(id);
+    this.environments = this.environments.filter(environment => environment.id !== id);
+    if (this.activeId === id) this.activeId = null;
+    this._commit();
+  }
+
+  /**
+   * ✏️ Crée ou modifie une variable
+   *
+   * @param {string} id - ID de l'environnement
+   * @param {string} key - Nom de la variable (référencée par {{key}})
+   * @param {string} value - Valeur
+   * @param {Object} [options]
+   * @param {boolean} [options.secret] - Masquer la valeur (défaut : selon le nom)
+   * @param {string} [options.previousKey] - Ancien nom en cas de renommage
+   */
+  setVariable(id, key, value, { secret, previousKey } = {}) {
+    const variable = normalizeVariable({ key, value, secret });
+    assertVariableName(variable.key);
+
+    this._update(id, environment => {
+      const targetKey = previousKey ?? variable.key;
+      // Un renommage écrase une éventuelle variable portant déjà le nouveau nom
+      const variables = environment.variables.filter(item => item.key !== variable.key || item.key === targetKey);
+      const index = variables.findIndex(item => item.key === targetKey);
+      return {
+        variables: index === -1
+          ? [...variables, variable]
+          : variables.map((item, position) => (position === index ? variable : item))
+      };
+    });
+  }
+
+  deleteVariable(id, key) {
+    this._update(id, environment => ({
+      variables: environment.variables.filter(variable => variable.key !== key)
+    }));
+  }
+
+  /**
+   * ============================================================================
+   * IMPORT / EXPORT
+   * ============================================================================
+   */
+
+  /**
+   * 📤 Exporte les environnements (contenu du fichier JSON)
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.includeSecrets=false] - Exporter la valeur des variables secrètes
+   * @returns {string} JSON indenté
+   */
+  exportEnvironments({ includeSecrets = false } = {}) {
+    return JSON.stringify({
+      version: ENVIRONMENT_FORMAT_VERSION,
+      environments: this.environments.map(({ name, variables }) => ({
+        name,
+        variables: variables.map(variable => ({
+          ...variable,
+          value: variable.secret && !includeSecrets ? '' : variable.value
+        }))
+      }))
+    }, null, 2);
+  }
+
+  /**
+   * 📥 Importe un fichier d'environnements
+   * Les variables d'un environnement du même nom y sont fusionnées (une
+   * variable secrète exportée vide garde sa valeur locale) ; les autres
+   * environnements sont ajoutés.
+   *
+   * @param {string|Object} data - Contenu JSON (texte ou objet)
+   * @returns {number} Nombre d'environnements importés
+   * @throws {Error} Si le format ou un nom de variable est invalide (rien n'est importé)
+   */
+  importEnvironments(data) {
+    const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!parsed || !Array.isArray(parsed.environments)) {
+      throw new Error('Format invalide : { version, environments: [...] } attendu');
+    }
+    if (parsed.version !== ENVIRONMENT_FORMAT_VERSION) {
+      throw new Error(`Version d'environnements non supportée : ${parsed.version}`);
+    }
+
+    const imported = parsed.environments
+      .filter(environment => environment?.name)
+      .map(({ name, variables }) => ({ name, variables: toVariableList(variables) }));
+    // Mêmes règles que setVariable, vérifiées avant toute modification
+    imported.forEach(({ variables }) => variables.forEach(variable => assertVariableName(variable.key)));
+
+    let environments = [...this.environments];
+    for (const { name, variables } of imported) {
+      const existing = environments.find(environment => environment.name === name);
+      environments = existing
+        ? environments.map(environment => (environment.id === existing.id
+          ? { ...existing, variables: mergeVariables(existing.variables, variables) }
+          : environment))
+        : [...environments, { id: createId('env'), name, variables }];
+    }
+
+    this.environments = environments;
+    this._commit();
+    return imported.length;
+  }
+
+  /**
+   * ============================================================================
+   * ABONNEMENT AUX CHANGEMENTS
+   * ============================================================================
+   *
+   * @param {Function} listener - Appelé avec le nouveau snapshot
+   * @returns {Function} Fonction de désabonnement
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+/**
+ * ============================================================================
+ * EXPORT SINGLETON
+ * ============================================================================
+ */
+const environmentService = new EnvironmentService();
+
+export default environmentService;
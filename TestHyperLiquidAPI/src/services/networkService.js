@@ -0,0 +1,229 @@
+/**
+ * ============================================================================
+ * SERVICE DE GESTION DU RÉSEAU HYPERLIQUID
+ * ============================================================================
+ *
+ * Ce service détient le profil réseau actif (mainnet, testnet, custom)
+ * et résout les URLs REST / WebSocket AU MOMENT de chaque requête.
+ *
+ * FONCTIONNALITÉS :
+ * -----------------
+ * 1. Sélection du réseau actif avec persistance (localStorage)
+ * 2. Profil "custom" éditable (nœud local, mock server...)
+ * 3. Résolution des URLs : resolveUrl('/info'), getWsUrl()
+ * 4. Notification des abonnés à chaque changement (UI, caches, mappings)
+ *
+ * UTILISATION :
+ * -------------
+ * import networkService from './services/networkService';
+ *
+ * networkService.getInfoUrl();            // "https://api.hyperliquid.xyz/info"
+ * networkService.setActiveNetwork('testnet');
+ * const unsubscribe = networkService.subscribe(profile => { ... });
+ */
+
+import { NETWORK_PROFILES, DEFAULT_NETWORK_ID } from '../config/networks.js';
+import { readStorage, writeStorage } from '../utils/storage.js';
+
+// 🔑 Clés de persistance (même préfixe que le playground)
+const STORAGE_KEY_ACTIVE = 'cookie.network.active';
+const STORAGE_KEY_CUSTOM = 'cookie.network.custom';
+
+/**
+ * Retire le slash final d'une URL de base
+ */
+function trimTrailingSlash(url) {
+  return String(url || '').replace(/\/+$/, '');
+}
+
+/**
+ * Classe principale du service réseau
+ * Pattern : Singleton (une seule instance pour toute l'application)
+ */
+class NetworkService {
+  constructor() {
+    /**
+     * Surcharges persistées du profil custom
+     * @type {{ apiBase?: string, wsUrl?: string }}
+     */
+    this.customOverrides = readStorage(STORAGE_KEY_CUSTOM, {});
+
+    /**
+     * ID du réseau actif (validé contre les profils connus)
+     * @type {string}
+     */
+    const storedId = readStorage(STORAGE_KEY_ACTIVE, DEFAULT_NETWORK_ID);
+    this.activeId = NETWORK_PROFILES[storedId] ? storedId : DEFAULT_NETWORK_ID;
+
+    /**
+     * Abonnés notifiés à chaque changement de réseau
+     * @type {Set<Function>}
+     */
+    this.listeners = new Set();
+
+    /**
+     * Snapshot immuable du profil actif (stable entre deux changements,
+     * requis par useSyncExternalStore)
+     * @type {Object}
+     */
+    this.snapshot = this._buildProfile(this.activeId);
+  }
+
+  /**
+   * ============================================================================
+   * CONSTRUCTION D'UN PROFIL
+   * ============================================================================
+   *
+   * Fusionne le profil prédéfini avec les surcharges custom si éditable
+   *
+   * @param {string} networkId - ID du profil
+   * @returns {Object} Profil résolu
+   */
+  _buildProfile(networkId) {
+    const base = NETWORK_PROFILES[networkId];
+    const overrides = base.editable ? this.customOverrides : {};
+
+    return Object.freeze({
+      ...base,
+      apiBase: trimTrailingSlash(overrides.apiBase || base.apiBase),
+      wsUrl: overrides.wsUrl || base.wsUrl
+    });
+  }
+
+  /**
+   * Notifie tous les abonnés du nouveau profil
+   */
+  _emit() {
+    this.snapshot = this._buildProfile(this.activeId);
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.snapshot);
+      } catch (error) {
+        console.error('❌ [Network] Erreur dans un abonné:', error);
+      }
+    });
+  }
+
+  /**
+   * ============================================================================
+   * LECTURE DU RÉSEAU ACTIF
+   * ============================================================================
+   */
+
+  /** @returns {string} ID du réseau actif (ex: "mainnet") */
+  getActiveNetworkId() {
+    return this.activeId;
+  }
+
+  /** @returns {Object} Profil actif résolu (snapshot immuable) */
+  getActiveProfile() {
+    return this.snapshot;
+  }
+
+  /** @returns {Object[]} Tous les profils résolus (pour les sélecteurs) */
+  getProfiles() {
+    return Object.keys(NETWORK_PROFILES).map(id => this._buildProfile(id));
+  }
+
+  /** @returns {string} URL de base REST (ex: "https://api.hyperliquid.xyz") */
+  getApiBase() {
+    return this.snapshot.apiBase;
+  }
+
+  /** @returns {string} URL de l'Info API */
+  getInfoUrl() {
+    return this.resolveUrl('/info');
+  }
+
+  /** @returns {string} URL du WebSocket */
+  getWsUrl() {
+    return this.snapshot.wsUrl;
+  }
+
+  /**
+   * Résout un chemin relatif contre l'URL de base du réseau actif
+   *
+   * @param {string} path - Chemin (ex: "/info")
+   * @param {Object} [profile] - Profil à utiliser (défaut : profil actif)
+   * @returns {string} URL complète
+   *
+   * @example
+   * resolveUrl('/info') → "https://api.hyperliquid-testnet.xyz/info"
+   */
+  resolveUrl(path, profile = this.snapshot) {
+    const normalized = path.startsWith('/') ? path : `/${path}`;
+    return `${profile.apiBase}${normalized}`;
+  }
+
+  /**
+   * Résout l'URL d'une définition d'endpoint
+   * - endpoint.url (absolue) : utilisée telle quelle (API tierces)
+   * - endpoint.path : résolu contre le réseau actif (WS → wsUrl)
+   *
+   * @param {Object} endpoint - Définition d'endpoint
+   * @param {Object} [profile] - Profil à utiliser (défaut : profil actif)
+   * @returns {string} URL complète
+   */
+  resolveEndpointUrl(endpoint, profile = this.snapshot) {
+    if (endpoint.url) return endpoint.url;
+    if (endpoint.method === 'WS') return profile.wsUrl;
+    return this.resolveUrl(endpoint.path || '/info', profile);
+  }
+
+  /**
+   * ============================================================================
+   * CHANGEMENT DE RÉSEAU
+   * ============================================================================
+   *
+   * @param {string} networkId - ID du profil à activer
+   * @throws {Error} Si le profil est inconnu
+   */
+  setActiveNetwork(networkId) {
+    if (!NETWORK_PROFILES[networkId]) {
+      throw new Error(`Réseau inconnu : ${networkId}`);
+    }
+    if (networkId === this.activeId) return;
+
+    console.log(`🌍 [Network] Bascule ${this.activeId} → ${networkId}`);
+    this.activeId = networkId;
+    writeStorage(STORAGE_KEY_ACTIVE, networkId, 'Network');
+    this._emit();
+  }
+
+  /**
+   * Met à jour les URLs du profil custom (persisté)
+   *
+   * @param {{ apiBase?: string, wsUrl?: string }} overrides
+   */
+  updateCustomProfile(overrides) {
+    this.customOverrides = { ...this.customOverrides, ...overrides };
+    writeStorage(STORAGE_KEY_CUSTOM, this.customOverrides, 'Network');
+
+    // Seul le profil actif impacte les abonnés
+    if (NETWORK_PROFILES[this.activeId].editable) {
+      this._emit();
+    }
+  }
+
+  /**
+   * ============================================================================
+   * ABONNEMENT AUX CHANGEMENTS
+   * ============================================================================
+   *
+   * @param {Function} listener - Appelé avec le nouveau profil
+   * @returns {Function} Fonction de désabonnement
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+/**
+ * ============================================================================
+ * EXPORT SINGLETON
+ * ============================================================================
+ */
+const networkService = new NetworkService();
+
+export default networkService;
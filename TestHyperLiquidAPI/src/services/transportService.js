@@ -0,0 +1,249 @@
+/**
+ * ============================================================================
+ * SERVICE DE TRANSPORT (LIVE / RECORD / REPLAY)
+ * ============================================================================
+ *
+ * Ce service détient le mode de transport actif du HyperliquidApiService
+ * et le stock de fixtures enregistrées.
+ *
+ * FONCTIONNALITÉS :
+ * -----------------
+ * 1. Sélection du mode avec persistance (localStorage)
+ * 2. Enregistrement des paires requête/réponse en mode "record"
+ *    (persistées, exportables en JSON)
+ * 3. Rejeu déterministe en mode "replay", sans réseau
+ *    (fixtures embarquées chargées si aucun enregistrement)
+ * 4. Notification des abonnés (UI, cache des réponses)
+ *
+ * ⚠️ Seules les requêtes REST passent par le transport ;
+ *    les WebSockets restent en direct.
+ *
+ * UTILISATION :
+ * -------------
+ * import transportService from './services/transportService';
+ *
+ * transportService.setMode('replay');
+ * const json = transportService.exportFixtures();
+ * transportService.importFixtures(json);
+ */
+
+import {
+  TRANSPORT_MODES,
+  FixtureStore,
+  LiveTransport,
+  RecordTransport,
+  ReplayTransport
+} from '../api/transports.js';
+import { readStorage, writeStorage } from '../utils/storage.js';
+
+// 🔑 Clés de persistance (même préfixe que le playground)
+const STORAGE_KEY_MODE = 'cookie.transport.mode';
+const STORAGE_KEY_FIXTURES = 'cookie.transport.fixtures';
+
+const DEFAULT_MODE = 'live';
+
+/**
+ * Classe principale du service de transport
+ * Pattern : Singleton (une seule instance pour toute l'application)
+ */
+class TransportService {
+  constructor() {
+    /**
+     * Fixtures enregistrées / importées
+     * @type {FixtureStore}
+     */
+    this.store = new FixtureStore();
+
+    const persisted = readStorage(STORAGE_KEY_FIXTURES, null);
+    if (persisted) {
+      try {
+        this.store.load(persisted);
+      } catch (error) {
+        console.warn('⚠️ [Transport] Fixtures persistées ignorées:', error.message);
+      }
+    }
+
+    this.transports = {
+      live: new LiveTransport(),
+      replay: new ReplayTransport(this.store)
+    };
+    this.transports.record = new RecordTransport(this.transports.live, this.store, () => this._onRecord());
+
+    const storedMode = readStorage(STORAGE_KEY_MODE, DEFAULT_MODE);
+    this.mode = TRANSPORT_MODES.includes(storedMode) ? storedMode : DEFAULT_MODE;
+
+    /**
+     * Abonnés notifiés à chaque changement (mode ou fixtures)
+     * @type {Set<Function>}
+     */
+    this.listeners = new Set();
+
+    /**
+     * Snapshot immuable (requis par useSyncExternalStore)
+     */
+    this.snapshot = this._buildSnapshot();
+
+    this.bundledLoad = null;
+    if (this.mode === 'replay') this._ensureFixtures();
+  }
+
+  _buildSnapshot() {
+    return Object.freeze({ mode: this.mode, fixtureCount: this.store.size });
+  }
+
+  _emit() {
+    this.snapshot = this._buildSnapshot();
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.snapshot);
+      } catch (error) {
+        console.error('❌ [Transport] Erreur dans un abonné:', error);
+      }
+    });
+  }
+
+  _persistFixtures() {
+    writeStorage(STORAGE_KEY_FIXTURES, this.store.toJSON(), 'Transport');
+  }
+
+  _onRecord() {
+    this._persistFixtures();
+    this._emit();
+  }
+
+  /**
+   * Charge les fixtures embarquées (src/fixtures) si le stock est vide.
+   * Import dynamique : le JSON n'alourdit pas le bundle en mode live.
+   */
+  _ensureFixtures() {
+    if (this.store.size > 0 || this.bundledLoad) return this.bundledLoad;
+
+    this.bundledLoad = import('../fixtures/hyperliquid.json')
+      .then(module => {
+        const count = this.store.load(module.default);
+        console.log(`📼 [Transport] ${count} fixture(s) embarquée(s) chargée(s)`);
+        this._emit();
+      })
+      .catch(error => console.warn('⚠️ [Transport] Fixtures embarquées indisponibles:', error))
+      .finally(() => {
+        this.bundledLoad = null;
+      });
+    return this.bundledLoad;
+  }
+
+  /**
+   * ============================================================================
+   * LECTURE DU MODE
+   * ============================================================================
+   */
+
+  /** @returns {string} Mode actif ("live", "record" ou "replay") */
+  getMode() {
+    return this.mode;
+  }
+
+  /** @returns {Object} Snapshot { mode, fixtureCount } */
+  getSnapshot() {
+    return this.snapshot;
+  }
+
+  /** @returns {Object} Transport du mode actif */
+  getTransport() {
+    return this.transports[this.mode];
+  }
+
+  /**
+   * 📡 Envoie une requête préparée via le transport actif
+   *
+   * @param {Object} request - { method, url, headers, body, payload, label, bucket }
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<Response>}
+   */
+  async send(request, signal) {
+    if (this.mode === 'replay') await this._ensureFixtures();
+    return this.getTransport().send(request, signal);
+  }
+
+  /**
+   * ============================================================================
+   * CHANGEMENT DE MODE
+   * ============================================================================
+   *
+   * @param {string} mode - "live", "record" ou "replay"
+   * @throws {Error} Si le mode est inconnu
+   */
+  setMode(mode) {
+    if (!TRANSPORT_MODES.includes(mode)) {
+      throw new Error(`Mode de transport inconnu : ${mode}`);
+    }
+    if (mode === this.mode) return;
+
+    console.log(`📡 [Transport] Bascule ${this.mode} → ${mode}`);
+    this.mode = mode;
+    writeStorage(STORAGE_KEY_MODE, mode, 'Transport');
+    if (mode === 'replay') this._ensureFixtures();
+    this._emit();
+  }
+
+  /**
+   * ============================================================================
+   * GESTION DES FIXTURES
+   * ============================================================================
+   */
+
+  /**
+   * 📤 Exporte les fixtures (contenu du fichier JSON)
+   *
+   * @returns {string} JSON indenté
+   */
+  exportFixtures() {
+    return JSON.stringify(this.store.toJSON(), null, 2);
+  }
+
+  /**
+   * 📥 Importe un fichier de fixtures
+   *
+   * @param {string|Object} data - Contenu JSON (texte ou objet)
+   * @param {Object} [options] - { merge: true } pour conserver l'existant
+   * @returns {number} Nombre de fixtures importées
+   * @throws {Error} Si le format est invalide
+   */
+  importFixtures(data, options) {
+    const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+    const count = this.store.load(parsed, options);
+    this._persistFixtures();
+    this._emit();
+    return count;
+  }
+
+  /**
+   * 🧹 Supprime toutes les fixtures enregistrées
+   */
+  clearFixtures() {
+    this.store.clear();
+    this._persistFixtures();
+    this._emit();
+  }
+
+  /**
+   * ============================================================================
+   * ABONNEMENT AUX CHANGEMENTS
+   * ============================================================================
+   *
+   * @param {Function} listener - Appelé avec le nouveau snapshot
+   * @returns {Function} Fonction de désabonnement
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+/**
+ * ============================================================================
+ * EXPORT SINGLETON
+ * ============================================================================
+ */
+const transportService = new TransportService();
+
+export default transportService;
@@ -0,0 +1,67 @@
+/**
+ * 👤 ADRESSES ETHEREUM (EIP-55)
+ * =============================
+ *
+ * Les adresses Hyperliquid sont des adresses EVM : 0x + 40 hex.
+ * EIP-55 encode un checksum dans la casse : une adresse en casse mixte
+ * dont une lettre est mal recopiée est détectée avant l'envoi.
+ * Une adresse tout en minuscules (ou majuscules) ne porte pas de
+ * checksum : elle est valide mais non vérifiable.
+ */
+
+import { keccak256 } from './keccak.js';
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+/**
+ * ✅ Format 0x + 40 caractères hexadécimaux
+ *
+ * @param {string} address
+ * @returns {boolean}
+ */
+export function isAddressFormat(address) {
+  return typeof address === 'string' && ADDRESS_PATTERN.test(address);
+}
+
+/**
+ * 🔠 Adresse avec la casse EIP-55
+ *
+ * @param {string} address - Adresse au format 0x + 40 hex
+ * @returns {string} Ex: "0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed"
+ * @throws {Error} Si le format est invalide
+ */
+export function toChecksumAddress(address) {
+  if (!isAddressFormat(address)) {
+    throw new Error(`Adresse invalide : ${address}`);
+  }
+
+  const lower = address.slice(2).toLowerCase();
+  const hash = keccak256(lower);
+  let result = '0x';
+  for (let i = 0; i < lower.length; i++) {
+    result += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+  }
+  return result;
+}
+
+/**
+ * 🔍 Vérifie le checksum EIP-55
+ *
+ * @param {string} address
+ * @returns {{ valid: boolean, checksummed: boolean, expected?: string }}
+ * - valid : format correct et checksum respecté (ou absent)
+ * - checksummed : l'adresse porte un checksum (casse mixte)
+ * - expected : casse correcte si le checksum est faux
+ */
+export function checkAddressChecksum(address) {
+  if (!isAddressFormat(address)) return { valid: false, checksummed: false };
+
+  const body = address.slice(2);
+  const checksummed = body !== body.toLowerCase() && body !== body.toUpperCase();
+  if (!checksummed) return { valid: true, checksummed: false };
+
+  const expected = toChecksumAddress(address);
+  return expected === address
+    ? { valid: true, checksummed: true }
+    : { valid: false, checksummed: true, expected };
+}
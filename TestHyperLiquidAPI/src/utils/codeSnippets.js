@@ -0,0 +1,209 @@
+/**
+ * 📋 CODE SNIPPETS
+ * ================
+ *
+ * Génère l'équivalent d'une requête du playground dans différents outils :
+ * curl, fetch (navigateur), Node via HyperliquidApiService, Python requests
+ * et websocat pour les endpoints WS.
+ *
+ * La requête est celle de l'aperçu (buildRequest) : URL résolue contre le
+ * réseau actif, headers, body et message d'init déjà typés.
+ *
+ * 🔐 Les valeurs secrètes sont remplacées par <nom> à la résolution des
+ * templates (getSecretMasks), sauf si l'utilisateur choisit de les afficher.
+ */
+
+import { getTemplatePlaceholders } from './parameterUtils.js';
+
+export const SNIPPET_LANGUAGES = {
+  curl: { label: 'curl', methods: ['GET', 'POST'] },
+  fetch: { label: 'JavaScript fetch', methods: ['GET', 'POST', 'WS'] },
+  node: { label: 'Node (HyperliquidApiService)', methods: ['GET', 'POST'] },
+  python: { label: 'Python requests', methods: ['GET', 'POST'] },
+  websocat: { label: 'websocat', methods: ['WS'] }
+};
+
+/**
+ * 🗂️ Langages disponibles pour une méthode (GET, POST, WS)
+ *
+ * @param {string} method
+ * @returns {Array} [{ id, label }]
+ */
+export function getSnippetLanguages(method) {
+  return Object.entries(SNIPPET_LANGUAGES)
+    .filter(([, language]) => language.methods.includes(method))
+    .map(([id, language]) => ({ id, label: language.label }));
+}
+
+/**
+ * 🔐 Masques <nom> des secrets référencés par les templates d'un endpoint
+ *
+ * Passés à resolveTemplate (option `masks`), ils remplacent chaque secret
+ * à l'emplacement de son placeholder : une valeur courte ("1", "eth")
+ * ne peut pas masquer par erreur une autre partie de la requête.
+ *
+ * @param {Object} endpoint - Endpoint du catalogue (headers, body, query, subscription, url)
+ * @param {string[]} secretNames - Noms des paramètres / variables secrets
+ * @returns {Object} { nom: '<nom>' } (vide si aucun secret n'est utilisé)
+ *
+ * @example
+ * getSecretMasks({ headers: { Authorization: 'Bearer {{apiKey}}' } }, ['apiKey', 'privateKey']);
+ * // { apiKey: '<apiKey>' }
+ */
+export function getSecretMasks(endpoint, secretNames) {
+  const used = new Set(getTemplatePlaceholders([endpoint.headers, endpoint.body, endpoint.query, endpoint.subscription, endpoint.url]));
+  return Object.fromEntries(secretNames.filter(name => used.has(name)).map(name => [name, `<${name}>`]));
+}
+
+/**
+ * ============================================================================
+ * GÉNÉRATEURS
+ * ============================================================================
+ */
+
+// Chaîne shell entre apostrophes ('…'\''…')
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+function hasBody(method, body) {
+  return method === 'POST' && body !== undefined && body !== null;
+}
+
+function indent(text, prefix) {
+  return text.split('\n').map((line, index) => (index === 0 ? line : prefix + line)).join('\n');
+}
+
+/**
+ * 🐍 Littéral Python d'une valeur JSON (True/False/None)
+ */
+function toPython(value, depth = 0) {
+  const pad = '    '.repeat(depth + 1);
+  const close = '    '.repeat(depth);
+  if (value === null || value === undefined) return 'None';
+  if (value === true) return 'True';
+  if (value === false) return 'False';
+  if (typeof value === 'number') return String(value);
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return `[\n${value.map(item => pad + toPython(item, depth + 1)).join(',\n')},\n${close}]`;
+  }
+  const entries = Object.entries(value);
+  if (entries.length === 0) return '{}';
+  return `{\n${entries.map(([key, item]) => `${pad}${JSON.stringify(key)}: ${toPython(item, depth + 1)}`).join(',\n')},\n${close}}`;
+}
+
+function curlSnippet({ method, url, headers, body }) {
+  const lines = [`curl -X ${method} ${shellQuote(url)}`];
+  Object.entries(headers || {}).forEach(([key, value]) => lines.push(`-H ${shellQuote(`${key}: ${value}`)}`));
+  if (hasBody(method, body)) lines.push(`--data-raw ${shellQuote(JSON.stringify(body))}`);
+  return lines.join(' \\\n  ');
+}
+
+function fetchSnippet({ method, url, headers, body, initMsg }) {
+  if (method === 'WS') {
+    return [
+      `const ws = new WebSocket(${JSON.stringify(url)});`,
+      '',
+      'ws.onopen = () => {',
+      `  ws.send(JSON.stringify(${indent(JSON.stringify(initMsg || {}, null, 2), '  ')}));`,
+      '};',
+      'ws.onmessage = (event) => console.log(JSON.parse(event.data));'
+    ].join('\n');
+  }
+
+  const options = [`  method: ${JSON.stringify(method)},`];
+  if (headers && Object.keys(headers).length > 0) {
+    options.push(`  headers: ${indent(JSON.stringify(headers, null, 2), '  ')},`);
+  }
+  if (hasBody(method, body)) {
+    options.push(`  body: JSON.stringify(${indent(JSON.stringify(body, null, 2), '  ')}),`);
+  }
+  return [
+    `const response = await fetch(${JSON.stringify(url)}, {`,
+    ...options,
+    '});',
+    'const data = await response.json();',
+    'console.log(data);'
+  ].join('\n');
+}
+
+/**
+ * 🟢 Node : endpoint ad-hoc passé à hyperliquidApi.executeRequest
+ * (cache, rate-limit, erreurs typées inclus). Les endpoints Hyperliquid
+ * gardent leur `path`, résolu contre le réseau choisi.
+ */
+function nodeSnippet({ method, url, headers, body }, { endpoint, network }) {
+  const useUrl = Boolean(endpoint?.url) || !endpoint?.path || network?.id === 'custom';
+  const definition = [
+    `  id: ${JSON.stringify(endpoint?.id || 'adhoc')},`,
+    `  method: ${JSON.stringify(method)},`,
+    useUrl ? `  url: ${JSON.stringify(url)},` : `  path: ${JSON.stringify(endpoint.path)},`
+  ];
+  if (headers && Object.keys(headers).length > 0) {
+    definition.push(`  headers: ${indent(JSON.stringify(headers, null, 2), '  ')},`);
+  }
+  if (hasBody(method, body)) {
+    definition.push(`  body: ${indent(JSON.stringify(body, null, 2), '  ')},`);
+  }
+
+  const lines = ["import { hyperliquidApi } from './src/api/hyperliquidService.js';"];
+  if (!useUrl && network?.id && network.id !== 'mainnet') {
+    lines.push("import networkService from './src/services/networkService.js';", '', `networkService.setActiveNetwork(${JSON.stringify(network.id)});`);
+  }
+  lines.push(
+    '',
+    'const data = await hyperliquidApi.executeRequest({',
+    ...definition,
+    '}, {}, { environment: false });',
+    'console.log(data);'
+  );
+  return lines.join('\n');
+}
+
+function pythonSnippet({ method, url, headers, body }) {
+  const args = [JSON.stringify(url)];
+  if (headers && Object.keys(headers).length > 0) args.push(`headers=${toPython(headers)}`);
+  if (hasBody(method, body)) args.push(`json=${toPython(body)}`);
+  args.push('timeout=10');
+  return [
+    'import requests',
+    '',
+    `response = requests.${method === 'POST' ? 'post' : 'get'}(`,
+    ...args.map(arg => `    ${indent(arg, '    ')},`),
+    ')',
+    'response.raise_for_status()',
+    'print(response.json())'
+  ].join('\n');
+}
+
+// Le message d'init est envoyé puis la connexion reste ouverte (cat)
+function websocatSnippet({ url, initMsg }) {
+  return `(echo ${shellQuote(JSON.stringify(initMsg || {}))}; cat) | websocat ${shellQuote(url)}`;
+}
+
+const GENERATORS = {
+  curl: curlSnippet,
+  fetch: fetchSnippet,
+  node: nodeSnippet,
+  python: pythonSnippet,
+  websocat: websocatSnippet
+};
+
+/**
+ * 🚀 Génère le snippet d'une requête
+ *
+ * @param {string} language - Clé de SNIPPET_LANGUAGES
+ * @param {Object} request - { method, url, headers, body, initMsg } (déjà masquée si besoin)
+ * @param {Object} [context] - { endpoint, network } (snippet Node)
+ * @returns {string}
+ * @throws {Error} Si le langage est inconnu
+ */
+export function generateSnippet(language, request, context = {}) {
+  const generator = GENERATORS[language];
+  if (!generator) {
+    throw new Error(`Langage de snippet inconnu : ${language}`);
+  }
+  return generator(request, context);
+}
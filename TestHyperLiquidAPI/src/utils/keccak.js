@@ -0,0 +1,115 @@
+/**
+ * #️⃣ KECCAK-256
+ * ==============
+ *
+ * Implémentation minimale de Keccak-256 (variante Ethereum, padding 0x01,
+ * différente du SHA3-256 standardisé). Utilisée pour le checksum EIP-55
+ * des adresses : quelques dizaines d'octets, la lisibilité prime sur
+ * la performance (lanes 64 bits en BigInt).
+ */
+
+const MASK_64 = (1n << 64n) - 1n;
+
+// Taux du sponge pour une sortie de 256 bits : 1600 - 2 × 256 bits
+const RATE_BYTES = 136;
+
+const ROUND_CONSTANTS = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808An, 0x8000000080008000n,
+  0x000000000000808Bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008An, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000An,
+  0x000000008000808Bn, 0x800000000000008Bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800An, 0x800000008000000An,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+
+// Décalages de rotation, indexés par x + 5y
+const ROTATION_OFFSETS = [
+  0, 1, 62, 28, 27,
+  36, 44, 6, 55, 20,
+  3, 10, 43, 25, 39,
+  41, 45, 15, 21, 8,
+  18, 2, 61, 56, 14
+].map(BigInt);
+
+function rotateLeft(value, shift) {
+  if (shift === 0n) return value;
+  return ((value << shift) | (value >> (64n - shift))) & MASK_64;
+}
+
+/**
+ * Permutation Keccak-f[1600] (24 rounds) sur 25 lanes de 64 bits
+ */
+function keccakF(state) {
+  const columns = new Array(5);
+  const rotated = new Array(25);
+
+  for (const roundConstant of ROUND_CONSTANTS) {
+    // θ : parité des colonnes
+    for (let x = 0; x < 5; x++) {
+      columns[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20];
+    }
+    for (let x = 0; x < 5; x++) {
+      const delta = columns[(x + 4) % 5] ^ rotateLeft(columns[(x + 1) % 5], 1n);
+      for (let y = 0; y < 25; y += 5) state[x + y] ^= delta;
+    }
+
+    // ρ + π : rotation et déplacement des lanes
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        rotated[y + 5 * ((2 * x + 3 * y) % 5)] = rotateLeft(state[x + 5 * y], ROTATION_OFFSETS[x + 5 * y]);
+      }
+    }
+
+    // χ : non-linéarité par ligne
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        state[x + y] = (rotated[x + y] ^ (~rotated[((x + 1) % 5) + y] & rotated[((x + 2) % 5) + y])) & MASK_64;
+      }
+    }
+
+    // ι
+    state[0] ^= roundConstant;
+  }
+}
+
+/**
+ * 🔐 Hash Keccak-256
+ *
+ * @param {string|Uint8Array} input - Texte (encodé en UTF-8) ou octets
+ * @returns {string} Hash hexadécimal (64 caractères, sans 0x)
+ *
+ * @example
+ * keccak256(''); // "c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470"
+ */
+export function keccak256(input) {
+  const bytes = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+
+  // Padding Keccak : 0x01 ... 0x80 jusqu'à un multiple du taux
+  const paddedLength = (Math.floor(bytes.length / RATE_BYTES) + 1) * RATE_BYTES;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(bytes);
+  padded[bytes.length] ^= 0x01;
+  padded[paddedLength - 1] ^= 0x80;
+
+  // Absorption (lanes little-endian)
+  const state = new Array(25).fill(0n);
+  for (let offset = 0; offset < paddedLength; offset += RATE_BYTES) {
+    for (let lane = 0; lane < RATE_BYTES / 8; lane++) {
+      let value = 0n;
+      for (let byte = 7; byte >= 0; byte--) {
+        value = (value << 8n) | BigInt(padded[offset + lane * 8 + byte]);
+      }
+      state[lane] ^= value;
+    }
+    keccakF(state);
+  }
+
+  // Extraction des 32 premiers octets
+  let hex = '';
+  for (let lane = 0; lane < 4; lane++) {
+    for (let byte = 0; byte < 8; byte++) {
+      hex += Number((state[lane] >> BigInt(8 * byte)) & 0xffn).toString(16).padStart(2, '0');
+    }
+  }
+  return hex;
+}
@@ -0,0 +1,209 @@
+/**
+ * 📖 ORDER BOOK ENGINE
+ * ====================
+ *
+ * Calculs côté client sur un snapshot `l2Book` (REST ou WebSocket) :
+ * - Regroupement des niveaux de prix par tranche ("tick") configurable :
+ *   bids arrondis à la tranche inférieure, asks à la tranche supérieure
+ * - Profondeur cumulée (taille et notionnel) niveau par niveau
+ * - Spread, mid, microprice et déséquilibre bid / ask
+ * - Niveaux modifiés depuis le snapshot précédent (affichage "flash")
+ *
+ * Format Hyperliquid : { coin, time, levels: [bids, asks] }
+ * chaque niveau valant { px: "97000.0", sz: "1.25", n: 3 }
+ * (bids du meilleur au pire, idem pour les asks).
+ *
+ * @example
+ * const view = buildOrderBookView(book, { tickSize: 10, depth: 20 });
+ * view.stats.spread;     // 1
+ * view.bids[0];          // { px: 96990, sz: 4.2, n: 7, total: 4.2, notional: 407358, change: null }
+ */
+
+export const ORDER_BOOK_DEFAULTS = {
+  depth: 20,                  // Niveaux (regroupés) affichés de chaque côté
+  // Tranches proposées, en multiples du pas de prix : l2Book renvoie au plus
+  // 20 niveaux par côté, au-delà de x10 tout tiendrait dans une ou deux tranches
+  tickMultipliers: [1, 2, 5, 10]
+};
+
+// Tolérance flottante pour l'arrondi aux tranches (0.3 / 0.1 = 2.9999999999999996)
+const EPSILON = 1e-9;
+
+/**
+ * Décimales utiles d'un pas de prix (0.05 → 2, 10 → 0)
+ */
+export function tickDecimals(tickSize) {
+  return Math.max(0, -Math.floor(Math.log10(tickSize) + EPSILON));
+}
+
+/**
+ * Tranches de regroupement adaptées au prix : les prix Hyperliquid ont
+ * au plus 5 chiffres significatifs, le pas de base vaut donc 10^(ordre - 4)
+ * (1 pour BTC à 97 000, 0.1 pour ETH à 3 500, 0.00001 pour un token à 0.2).
+ *
+ * @param {number} price - Prix de référence (mid)
+ * @returns {number[]} Tranches croissantes ([] si le prix est inconnu)
+ */
+export function tickSizeOptions(price, multipliers = ORDER_BOOK_DEFAULTS.tickMultipliers) {
+  const value = Number(price);
+  if (!Number.isFinite(value) || value <= 0) return [];
+  const base = 10 ** (Math.floor(Math.log10(value)) - 4);
+  return multipliers.map(multiplier => Number((base * multiplier).toFixed(tickDecimals(base))));
+}
+
+/**
+ * Convertit les niveaux API (chaînes) en nombres, niveaux invalides ignorés
+ */
+export function parseLevels(levels) {
+  return (levels || [])
+    .map(level => ({ px: Number(level.px), sz: Number(level.sz), n: Number(level.n) || 0 }))
+    .filter(level => Number.isFinite(level.px) && Number.isFinite(level.sz) && level.sz > 0);
+}
+
+/**
+ * 🧺 Regroupe des niveaux par tranche de prix
+ *
+ * @param {Array<{px, sz, n}>} levels - Niveaux parsés, du meilleur au pire
+ * @param {number|null} tickSize - Tranche ; null = niveaux bruts
+ * @param {'bid'|'ask'} side - Sens d'arrondi (bid vers le bas, ask vers le haut)
+ * @returns {Array<{px, sz, n}>} Niveaux regroupés, du meilleur au pire
+ */
+export function groupLevels(levels, tickSize, side) {
+  if (!tickSize) return levels;
+
+  const decimals = tickDecimals(tickSize);
+  const round = side === 'bid'
+    ? px => Math.floor(px / tickSize + EPSILON)
+    : px => Math.ceil(px / tickSize - EPSILON);
+
+  const buckets = new Map();
+  levels.forEach(level => {
+    const px = Number((round(level.px) * tickSize).toFixed(decimals));
+    const bucket = buckets.get(px);
+    if (bucket) {
+      bucket.sz += level.sz;
+      bucket.n += level.n;
+    } else {
+      buckets.set(px, { ...level, px });
+    }
+  });
+
+  // Les niveaux arrivent triés : l'ordre d'insertion des tranches l'est aussi
+  return Array.from(buckets.values());
+}
+
+/**
+ * Ajoute la profondeur cumulée : total (taille) et notionnel (prix × taille)
+ */
+export function withCumulativeDepth(levels) {
+  let total = 0;
+  let notional = 0;
+  return levels.map(level => {
+    total += level.sz;
+    notional += level.px * level.sz;
+    return { ...level, total, notional };
+  });
+}
+
+/**
+ * 📐 Statistiques du carnet
+ *
+ * - spread / spreadBps : écart meilleur ask - meilleur bid (absolu et en points de base du mid)
+ * - microprice : mid pondéré par les tailles au meilleur niveau,
+ *   attiré vers le côté le moins garni (prochain prix probable)
+ * - imbalance : (volume bids - volume asks) / total sur les niveaux fournis,
+ *   de -1 (que des asks) à +1 (que des bids)
+ *
+ * @param {Array} bids - Bids parsés (meilleur en tête)
+ * @param {Array} asks - Asks parsés (meilleur en tête)
+ * @param {Object} [depthLevels] - Niveaux servant au déséquilibre (défaut : bids / asks)
+ */
+export function computeBookStats(bids, asks, { bids: depthBids = bids, asks: depthAsks = asks } = {}) {
+  const bestBid = bids[0] ?? null;
+  const bestAsk = asks[0] ?? null;
+  const bidDepth = depthBids.reduce((sum, level) => sum + level.sz, 0);
+  const askDepth = depthAsks.reduce((sum, level) => sum + level.sz, 0);
+
+  const stats = {
+    bestBid: bestBid?.px ?? null,
+    bestAsk: bestAsk?.px ?? null,
+    spread: null,
+    spreadBps: null,
+    mid: null,
+    microprice: null,
+    bidDepth,
+    askDepth,
+    imbalance: bidDepth + askDepth > 0 ? (bidDepth - askDepth) / (bidDepth + askDepth) : null
+  };
+
+  if (bestBid && bestAsk) {
+    stats.spread = bestAsk.px - bestBid.px;
+    stats.mid = (bestAsk.px + bestBid.px) / 2;
+    stats.spreadBps = (stats.spread / stats.mid) * 10000;
+    stats.microprice = (bestBid.px * bestAsk.sz + bestAsk.px * bestBid.sz) / (bestBid.sz + bestAsk.sz);
+  }
+  return stats;
+}
+
+/**
+ * Marque les niveaux apparus ou modifiés depuis les niveaux précédents
+ * change : 'new' | 'up' (taille en hausse) | 'down' | null
+ */
+function markChanges(levels, previousLevels) {
+  if (!previousLevels) return levels.map(level => ({ ...level, change: null }));
+  const before = new Map(previousLevels.map(level => [level.px, level.sz]));
+  return levels.map(level => {
+    const sz = before.get(level.px);
+    let change = null;
+    if (sz === undefined) change = 'new';
+    else if (level.sz > sz) change = 'up';
+    else if (level.sz < sz) change = 'down';
+    return { ...level, change };
+  });
+}
+
+/**
+ * Le snapshot `next` doit-il remplacer `current` ?
+ * Rejette les snapshots plus anciens du même coin (réponse REST arrivée
+ * après un message WebSocket, par exemple).
+ */
+export function isNewerSnapshot(current, next) {
+  if (next === current) return false;
+  if (!next || !current || next.coin !== current.coin) return true;
+  return (next.time ?? 0) >= (current.time ?? 0);
+}
+
+/**
+ * 🧮 Vue complète du carnet, prête à afficher
+ *
+ * @param {Object|null} snapshot - Réponse l2Book
+ * @param {Object} [options]
+ * @param {number|null} [options.tickSize=null] - Tranche de regroupement (null = brut)
+ * @param {number} [options.depth] - Niveaux regroupés conservés de chaque côté
+ * @param {Object|null} [options.previous=null] - Snapshot précédent du même coin (niveaux modifiés)
+ * @returns {Object|null} { coin, time, tickSize, bids, asks, stats, maxTotal }
+ */
+export function buildOrderBookView(snapshot, { tickSize = null, depth = ORDER_BOOK_DEFAULTS.depth, previous = null } = {}) {
+  if (!snapshot?.levels) return null;
+
+  const group = (levels, side) => groupLevels(parseLevels(levels), tickSize, side).slice(0, depth);
+  const rawBids = parseLevels(snapshot.levels[0]);
+  const rawAsks = parseLevels(snapshot.levels[1]);
+  const bids = groupLevels(rawBids, tickSize, 'bid').slice(0, depth);
+  const asks = groupLevels(rawAsks, tickSize, 'ask').slice(0, depth);
+  const hasPrevious = previous?.levels && previous.coin === snapshot.coin;
+
+  const view = {
+    coin: snapshot.coin,
+    time: snapshot.time ?? null,
+    tickSize,
+    bids: withCumulativeDepth(markChanges(bids, hasPrevious ? group(previous.levels[0], 'bid') : null)),
+    asks: withCumulativeDepth(markChanges(asks, hasPrevious ? group(previous.levels[1], 'ask') : null)),
+    // Spread et microprice sur le carnet brut, déséquilibre sur la profondeur affichée
+    stats: computeBookStats(rawBids, rawAsks, { bids, asks })
+  };
+  view.maxTotal = Math.max(view.bids.at(-1)?.total ?? 0, view.asks.at(-1)?.total ?? 0);
+  return view;
+}
+
+export default buildOrderBookView;
@@ -6,21 +6,232 @@
  * dans les templates d'endpoints API.
  * 
  * 🎯 Fonctionnalités :
- * - Remplacement de placeholders {{param}} dans les objets
- * - Validation des paramètres
- * - Conversion de types
+ * - Remplacement de placeholders {{param}} dans les objets,
+ *   en conservant le type déclaré des paramètres
+ * - Validation des paramètres (règles déclaratives : bornes, adresses,
+ *   listes dynamiques, contraintes entre champs)
+ * - Conversion de types (dont expressions de temps : now-24h, startOfDay-7d)
  * - Gestion des valeurs par défaut
  */
 
+import { parseTimeExpression, formatTimestamp } from './timeExpressions.js';
+import { checkAddressChecksum } from './address.js';
+import { suggestClosest } from './suggestions.js';
+
+/**
+ * 🔍 Placeholders reconnus : {{param}} (espaces tolérés : {{ param }})
+ */
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER_PATTERN = /^\{\{\s*(\w+)\s*\}\}$/;
+
+/**
+ * Marqueur interne : valeur optionnelle absente, clé à omettre
+ */
+const OMITTED = Symbol('omitted');
+
+function isMissingValue(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * 🚨 Erreur levée quand un template ne peut pas être résolu
+ * (placeholder sans valeur, ou valeur non convertible vers son type)
+ */
+export class TemplateResolutionError extends Error {
+  /**
+   * @param {string[]} unresolved - Noms des placeholders sans valeur
+   * @param {string[]} [errors] - Erreurs de conversion ("param: message")
+   */
+  constructor(unresolved, errors = []) {
+    const parts = [];
+    if (unresolved.length > 0) {
+      parts.push(`placeholders non résolus : ${unresolved.map(name => `{{${name}}}`).join(', ')}`);
+    }
+    if (errors.length > 0) parts.push(errors.join(' ; '));
+
+    super(`Template invalide — ${parts.join(' — ')}`);
+    this.name = 'TemplateResolutionError';
+    this.unresolved = unresolved;
+    this.errors = errors;
+  }
+}
+
+/**
+ * 🎯 Convertit une valeur saisie vers le type déclaré du paramètre
+ *
+ * Les formulaires produisent des chaînes : "1700000000000" devient un
+ * nombre, "true" un booléen, '["BTC"]' un tableau...
+ *
+ * @param {Object} paramConfig - Configuration du paramètre ({ type, ... })
+ * @param {any} value - Valeur brute (non vide)
+ * @returns {any} Valeur typée
+ * @throws {Error} Si la valeur n'est pas convertible
+ */
+export function coerceParameterValue(paramConfig, value) {
+  switch (paramConfig.type) {
+    case 'number': {
+      if (typeof value === 'number') return value;
+      const text = String(value).trim();
+      const num = Number(text);
+      if (text === '' || Number.isNaN(num)) {
+        throw new Error('Doit être un nombre valide');
+      }
+      return num;
+    }
+
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      const text = String(value).trim().toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(text)) return true;
+      if (['false', '0', 'no', 'off'].includes(text)) return false;
+      throw new Error('Doit être true ou false');
+    }
+
+    case 'timestamp':
+      // now-24h, startOfDay-7d, date ISO ou ms → timestamp ms
+      return parseTimeExpression(value);
+
+    case 'array':
+    case 'object':
+    case 'json': {
+      let parsed = value;
+      if (typeof value === 'string') {
+        try {
+          parsed = JSON.parse(value);
+        } catch {
+          throw new Error('JSON invalide');
+        }
+      }
+      if (paramConfig.type === 'array' && !Array.isArray(parsed)) {
+        throw new Error('Doit être un tableau JSON');
+      }
+      if (paramConfig.type === 'object' && (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed))) {
+        throw new Error('Doit être un objet JSON');
+      }
+      return parsed;
+    }
+
+    case 'string':
+      return String(value).trim();
+
+    default:
+      // select & types non déclarés : valeur telle quelle
+      return value;
+  }
+}
+
+/**
+ * 🧩 Résout un template en conservant les types des paramètres
+ *
+ * Règles :
+ * - Placeholder seul ("{{start_time}}") → valeur typée selon `params[].type`
+ * - Placeholder inclus ("Bearer {{key}}") → interpolation en chaîne
+ * - Paramètre optionnel absent → clé omise (placeholder seul)
+ *   ou chaîne vide (placeholder inclus)
+ * - Paramètre requis ou non déclaré absent → signalé dans `unresolved`,
+ *   le placeholder est laissé tel quel
+ * - Paramètre présent dans `masks` → remplacé par son masque, à la position
+ *   du placeholder (secrets des snippets et de l'historique)
+ *
+ * @param {any} template - Template (objet, string, array, etc.)
+ * @param {Object} parameterMap - Map des paramètres {nom: valeur}
+ * @param {Array} [paramConfigs] - Configuration des paramètres de l'endpoint
+ * @param {Object} [options]
+ * @param {Object} [options.masks] - { nom: masque } des paramètres à ne pas révéler
+ * @returns {{ value: any, unresolved: string[], errors: string[] }}
+ *
+ * @example
+ * resolveTemplate(
+ *   { type: 'candleSnapshot', req: { coin: '{{coin}}', startTime: '{{start_time}}' } },
+ *   { coin: 'BTC', start_time: '1700000000000' },
+ *   [{ name: 'coin', type: 'string' }, { name: 'start_time', type: 'number' }]
+ * );
+ * // => { value: { ..., startTime: 1700000000000 }, unresolved: [], errors: [] }
+ */
+export function resolveTemplate(template, parameterMap = {}, paramConfigs = [], { masks = {} } = {}) {
+  const configs = new Map((paramConfigs || []).map(param => [param.name, param]));
+  const unresolved = new Set();
+  const errors = new Set();
+
+  // 🔎 Valeur d'un paramètre : { value } ou { missing, optional }
+  const lookup = (name) => {
+    const config = configs.get(name);
+    const raw = parameterMap[name];
+
+    if (isMissingValue(raw)) {
+      if (config && !config.required) return { missing: true, optional: true };
+      unresolved.add(name);
+      return { missing: true, optional: false };
+    }
+
+    if (Object.hasOwn(masks, name)) return { value: masks[name] };
+    if (!config) return { value: raw };
+    try {
+      return { value: coerceParameterValue(config, raw) };
+    } catch (error) {
+      errors.add(`${name}: ${error.message}`);
+      return { value: raw };
+    }
+  };
+
+  const walk = (value) => {
+    if (value == null) return value;
+
+    // 📝 Cas string : placeholder seul (typé) ou interpolation
+    if (typeof value === 'string') {
+      const whole = value.match(WHOLE_PLACEHOLDER_PATTERN);
+      if (whole) {
+        const result = lookup(whole[1]);
+        if (result.missing) return result.optional ? OMITTED : value;
+        return result.value;
+      }
+
+      return value.replace(PLACEHOLDER_PATTERN, (match, name) => {
+        const result = lookup(name);
+        if (result.missing) return result.optional ? '' : match;
+        return typeof result.value === 'object' ? JSON.stringify(result.value) : String(result.value);
+      });
+    }
+
+    // 📋 Cas array : les éléments optionnels absents disparaissent
+    if (Array.isArray(value)) {
+      return value.map(walk).filter(item => item !== OMITTED);
+    }
+
+    // 🎯 Cas objet : les clés optionnelles absentes disparaissent
+    if (typeof value === 'object') {
+      const result = {};
+      for (const [key, val] of Object.entries(value)) {
+        const resolved = walk(val);
+        if (resolved !== OMITTED) result[key] = resolved;
+      }
+      return result;
+    }
+
+    // 🔢 Autres types : retourner tel quel (number, boolean, etc.)
+    return value;
+  };
+
+  const value = walk(template);
+  return {
+    value: value === OMITTED ? undefined : value,
+    unresolved: [...unresolved],
+    errors: [...errors]
+  };
+}
+
 /**
  * 🔄 Remplace récursivement tous les placeholders dans un objet
  * 
  * Cherche les patterns {{paramName}} et les remplace par les valeurs
- * fournies dans le mappage des paramètres.
+ * fournies dans le mappage des paramètres. Voir resolveTemplate pour
+ * les règles de typage.
  * 
  * @param {any} value - Valeur à traiter (objet, string, array, etc.)
  * @param {Object} parameterMap - Map des paramètres {nom: valeur}
+ * @param {Array} [paramConfigs] - Configuration des paramètres (types, required)
  * @returns {any} Valeur avec les paramètres remplacés
+ * @throws {TemplateResolutionError} Si un placeholder reste non résolu
  * 
  * @example
  * const template = { type: "user", address: "{{user_address}}" };
@@ -28,33 +239,13 @@
  * const result = replaceParametersInObject(template, params);
  * // => { type: "user", address: "0x123..." }
  */
-export function replaceParametersInObject(value, parameterMap) {
-  // 🔍 Cas de base : valeur nulle/undefined
-  if (value == null) {
-    return value;
-  }
+export function replaceParametersInObject(value, parameterMap, paramConfigs = []) {
+  const { value: resolved, unresolved, errors } = resolveTemplate(value, parameterMap, paramConfigs);
 
-  // 📝 Cas string : remplacer les placeholders
-  if (typeof value === 'string') {
-    return replaceParametersInString(value, parameterMap);
+  if (unresolved.length > 0 || errors.length > 0) {
+    throw new TemplateResolutionError(unresolved, errors);
   }
-
-  // 📋 Cas array : traiter chaque élément
-  if (Array.isArray(value)) {
-    return value.map(item => replaceParametersInObject(item, parameterMap));
-  }
-
-  // 🎯 Cas objet : traiter chaque propriété
-  if (typeof value === 'object') {
-    const result = {};
-    for (const [key, val] of Object.entries(value)) {
-      result[key] = replaceParametersInObject(val, parameterMap);
-    }
-    return result;
-  }
-
-  // 🔢 Autres types : retourner tel quel (number, boolean, etc.)
-  return value;
+  return resolved;
 }
 
 /**
@@ -65,7 +256,7 @@ export function replaceParametersInObject(value, parameterMap) {
  * @returns {string} Texte avec paramètres remplacés
  */
 export function replaceParametersInString(text, parameterMap) {
-  return text.replace(/\{\{(\w+)\}\}/g, (match, paramName) => {
+  return text.replace(PLACEHOLDER_PATTERN, (match, paramName) => {
     const value = parameterMap[paramName];
     
     // Si le paramètre n'existe pas, garder le placeholder
@@ -79,49 +270,217 @@ export function replaceParametersInString(text, parameterMap) {
   });
 }
 
+/**
+ * 🔎 Noms des placeholders utilisés dans les valeurs d'un template
+ *
+ * @param {any} template - Objet, tableau ou chaîne
+ * @returns {string[]} Noms uniques, dans l'ordre d'apparition
+ *
+ * @example
+ * getTemplatePlaceholders({ type: 'l2Book', coin: '{{coin}}' }); // ['coin']
+ */
+export function getTemplatePlaceholders(template) {
+  const names = new Set();
+  const walk = (value) => {
+    if (typeof value === 'string') {
+      for (const match of value.matchAll(PLACEHOLDER_PATTERN)) names.add(match[1]);
+    } else if (Array.isArray(value)) {
+      value.forEach(walk);
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(walk);
+    }
+  };
+  walk(template);
+  return [...names];
+}
+
+/**
+ * 🔎 Paramètres qu'un endpoint peut consommer : params déclarés +
+ * placeholders de ses templates (en-têtes, body, query, subscription, URL)
+ *
+ * @param {Object} endpoint - Définition d'endpoint
+ * @returns {string[]} Noms uniques
+ */
+export function getEndpointParameterNames(endpoint) {
+  const declared = (endpoint?.params || []).map(param => param.name);
+  const placeholders = getTemplatePlaceholders([endpoint?.headers, endpoint?.body, endpoint?.query, endpoint?.subscription, endpoint?.url]);
+  return [...new Set([...declared, ...placeholders])];
+}
+
+/**
+ * 📚 Sources de valeurs dynamiques pour `enumFrom` (ex: 'assets')
+ * Enregistrées par les services qui détiennent les données : pas
+ * d'import de service ici (évite les dépendances circulaires).
+ * @type {Map<string, Function>}
+ */
+const enumSources = new Map();
+
+/**
+ * 📚 Enregistre une source de valeurs pour `enumFrom`
+ *
+ * @param {string} name - Nom de la source (ex: 'assets')
+ * @param {Function} provider - Retourne la liste des valeurs valides
+ * @returns {Function} Retire la source
+ *
+ * @example
+ * registerEnumSource('assets', () => assetMapping.getAllAssetNames());
+ */
+export function registerEnumSource(name, provider) {
+  enumSources.set(name, provider);
+  return () => enumSources.delete(name);
+}
+
+/**
+ * 📋 Valeurs valides d'une source `enumFrom`
+ *
+ * @param {string} name - Nom de la source
+ * @returns {string[]|null} null si la source est inconnue ou pas encore chargée
+ */
+export function getEnumValues(name) {
+  const values = enumSources.get(name)?.();
+  return values && values.length > 0 ? values : null;
+}
+
 /**
  * ✅ Valide les paramètres requis pour un endpoint
  * 
- * @param {Array} requiredParams - Liste des paramètres requis de l'endpoint
+ * Règles déclaratives supportées dans `params[]` :
+ * - required, type, validation (regex)
+ * - min / max : bornes numériques (expressions de temps pour "timestamp")
+ * - minLength / maxLength : longueur des chaînes
+ * - format: 'address' : adresse 0x + checksum EIP-55 si casse mixte
+ * - enumFrom: 'assets' : valeur d'une liste dynamique, avec suggestions
+ * - after / before : comparaison avec un autre paramètre (ex: end_time après start_time)
+ * 
+ * @param {Array} requiredParams - Liste des paramètres de l'endpoint
  * @param {Object} providedParams - Paramètres fournis par l'utilisateur
- * @returns {Object} Résultat de validation { valid: boolean, missing: Array, errors: Array }
+ * @returns {Object} Résultat de validation { valid, missing, errors, fields }
+ * - fields : { [nom]: { error, suggestions } } pour l'affichage par champ
  */
 export function validateParameters(requiredParams, providedParams) {
   const missing = [];
   const errors = [];
+  const fields = {};
+  const coerced = {};
+
+  const addError = (param, message, suggestions = []) => {
+    errors.push(`${param.name}: ${message}`);
+    if (!fields[param.name]) fields[param.name] = { error: message, suggestions };
+  };
 
   // Vérifier chaque paramètre requis
   for (const param of requiredParams) {
     const value = providedParams[param.name];
     
     // Vérifier si le paramètre est présent
-    if (param.required && (value === undefined || value === null || value === '')) {
-      missing.push(param.name);
+    if (isMissingValue(value)) {
+      if (param.required) missing.push(param.name);
       continue;
     }
 
-    // Si pas de valeur et pas requis, passer au suivant
-    if (!value) continue;
-
     // Valider le type selon la configuration du paramètre
     const typeError = validateParameterType(param, value);
     if (typeError) {
-      errors.push(`${param.name}: ${typeError}`);
+      addError(param, typeError);
+      continue;
     }
 
     // Valider avec regex si spécifié
     if (param.validation && !new RegExp(param.validation).test(value)) {
-      errors.push(`${param.name}: Format invalide`);
+      addError(param, 'Format invalide');
+      continue;
+    }
+
+    coerced[param.name] = coerceParameterValue(param, value);
+    const ruleError = validateParameterRules(param, coerced[param.name]);
+    if (ruleError) addError(param, ruleError.message, ruleError.suggestions);
+  }
+
+  // 🔗 Contraintes entre champs (une fois toutes les valeurs converties)
+  for (const param of requiredParams) {
+    if (fields[param.name] || coerced[param.name] === undefined) continue;
+
+    for (const [rule, isValid, wording] of [
+      ['after', (value, other) => value > other, 'postérieur à'],
+      ['before', (value, other) => value < other, 'antérieur à']
+    ]) {
+      const otherName = param[rule];
+      if (!otherName || coerced[otherName] === undefined || fields[otherName]) continue;
+      if (!isValid(coerced[param.name], coerced[otherName])) {
+        const other = requiredParams.find(item => item.name === otherName);
+        addError(param, `Doit être ${wording} ${other?.label || otherName}`);
+      }
     }
   }
 
   return {
     valid: missing.length === 0 && errors.length === 0,
     missing,
-    errors
+    errors,
+    fields
   };
 }
 
+/**
+ * 📐 Règles déclaratives d'un paramètre (valeur déjà convertie)
+ * 
+ * @param {Object} paramConfig - Configuration du paramètre
+ * @param {any} value - Valeur typée
+ * @returns {{ message: string, suggestions?: string[] }|null}
+ */
+function validateParameterRules(paramConfig, value) {
+  // 📏 Bornes numériques (min / max acceptent "now-30d" pour un timestamp)
+  if (typeof value === 'number') {
+    const isTimestamp = paramConfig.type === 'timestamp';
+    const toBound = (limit) => (isTimestamp ? parseTimeExpression(limit) : Number(limit));
+    const display = (bound) => (isTimestamp ? formatTimestamp(bound) : bound);
+
+    if (paramConfig.min !== undefined && value < toBound(paramConfig.min)) {
+      return { message: `Doit être ≥ ${display(toBound(paramConfig.min))}` };
+    }
+    if (paramConfig.max !== undefined && value > toBound(paramConfig.max)) {
+      return { message: `Doit être ≤ ${display(toBound(paramConfig.max))}` };
+    }
+  }
+
+  // 📏 Longueur des chaînes
+  if (typeof value === 'string') {
+    if (paramConfig.minLength !== undefined && value.length < paramConfig.minLength) {
+      return { message: `Au moins ${paramConfig.minLength} caractère(s)` };
+    }
+    if (paramConfig.maxLength !== undefined && value.length > paramConfig.maxLength) {
+      return { message: `Au plus ${paramConfig.maxLength} caractère(s)` };
+    }
+  }
+
+  // 👤 Adresse EVM + checksum EIP-55
+  if (paramConfig.format === 'address') {
+    const check = checkAddressChecksum(value);
+    if (!check.valid && !check.expected) {
+      return { message: 'Adresse invalide (0x + 40 caractères hexadécimaux)' };
+    }
+    if (!check.valid) {
+      return { message: 'Checksum EIP-55 invalide (casse mal recopiée ?)', suggestions: [check.expected] };
+    }
+  }
+
+  // 🪙 Valeur d'une liste dynamique (ignorée tant que la liste n'est pas chargée)
+  if (paramConfig.enumFrom) {
+    const allowed = getEnumValues(paramConfig.enumFrom);
+    if (allowed && !allowed.includes(value)) {
+      const suggestions = suggestClosest(value, allowed);
+      return {
+        message: suggestions.length > 0
+          ? `"${value}" inconnu — vouliez-vous dire ${suggestions.join(', ')} ?`
+          : `"${value}" inconnu`,
+        suggestions
+      };
+    }
+  }
+
+  return null;
+}
+
 /**
  * 🔍 Valide le type d'un paramètre spécifique
  * 
@@ -145,7 +504,20 @@ function validateParameterType(paramConfig, value) {
       }
       break;
     }
-      
+
+    case 'boolean':
+    case 'timestamp':
+    case 'array':
+    case 'object':
+    case 'json': {
+      try {
+        coerceParameterValue(paramConfig, value);
+      } catch (error) {
+        return error.message;
+      }
+      break;
+    }
+
     case 'select': {
       if (paramConfig.options && !paramConfig.options.includes(value)) {
         return `Doit être une des valeurs: ${paramConfig.options.join(', ')}`;
@@ -186,6 +558,18 @@ export function formatParameterValue(paramConfig, value) {
   }
 }
 
+/**
+ * 🕰️ Paramètres formant une plage de temps (params[].range = 'start' | 'end')
+ *
+ * @param {Array} paramConfigs - Configuration des paramètres
+ * @returns {{ start: Object, end: Object }|null} null si la plage est incomplète
+ */
+export function getTimeRangeParams(paramConfigs = []) {
+  const start = paramConfigs.find(param => param.type === 'timestamp' && param.range === 'start');
+  const end = paramConfigs.find(param => param.type === 'timestamp' && param.range === 'end');
+  return start && end ? { start, end } : null;
+}
+
 /**
  * 📋 Extrait les noms des paramètres requis d'un endpoint
  * 
@@ -4,18 +4,30 @@
  * 
  * Ce fichier teste rapidement si notre nouvelle structure fonctionne
  * avant d'intégrer à l'interface principale.
+ * 
+ * En mode replay, l'appel API est servi par les fixtures : le test
+ * tourne sans réseau et donne toujours le même résultat.
  */
 
 import { HYPERLIQUID_ENDPOINTS } from '../config/endpoints.js';
 import { hyperliquidApi } from '../api/hyperliquidService.js';
+import { endpointRegistry } from '../api/endpointRegistry.js';
+import transportService from '../services/transportService.js';
 import { replaceParametersInObject } from '../utils/parameterUtils.js';
 
 /**
  * 🎯 Test rapide de la configuration
+ * 
+ * @param {Object} [options]
+ * @param {boolean} [options.replay=false] - Servir les appels API depuis les fixtures
  */
-export async function runQuickTest() {
+export async function runQuickTest({ replay = false } = {}) {
   console.log('🧪 [TEST] Démarrage des tests de structure...\n');
 
+  // 📼 Mode replay le temps du test, puis retour au mode précédent
+  const previousMode = transportService.getMode();
+  if (replay) transportService.setMode('replay');
+
   // ✅ Test 1 : Vérification de la configuration des endpoints
   console.log('1️⃣ Test de la configuration des endpoints');
   console.log('📊 Endpoints Hyperliquid trouvés:', HYPERLIQUID_ENDPOINTS.length);
@@ -26,7 +38,8 @@ export async function runQuickTest() {
     id: firstEndpoint.id,
     name: firstEndpoint.name,
     method: firstEndpoint.method,
-    hasParams: firstEndpoint.parameters?.length > 0
+    hasParams: firstEndpoint.params?.length > 0,
+    registered: endpointRegistry.has(firstEndpoint.id)
   });
 
   // ✅ Test 2 : Test des utilitaires de paramètres
@@ -35,25 +48,28 @@ export async function runQuickTest() {
   const testTemplate = {
     type: 'test',
     user: '{{user_address}}',
-    coin: '{{coin}}'
+    coin: '{{coin}}',
+    startTime: '{{start_time}}'
   };
   
   const testParams = {
     user_address: '0x123abc',
-    coin: 'BTC'
+    coin: 'BTC',
+    start_time: '1700000000000'
   };
   
-  const replaced = replaceParametersInObject(testTemplate, testParams);
+  const replaced = replaceParametersInObject(testTemplate, testParams, [
+    { name: 'start_time', type: 'number' }
+  ]);
   console.log('🔄 Remplacement de paramètres:', {
     original: testTemplate,
     replaced: replaced,
-    success: replaced.user === '0x123abc' && replaced.coin === 'BTC'
+    success: replaced.user === '0x123abc' && replaced.coin === 'BTC' && replaced.startTime === 1700000000000
   });
 
   // ✅ Test 3 : Test simple d'un endpoint (allMids)
   console.log('\n3️⃣ Test d\'un endpoint simple (allMids)');
   try {
-    const allMidsEndpoint = HYPERLIQUID_ENDPOINTS.find(ep => ep.id === 'allMids');
     const result = await hyperliquidApi.executeRequest('allMids');
     
     console.log('📈 Test allMids:', {
@@ -61,7 +77,9 @@ export async function runQuickTest() {
       sampleKeys: result ? Object.keys(result).slice(0, 3) : null
     });
   } catch (error) {
-    console.log('❌ Erreur lors du test allMids:', error.message);
+    console.log(`❌ Erreur lors du test allMids [${error.type}]:`, error.message);
+  } finally {
+    if (replay) transportService.setMode(previousMode);
   }
 
   console.log('\n🎉 [TEST] Tests de structure terminés !');
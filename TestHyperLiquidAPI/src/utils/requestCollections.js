@@ -0,0 +1,251 @@
+/**
+ * 📁 REQUEST COLLECTIONS & HISTORY
+ * ================================
+ *
+ * Fonctions pures derrière les collections de requêtes enregistrées et
+ * l'historique d'exécution de l'ApiPlayground (persistés via useLocalState).
+ *
+ * 🔐 Les valeurs secrètes (params `secret: true`, variables secrètes de
+ * l'environnement) ne sont jamais stockées : vidées dans les requêtes
+ * enregistrées (l'environnement actif les complète au rejeu), masquées
+ * dans l'historique.
+ *
+ * 📦 Format JSON des collections (export / import) :
+ * {
+ *   "version": 1,
+ *   "collections": [{
+ *     "name": "Desk BTC",
+ *     "requests": [{ "name": "Carnet BTC", "endpointId": "hl-l2Book", "params": { "coin": "BTC" } }]
+ *   }]
+ * }
+ */
+
+import { createId } from './storage.js';
+
+export const COLLECTIONS_FORMAT_VERSION = 1;
+
+// Nombre maximum d'entrées conservées dans l'historique
+export const HISTORY_LIMIT = 200;
+
+export const SECRET_MASK = '••••••';
+
+/**
+ * Copie des paramètres dont les secrets sont remplacés
+ */
+function replaceSecrets(params, secretKeys, replacement) {
+  const result = {};
+  for (const [key, value] of Object.entries(params || {})) {
+    result[key] = secretKeys.includes(key) && value !== '' && value !== undefined ? replacement : value;
+  }
+  return result;
+}
+
+/**
+ * 🔒 Copie affichable des paramètres : secrets remplacés par SECRET_MASK
+ * (erreurs, journaux, intercepteurs)
+ *
+ * @param {Object} params - Paramètres résolus
+ * @param {string[]} secretKeys - Noms des paramètres secrets
+ * @returns {Object}
+ */
+export function maskSecrets(params, secretKeys) {
+  return replaceSecrets(params, secretKeys, SECRET_MASK);
+}
+
+/**
+ * ============================================================================
+ * COLLECTIONS
+ * ============================================================================
+ */
+
+/**
+ * ➕ Nouvelle collection vide
+ *
+ * @param {string} name - Nom affiché
+ * @returns {Object} { id, name, requests }
+ */
+export function createCollection(name) {
+  return { id: createId('col'), name: String(name || '').trim() || 'Nouvelle collection', requests: [] };
+}
+
+/**
+ * 💾 Requête enregistrée (secrets vidés)
+ *
+ * @param {Object} request
+ * @param {string} request.name - Nom affiché
+ * @param {string} request.endpointId - ID de l'endpoint du catalogue
+ * @param {Object} request.params - Paramètres saisis
+ * @param {string[]} [request.secretKeys] - Paramètres à ne pas stocker
+ * @returns {Object} { id, name, endpointId, params, savedAt }
+ */
+export function createSavedRequest({ name, endpointId, params, secretKeys = [] }) {
+  return {
+    id: createId('req'),
+    name: String(name || '').trim() || endpointId,
+    endpointId,
+    params: replaceSecrets(params, secretKeys, ''),
+    savedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * 📤 Exporte les collections (contenu du fichier JSON)
+ *
+ * @param {Array} collections
+ * @returns {string} JSON indenté
+ */
+export function exportCollections(collections) {
+  return JSON.stringify({
+    version: COLLECTIONS_FORMAT_VERSION,
+    collections: collections.map(({ name, requests }) => ({
+      name,
+      requests: requests.map(({ name: requestName, endpointId, params }) => ({ name: requestName, endpointId, params }))
+    }))
+  }, null, 2);
+}
+
+/**
+ * 📥 Lit un fichier de collections
+ *
+ * @param {string|Object} data - Contenu JSON (texte ou objet)
+ * @returns {Array} Collections avec de nouveaux IDs
+ * @throws {Error} Si le format est invalide
+ */
+export function parseCollectionsFile(data) {
+  const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+  if (!parsed || !Array.isArray(parsed.collections)) {
+    throw new Error('Format invalide : { version, collections: [...] } attendu');
+  }
+  if (parsed.version !== COLLECTIONS_FORMAT_VERSION) {
+    throw new Error(`Version de collections non supportée : ${parsed.version}`);
+  }
+
+  return parsed.collections
+    .filter(collection => collection?.name && Array.isArray(collection.requests))
+    .map(collection => ({
+      ...createCollection(collection.name),
+      requests: collection.requests
+        .filter(request => request?.endpointId)
+        .map(request => ({
+          ...createSavedRequest({ name: request.name, endpointId: request.endpointId, params: request.params }),
+          savedAt: request.savedAt ?? new Date().toISOString()
+        }))
+    }));
+}
+
+/**
+ * 🔀 Fusionne des collections importées (même nom = remplacée)
+ *
+ * @param {Array} existing - Collections actuelles
+ * @param {Array} imported - Collections lues par parseCollectionsFile
+ * @returns {Array}
+ */
+export function mergeCollections(existing, imported) {
+  let result = [...existing];
+  for (const collection of imported) {
+    const index = result.findIndex(item => item.name === collection.name);
+    result = index === -1
+      ? [...result, collection]
+      : result.map((item, position) => (position === index ? { ...collection, id: item.id } : item));
+  }
+  return result;
+}
+
+/**
+ * ============================================================================
+ * HISTORIQUE
+ * ============================================================================
+ */
+
+/**
+ * 🕘 Entrée d'historique d'une exécution
+ *
+ * @param {Object} execution
+ * @param {Object} execution.endpoint - Endpoint du catalogue ({ id, name, method })
+ * @param {Object} execution.params - Paramètres saisis (pour le rejeu)
+ * @param {Object} execution.request - Requête envoyée, secrets déjà masqués ({ url, body } ou { url, subscription })
+ * @param {string[]} [execution.secretKeys] - Paramètres à ne pas stocker
+ * @param {string} execution.status - "success", "error", "timeout", "subscribed" (WS)
+ * @param {number} [execution.httpStatus] - Statut HTTP
+ * @param {string} [execution.errorType] - Type de l'erreur typée
+ * @param {number|null} execution.durationMs - null pour une connexion WS
+ * @param {number} [execution.sizeBytes] - Taille de la réponse
+ * @param {string} [execution.networkId]
+ * @param {string} [execution.transportMode] - live / record / replay
+ * @returns {Object}
+ */
+export function createHistoryEntry({
+  endpoint,
+  params,
+  request,
+  secretKeys = [],
+  status,
+  httpStatus = null,
+  errorType = null,
+  durationMs,
+  sizeBytes = null,
+  networkId = null,
+  transportMode = null
+}) {
+  return {
+    id: createId('run'),
+    executedAt: new Date().toISOString(),
+    endpointId: endpoint.id,
+    label: endpoint.name,
+    method: endpoint.method,
+    params: replaceSecrets(params, secretKeys, ''),
+    request,
+    status,
+    httpStatus,
+    errorType,
+    durationMs,
+    sizeBytes,
+    networkId,
+    transportMode
+  };
+}
+
+/**
+ * ➕ Ajoute une entrée en tête (plus récente d'abord), taille bornée
+ */
+export function appendHistory(history, entry, limit = HISTORY_LIMIT) {
+  return [entry, ...history].slice(0, limit);
+}
+
+/**
+ * 🔍 Recherche dans l'historique
+ * Tous les mots doivent apparaître (endpoint, statut, réseau, paramètres).
+ *
+ * @param {Array} history
+ * @param {string} query - Ex: "l2Book ETH 429"
+ * @returns {Array}
+ */
+export function searchHistory(history, query) {
+  const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return history;
+
+  return history.filter(entry => {
+    const haystack = [
+      entry.endpointId,
+      entry.label,
+      entry.method,
+      entry.status,
+      entry.httpStatus,
+      entry.errorType,
+      entry.networkId,
+      // resolvedParams : entrées antérieures au stockage de la requête envoyée
+      JSON.stringify(entry.request ?? entry.resolvedParams)
+    ].join(' ').toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  });
+}
+
+/**
+ * 📏 Taille lisible (o, Ko, Mo)
+ */
+export function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return '—';
+  if (bytes < 1024) return `${bytes} o`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} Ko`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} Mo`;
+}
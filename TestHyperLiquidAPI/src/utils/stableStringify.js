@@ -0,0 +1,22 @@
+/**
+ * 🔑 STABLE STRINGIFY
+ * ===================
+ *
+ * JSON avec clés triées : { a, b } et { b, a } donnent la même chaîne.
+ * Sert de clé de comparaison (cache des réponses, fixtures de replay).
+ * Les propriétés `undefined` sont ignorées, comme dans JSON.stringify.
+ *
+ * @param {any} value - Valeur à sérialiser
+ * @returns {string} JSON canonique
+ *
+ * @example
+ * stableStringify({ type: 'l2Book', coin: 'BTC' }) === stableStringify({ coin: 'BTC', type: 'l2Book' }); // true
+ */
+export function stableStringify(value) {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+}
+
+export default stableStringify;
@@ -0,0 +1,57 @@
+/**
+ * 💾 STORAGE
+ * ==========
+ *
+ * Persistance JSON tolérante dans localStorage, partagée par les services
+ * (réseau, transport, environnements, catalogue d'endpoints, mapping) :
+ * localStorage peut être absent (Node) ou bloqué (navigation privée),
+ * une lecture ou écriture impossible ne doit jamais faire échouer l'appelant.
+ *
+ * @example
+ * const active = readStorage('cookie.network.active', 'mainnet');
+ * writeStorage('cookie.network.active', 'testnet', 'Network');
+ * createId('env'); // "env-m2x8k1q4-3fz9ab"
+ */
+
+/**
+ * Lecture JSON tolérante
+ *
+ * @param {string} key - Clé localStorage
+ * @param {any} fallback - Valeur si la clé est absente, illisible ou le stockage indisponible
+ * @returns {any}
+ */
+export function readStorage(key, fallback) {
+  try {
+    if (typeof localStorage === 'undefined') return fallback;
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Écriture JSON tolérante (quota dépassé, stockage bloqué : simple avertissement)
+ *
+ * @param {string} key - Clé localStorage
+ * @param {any} value - Valeur sérialisable en JSON
+ * @param {string} [scope='Storage'] - Préfixe du message d'avertissement ("Network" → "[Network]")
+ */
+export function writeStorage(key, value, scope = 'Storage') {
+  try {
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`⚠️ [${scope}] Impossible de persister "${key}":`, error);
+  }
+}
+
+/**
+ * Identifiant unique préfixé (horodatage + aléa, base 36)
+ *
+ * @param {string} prefix - Ex: 'env', 'col', 'req'
+ * @returns {string}
+ */
+export function createId(prefix) {
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
@@ -0,0 +1,61 @@
+/**
+ * 💡 SUGGESTIONS
+ * ==============
+ *
+ * "Vouliez-vous dire... ?" : propose les valeurs connues les plus proches
+ * d'une saisie erronée (ex: "ETHH" → ETH, "btc" → BTC).
+ * Distance de Levenshtein, insensible à la casse.
+ */
+
+/**
+ * 📏 Distance de Levenshtein (insertions, suppressions, substitutions)
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  // Une seule ligne de la matrice suffit
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * 🔍 Valeurs connues les plus proches d'une saisie
+ *
+ * @param {string} input - Saisie de l'utilisateur
+ * @param {string[]} candidates - Valeurs valides
+ * @param {Object} [options]
+ * @param {number} [options.limit=3] - Nombre maximum de suggestions
+ * @param {number} [options.maxDistance] - Distance maximale (défaut : 1/3 de la saisie, min 1)
+ * @returns {string[]} Suggestions, de la plus proche à la plus lointaine
+ *
+ * @example
+ * suggestClosest('ETHH', ['BTC', 'ETH', 'ETC']); // ['ETH'] (ETC est à 2 éditions, seuil 1)
+ * suggestClosest('ETHH', ['BTC', 'ETH', 'ETC'], { maxDistance: 2 }); // ['ETH', 'ETC']
+ */
+export function suggestClosest(input, candidates, { limit = 3, maxDistance } = {}) {
+  const needle = String(input ?? '').trim().toLowerCase();
+  if (needle === '') return [];
+
+  const threshold = maxDistance ?? Math.max(1, Math.floor(needle.length / 3));
+
+  return candidates
+    .map(candidate => ({ candidate, distance: levenshtein(needle, candidate.toLowerCase()) }))
+    .filter(({ distance }) => distance <= threshold)
+    .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+    .slice(0, limit)
+    .map(({ candidate }) => candidate);
+}
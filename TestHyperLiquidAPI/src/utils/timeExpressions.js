@@ -0,0 +1,176 @@
+/**
+ * 🕰️ TIME EXPRESSIONS
+ * ===================
+ *
+ * Expressions de temps pour les paramètres de type "timestamp"
+ * (startTime / endTime de candleSnapshot, fundingHistory...).
+ *
+ * 🎯 Syntaxe : <ancre>[±<durée>...]
+ * - Ancres : now, startOfHour, startOfDay, startOfWeek, startOfMonth
+ *   (alias : today = startOfDay)
+ * - Durées : ms, s, m, h, d, w (ex: -24h, -7d, +30m, -1d+2h)
+ * - Dates ISO 8601 avec fuseau : 2024-01-15T08:00:00Z, 2024-01-15T08:00+02:00
+ *   (date seule 2024-01-15 = minuit UTC)
+ * - Timestamp brut en millisecondes : 1700000000000
+ *
+ * 🌍 Les ancres "startOf*" sont calculées en UTC par défaut : c'est
+ * l'alignement des bougies Hyperliquid. `{ timeZone: 'local' }` pour
+ * le fuseau du navigateur.
+ *
+ * @example
+ * parseTimeExpression('now-24h');        // il y a 24 heures
+ * parseTimeExpression('startOfDay-7d');  // minuit UTC, il y a 7 jours
+ */
+
+/**
+ * Durée de chaque unité en millisecondes
+ */
+export const TIME_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+export const TIME_ANCHORS = ['now', 'startOfHour', 'startOfDay', 'startOfWeek', 'startOfMonth'];
+
+const ANCHOR_ALIASES = { today: 'startOfDay' };
+
+const EXPRESSION_PATTERN = /^([a-zA-Z]+)((?:\s*[+-]\s*\d+\s*(?:ms|s|m|h|d|w))*)$/;
+const OFFSET_PATTERN = /([+-])\s*(\d+)\s*(ms|s|m|h|d|w)/g;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?(Z|[+-]\d{2}:?\d{2})$/i;
+const ISO_WITHOUT_ZONE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+
+/**
+ * Début de la période contenant `now` (UTC ou fuseau local)
+ */
+function resolveAnchor(anchor, now, timeZone) {
+  if (anchor === 'now') return now;
+
+  const date = new Date(now);
+  const utc = timeZone !== 'local';
+  const get = (unit) => (utc ? date[`getUTC${unit}`]() : date[`get${unit}`]());
+  const set = (unit, ...values) => (utc ? date[`setUTC${unit}`](...values) : date[`set${unit}`](...values));
+
+  switch (anchor) {
+    case 'startOfHour':
+      set('Minutes', 0, 0, 0);
+      break;
+    case 'startOfDay':
+      set('Hours', 0, 0, 0, 0);
+      break;
+    case 'startOfWeek': {
+      // Semaine ISO : le lundi
+      const daysSinceMonday = (get('Day') + 6) % 7;
+      set('Date', get('Date') - daysSinceMonday);
+      set('Hours', 0, 0, 0, 0);
+      break;
+    }
+    case 'startOfMonth':
+      set('Date', 1);
+      set('Hours', 0, 0, 0, 0);
+      break;
+  }
+  return date.getTime();
+}
+
+/**
+ * 🧮 Résout une expression de temps en timestamp (ms)
+ *
+ * @param {string|number} expression - Expression, date ISO ou timestamp
+ * @param {Object} [options]
+ * @param {number} [options.now=Date.now()] - Instant de référence
+ * @param {string} [options.timeZone='utc'] - 'utc' ou 'local' pour les ancres startOf*
+ * @returns {number} Timestamp en millisecondes
+ * @throws {Error} Si l'expression n'est pas reconnue
+ */
+export function parseTimeExpression(expression, { now = Date.now(), timeZone = 'utc' } = {}) {
+  if (typeof expression === 'number') {
+    if (!Number.isFinite(expression)) throw new Error('Timestamp invalide');
+    return expression;
+  }
+
+  const text = String(expression ?? '').trim();
+  if (text === '') throw new Error('Expression de temps vide');
+
+  // 🔢 Timestamp brut
+  if (/^\d+$/.test(text)) return Number(text);
+
+  // 📅 Dates ISO
+  if (ISO_DATE_PATTERN.test(text) || ISO_DATETIME_PATTERN.test(text)) {
+    const timestamp = Date.parse(text);
+    if (Number.isNaN(timestamp)) throw new Error(`Date invalide : ${text}`);
+    return timestamp;
+  }
+  if (ISO_WITHOUT_ZONE_PATTERN.test(text)) {
+    throw new Error(`Fuseau horaire requis : ${text}Z ou ${text}+02:00`);
+  }
+
+  // ⏳ Ancre + décalages
+  const match = text.match(EXPRESSION_PATTERN);
+  const anchor = match ? ANCHOR_ALIASES[match[1]] ?? match[1] : null;
+  if (!match || !TIME_ANCHORS.includes(anchor)) {
+    throw new Error(`Expression de temps inconnue : "${text}" (ex: now-24h, startOfDay-7d, 2024-01-15T00:00:00Z)`);
+  }
+
+  let timestamp = resolveAnchor(anchor, now, timeZone);
+  for (const [, sign, amount, unit] of match[2].matchAll(OFFSET_PATTERN)) {
+    const delta = Number(amount) * TIME_UNITS[unit];
+    timestamp += sign === '-' ? -delta : delta;
+  }
+  return timestamp;
+}
+
+/**
+ * 📆 Formate un timestamp pour affichage (ISO UTC, à la seconde)
+ *
+ * @param {number} timestamp - Timestamp en millisecondes
+ * @returns {string} Ex: "2024-01-15 08:00:00 UTC"
+ */
+export function formatTimestamp(timestamp) {
+  if (!Number.isFinite(timestamp)) return '—';
+  return new Date(timestamp).toISOString().replace('T', ' ').replace(/\.\d{3}Z$/, ' UTC');
+}
+
+/**
+ * ⏱️ Formate une durée en unités lisibles
+ *
+ * @param {number} durationMs - Durée en millisecondes
+ * @returns {string} Ex: "1d 6h", "45m"
+ */
+export function formatDuration(durationMs) {
+  if (!Number.isFinite(durationMs)) return '—';
+  const sign = durationMs < 0 ? '-' : '';
+  let remaining = Math.abs(durationMs);
+  const parts = [];
+  for (const unit of ['w', 'd', 'h', 'm', 's']) {
+    const count = Math.floor(remaining / TIME_UNITS[unit]);
+    if (count > 0) {
+      parts.push(`${count}${unit}`);
+      remaining -= count * TIME_UNITS[unit];
+    }
+    if (parts.length === 2) break;
+  }
+  return parts.length > 0 ? sign + parts.join(' ') : '0s';
+}
+
+/**
+ * 🌍 Date ISO dans le fuseau local, avec son décalage explicite
+ * (valeur réutilisable telle quelle comme expression de temps)
+ *
+ * @param {number} timestamp - Timestamp en millisecondes
+ * @returns {string} Ex: "2024-01-15T10:00:00+02:00"
+ */
+export function toLocalIsoString(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (value) => String(Math.abs(value)).padStart(2, '0');
+  const offset = -date.getTimezoneOffset();
+  const sign = offset >= 0 ? '+' : '-';
+
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+    + `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`
+    + `${sign}${pad(Math.trunc(offset / 60))}:${pad(offset % 60)}`;
+}
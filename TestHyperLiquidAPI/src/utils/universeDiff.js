@@ -0,0 +1,82 @@
+/**
+ * 🔍 UNIVERSE DIFF
+ * ================
+ *
+ * Compare deux réponses "meta" successives et liste les changements
+ * de l'univers perps :
+ * - listed   : nouvel asset (ou asset de nouveau actif après un delisting)
+ * - delisted : `isDelisted` passé à true, ou asset disparu de l'univers
+ * - changed  : champ suivi modifié (maxLeverage, szDecimals, onlyIsolated)
+ *              ou Asset ID déplacé (index différent dans `universe`)
+ *
+ * Les assets sont appariés par nom : l'Asset ID étant un index, c'est
+ * justement lui qui peut changer.
+ *
+ * @example
+ * diffUniverse(
+ *   { universe: [{ name: 'BTC', maxLeverage: 40 }] },
+ *   { universe: [{ name: 'BTC', maxLeverage: 50 }, { name: 'HYPE', maxLeverage: 5 }] }
+ * );
+ * // [
+ * //   { type: 'changed', name: 'BTC', assetId: '0', changes: { maxLeverage: { from: 40, to: 50 } } },
+ * //   { type: 'listed', name: 'HYPE', assetId: '1', changes: null }
+ * // ]
+ */
+
+// Champs d'un asset dont la modification est signalée
+export const TRACKED_ASSET_FIELDS = ['maxLeverage', 'szDecimals', 'onlyIsolated'];
+
+/**
+ * Index nom → { asset, assetId } d'une réponse meta
+ */
+function indexUniverse(meta) {
+  const byName = new Map();
+  (meta?.universe || []).forEach((asset, index) => {
+    byName.set(asset.name, { asset, assetId: String(index) });
+  });
+  return byName;
+}
+
+/**
+ * @param {Object} previous - Réponse "meta" précédente
+ * @param {Object} next - Nouvelle réponse "meta"
+ * @returns {Array<{ type: 'listed'|'delisted'|'changed', name: string, assetId: string, changes: Object|null }>}
+ */
+export function diffUniverse(previous, next) {
+  const before = indexUniverse(previous);
+  const after = indexUniverse(next);
+  const diff = [];
+
+  for (const [name, { asset, assetId }] of after) {
+    const old = before.get(name);
+    const isActive = !asset.isDelisted;
+    const wasActive = Boolean(old) && !old.asset.isDelisted;
+
+    if (isActive && !wasActive) {
+      diff.push({ type: 'listed', name, assetId, changes: null });
+      continue;
+    }
+    if (!isActive) {
+      if (wasActive) diff.push({ type: 'delisted', name, assetId, changes: null });
+      continue;
+    }
+
+    const changes = {};
+    TRACKED_ASSET_FIELDS.forEach(field => {
+      if (old.asset[field] !== asset[field]) changes[field] = { from: old.asset[field] ?? null, to: asset[field] ?? null };
+    });
+    if (old.assetId !== assetId) changes.assetId = { from: old.assetId, to: assetId };
+    if (Object.keys(changes).length > 0) diff.push({ type: 'changed', name, assetId, changes });
+  }
+
+  // Asset retiré de l'univers sans passer par isDelisted
+  for (const [name, { asset, assetId }] of before) {
+    if (!after.has(name) && !asset.isDelisted) {
+      diff.push({ type: 'delisted', name, assetId, changes: null });
+    }
+  }
+
+  return diff;
+}
+
+export default diffUniverse;
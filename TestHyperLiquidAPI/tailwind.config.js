@@ -5,7 +5,17 @@ export default {
     "./src/**/*.{js,ts,jsx,tsx}",
   ],
   theme: {
-    extend: {},
+    extend: {
+      // Flash des niveaux modifiés du carnet d'ordres (OrderBookLadder)
+      keyframes: {
+        'flash-up': { '0%': { backgroundColor: 'rgba(16, 185, 129, 0.45)' }, '100%': { backgroundColor: 'transparent' } },
+        'flash-down': { '0%': { backgroundColor: 'rgba(239, 68, 68, 0.45)' }, '100%': { backgroundColor: 'transparent' } }
+      },
+      animation: {
+        'flash-up': 'flash-up 0.8s ease-out',
+        'flash-down': 'flash-down 0.8s ease-out'
+      }
+    },
   },
   plugins: [],
 }
\ No newline at end of file
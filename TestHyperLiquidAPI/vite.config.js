@@ -1,7 +1,9 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import hyperliquidMock from './mock/vitePlugin.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  // hyperliquidMock : API simulée sur /__hl/info et /__hl/ws (dev uniquement)
+  plugins: [react(), hyperliquidMock()],
 })